@@ -1,29 +1,15 @@
-// API客户端 - 用于与服务器通信（支持创作者/访客权限）
+// API客户端 - 用于与服务器通信（账号登录后由会话 Cookie 识别身份，未登录时为匿名访客）
 const API_BASE_URL = window.location.origin;
 
-const STORAGE_CREATOR_TOKEN = 'pinDou_creatorToken';
 const STORAGE_VISITOR_ID = 'pinDou_visitorId';
+const STORAGE_VISITOR_SECRET = 'pinDou_visitorSecret';
 
-// 创作者密钥（仅存储在本地，请求时带在 header）
-function getCreatorToken() {
-    try {
-        return localStorage.getItem(STORAGE_CREATOR_TOKEN) || '';
-    } catch (e) {
-        return '';
-    }
-}
+// 旧版本保存在本地的创作者密钥已不再使用，清除掉
+try {
+    localStorage.removeItem('pinDou_creatorToken');
+} catch (e) {}
 
-function setCreatorToken(token) {
-    try {
-        if (token) {
-            localStorage.setItem(STORAGE_CREATOR_TOKEN, token);
-        } else {
-            localStorage.removeItem(STORAGE_CREATOR_TOKEN);
-        }
-    } catch (e) {}
-}
-
-// 访客唯一 ID（用于标识本人上传，以便仅本人可删）
+// 匿名访客唯一 ID（用于标识本人上传，以便仅本人可删；注册或登录时这些图片和完成记录会归入账号）
 function getVisitorId() {
     try {
         let id = localStorage.getItem(STORAGE_VISITOR_ID);
@@ -37,14 +23,28 @@ function getVisitorId() {
     }
 }
 
-// 请求头：携带创作者令牌和访客 ID
+// 访客密钥：只保存在本浏览器、服务器不会返回，用来证明访客 ID 归本浏览器所有（登录时据此把访客数据归入账号）
+function getVisitorSecret() {
+    try {
+        let secret = localStorage.getItem(STORAGE_VISITOR_SECRET);
+        if (!secret) {
+            const bytes = crypto.getRandomValues(new Uint8Array(24));
+            secret = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+            localStorage.setItem(STORAGE_VISITOR_SECRET, secret);
+        }
+        return secret;
+    } catch (e) {
+        return '';
+    }
+}
+
+// 请求头：携带访客 ID 和访客密钥（会话 Cookie 由浏览器随同源请求自动带上）
 function getAuthHeaders() {
-    const headers = { 'Content-Type': 'application/json' };
-    const token = getCreatorToken();
-    const visitorId = getVisitorId();
-    if (token) headers['X-Creator-Token'] = token;
-    headers['X-Visitor-Id'] = visitorId;
-    return headers;
+    return {
+        'Content-Type': 'application/json',
+        'X-Visitor-Id': getVisitorId(),
+        'X-Visitor-Secret': getVisitorSecret()
+    };
 }
 
 // 检查服务器连接（必须返回 JSON 且 status 为 ok，避免静态托管如 GitHub Pages 对 /api/* 返回 index.html 导致误判）
@@ -64,26 +64,36 @@ async function checkServerConnection() {
     }
 }
 
-// 获取当前用户身份（是否创作者）
+// 获取当前身份：{ user: { id, username, role } | null, isCreator, isAdmin, visitorId, needsSetup }
 async function fetchMe() {
+    const guest = { user: null, isCreator: false, isAdmin: false, visitorId: getVisitorId(), needsSetup: false };
     try {
-        const response = await fetch(`${API_BASE_URL}/api/me`, {
-            headers: {
-                'X-Creator-Token': getCreatorToken() || '',
-                'X-Visitor-Id': getVisitorId()
-            }
-        });
-        if (!response.ok) return { isCreator: false, visitorId: getVisitorId() };
+        const response = await fetch(`${API_BASE_URL}/api/me`, { headers: getAuthHeaders() });
+        if (!response.ok) return guest;
         const data = await response.json();
         return {
+            user: data.user || null,
             isCreator: !!data.isCreator,
-            visitorId: data.visitorId || getVisitorId()
+            isAdmin: !!data.isAdmin,
+            visitorId: data.visitorId || getVisitorId(),
+            needsSetup: !!data.needsSetup
         };
     } catch (e) {
-        return { isCreator: false, visitorId: getVisitorId() };
+        return guest;
     }
 }
 
+// 将服务器返回的图片记录中的相对路径转换为完整 URL
+function toClientImage(img) {
+    const fullUrl = img.url && !img.url.startsWith('http') ? `${API_BASE_URL}${img.url}` : img.url;
+    const fullThumbUrl = img.thumbnailUrl && !img.thumbnailUrl.startsWith('http') ? `${API_BASE_URL}${img.thumbnailUrl}` : img.thumbnailUrl;
+    return {
+        ...img,
+        dataUrl: img.dataUrl || fullUrl,
+        thumbnailUrl: fullThumbUrl || fullUrl || img.dataUrl
+    };
+}
+
 // 获取所有图片
 async function fetchAllImages() {
     try {
@@ -92,30 +102,66 @@ async function fetchAllImages() {
         const images = await response.json();
         
         // 将服务器相对路径转换为完整 URL
-        return images.map(img => {
-            const fullUrl = img.url && !img.url.startsWith('http') ? `${API_BASE_URL}${img.url}` : img.url;
-            const fullThumbUrl = img.thumbnailUrl && !img.thumbnailUrl.startsWith('http') ? `${API_BASE_URL}${img.thumbnailUrl}` : img.thumbnailUrl;
-            return {
-                ...img,
-                dataUrl: img.dataUrl || fullUrl,
-                thumbnailUrl: fullThumbUrl || fullUrl || img.dataUrl
-            };
-        });
+        return images.map(toClientImage);
     } catch (error) {
         console.error('获取图片失败:', error);
         throw error;
     }
 }
 
-// 上传图片（自动带创作者/访客身份）
+// 分页获取图库：query 为 { q, tags: [], tagMatch, uploadedBy, completed, sort, limit, after }
+// 返回 { items, nextCursor, total }；completed 筛选按当前访客身份计算
+async function fetchImagesPage(query) {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+        if (value == null || value === '') return;
+        if (Array.isArray(value) && value.some(Array.isArray)) {
+            // 二维数组（如 tagGroup）：每组作为一个同名参数
+            value.forEach(group => params.append(key, group.join(',')));
+        } else if (Array.isArray(value)) {
+            if (value.length > 0) params.set(key, value.join(','));
+        } else {
+            params.set(key, String(value));
+        }
+    });
+    const response = await fetch(`${API_BASE_URL}/api/images?${params.toString()}`, {
+        headers: getAuthHeaders()
+    });
+    if (!response.ok) throw new Error('获取图片失败');
+    const page = await response.json();
+    return { ...page, items: page.items.map(toClientImage) };
+}
+
+// 获取单张图片（详情页直接打开未加载到图库的图片时使用）
+async function fetchImage(imageId) {
+    const response = await fetch(`${API_BASE_URL}/api/images/${encodeURIComponent(imageId)}`, {
+        headers: getAuthHeaders()
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error('获取图片失败');
+    return toClientImage(await response.json());
+}
+
+// 上传请求体：pattern 为图案文档
+function toUploadBody(imageData) {
+    const body = {
+        name: imageData.name,
+        dataUrl: imageData.dataUrl,
+        tags: imageData.tags || [],
+        keywords: imageData.keywords || []
+    };
+    if (imageData.pattern) body.pattern = imageData.pattern;
+    if (imageData.visibility) body.visibility = imageData.visibility;
+    IMAGE_META_KEYS.forEach(key => {
+        if (imageData[key] != null) body[key] = imageData[key];
+    });
+    return body;
+}
+
+// 上传图片（自动带账号/访客身份），visibility 可选，默认公开
 async function uploadImage(imageData) {
     try {
-        const body = {
-            name: imageData.name,
-            dataUrl: imageData.dataUrl,
-            tags: imageData.tags || [],
-            keywords: imageData.keywords || []
-        };
+        const body = toUploadBody(imageData);
         const response = await fetch(`${API_BASE_URL}/api/images`, {
             method: 'POST',
             headers: getAuthHeaders(),
@@ -127,20 +173,95 @@ async function uploadImage(imageData) {
             throw new Error(error.error || '上传失败');
         }
         
-        const result = await response.json();
-        const fullUrl = result.url && !result.url.startsWith('http') ? `${API_BASE_URL}${result.url}` : result.url;
-        const fullThumbUrl = result.thumbnailUrl && !result.thumbnailUrl.startsWith('http') ? `${API_BASE_URL}${result.thumbnailUrl}` : result.thumbnailUrl;
-        return {
-            ...result,
-            dataUrl: result.dataUrl || fullUrl,
-            thumbnailUrl: fullThumbUrl || fullUrl
-        };
+        return toClientImage(await response.json());
     } catch (error) {
         console.error('上传图片失败:', error);
         throw error;
     }
 }
 
+// 修改图片信息：updates 为 { name, tags, keywords, visibility, 图案信息 } 的任意子集，返回更新后的图片
+async function patchImage(imageId, updates) {
+    const response = await fetch(`${API_BASE_URL}/api/images/${encodeURIComponent(imageId)}`, {
+        method: 'PATCH',
+        headers: getAuthHeaders(),
+        body: JSON.stringify(updates)
+    });
+    if (!response.ok) {
+        const err = await response.json().catch(() => ({}));
+        throw new Error(err.error || '修改图片信息失败');
+    }
+    return toClientImage(await response.json());
+}
+
+// 批量修改标签：operation 为 { addTags, removeTags, replaceTag: { from, to } }
+// 服务端只修改有权限的图片，返回 { updated, skipped, images }
+async function batchUpdateImages(imageIds, operation) {
+    const response = await fetch(`${API_BASE_URL}/api/images/batch-update`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ ids: imageIds, ...operation })
+    });
+    if (!response.ok) {
+        const err = await response.json().catch(() => ({}));
+        throw new Error(err.error || '批量修改标签失败');
+    }
+    const result = await response.json();
+    return { ...result, images: result.images.map(toClientImage) };
+}
+
+// 获取图片的图案文档（格子矩阵 + 调色板 + 转换参数）
+async function fetchImagePattern(imageId) {
+    const response = await fetch(`${API_BASE_URL}/api/images/${imageId}/pattern`, { headers: getAuthHeaders() });
+    if (!response.ok) {
+        const err = await response.json().catch(() => ({}));
+        throw new Error(err.error || '获取图案失败');
+    }
+    return await response.json();
+}
+
+// 保存编辑后的图案及其渲染图（服务端按创作者/访客权限校验）
+async function updateImagePattern(imageId, pattern, dataUrl) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/images/${imageId}/pattern`, {
+            method: 'PUT',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ pattern, dataUrl })
+        });
+        
+        if (!response.ok) {
+            const err = await response.json().catch(() => ({}));
+            throw new Error(err.error || '保存图案失败');
+        }
+        return toClientImage(await response.json());
+    } catch (error) {
+        console.error('保存图案失败:', error);
+        throw error;
+    }
+}
+
+// 获取相似图片：[图片 + distance（指纹距离）+ duplicate（是否几乎相同）]，按相似程度排列
+async function fetchSimilarImages(imageId, limit = 12) {
+    const response = await fetch(`${API_BASE_URL}/api/images/${encodeURIComponent(imageId)}/similar?limit=${limit}`, {
+        headers: getAuthHeaders()
+    });
+    if (!response.ok) throw new Error('获取相似图片失败');
+    const { items } = await response.json();
+    return items.map(toClientImage);
+}
+
+// 上传前检查图库中是否已有几乎相同的图片，返回匹配的图片（不保存任何内容）
+async function findDuplicateImages(dataUrl) {
+    const response = await fetch(`${API_BASE_URL}/api/images/find-duplicates`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ dataUrl })
+    });
+    if (!response.ok) throw new Error('检查重复图片失败');
+    const { items } = await response.json();
+    return items.map(toClientImage);
+}
+
 // 删除图片（服务端按创作者/访客权限校验）
 async function deleteImage(imageId) {
     try {
@@ -244,3 +365,219 @@ async function saveTags(tags) {
         throw error;
     }
 }
+
+// 获取标签分组：[{ name, tags: [标签名] }]
+async function fetchTagGroups() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/tag-groups`);
+        if (!response.ok) throw new Error('获取标签分组失败');
+        return await response.json();
+    } catch (error) {
+        console.error('获取标签分组失败:', error);
+        return [];
+    }
+}
+
+// 保存标签分组（仅创作者，整体替换），返回保存后的分组
+async function saveTagGroups(groups) {
+    const response = await fetch(`${API_BASE_URL}/api/tag-groups`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify(groups)
+    });
+    if (!response.ok) {
+        const err = await response.json().catch(() => ({}));
+        throw new Error(err.error || '保存标签分组失败');
+    }
+    return (await response.json()).groups;
+}
+
+// 获取标签使用情况：{ tags: [{ name, colors, count }], orphans: [{ name, count }] }
+async function fetchTagUsage() {
+    const response = await fetch(`${API_BASE_URL}/api/tags/usage`, { headers: getAuthHeaders() });
+    if (!response.ok) {
+        const err = await response.json().catch(() => ({}));
+        throw new Error(err.error || '获取标签统计失败');
+    }
+    return await response.json();
+}
+
+// 发送 JSON 请求，失败时抛出服务端返回的错误信息（error.status 为 HTTP 状态码；网络不通时没有 status）
+async function sendApiRequest(path, method, body) {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        method,
+        headers: getAuthHeaders(),
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.error || `HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return data;
+}
+
+// 重命名标签（仅创作者），返回 { affected, tags }
+async function renameTag(from, to) {
+    return sendApiRequest('/api/tags/rename', 'POST', { from, to });
+}
+
+// 合并标签 from 到 into（仅创作者）
+async function mergeTags(from, into) {
+    return sendApiRequest('/api/tags/merge', 'POST', { from, into });
+}
+
+// 删除标签并从所有图片上移除（仅创作者）
+async function deleteTag(name) {
+    return sendApiRequest(`/api/tags/${encodeURIComponent(name)}`, 'DELETE');
+}
+
+// ===== 账号 =====
+// 登录、注册、创建管理员成功后返回新的身份（同 fetchMe）及 claimed: { images, completions }（从本浏览器访客身份归入账号的数量）
+
+// 还没有任何账号时创建第一个管理员，secret 为部署时设置的 CREATOR_SECRET
+async function setupAdminAccount(username, password, secret) {
+    return sendApiRequest('/api/auth/setup', 'POST', { username, password, secret });
+}
+
+async function loginAccount(username, password) {
+    return sendApiRequest('/api/auth/login', 'POST', { username, password });
+}
+
+// 凭邀请码注册
+async function registerAccount(inviteCode, username, password) {
+    return sendApiRequest('/api/auth/register', 'POST', { inviteCode, username, password });
+}
+
+async function logoutAccount() {
+    return sendApiRequest('/api/auth/logout', 'POST');
+}
+
+// 查看邀请码：{ role, expiresAt, createdByName }，无效或已过期时返回 null
+async function fetchInviteInfo(code) {
+    const response = await fetch(`${API_BASE_URL}/api/auth/invites/${encodeURIComponent(code)}`);
+    if (!response.ok) return null;
+    return await response.json();
+}
+
+async function changeAccountPassword(currentPassword, newPassword) {
+    return sendApiRequest('/api/me/password', 'POST', { currentPassword, newPassword });
+}
+
+// 邀请码列表（管理员看到全部，创作者只看到自己创建的）
+async function fetchInvites() {
+    return sendApiRequest('/api/invites', 'GET');
+}
+
+async function createInvite(role, expiresInDays) {
+    return sendApiRequest('/api/invites', 'POST', { role, expiresInDays });
+}
+
+async function revokeInvite(code) {
+    return sendApiRequest(`/api/invites/${encodeURIComponent(code)}`, 'DELETE');
+}
+
+// 账号列表（仅管理员）：[{ id, username, role, createdAt, invitedByName, imageCount }]
+async function fetchAccounts() {
+    return sendApiRequest('/api/users', 'GET');
+}
+
+async function updateAccountRole(userId, role) {
+    return sendApiRequest(`/api/users/${userId}`, 'PATCH', { role });
+}
+
+async function deleteAccount(userId) {
+    return sendApiRequest(`/api/users/${userId}`, 'DELETE');
+}
+
+// ===== 分享链接 =====
+// 分享链接记录：{ id, token, targetType, targetId, targetName, createdByName, createdAt, expiresAt, maxViews, views }
+
+// options: { expiresInDays, maxViews }，为空表示不过期、不限次数
+async function createShareLink(targetType, targetId, options = {}) {
+    return sendApiRequest('/api/shares', 'POST', { targetType, targetId, ...options });
+}
+
+// 仍然有效的分享链接；传入 targetType + targetId 时只返回该对象的
+async function fetchShareLinks(targetType, targetId) {
+    const params = targetType ? `?${new URLSearchParams({ targetType, targetId })}` : '';
+    return sendApiRequest(`/api/shares${params}`, 'GET');
+}
+
+async function revokeShareLink(id) {
+    return sendApiRequest(`/api/shares/${encodeURIComponent(id)}`, 'DELETE');
+}
+
+// 打开分享链接（服务器计一次查看）：{ targetType, expiresAt, viewsLeft, image | collection + images }；
+// 无效、过期或次数用完时抛出错误
+async function fetchSharedItem(token) {
+    const shared = await sendApiRequest(`/api/shared/${encodeURIComponent(token)}`, 'GET');
+    if (shared.image) shared.image = toClientImage(shared.image);
+    if (shared.collection) shared.collection = toClientCollection(shared.collection);
+    if (shared.images) shared.images = shared.images.map(toClientImage);
+    return shared;
+}
+
+// ===== 合集 =====
+// 合集：{ id, name, description, coverImageId, coverThumbnailUrl, imageCount, ownerId, ownerName, createdAt, updatedAt, canEdit }
+// 详情另带 images（当前账号能看到的图片，按合集内顺序）
+
+function toClientCollection(collection) {
+    const cover = collection.coverThumbnailUrl;
+    const result = { ...collection, coverThumbnailUrl: cover && !cover.startsWith('http') ? `${API_BASE_URL}${cover}` : cover };
+    if (collection.images) result.images = collection.images.map(toClientImage);
+    return result;
+}
+
+async function fetchCollections() {
+    return (await sendApiRequest('/api/collections', 'GET')).map(toClientCollection);
+}
+
+async function fetchCollection(id) {
+    return toClientCollection(await sendApiRequest(`/api/collections/${encodeURIComponent(id)}`, 'GET'));
+}
+
+// fields: { name, description, imageIds（可选，初始图片）}
+async function createCollection(fields) {
+    return toClientCollection(await sendApiRequest('/api/collections', 'POST', fields));
+}
+
+// updates: { name, description, coverImageId, imageIds（调整顺序 / 移出图片）} 的任意子集
+async function updateCollection(id, updates) {
+    return toClientCollection(await sendApiRequest(`/api/collections/${encodeURIComponent(id)}`, 'PATCH', updates));
+}
+
+// 把图片加入合集末尾，返回 { added, collection }
+async function addImagesToCollection(id, imageIds) {
+    const result = await sendApiRequest(`/api/collections/${encodeURIComponent(id)}/images`, 'POST', { imageIds });
+    return { added: result.added, collection: toClientCollection(result.collection) };
+}
+
+async function deleteCollection(id) {
+    return sendApiRequest(`/api/collections/${encodeURIComponent(id)}`, 'DELETE');
+}
+
+// ===== 同步（见 sync.js） =====
+// 增量拉取自 since 以来变化过的图片：{ cursor, hasMore, images, deletedIds }
+async function fetchImageChanges(since) {
+    const result = await sendApiRequest(`/api/sync/images?since=${encodeURIComponent(since || 0)}`, 'GET');
+    return { ...result, images: result.images.map(toClientImage) };
+}
+
+// 下载图片文件并转为 data URL（保存到 IndexedDB 作为离线副本；带访客 ID，私密图片也能下载）
+async function fetchImageDataUrl(url) {
+    const response = await fetch(url, { headers: { 'X-Visitor-Id': getVisitorId(), 'X-Visitor-Secret': getVisitorSecret() } });
+    if (!response.ok) {
+        const error = new Error('下载图片失败');
+        error.status = response.status;
+        throw error;
+    }
+    const blob = await response.blob();
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
@@ -8,7 +8,12 @@ const appState = {
     currentImageForConvert: null,
     convertFile: null,
     convertConfirmed: false,
+    pixelPattern: null,    // 当前转换结果：{ width, height, brand, palette: [{ rgb, code, name }], cells: 每格的调色板下标（-1 为空格） }
+    editingImageId: null,  // 从图库重新打开编辑的图片 ID（保存修改时覆盖该图片）
+    pixelEditor: { tool: 'pencil', colorIndex: 0, undoStack: [], redoStack: [], stroke: null, lastCell: null },  // 像素图编辑状态
     customTags: [],
+    tagGroups: [],         // 标签分组：[{ name, tags: [标签名] }]，每个标签最多属于一个分组
+    collapsedTagGroups: new Set(JSON.parse(localStorage.getItem('pinDouCollapsedTagGroups') || '[]')),  // 侧栏中折叠的分组
     imageViewerZoom: 100,
     detailImageZoom: 100,
     detailImagePan: { x: 0, y: 0 },
@@ -16,15 +21,30 @@ const appState = {
     detailImageDragStart: { x: 0, y: 0 },
     scrollPosition: 0,
     useServer: false,
-    isCreator: false,   // 当前是否为创作者（仅服务器模式有效）
-    visitorId: null,    // 当前访客 ID（仅服务器模式有效）
+    user: null,         // 当前登录的账号 { id, username, role }，未登录为 null（仅服务器模式有效）
+    isCreator: false,   // 当前账号是否可管理全部图片和标签（管理员、创作者）
+    isAdmin: false,     // 当前账号是否为管理员（可管理账号）
+    needsSetup: false,  // 服务器还没有任何账号，需先创建管理员
     completedImageIds: new Set(),   // 当前访客/本地已标记「已完成」的图片 ID
-    completionFilter: 'all'        // 图库筛选：'all' | 'completed' | 'uncompleted'
+    completionFilter: 'all',       // 图库筛选：'all' | 'completed' | 'uncompleted'
+    gallerySort: 'newest',         // 图库排序：'newest' | 'oldest' | 'name' | 'relevance'
+    metaFilter: normalizeImageMetaFilter({}),  // 图库按图案信息筛选：{ beadSize, difficulty, maxBoards, maxMinutes }
+    colorFilter: [],               // 图库按主色筛选：['#RRGGBB']，最多 MAX_COLOR_FILTERS 种
+    searchSortPinned: false,       // 本次搜索中用户手动选过排序，不再自动切换为相关度
+    galleryPage: { nextCursor: null, total: 0, loading: false, seq: 0 },  // 服务器模式的分页状态
+    detailImage: null,             // 详情页当前图片（可能不在已加载的分页中）
+    shareView: null,               // 通过分享链接只读查看时为 { token, expiresAt, viewsLeft, image | collection }
+    collections: [],               // 合集：服务器模式为服务端返回的列表，本地模式为 IndexedDB 中的记录（见 db.js）
+    collectionView: null,          // 合集页当前合集（含 images，按合集内顺序）
+    detailEdit: null               // 详情页编辑中的草稿：{ imageId, tags }
 };
 
 // 初始标签池
 const initialTags = ['小图', '可爱', '食物', '动物', '植物', '节日'];
 
+// 侧栏中未分组标签所在的区块（分组名不能为空，用空串作折叠状态的键不会冲突）
+const UNGROUPED_TAG_GROUP = { key: '', title: '其他' };
+
 // 随机渐变配色生成器
 const gradientColors = [
     ['#667eea', '#764ba2'],
@@ -43,12 +63,6 @@ const gradientColors = [
 document.addEventListener('DOMContentLoaded', async () => {
     // 显示加载提示
     showLoadingState();
-    // 非本地访问时直接从 DOM 移除「迁移到服务器」，避免任何代码路径再显示
-    const migrateLinkEl = document.getElementById('migrateLink');
-    const isLocal = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1' || window.location.protocol === 'file:';
-    if (migrateLinkEl && !isLocal) {
-        migrateLinkEl.remove();
-    }
     // 检查服务器连接
     const serverAvailable = await checkServerConnection();
     appState.useServer = serverAvailable;
@@ -56,12 +70,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (serverAvailable) {
         console.log('✅ 检测到服务器，使用共享模式');
         initEventListeners();
-        initRouter();
         document.getElementById('convertSection').style.display = 'block';
-        const [me, _] = await Promise.all([fetchMe(), loadDataAndRender()]);
-        appState.isCreator = me.isCreator;
-        appState.visitorId = me.visitorId;
-        updateCreatorUI();
+        // 先确定身份：邀请链接、删除按钮等都取决于是否登录
+        applyIdentity(await fetchMe());
+        initRouter();
+        await loadDataAndRender();
+        // 离线使用过（本地有图片或未推送的修改）时才同步：推送离线时的修改，并更新本地的离线副本；
+        // 没有本地数据时不下载整个图库
+        if (await hasLocalData().catch(() => false)) initSyncStatus();
     } else {
         console.log('ℹ️ 未检测到服务器，使用本地模式');
         // 本地模式：使用IndexedDB
@@ -71,9 +87,8 @@ document.addEventListener('DOMContentLoaded', async () => {
             initRouter();
             document.getElementById('convertSection').style.display = 'block';
             await loadDataAndRender();
-            // 仅在本机 localhost 时显示「迁移到服务器」（非 localhost 时该元素已被 remove）
-            const migrateLink = document.getElementById('migrateLink');
-            if (migrateLink && isLocal) migrateLink.style.display = 'inline-block';
+            // 服务器可用时推送本地修改、拉取服务器上的变化
+            initSyncStatus();
         }).catch(error => {
             console.error('数据库初始化失败:', error);
             hideLoadingState();
@@ -86,25 +101,29 @@ document.addEventListener('DOMContentLoaded', async () => {
 async function loadDataAndRender() {
     try {
         if (appState.useServer) {
-            const [tags, images, completedIds] = await Promise.all([
+            const [tags, tagGroups, completedIds] = await Promise.all([
                 fetchTags(),
-                fetchAllImages(),
-                fetchCompletedIds()
+                fetchTagGroups(),
+                fetchCompletedIds(),
+                loadGalleryPage(true),
+                loadCollections()
             ]);
             appState.customTags = tags;
-            appState.images = images;
+            appState.tagGroups = tagGroups;
             appState.completedImageIds = new Set(completedIds.map(String));
             renderTags();
             hideLoadingState();
             renderGallery();
         } else {
             appState.customTags = await getTags();
+            appState.tagGroups = await getLocalTagGroups();
             const completedIds = await getCompletedIds();
             appState.completedImageIds = new Set(completedIds.map(String));
             renderTags();
             await loadImagesInBatches();
             hideLoadingState();
             renderGallery();
+            await loadCollections();
         }
     } catch (error) {
         console.error('加载数据失败:', error);
@@ -200,16 +219,13 @@ async function loadData() {
 }
 
 
-// 保存数据（支持服务器和本地两种模式）
+// 保存标签（支持服务器和本地两种模式）；图片各自保存：服务器模式通过 API 上传，本地模式见 db.js 的 addLocalImages 等
 async function saveData() {
     try {
         if (appState.useServer) {
-            // 服务器模式：只保存标签（图片已通过API上传）
             await saveTags(appState.customTags);
         } else {
-            // 本地模式：保存图片和标签
-            await saveAllImages(appState.images);
-            await saveTags(appState.customTags);
+            await saveLocalTags(appState.customTags);
         }
         console.log('数据保存成功');
     } catch (error) {
@@ -250,13 +266,25 @@ function initEventListeners() {
     document.getElementById('addTagBtn').addEventListener('click', showAddTagModal);
     document.getElementById('confirmTagBtn').addEventListener('click', confirmAddTag);
     document.getElementById('cancelTagBtn').addEventListener('click', hideAddTagModal);
+    document.getElementById('manageTagsBtn').addEventListener('click', showTagManager);
+    document.getElementById('tagManagerCloseBtn').addEventListener('click', hideTagManager);
     
     // 转换功能
     document.getElementById('convertBtn').addEventListener('click', convertToPixel);
     document.getElementById('confirmConvertBtn').addEventListener('click', confirmConvert);
     document.getElementById('savePixelBtn').addEventListener('click', savePixelImage);
+    document.getElementById('savePdfBtn').addEventListener('click', savePatternPdf);
     document.getElementById('uploadToGalleryBtn').addEventListener('click', uploadToGallery);
+    document.getElementById('savePatternChangesBtn').addEventListener('click', savePatternChanges);
     document.getElementById('convertChangeBtn').addEventListener('click', handleConvertChange);
+    document.getElementById('beadBomCsvBtn').addEventListener('click', downloadBeadBomCsv);
+    document.getElementById('boardSizeSelect').addEventListener('change', handleBoardSizeChange);
+    document.getElementById('ditherStrengthInput').addEventListener('input', updateDitherStrengthLabel);
+    document.getElementById('convertCancelBtn').addEventListener('click', handleConvertCancel);
+    ['resolutionInput', 'colorCountInput', 'paletteSelect', 'colorDistanceSelect', 'ditherSelect', 'ditherStrengthInput'].forEach(id => {
+        document.getElementById(id).addEventListener('input', scheduleConvertPreview);
+    });
+    document.getElementById('exportAllBoardsBtn').addEventListener('click', exportAllBoardPanels);
     
     // 右键保存像素图
     const pixelCanvas = document.getElementById('pixelCanvas');
@@ -266,10 +294,32 @@ function initEventListeners() {
             savePixelImage();
         }
     });
+    pixelCanvas.addEventListener('mousemove', handlePixelCanvasHover);
+    
+    // 像素图编辑
+    pixelCanvas.addEventListener('mousedown', handlePixelEditorMouseDown);
+    pixelCanvas.addEventListener('mousemove', handlePixelEditorMouseMove);
+    window.addEventListener('mouseup', finishPixelStroke);
+    document.getElementById('pixelEditorToolbar').addEventListener('click', (e) => {
+        const btn = e.target.closest('.pixel-tool-btn');
+        if (btn && btn.dataset.tool) setPixelEditorTool(btn.dataset.tool);
+    });
+    document.getElementById('pixelUndoBtn').addEventListener('click', undoPixelEdit);
+    document.getElementById('pixelRedoBtn').addEventListener('click', redoPixelEdit);
+    document.addEventListener('keydown', handlePixelEditorKeydown);
     
     // 图库管理
     document.getElementById('selectModeBtn').addEventListener('click', toggleSelectMode);
     document.getElementById('deleteSelectedBtn').addEventListener('click', deleteSelected);
+    document.getElementById('addToCollectionSelectedBtn').addEventListener('click', showAddToCollectionModal);
+    document.getElementById('addToCollectionSelect').addEventListener('change', updateAddToCollectionForm);
+    document.getElementById('addToCollectionConfirmBtn').addEventListener('click', confirmAddToCollection);
+    document.getElementById('addToCollectionCancelBtn').addEventListener('click', hideAddToCollectionModal);
+    document.querySelectorAll('.tag-batch-btn').forEach(btn => {
+        btn.addEventListener('click', () => showBatchTagModal(btn.dataset.mode));
+    });
+    document.getElementById('batchTagConfirmBtn').addEventListener('click', confirmBatchTagOperation);
+    document.getElementById('batchTagCancelBtn').addEventListener('click', hideBatchTagModal);
     document.getElementById('downloadSelectedBtn').addEventListener('click', downloadSelected);
     document.getElementById('cancelSelectBtn').addEventListener('click', cancelSelectMode);
     
@@ -282,27 +332,77 @@ function initEventListeners() {
             appState.completionFilter = btn.dataset.filter;
             completionFilterEl.querySelectorAll('.completion-filter-btn').forEach(b => b.classList.remove('active'));
             btn.classList.add('active');
-            renderGallery();
+            reloadGallery();
         });
     }
     
+    // 排序与滚动加载
+    document.getElementById('gallerySortSelect').addEventListener('change', (e) => {
+        appState.gallerySort = e.target.value;
+        appState.searchSortPinned = hasRelevanceQuery(getGalleryQuery());
+        reloadGallery();
+    });
+    document.querySelectorAll('[data-meta-filter]').forEach(select => {
+        select.addEventListener('change', () => {
+            appState.metaFilter = normalizeImageMetaFilter({ ...appState.metaFilter, [select.dataset.metaFilter]: select.value });
+            reloadGallery();
+        });
+    });
+    document.getElementById('colorFilterInput').addEventListener('change', (e) => setColorFilter([...appState.colorFilter, e.target.value]));
+    document.getElementById('galleryLoadMoreBtn').addEventListener('click', () => loadGalleryPage(false));
+    initInfiniteScroll();
+    
     // 详情页
     document.getElementById('backBtn').addEventListener('click', goBackToGallery);
+    document.getElementById('detailEditBtn').addEventListener('click', startDetailEdit);
+    document.getElementById('detailEditSaveBtn').addEventListener('click', saveDetailEdit);
+    document.getElementById('detailEditCancelBtn').addEventListener('click', cancelDetailEdit);
+    document.getElementById('detailEditTagInput').addEventListener('keydown', handleDetailEditTagKeydown);
     
     // 浏览器后退按钮支持
     window.addEventListener('popstate', handleRouteChange);
     
-    // 创作者设置（仅服务器模式）
-    const creatorSettingsBtn = document.getElementById('creatorSettingsBtn');
-    const creatorConfirmBtn = document.getElementById('creatorConfirmBtn');
-    const creatorCancelBtn = document.getElementById('creatorCancelBtn');
-    const creatorLogoutBtn = document.getElementById('creatorLogoutBtn');
-    if (creatorSettingsBtn) creatorSettingsBtn.addEventListener('click', showCreatorModal);
-    if (creatorConfirmBtn) creatorConfirmBtn.addEventListener('click', confirmCreatorToken);
-    if (creatorCancelBtn) creatorCancelBtn.addEventListener('click', hideCreatorModal);
-    if (creatorLogoutBtn) creatorLogoutBtn.addEventListener('click', logoutCreator);
-    const creatorLogoutLink = document.getElementById('creatorLogoutLink');
-    if (creatorLogoutLink) creatorLogoutLink.addEventListener('click', logoutCreator);
+    // 账号（仅服务器模式）
+    document.getElementById('accountLoginBtn').addEventListener('click', () => showAccountModal(appState.needsSetup ? 'setup' : 'login'));
+    document.getElementById('accountNameBtn').addEventListener('click', () => showAccountModal('password'));
+    document.getElementById('accountManageBtn').addEventListener('click', showAccountManager);
+    document.getElementById('accountLogoutLink').addEventListener('click', logoutAccountAndReload);
+    document.getElementById('accountConfirmBtn').addEventListener('click', confirmAccountModal);
+    document.getElementById('accountCancelBtn').addEventListener('click', hideAccountModal);
+    document.getElementById('accountModal').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.tagName === 'INPUT') confirmAccountModal();
+    });
+    document.getElementById('accountToRegisterLink').addEventListener('click', (e) => {
+        e.preventDefault();
+        showAccountModal('register');
+    });
+    document.getElementById('accountToLoginLink').addEventListener('click', (e) => {
+        e.preventDefault();
+        showAccountModal('login');
+    });
+    document.getElementById('createInviteBtn').addEventListener('click', handleCreateInvite);
+    document.getElementById('accountManagerCloseBtn').addEventListener('click', hideAccountManager);
+    
+    // 分享链接（仅服务器模式）
+    document.getElementById('shareListBtn').addEventListener('click', () => showShareModal(null));
+    document.getElementById('detailShareBtn').addEventListener('click', () => {
+        const img = appState.detailImage;
+        if (img) showShareModal({ type: 'image', id: img.id, name: img.name });
+    });
+    document.getElementById('createShareBtn').addEventListener('click', handleCreateShareLink);
+    document.getElementById('shareModalCloseBtn').addEventListener('click', hideShareModal);
+    
+    // 合集
+    document.getElementById('newCollectionBtn').addEventListener('click', () => showCollectionModal('create'));
+    document.getElementById('collectionConfirmBtn').addEventListener('click', confirmCollectionModal);
+    document.getElementById('collectionCancelBtn').addEventListener('click', hideCollectionModal);
+    document.getElementById('collectionBackBtn').addEventListener('click', goBackToGallery);
+    document.getElementById('collectionEditBtn').addEventListener('click', () => showCollectionModal('edit'));
+    document.getElementById('collectionShareBtn').addEventListener('click', () => {
+        const collection = appState.collectionView;
+        if (collection) showShareModal({ type: 'collection', id: collection.id, name: collection.name });
+    });
+    document.getElementById('collectionDeleteBtn').addEventListener('click', handleDeleteCollection);
 }
 
 // 拖拽处理
@@ -469,6 +569,119 @@ function renderPreview() {
     });
 }
 
+// ===== 图案信息表单（上传表单与详情页编辑共用，输入框 id 为前缀加字段名，如 uploadBeadSize） =====
+function getImageMetaInput(prefix, key) {
+    return document.getElementById(prefix + key[0].toUpperCase() + key.slice(1));
+}
+
+// 读取表单：返回 { meta } 或 { error }，未填写的字段为 null
+function readImageMetaForm(prefix) {
+    const input = {};
+    IMAGE_META_KEYS.forEach(key => {
+        input[key] = getImageMetaInput(prefix, key).value;
+    });
+    return normalizeImageMeta(input);
+}
+
+function fillImageMetaForm(prefix, img) {
+    IMAGE_META_KEYS.forEach(key => {
+        getImageMetaInput(prefix, key).value = img && img[key] != null ? img[key] : '';
+    });
+}
+
+// ===== 本地模式的图片分析：感知哈希（image-hash.js，查找重复与相似图片）与主色（image-colors.js，按颜色搜索） =====
+// 服务器模式由服务器在上传时用 sharp 计算；本地模式在页面里用 canvas 计算
+// 指纹：铺白底后缩到 72×64，再按 8×8 块取平均灰度得到 9×8；主色：缩到 COLOR_SAMPLE_SIZE 以内取 RGBA 像素
+function analyzeLocalImage(dataUrl) {
+    return new Promise((resolve) => {
+        const img = new Image();
+        img.onload = () => {
+            const blockSize = 8;
+            const canvas = document.createElement('canvas');
+            canvas.width = DHASH_WIDTH * blockSize;
+            canvas.height = DHASH_HEIGHT * blockSize;
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+            const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            const gray = new Array(DHASH_WIDTH * DHASH_HEIGHT).fill(0);
+            for (let y = 0; y < canvas.height; y++) {
+                for (let x = 0; x < canvas.width; x++) {
+                    const i = (y * canvas.width + x) * 4;
+                    const cell = Math.floor(y / blockSize) * DHASH_WIDTH + Math.floor(x / blockSize);
+                    gray[cell] += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+                }
+            }
+            
+            const scale = Math.min(1, COLOR_SAMPLE_SIZE / Math.max(img.width, img.height));
+            const colorCanvas = document.createElement('canvas');
+            colorCanvas.width = Math.max(1, Math.round(img.width * scale));
+            colorCanvas.height = Math.max(1, Math.round(img.height * scale));
+            const colorCtx = colorCanvas.getContext('2d');
+            colorCtx.drawImage(img, 0, 0, colorCanvas.width, colorCanvas.height);
+            const rgba = colorCtx.getImageData(0, 0, colorCanvas.width, colorCanvas.height).data;
+            
+            resolve({ perceptualHash: dhashFromGray(gray), dominantColors: extractDominantColors(rgba) });
+        };
+        img.onerror = () => resolve({ perceptualHash: null, dominantColors: null });
+        img.src = dataUrl;
+    });
+}
+
+// 本地模式：给还没有指纹或主色的旧图片补算并写回 IndexedDB（只在第一次需要时执行一遍）
+let localAnalysisBackfill = null;
+
+function ensureLocalImageAnalysis() {
+    if (!localAnalysisBackfill) {
+        localAnalysisBackfill = (async () => {
+            const results = new Map();
+            for (const img of appState.images) {
+                if ((img.perceptualHash && img.dominantColors) || !img.dataUrl) continue;
+                const { perceptualHash, dominantColors } = await analyzeLocalImage(img.dataUrl);
+                if (!perceptualHash) continue;
+                img.perceptualHash = perceptualHash;
+                img.dominantColors = dominantColors;
+                results.set(img.id, { perceptualHash, dominantColors });
+            }
+            if (results.size > 0) {
+                await updateImageRecords(Array.from(results.keys()), record => ({ ...record, ...results.get(record.id) }));
+            }
+        })().catch(error => {
+            console.error('分析本地图片失败:', error);
+        }).finally(() => {
+            localAnalysisBackfill = null;
+        });
+    }
+    return localAnalysisBackfill;
+}
+
+// 上传前查找与图库中已有图片几乎相同的文件，返回 [{ item, matches }]
+// 本地模式顺便把指纹和主色记在 item 上，随图片一起保存
+async function findUploadDuplicates(files) {
+    const duplicates = [];
+    if (!appState.useServer) await ensureLocalImageAnalysis();
+    for (const item of files) {
+        if (!item.dataUrl || !item.dataUrl.startsWith('data:image/')) continue;
+        try {
+            let matches;
+            if (appState.useServer) {
+                matches = await findDuplicateImages(item.dataUrl);
+            } else {
+                Object.assign(item, await analyzeLocalImage(item.dataUrl));
+                matches = item.perceptualHash
+                    ? findSimilarByHash(item.perceptualHash, appState.images, { maxDistance: DUPLICATE_HASH_DISTANCE, limit: 5 }).map(m => m.image)
+                    : [];
+            }
+            if (matches.length > 0) duplicates.push({ item, matches });
+        } catch (error) {
+            // 检查失败不影响上传
+            console.warn(`检查 ${item.name} 是否重复失败:`, error);
+        }
+    }
+    return duplicates;
+}
+
 // 提交上传
 async function handleSubmit() {
     // 检查是否有待上传的文件
@@ -483,17 +696,44 @@ async function handleSubmit() {
     const tags = tagsInput ? tagsInput.split(',').map(t => t.trim()).filter(t => t) : [];
     const keywords = keywordsInput ? keywordsInput.split(',').map(k => k.trim()).filter(k => k) : [];
     
+    // 图案信息（可选），只带上已填写的字段
+    const { meta, error: metaError } = readImageMetaForm('upload');
+    if (metaError) {
+        alert(metaError);
+        return;
+    }
+    const metaFields = {};
+    Object.entries(meta).forEach(([key, value]) => {
+        if (value != null) metaFields[key] = value;
+    });
+    const visibility = document.getElementById('uploadVisibility').value;
+    
     // 禁用提交按钮，防止重复提交
     const submitBtn = document.getElementById('submitBtn');
     const originalText = submitBtn.textContent;
     submitBtn.disabled = true;
-    submitBtn.textContent = '上传中...';
+    submitBtn.textContent = '检查重复...';
     
     try {
+        // 与图库中已有图片几乎相同的文件先提示：确定则照常上传，取消则跳过这些文件
+        let files = appState.previewFiles;
+        const duplicates = await findUploadDuplicates(files);
+        if (duplicates.length > 0) {
+            const lines = duplicates.map(({ item, matches }) => `「${item.name}」与 ${matches.map(m => `「${m.name}」`).join('、')}`);
+            const uploadAll = confirm(`以下图片与图库中已有的图片几乎相同：\n${lines.join('\n')}\n\n确定：仍然全部上传\n取消：跳过这些图片，只上传其余的`);
+            if (!uploadAll) {
+                const skipped = new Set(duplicates.map(d => d.item));
+                files = files.filter(item => !skipped.has(item));
+                if (files.length === 0) return;
+            }
+        }
+        submitBtn.textContent = '上传中...';
+        
         let successCount = 0;
         let failCount = 0;
+        const localImages = [];
         
-        appState.previewFiles.forEach((item, index) => {
+        files.forEach((item, index) => {
             try {
                 // 检查dataUrl是否有效
                 if (!item.dataUrl || !item.dataUrl.startsWith('data:image/')) {
@@ -508,11 +748,15 @@ async function handleSubmit() {
                     dataUrl: item.dataUrl,
                     tags: tags,
                     keywords: keywords,
+                    ...metaFields,
                     timestamp: Date.now()
                 };
+                if (item.perceptualHash) imageData.perceptualHash = item.perceptualHash;
+                if (item.dominantColors) imageData.dominantColors = item.dominantColors;
                 // 仅本地模式在此处加入图库，服务器模式等上传成功后再 push，避免重复
                 if (!appState.useServer) {
                     appState.images.push(imageData);
+                    localImages.push(imageData);
                 }
                 successCount++;
             } catch (error) {
@@ -533,7 +777,7 @@ async function handleSubmit() {
             if (appState.useServer) {
                 // 服务器模式：逐个上传到服务器
                 let uploadedCount = 0;
-                for (const item of appState.previewFiles) {
+                for (const item of files) {
                     if (!item.dataUrl || !item.dataUrl.startsWith('data:image/')) {
                         continue;
                     }
@@ -543,7 +787,9 @@ async function handleSubmit() {
                             name: item.name,
                             dataUrl: item.dataUrl,
                             tags: tags,
-                            keywords: keywords
+                            keywords: keywords,
+                            visibility: visibility,
+                            ...metaFields
                         });
                         appState.images.push(uploadedImage);
                         uploadedCount++;
@@ -563,7 +809,8 @@ async function handleSubmit() {
                     console.log(`成功上传 ${uploadedCount} 张图片`);
                 }
             } else {
-                // 本地模式：原有逻辑
+                // 本地模式：只写入新图片，再保存标签
+                await addLocalImages(localImages);
                 await saveData();
                 
                 if (failCount > 0) {
@@ -573,7 +820,7 @@ async function handleSubmit() {
                 }
             }
             
-            renderGallery();
+            reloadGallery();
             
             // 重置表单，显示上传区域以便继续上传
             appState.previewFiles = [];
@@ -581,6 +828,8 @@ async function handleSubmit() {
             document.getElementById('uploadForm').style.display = 'none';
             document.getElementById('tagsInput').value = '';
             document.getElementById('keywordsInput').value = '';
+            fillImageMetaForm('upload', null);
+            document.getElementById('uploadVisibility').value = 'public';
             document.getElementById('fileInput').value = '';
             // 上传区保持可见，方便用户继续上传下一批
         } catch (saveError) {
@@ -599,22 +848,84 @@ async function handleSubmit() {
     }
 }
 
-// 渲染标签
+// 渲染标签：没有分组时平铺，有分组时按分组显示（可折叠），未分组的标签归入「其他」
 function renderTags() {
     const tagsList = document.getElementById('tagsList');
     tagsList.innerHTML = '';
+    tagsList.classList.toggle('grouped', appState.tagGroups.length > 0);
+    
+    const customByName = new Map(appState.customTags.map(t => [t.name, t]));
+    const createButton = (tagName) => {
+        const custom = customByName.get(tagName);
+        return createTagButton(tagName, !!custom, custom ? custom.colors : null);
+    };
+    const allTags = [...initialTags, ...appState.customTags.map(t => t.name)];
+    
+    if (appState.tagGroups.length === 0) {
+        allTags.forEach(tag => tagsList.appendChild(createButton(tag)));
+    } else {
+        const grouped = new Set();
+        appState.tagGroups.forEach(group => {
+            group.tags.forEach(tag => grouped.add(tag));
+            if (group.tags.length === 0) return;
+            tagsList.appendChild(createTagGroupSection(group.name, group.name, group.tags, createButton));
+        });
+        const rest = allTags.filter(tag => !grouped.has(tag));
+        if (rest.length > 0) {
+            tagsList.appendChild(createTagGroupSection(UNGROUPED_TAG_GROUP.key, UNGROUPED_TAG_GROUP.title, rest, createButton));
+        }
+    }
+    updateTagManagerButton();
+}
+
+// 创建侧栏中的一个分组区块；折叠后标题上仍显示该组已选标签数
+function createTagGroupSection(key, title, tags, createButton) {
+    const section = document.createElement('div');
+    section.className = 'tag-group' + (appState.collapsedTagGroups.has(key) ? ' collapsed' : '');
     
-    // 初始标签
-    initialTags.forEach(tag => {
-        const btn = createTagButton(tag, false);
-        tagsList.appendChild(btn);
+    const header = document.createElement('button');
+    header.className = 'tag-group-header';
+    const selected = tags.filter(tag => appState.selectedTags.has(tag)).length;
+    header.innerHTML = `<span class="tag-group-arrow">▾</span><span class="tag-group-title"></span>`
+        + (selected > 0 ? `<span class="tag-group-selected">已选 ${selected}</span>` : '');
+    header.querySelector('.tag-group-title').textContent = title;
+    header.addEventListener('click', () => {
+        if (appState.collapsedTagGroups.has(key)) {
+            appState.collapsedTagGroups.delete(key);
+        } else {
+            appState.collapsedTagGroups.add(key);
+        }
+        localStorage.setItem('pinDouCollapsedTagGroups', JSON.stringify(Array.from(appState.collapsedTagGroups)));
+        section.classList.toggle('collapsed');
     });
+    section.appendChild(header);
     
-    // 自定义标签
-    appState.customTags.forEach(tagData => {
-        const btn = createTagButton(tagData.name, true, tagData.colors);
-        tagsList.appendChild(btn);
+    const body = document.createElement('div');
+    body.className = 'tag-group-tags';
+    tags.forEach(tag => body.appendChild(createButton(tag)));
+    section.appendChild(body);
+    return section;
+}
+
+// 已选标签按分组归并：同组标签之间为 OR，不同分组之间为 AND；未分组的标签各自成组（即仍需全部满足）
+function getSelectedTagGroups() {
+    const groupOf = new Map();
+    appState.tagGroups.forEach(group => group.tags.forEach(tag => groupOf.set(tag, group.name)));
+    const result = [];
+    const byGroup = new Map();
+    appState.selectedTags.forEach(tag => {
+        const groupName = groupOf.get(tag);
+        if (!groupName) {
+            result.push([tag]);
+            return;
+        }
+        if (!byGroup.has(groupName)) {
+            byGroup.set(groupName, []);
+            result.push(byGroup.get(groupName));
+        }
+        byGroup.get(groupName).push(tag);
     });
+    return result;
 }
 
 // 创建标签按钮
@@ -659,7 +970,8 @@ function toggleTag(tagName, btn) {
         btn.classList.add('active');
     }
     
-    renderGallery();
+    if (appState.tagGroups.length > 0) renderTags();  // 刷新分组标题上的已选数
+    reloadGallery();
 }
 
 // 显示添加标签模态框
@@ -678,63 +990,417 @@ function hideAddTagModal() {
     document.getElementById('tagModal').style.display = 'none';
 }
 
-// 创作者设置：登录后持久有效，不显示「访客/创作者」身份；仅访客可见「创作者登录」，创作者可见「退出创作者」
-function updateCreatorUI() {
+// ===== 账号（仅服务器模式）=====
+const ACCOUNT_ROLE_LABELS = { admin: '管理员', creator: '创作者', member: '成员' };
+
+// 账号对话框的四种用途；输入框与切换链接按 data-modes 显示
+const ACCOUNT_MODAL_MODES = {
+    login: { title: '登录', hint: '登录后上传的图片和「已完成」记录会保存在账号中，换设备登录也能看到。' },
+    register: { title: '注册账号', hint: '请填写收到的邀请码。注册后，本浏览器之前上传的图片和「已完成」记录会归入新账号。' },
+    setup: { title: '创建管理员', hint: '图库还没有任何账号。请填写部署时设置的 CREATOR_SECRET（未设置时只能在服务器本机创建），创建第一个管理员账号。' },
+    password: { title: '修改密码', hint: '修改后，该账号在其他设备上的登录会失效。' }
+};
+let accountModalMode = 'login';
+
+// 应用服务端返回的身份（fetchMe、登录、注册）；「已完成」记录随身份变化，调用方需随后重新加载数据
+function applyIdentity(me) {
+    appState.user = me.user || null;
+    appState.isCreator = !!me.isCreator;
+    appState.isAdmin = !!me.isAdmin;
+    appState.needsSetup = !!me.needsSetup;
+    updateAccountUI();
+}
+
+// 未登录显示「登录」（还没有账号时为「创建管理员」）；登录后显示用户名、角色和「退出登录」
+function updateAccountUI() {
     if (!appState.useServer) return;
-    const settingsBtn = document.getElementById('creatorSettingsBtn');
-    const logoutLink = document.getElementById('creatorLogoutLink');
-    const logoutBtn = document.getElementById('creatorLogoutBtn');
-    const tokenInput = document.getElementById('creatorTokenInput');
-    if (settingsBtn) {
-        settingsBtn.style.display = appState.isCreator ? 'none' : 'inline-block';
+    const loginBtn = document.getElementById('accountLoginBtn');
+    const nameBtn = document.getElementById('accountNameBtn');
+    const manageBtn = document.getElementById('accountManageBtn');
+    const logoutLink = document.getElementById('accountLogoutLink');
+    const user = appState.user;
+    if (loginBtn) {
+        loginBtn.style.display = user ? 'none' : 'inline-block';
+        loginBtn.textContent = appState.needsSetup ? '创建管理员' : '登录';
+    }
+    if (nameBtn) {
+        nameBtn.style.display = user ? 'inline-block' : 'none';
+        nameBtn.textContent = user ? `${user.username}（${ACCOUNT_ROLE_LABELS[user.role] || user.role}）` : '';
+    }
+    if (manageBtn) manageBtn.style.display = appState.isCreator ? 'inline-block' : 'none';
+    const shareListBtn = document.getElementById('shareListBtn');
+    if (shareListBtn) shareListBtn.style.display = user ? 'inline-block' : 'none';
+    if (logoutLink) logoutLink.style.display = user ? 'inline-block' : 'none';
+    // 未登录的访客只能上传公开图片
+    const visibilitySelect = document.getElementById('uploadVisibility');
+    document.getElementById('uploadVisibilityGroup').style.display = canChooseVisibility() ? '' : 'none';
+    if (!canChooseVisibility()) visibilitySelect.value = 'public';
+    updateTagManagerButton();
+}
+
+function showAccountModal(mode, { inviteCode = '', hint = '' } = {}) {
+    accountModalMode = mode;
+    const modal = document.getElementById('accountModal');
+    document.getElementById('accountModalTitle').textContent = ACCOUNT_MODAL_MODES[mode].title;
+    document.getElementById('accountModalHint').textContent = hint || ACCOUNT_MODAL_MODES[mode].hint;
+    modal.querySelectorAll('[data-modes]').forEach(el => {
+        el.style.display = el.dataset.modes.split(' ').includes(mode) ? '' : 'none';
+    });
+    modal.querySelectorAll('input').forEach(input => { input.value = ''; });
+    document.getElementById('accountInviteInput').value = inviteCode;
+    document.getElementById('accountPasswordInput').placeholder = mode === 'password' ? '当前密码' : '密码';
+    document.getElementById('accountPasswordInput').autocomplete = mode === 'login' || mode === 'password' ? 'current-password' : 'new-password';
+    modal.style.display = 'flex';
+    const first = Array.from(modal.querySelectorAll('input')).find(input => input.style.display !== 'none' && !input.value);
+    if (first) first.focus();
+}
+
+function hideAccountModal() {
+    document.getElementById('accountModal').style.display = 'none';
+}
+
+async function confirmAccountModal() {
+    const value = id => document.getElementById(id).value;
+    const username = value('accountUsernameInput').trim();
+    const password = value('accountPasswordInput');
+    if (accountModalMode !== 'password' && !username) {
+        alert('请输入用户名');
+        return;
     }
-    if (logoutLink) {
-        logoutLink.style.display = appState.isCreator ? 'inline-block' : 'none';
+    if (!password) {
+        alert(accountModalMode === 'password' ? '请输入当前密码' : '请输入密码');
+        return;
     }
-    if (logoutBtn) {
-        logoutBtn.style.display = appState.isCreator ? 'inline-block' : 'none';
+    const confirmBtn = document.getElementById('accountConfirmBtn');
+    confirmBtn.disabled = true;
+    try {
+        if (accountModalMode === 'password') {
+            await changeAccountPassword(password, value('accountNewPasswordInput'));
+            hideAccountModal();
+            alert('密码已修改');
+            return;
+        }
+        let result;
+        if (accountModalMode === 'register') {
+            const inviteCode = value('accountInviteInput').trim();
+            if (!inviteCode) {
+                alert('请输入邀请码');
+                return;
+            }
+            result = await registerAccount(inviteCode, username, password);
+        } else if (accountModalMode === 'setup') {
+            result = await setupAdminAccount(username, password, value('accountSecretInput'));
+        } else {
+            result = await loginAccount(username, password);
+        }
+        hideAccountModal();
+        if (window.location.hash.startsWith('#/invite/')) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+        applyIdentity(result);
+        const claimed = result.claimed || { images: 0, completions: 0 };
+        if (claimed.images > 0 || claimed.completions > 0) {
+            alert(`已将本浏览器之前上传的 ${claimed.images} 张图片和 ${claimed.completions} 条「已完成」记录归入账号 ${result.user.username}`);
+        }
+        await loadDataAndRender();
+    } catch (error) {
+        alert(error.message);
+    } finally {
+        confirmBtn.disabled = false;
     }
-    if (tokenInput) tokenInput.value = '';
 }
 
-function showCreatorModal() {
-    document.getElementById('creatorModal').style.display = 'flex';
-    document.getElementById('creatorTokenInput').value = '';
-    document.getElementById('creatorTokenInput').focus();
+async function logoutAccountAndReload() {
+    try {
+        await logoutAccount();
+    } catch (error) {
+        console.error('退出登录失败:', error);
+    }
+    applyIdentity(await fetchMe());
+    await loadDataAndRender();
 }
 
-function hideCreatorModal() {
-    document.getElementById('creatorModal').style.display = 'none';
+// 邀请链接：打开后直接进入注册
+function getInviteLink(code) {
+    return `${window.location.origin}${window.location.pathname}#/invite/${encodeURIComponent(code)}`;
 }
 
-async function confirmCreatorToken() {
-    const token = document.getElementById('creatorTokenInput').value.trim();
-    if (!token) {
-        alert('请输入创作者密钥');
+async function openInviteLink(code) {
+    if (!appState.useServer) return;
+    if (appState.user) {
+        alert('你已登录，无需再次注册。如需为他人注册，请先退出登录。');
         return;
     }
-    setCreatorToken(token);
-    const me = await fetchMe();
-    appState.isCreator = me.isCreator;
-    appState.visitorId = me.visitorId;
-    if (appState.isCreator) {
-        // 登录成功，密钥已持久保存，刷新后无需再次登录
-    } else {
-        alert('密钥无效，当前为访客身份。请确认部署时设置的 CREATOR_SECRET。');
-        setCreatorToken('');
+    const invite = await fetchInviteInfo(code);
+    if (!invite) {
+        alert('邀请链接无效、已使用或已过期');
+        return;
     }
-    hideCreatorModal();
-    updateCreatorUI();
-    renderGallery();
+    const role = ACCOUNT_ROLE_LABELS[invite.role] || invite.role;
+    showAccountModal('register', {
+        inviteCode: code,
+        hint: `${invite.createdByName || '管理员'} 邀请你以「${role}」身份加入。注册后，本浏览器之前上传的图片和「已完成」记录会归入新账号。`
+    });
 }
 
-function logoutCreator() {
-    setCreatorToken('');
-    appState.isCreator = false;
-    appState.visitorId = getVisitorId();
-    hideCreatorModal();
-    updateCreatorUI();
-    renderGallery();
+// ===== 账号与邀请（管理员管理全部；创作者只能邀请成员、查看自己的邀请）=====
+async function showAccountManager() {
+    if (!appState.isCreator) {
+        alert('仅管理员和创作者可邀请');
+        return;
+    }
+    const roleSelect = document.getElementById('inviteRoleSelect');
+    roleSelect.value = 'member';
+    Array.from(roleSelect.options).forEach(option => {
+        option.disabled = option.value !== 'member' && !appState.isAdmin;
+    });
+    document.getElementById('accountListSection').style.display = appState.isAdmin ? '' : 'none';
+    document.getElementById('accountManagerModal').style.display = 'flex';
+    await refreshAccountManager();
+}
+
+function hideAccountManager() {
+    document.getElementById('accountManagerModal').style.display = 'none';
+}
+
+function formatAccountDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString('zh-CN');
+}
+
+function createAccountManagerRow(title, badges, countText) {
+    const row = document.createElement('div');
+    row.className = 'tag-manager-row';
+    const name = document.createElement('span');
+    name.className = 'tag-manager-name';
+    name.textContent = title;
+    row.appendChild(name);
+    badges.forEach(text => {
+        const badge = document.createElement('span');
+        badge.className = 'tag-manager-badge';
+        badge.textContent = text;
+        row.appendChild(badge);
+    });
+    const count = document.createElement('span');
+    count.className = 'tag-manager-count';
+    count.textContent = countText;
+    row.appendChild(count);
+    const actions = document.createElement('div');
+    actions.className = 'tag-manager-actions';
+    row.appendChild(actions);
+    const addAction = (label, handler) => {
+        const btn = document.createElement('button');
+        btn.className = 'tag-manager-action';
+        btn.textContent = label;
+        btn.addEventListener('click', handler);
+        actions.appendChild(btn);
+    };
+    return { row, actions, addAction };
+}
+
+async function refreshAccountManager() {
+    const inviteList = document.getElementById('inviteList');
+    const accountList = document.getElementById('accountList');
+    inviteList.innerHTML = '<div class="tag-manager-empty">加载中...</div>';
+    try {
+        const [invites, accounts] = await Promise.all([fetchInvites(), appState.isAdmin ? fetchAccounts() : []]);
+        inviteList.innerHTML = '';
+        const now = Date.now();
+        const pending = invites.filter(invite => !invite.usedAt && invite.expiresAt > now);
+        if (pending.length === 0) {
+            inviteList.innerHTML = '<div class="tag-manager-empty">暂无未使用的邀请链接</div>';
+        }
+        pending.forEach(invite => {
+            const badges = [ACCOUNT_ROLE_LABELS[invite.role] || invite.role];
+            if (appState.isAdmin && invite.createdByName) badges.push(`由 ${invite.createdByName} 创建`);
+            const { row, addAction } = createAccountManagerRow(`邀请码 ${invite.code}`, badges, `${formatAccountDate(invite.expiresAt)} 前有效`);
+            addAction('复制链接', () => copyInviteLink(invite.code));
+            addAction('撤销', () => handleRevokeInvite(invite.code));
+            inviteList.appendChild(row);
+        });
+
+        accountList.innerHTML = '';
+        accounts.forEach(account => {
+            const badges = account.invitedByName ? [`由 ${account.invitedByName} 邀请`] : [];
+            const { row, actions, addAction } = createAccountManagerRow(account.username, badges, `${account.imageCount} 张`);
+            const roleSelect = document.createElement('select');
+            roleSelect.className = 'tag-manager-group';
+            roleSelect.title = '角色';
+            Object.keys(ACCOUNT_ROLE_LABELS).forEach(role => {
+                const option = document.createElement('option');
+                option.value = role;
+                option.textContent = ACCOUNT_ROLE_LABELS[role];
+                option.selected = account.role === role;
+                roleSelect.appendChild(option);
+            });
+            roleSelect.addEventListener('change', () => handleAccountRoleChange(account, roleSelect));
+            row.insertBefore(roleSelect, actions);
+            if (!appState.user || account.id !== appState.user.id) {
+                addAction('删除', () => handleDeleteAccount(account));
+            }
+            accountList.appendChild(row);
+        });
+    } catch (error) {
+        console.error('获取账号与邀请失败:', error);
+        inviteList.innerHTML = '';
+        inviteList.textContent = '获取账号与邀请失败：' + error.message;
+    }
+}
+
+async function handleCreateInvite() {
+    const role = document.getElementById('inviteRoleSelect').value;
+    const days = Number(document.getElementById('inviteDaysSelect').value);
+    try {
+        const invite = await createInvite(role, days);
+        await refreshAccountManager();
+        await copyInviteLink(invite.code);
+    } catch (error) {
+        alert('生成邀请链接失败：' + error.message);
+    }
+}
+
+function copyInviteLink(code) {
+    return copyLinkToClipboard(getInviteLink(code), '邀请链接已复制，发给对方即可注册：');
+}
+
+// 复制链接；剪贴板不可用时（如非 HTTPS）弹出链接供手动复制
+async function copyLinkToClipboard(link, message) {
+    try {
+        await navigator.clipboard.writeText(link);
+        alert(message + '\n' + link);
+    } catch (error) {
+        prompt('请复制链接发给对方：', link);
+    }
+}
+
+async function handleRevokeInvite(code) {
+    if (!confirm('确定要撤销该邀请链接吗？撤销后无法再用它注册。')) return;
+    try {
+        await revokeInvite(code);
+        await refreshAccountManager();
+    } catch (error) {
+        alert('撤销失败：' + error.message);
+    }
+}
+
+async function handleAccountRoleChange(account, select) {
+    const role = select.value;
+    const label = ACCOUNT_ROLE_LABELS[role];
+    if (!confirm(`确定要把 ${account.username} 的角色改为「${label}」吗？`)) {
+        select.value = account.role;
+        return;
+    }
+    try {
+        await updateAccountRole(account.id, role);
+        // 修改自己的角色后权限随之变化
+        if (appState.user && account.id === appState.user.id) {
+            applyIdentity(await fetchMe());
+            if (!appState.isCreator) {
+                hideAccountManager();
+                renderGallery();
+                return;
+            }
+            await showAccountManager();
+            renderGallery();
+            return;
+        }
+        await refreshAccountManager();
+    } catch (error) {
+        alert('修改角色失败：' + error.message);
+        select.value = account.role;
+    }
+}
+
+async function handleDeleteAccount(account) {
+    if (!confirm(`确定要删除账号 ${account.username} 吗？\n其上传的图片会保留，但不再属于任何人（只有管理员和创作者能修改）。`)) return;
+    try {
+        await deleteAccount(account.id);
+        await refreshAccountManager();
+    } catch (error) {
+        alert('删除账号失败：' + error.message);
+    }
+}
+
+// ===== 分享链接（仅服务器模式，需登录）：可设有效期和查看次数，打开后只读查看，私密图片也可分享 =====
+let shareModalTarget = null;  // 从详情页打开时为 { type, id, name }，从「我的分享」打开时为 null
+
+function getShareLinkUrl(token) {
+    return `${window.location.origin}${window.location.pathname}#/share/${encodeURIComponent(token)}`;
+}
+
+function showShareModal(target) {
+    shareModalTarget = target || null;
+    document.getElementById('shareModalTitle').textContent = target ? `分享「${target.name}」` : '我的分享链接';
+    const subject = target && target.type === 'collection' ? '合集中的全部图片，包括私密图片' : '私密图片也可以';
+    document.getElementById('shareModalHint').textContent = target
+        ? `拿到链接的人无需登录即可只读查看（${subject}）。链接过期、查看次数用完或撤销后即失效。`
+        : (appState.isAdmin ? '所有账号创建的、仍然有效的分享链接。' : '你创建的、仍然有效的分享链接。');
+    document.getElementById('shareCreateForm').style.display = target ? '' : 'none';
+    document.getElementById('shareMaxViewsInput').value = '';
+    document.getElementById('shareModal').style.display = 'flex';
+    refreshShareList();
+}
+
+function hideShareModal() {
+    document.getElementById('shareModal').style.display = 'none';
+    shareModalTarget = null;
+}
+
+async function refreshShareList() {
+    const list = document.getElementById('shareList');
+    list.innerHTML = '<div class="tag-manager-empty">加载中...</div>';
+    try {
+        const links = shareModalTarget
+            ? await fetchShareLinks(shareModalTarget.type, shareModalTarget.id)
+            : await fetchShareLinks();
+        list.innerHTML = '';
+        if (links.length === 0) {
+            list.innerHTML = '<div class="tag-manager-empty">暂无有效的分享链接</div>';
+        }
+        links.forEach(link => {
+            const badges = [];
+            if (!shareModalTarget) {
+                const name = link.targetName || '（已删除）';
+                badges.push(link.targetType === 'collection' ? `合集「${name}」` : name);
+            }
+            if (appState.isAdmin && link.createdByName) badges.push(`由 ${link.createdByName} 创建`);
+            const views = link.maxViews ? `已查看 ${link.views}/${link.maxViews} 次` : `已查看 ${link.views} 次`;
+            const expiry = link.expiresAt ? `${formatAccountDate(link.expiresAt)} 前有效` : '永久有效';
+            const { row, addAction } = createAccountManagerRow(`${formatAccountDate(link.createdAt)} 创建`, badges, `${expiry} · ${views}`);
+            addAction('复制链接', () => copyLinkToClipboard(getShareLinkUrl(link.token), '分享链接已复制：'));
+            addAction('撤销', () => handleRevokeShareLink(link));
+            list.appendChild(row);
+        });
+    } catch (error) {
+        console.error('获取分享链接失败:', error);
+        list.innerHTML = '';
+        list.textContent = '获取分享链接失败：' + error.message;
+    }
+}
+
+async function handleCreateShareLink() {
+    if (!shareModalTarget) return;
+    const days = document.getElementById('shareExpirySelect').value;
+    const maxViews = document.getElementById('shareMaxViewsInput').value.trim();
+    try {
+        const link = await createShareLink(shareModalTarget.type, shareModalTarget.id, {
+            expiresInDays: days ? Number(days) : null,
+            maxViews: maxViews ? Number(maxViews) : null
+        });
+        await refreshShareList();
+        await copyLinkToClipboard(getShareLinkUrl(link.token), '分享链接已复制：');
+    } catch (error) {
+        alert('生成分享链接失败：' + error.message);
+    }
+}
+
+async function handleRevokeShareLink(link) {
+    if (!confirm('确定要撤销该分享链接吗？撤销后拿到链接的人将无法再查看。')) return;
+    try {
+        await revokeShareLink(link.id);
+        await refreshShareList();
+    } catch (error) {
+        alert('撤销失败：' + error.message);
+    }
 }
 
 // 确认添加标签
@@ -764,57 +1430,564 @@ async function confirmAddTag() {
     hideAddTagModal();
 }
 
-// 删除自定义标签
+// 删除自定义标签（同时从所有图片上移除）
 async function deleteCustomTag(tagName) {
-    if (confirm(`确定要删除标签"${tagName}"吗？`)) {
-        appState.customTags = appState.customTags.filter(t => t.name !== tagName);
-        appState.selectedTags.delete(tagName);
-        
-        if (appState.useServer) {
-            await saveTags(appState.customTags);
+    if (!confirm(`确定要删除标签"${tagName}"吗？\n所有图片上的该标签也会一并移除。`)) return;
+    try {
+        await applyTagChange('delete', tagName);
+    } catch (error) {
+        console.error('删除标签失败:', error);
+        alert('删除标签失败：' + error.message);
+    }
+}
+
+// ===== 标签管理：使用统计、重命名、合并、删除（服务器模式仅创作者可用） =====
+function canManageTags() {
+    return !appState.useServer || appState.isCreator;
+}
+
+function updateTagManagerButton() {
+    const btn = document.getElementById('manageTagsBtn');
+    if (btn) btn.style.display = canManageTags() ? 'inline-block' : 'none';
+}
+
+// 与服务端 retagImages 一致：图片已有 to 时只去掉 from，to 为空时移除 from
+function retagList(tags, from, to) {
+    if (!tags || !tags.includes(from)) return tags;
+    if (!to || tags.includes(to)) return tags.filter(tag => tag !== from);
+    return tags.map(tag => (tag === from ? to : tag));
+}
+
+// 与服务端一致：重命名时分组成员随之改名（新名已在某分组中则只移除旧名），合并/删除时移出分组
+function retagGroups(groups, from, to) {
+    const keepTo = to && !groups.some(group => group.tags.includes(to));
+    return groups.map(group => ({
+        ...group,
+        tags: keepTo ? group.tags.map(tag => (tag === from ? to : tag)) : group.tags.filter(tag => tag !== from)
+    }));
+}
+
+// 本地模式的标签统计，返回结构与 GET /api/tags/usage 相同
+function computeTagUsage(images) {
+    const counts = new Map();
+    images.forEach(img => {
+        new Set(img.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    const tags = appState.customTags.map(tag => ({ ...tag, count: counts.get(tag.name) || 0 }));
+    const listed = new Set(tags.map(t => t.name));
+    const orphans = Array.from(counts.entries())
+        .filter(([name]) => !listed.has(name))
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    return { tags, orphans };
+}
+
+// 内置标签只存在于前端，不计为孤立标签
+async function loadTagUsage() {
+    const usage = appState.useServer ? await fetchTagUsage() : computeTagUsage(appState.images);
+    const orphanCounts = new Map(usage.orphans.map(o => [o.name, o.count]));
+    return {
+        builtins: initialTags.map(name => ({ name, count: orphanCounts.get(name) || 0 })),
+        tags: usage.tags,
+        orphans: usage.orphans.filter(o => !initialTags.includes(o.name))
+    };
+}
+
+// 执行重命名 / 合并 / 删除；type 为 rename、merge 或 delete，返回受影响的图片数
+async function applyTagChange(type, from, to = null) {
+    let affected;
+    if (appState.useServer) {
+        const result = type === 'rename' ? await renameTag(from, to)
+            : type === 'merge' ? await mergeTags(from, to)
+            : await deleteTag(from);
+        appState.customTags = result.tags;
+        appState.tagGroups = result.groups;
+        affected = result.affected;
+    } else {
+        if (type === 'rename') {
+            appState.customTags = appState.customTags.map(t => (t.name === from ? { ...t, name: to } : t));
         } else {
-            await saveData();
+            appState.customTags = appState.customTags.filter(t => t.name !== from);
         }
-        
-        renderTags();
-        renderGallery();
+        const ids = appState.images.filter(img => (img.tags || []).includes(from)).map(img => img.id);
+        await updateImageRecords(ids, record => ({ ...record, tags: retagList(record.tags || [], from, to) }));
+        await saveLocalTags(appState.customTags);
+        appState.tagGroups = retagGroups(appState.tagGroups, from, type === 'rename' ? to : null);
+        await saveLocalTagGroups(appState.tagGroups);
+        affected = ids.length;
+    }
+    
+    // 同步内存中的图片和筛选状态
+    appState.images.forEach(img => { img.tags = retagList(img.tags, from, to); });
+    if (appState.detailImage) {
+        appState.detailImage.tags = retagList(appState.detailImage.tags, from, to);
     }
+    if (appState.selectedTags.delete(from) && to) {
+        appState.selectedTags.add(to);
+    }
+    renderTags();
+    reloadGallery();
+    return affected;
 }
 
-// 搜索处理
-function handleSearch() {
-    renderGallery();
+async function showTagManager() {
+    if (!canManageTags()) {
+        alert('仅创作者可管理标签。');
+        return;
+    }
+    document.getElementById('tagManagerModal').style.display = 'flex';
+    await refreshTagManager();
 }
 
-// 首屏先渲染的图片数量，其余分块渲染以缩短“出现时间”
-const RENDER_INITIAL_CHUNK = 48;
-const RENDER_CHUNK_SIZE = 60;
+function hideTagManager() {
+    document.getElementById('tagManagerModal').style.display = 'none';
+}
 
-// 渲染图库（首屏先出图，其余分块渲染）
-function renderGallery() {
-    const galleryGrid = document.getElementById('galleryGrid');
-    if (!galleryGrid) return;
+async function refreshTagManager() {
+    const list = document.getElementById('tagManagerList');
+    const summary = document.getElementById('tagManagerSummary');
+    list.innerHTML = '<div class="tag-manager-empty">加载中...</div>';
+    try {
+        const usage = await loadTagUsage();
+        summary.textContent = usage.orphans.length > 0
+            ? `共 ${usage.builtins.length + usage.tags.length} 个标签，另有 ${usage.orphans.length} 个孤立标签（图片上有、但不在标签列表中）`
+            : `共 ${usage.builtins.length + usage.tags.length} 个标签`;
+        list.innerHTML = '';
+        renderTagGroupEditor();
+        usage.builtins.forEach(tag => list.appendChild(createTagManagerRow(tag, 'builtin')));
+        usage.tags.forEach(tag => list.appendChild(createTagManagerRow(tag, 'custom')));
+        usage.orphans.forEach(tag => list.appendChild(createTagManagerRow(tag, 'orphan')));
+    } catch (error) {
+        console.error('获取标签统计失败:', error);
+        list.innerHTML = '';
+        summary.textContent = '获取标签统计失败：' + error.message;
+    }
+}
+
+// kind：builtin 内置标签（只读），custom 标签列表中的标签，orphan 孤立标签
+function createTagManagerRow(tag, kind) {
+    const row = document.createElement('div');
+    row.className = 'tag-manager-row' + (kind === 'orphan' ? ' orphan' : '');
     
-    const searchTerm = document.getElementById('searchInput')?.value.toLowerCase().trim() || '';
-    const selectedTagsArray = Array.from(appState.selectedTags);
+    const swatch = document.createElement('span');
+    swatch.className = 'tag-manager-swatch';
+    if (tag.colors) {
+        swatch.style.background = `linear-gradient(135deg, ${tag.colors[0]} 0%, ${tag.colors[1]} 100%)`;
+    }
+    row.appendChild(swatch);
     
-    let filteredImages = appState.images.filter(img => {
-        if (searchTerm) {
-            const matchName = img.name.toLowerCase().includes(searchTerm);
-            const matchKeywords = img.keywords?.some(k => k.toLowerCase().includes(searchTerm)) || false;
-            if (!matchName && !matchKeywords) return false;
-        }
-        if (selectedTagsArray.length > 0) {
-            const imgTags = [...(img.tags || [])];
-            const hasAllTags = selectedTagsArray.every(tag => imgTags.includes(tag));
-            if (!hasAllTags) return false;
-        }
-        const idStr = String(img.id);
-        const isCompleted = appState.completedImageIds.has(idStr);
-        if (appState.completionFilter === 'completed' && !isCompleted) return false;
-        if (appState.completionFilter === 'uncompleted' && isCompleted) return false;
-        return true;
+    const name = document.createElement('span');
+    name.className = 'tag-manager-name';
+    name.textContent = tag.name;
+    row.appendChild(name);
+    
+    if (kind !== 'custom') {
+        const badge = document.createElement('span');
+        badge.className = 'tag-manager-badge';
+        badge.textContent = kind === 'builtin' ? '内置' : '孤立';
+        row.appendChild(badge);
+    }
+    
+    const count = document.createElement('span');
+    count.className = 'tag-manager-count';
+    count.textContent = `${tag.count} 张`;
+    row.appendChild(count);
+    
+    if (appState.tagGroups.length > 0) {
+        const groupSelect = document.createElement('select');
+        groupSelect.className = 'tag-manager-group';
+        groupSelect.title = '所属分组';
+        groupSelect.innerHTML = '<option value="">未分组</option>';
+        appState.tagGroups.forEach(group => {
+            const option = document.createElement('option');
+            option.value = group.name;
+            option.textContent = group.name;
+            option.selected = group.tags.includes(tag.name);
+            groupSelect.appendChild(option);
+        });
+        groupSelect.addEventListener('change', () => moveTagToGroup(tag.name, groupSelect.value));
+        row.appendChild(groupSelect);
+    }
+    
+    const actions = document.createElement('div');
+    actions.className = 'tag-manager-actions';
+    const addAction = (label, handler) => {
+        const btn = document.createElement('button');
+        btn.className = 'tag-manager-action';
+        btn.textContent = label;
+        btn.addEventListener('click', () => handler(tag));
+        actions.appendChild(btn);
+    };
+    if (kind === 'orphan') addAction('加入列表', adoptOrphanTag);
+    if (kind !== 'builtin') {
+        addAction('重命名', handleRenameTag);
+        addAction('合并到', handleMergeTag);
+        addAction('删除', handleDeleteTag);
+    }
+    row.appendChild(actions);
+    return row;
+}
+
+function isKnownTag(name) {
+    return initialTags.includes(name) || appState.customTags.some(t => t.name === name);
+}
+
+async function runTagManagerAction(action) {
+    try {
+        const affected = await action();
+        await refreshTagManager();
+        if (affected > 0) alert(`已更新 ${affected} 张图片`);
+    } catch (error) {
+        console.error('标签操作失败:', error);
+        alert('操作失败：' + error.message);
+    }
+}
+
+function handleRenameTag(tag) {
+    const to = (prompt(`将标签"${tag.name}"重命名为：`, tag.name) || '').trim();
+    if (!to || to === tag.name) return;
+    if (isKnownTag(to)) {
+        alert(`标签"${to}"已存在，如需合并请使用「合并到」。`);
+        return;
+    }
+    runTagManagerAction(() => applyTagChange('rename', tag.name, to));
+}
+
+function handleMergeTag(tag) {
+    const into = (prompt(`将标签"${tag.name}"合并到（输入目标标签名）：`) || '').trim();
+    if (!into || into === tag.name) return;
+    if (!isKnownTag(into) && !confirm(`标签"${into}"不在标签列表中，仍要合并吗？`)) return;
+    runTagManagerAction(() => applyTagChange('merge', tag.name, into));
+}
+
+function handleDeleteTag(tag) {
+    const message = tag.count > 0
+        ? `确定要删除标签"${tag.name}"吗？\n将从 ${tag.count} 张图片上移除该标签。`
+        : `确定要删除标签"${tag.name}"吗？`;
+    if (!confirm(message)) return;
+    runTagManagerAction(() => applyTagChange('delete', tag.name));
+}
+
+// ===== 标签分组管理 =====
+async function saveTagGroupState(groups) {
+    if (appState.useServer) {
+        appState.tagGroups = await saveTagGroups(groups);
+    } else {
+        await saveLocalTagGroups(groups);
+        appState.tagGroups = groups;
+    }
+    renderTags();
+    reloadGallery();  // 分组变化会改变筛选的 OR/AND 关系
+}
+
+// 标签管理对话框顶部的分组列表
+function renderTagGroupEditor() {
+    const container = document.getElementById('tagManagerGroups');
+    container.innerHTML = '';
+    appState.tagGroups.forEach(group => {
+        const chip = document.createElement('span');
+        chip.className = 'tag-manager-group-chip';
+        chip.textContent = `${group.name}（${group.tags.length}）`;
+        [['重命名', renameTagGroup], ['删除', deleteTagGroup]].forEach(([label, handler]) => {
+            const btn = document.createElement('button');
+            btn.className = 'tag-manager-action';
+            btn.textContent = label;
+            btn.addEventListener('click', () => handler(group.name));
+            chip.appendChild(btn);
+        });
+        container.appendChild(chip);
+    });
+    const addBtn = document.createElement('button');
+    addBtn.className = 'tag-manager-action';
+    addBtn.textContent = '+ 新建分组';
+    addBtn.addEventListener('click', createTagGroup);
+    container.appendChild(addBtn);
+}
+
+function readTagGroupName(message, defaultValue = '') {
+    const name = (prompt(message, defaultValue) || '').trim();
+    if (!name || name === defaultValue) return null;
+    if (appState.tagGroups.some(group => group.name === name)) {
+        alert(`分组"${name}"已存在`);
+        return null;
+    }
+    return name;
+}
+
+function createTagGroup() {
+    const name = readTagGroupName('新分组名称（如 主题、尺寸、难度、节日）：');
+    if (!name) return;
+    runTagManagerAction(async () => {
+        await saveTagGroupState([...appState.tagGroups, { name, tags: [] }]);
+        return 0;
+    });
+}
+
+function renameTagGroup(oldName) {
+    const name = readTagGroupName(`将分组"${oldName}"重命名为：`, oldName);
+    if (!name) return;
+    runTagManagerAction(async () => {
+        await saveTagGroupState(appState.tagGroups.map(group => (group.name === oldName ? { ...group, name } : group)));
+        if (appState.collapsedTagGroups.delete(oldName)) {
+            appState.collapsedTagGroups.add(name);
+            localStorage.setItem('pinDouCollapsedTagGroups', JSON.stringify(Array.from(appState.collapsedTagGroups)));
+        }
+        return 0;
+    });
+}
+
+function deleteTagGroup(name) {
+    if (!confirm(`确定要删除分组"${name}"吗？\n组内标签不会被删除，只是变为未分组。`)) return;
+    runTagManagerAction(async () => {
+        await saveTagGroupState(appState.tagGroups.filter(group => group.name !== name));
+        return 0;
+    });
+}
+
+// 把标签移到指定分组（groupName 为空表示移出分组）
+function moveTagToGroup(tagName, groupName) {
+    const groups = appState.tagGroups.map(group => {
+        const tags = group.tags.filter(tag => tag !== tagName);
+        if (group.name === groupName) tags.push(tagName);
+        return { ...group, tags };
     });
+    runTagManagerAction(async () => {
+        await saveTagGroupState(groups);
+        return 0;
+    });
+}
+
+// 把孤立标签加入标签列表（不修改图片）
+function adoptOrphanTag(tag) {
+    runTagManagerAction(async () => {
+        const colors = gradientColors[appState.customTags.length % gradientColors.length];
+        appState.customTags.push({ name: tag.name, colors: colors });
+        if (appState.useServer) {
+            await saveTags(appState.customTags);
+        } else {
+            await saveLocalTags(appState.customTags);
+        }
+        renderTags();
+        return 0;
+    });
+}
+
+// 搜索处理（服务器模式下防抖后再请求）
+const SEARCH_DEBOUNCE_DELAY = 300;
+let searchTimer = null;
+
+function handleSearch() {
+    syncSearchSort();
+    clearTimeout(searchTimer);
+    if (appState.useServer) {
+        searchTimer = setTimeout(reloadGallery, SEARCH_DEBOUNCE_DELAY);
+    } else {
+        renderGallery();
+    }
+}
+
+// 有搜索词或所选颜色时才有相关度可排
+function hasRelevanceQuery(query) {
+    return !!query.q || query.colors.length > 0;
+}
+
+// 输入搜索词或选择颜色时自动改按相关度排序，都清空后恢复默认；本次搜索中手动选过排序则不再干预
+function syncSearchSort() {
+    const active = hasRelevanceQuery(getGalleryQuery());
+    let sort = appState.gallerySort;
+    if (!active) {
+        appState.searchSortPinned = false;
+        if (sort === 'relevance') sort = 'newest';
+    } else if (!appState.searchSortPinned && sort === 'newest') {
+        sort = 'relevance';
+    }
+    if (sort !== appState.gallerySort) {
+        appState.gallerySort = sort;
+        document.getElementById('gallerySortSelect').value = sort;
+    }
+}
+
+// 按主色筛选：颜色变化后自动切换排序；本地模式先给旧图片补算主色
+async function setColorFilter(colors) {
+    appState.colorFilter = normalizeColorFilter(colors);
+    renderColorFilter();
+    syncSearchSort();
+    if (!appState.useServer && appState.colorFilter.length > 0) {
+        await ensureLocalImageAnalysis();
+    }
+    reloadGallery();
+}
+
+function renderColorFilter() {
+    const chips = document.getElementById('colorFilterChips');
+    chips.innerHTML = '';
+    appState.colorFilter.forEach(hex => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'color-filter-chip';
+        chip.style.background = hex;
+        chip.title = `${hex}（点击移除）`;
+        chip.addEventListener('click', () => setColorFilter(appState.colorFilter.filter(c => c !== hex)));
+        chips.appendChild(chip);
+    });
+    document.getElementById('colorFilterAdd').style.display = appState.colorFilter.length < MAX_COLOR_FILTERS ? '' : 'none';
+}
+
+// 本地模式的搜索索引（与服务器共用 search-core.js 的匹配和打分规则）
+const gallerySearchIndex = createSearchIndex();
+let parsedGallerySearch = { q: null, query: null };
+
+function getGallerySearch(q) {
+    if (parsedGallerySearch.q !== q) {
+        parsedGallerySearch = { q, query: parseSearchQuery(q) };
+    }
+    return parsedGallerySearch.query;
+}
+
+// 首屏先渲染的图片数量，其余分块渲染以缩短“出现时间”
+const RENDER_INITIAL_CHUNK = 48;
+const RENDER_CHUNK_SIZE = 60;
+
+// 服务器模式每页加载数量
+const GALLERY_PAGE_SIZE = 48;
+
+// 当前图库筛选条件（搜索词、标签、完成状态、排序），服务器查询与本地筛选共用
+function getGalleryQuery() {
+    const completed = appState.completionFilter === 'completed' ? true
+        : (appState.completionFilter === 'uncompleted' ? false : null);
+    return {
+        q: document.getElementById('searchInput')?.value.trim() || '',
+        tagGroup: getSelectedTagGroups(),
+        ...appState.metaFilter,
+        colors: appState.colorFilter,
+        completed,
+        sort: appState.gallerySort
+    };
+}
+
+function matchesGalleryQuery(img, query) {
+    if (query.q && gallerySearchIndex.score(img, getGallerySearch(query.q)) === 0) {
+        return false;
+    }
+    if (query.tagGroup.length > 0) {
+        const imgTags = img.tags || [];
+        if (!query.tagGroup.every(group => group.some(tag => imgTags.includes(tag)))) return false;
+    }
+    if (!matchesImageMetaFilter(img, query)) return false;
+    if (query.colors.length > 0 && scoreColorMatch(img.dominantColors, query.colors) === 0) return false;
+    if (query.completed !== null) {
+        const isCompleted = appState.completedImageIds.has(String(img.id));
+        if (isCompleted !== query.completed) return false;
+    }
+    return true;
+}
+
+// 相关度（与服务器 queryImages 一致）：只有搜索词时为搜索得分，只选颜色时为颜色匹配度，两者都有时相加
+function getGalleryRelevance(img, query) {
+    const colorScore = query.colors.length > 0 ? scoreColorMatch(img.dominantColors, query.colors) : 0;
+    if (!query.q) return colorScore;
+    return gallerySearchIndex.score(img, getGallerySearch(query.q)) + colorScore * COLOR_RELEVANCE_WEIGHT;
+}
+
+// 本地模式按所选方式排序（服务器模式由接口排序）；相关度排序只在有搜索词或所选颜色时生效，同分按最新
+function sortGalleryImages(images, query) {
+    const sorted = images.slice();
+    const sort = query.sort;
+    if (sort === 'relevance' && hasRelevanceQuery(query)) {
+        const scores = new Map(sorted.map(img => [img, getGalleryRelevance(img, query)]));
+        sorted.sort((a, b) => scores.get(b) - scores.get(a) || (b.timestamp || 0) - (a.timestamp || 0));
+    } else if (sort === 'name') {
+        sorted.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+    } else if (sort === 'oldest') {
+        sorted.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    } else {
+        sorted.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+    }
+    return sorted;
+}
+
+// 筛选条件变化：服务器模式重新请求第一页，本地模式直接重新渲染
+function reloadGallery() {
+    if (appState.useServer) {
+        loadGalleryPage(true);
+    } else {
+        renderGallery();
+    }
+}
+
+// 服务器模式：加载一页图片；reset 为 true 时从第一页开始并替换当前列表
+async function loadGalleryPage(reset) {
+    const page = appState.galleryPage;
+    if (!reset && (page.loading || !page.nextCursor)) return;
+    const seq = ++page.seq;
+    page.loading = true;
+    updateLoadMore();
+    try {
+        const result = await fetchImagesPage({
+            ...getGalleryQuery(),
+            limit: GALLERY_PAGE_SIZE,
+            after: reset ? null : page.nextCursor
+        });
+        if (seq !== page.seq) return; // 已有更新的请求
+        page.nextCursor = result.nextCursor;
+        page.total = result.total;
+        if (reset) {
+            appState.images = result.items;
+            renderGallery();
+        } else {
+            appState.images.push(...result.items);
+            appendGalleryItems(result.items);
+        }
+    } catch (error) {
+        console.error('加载图库失败:', error);
+    } finally {
+        if (seq === page.seq) {
+            page.loading = false;
+            updateLoadMore();
+        }
+    }
+}
+
+function appendGalleryItems(images) {
+    const galleryGrid = document.getElementById('galleryGrid');
+    const query = getGalleryQuery();
+    const fragment = document.createDocumentFragment();
+    images.filter(img => matchesGalleryQuery(img, query)).forEach(img => fragment.appendChild(createGalleryItem(img)));
+    galleryGrid.appendChild(fragment);
+    updateGalleryCount();
+}
+
+// 「加载更多」：仅服务器模式且还有下一页时显示，滚动到附近时自动触发
+function updateLoadMore() {
+    const el = document.getElementById('galleryLoadMore');
+    if (!el) return;
+    const page = appState.galleryPage;
+    el.style.display = appState.useServer && page.nextCursor ? 'flex' : 'none';
+    const btn = document.getElementById('galleryLoadMoreBtn');
+    btn.disabled = page.loading;
+    btn.textContent = page.loading ? '加载中...' : '加载更多';
+}
+
+function initInfiniteScroll() {
+    const sentinel = document.getElementById('galleryLoadMore');
+    if (!sentinel || typeof IntersectionObserver === 'undefined') return;
+    const observer = new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting)) loadGalleryPage(false);
+    }, { rootMargin: '600px 0px' });
+    observer.observe(sentinel);
+}
+
+// 渲染图库（首屏先出图，其余分块渲染）
+function renderGallery() {
+    const galleryGrid = document.getElementById('galleryGrid');
+    if (!galleryGrid) return;
+    
+    // 服务器模式下列表已由接口筛选排序，这里再过滤一次以反映本地刚改动的完成状态
+    const query = getGalleryQuery();
+    let filteredImages = appState.images.filter(img => matchesGalleryQuery(img, query));
+    if (!appState.useServer) {
+        filteredImages = sortGalleryImages(filteredImages, query);
+    }
     
     galleryGrid.innerHTML = '';
     
@@ -823,6 +1996,7 @@ function renderGallery() {
         emptyMsg.style.cssText = 'grid-column: 1/-1; text-align: center; color: #999; padding: 40px;';
         emptyMsg.textContent = '暂无图片';
         galleryGrid.appendChild(emptyMsg);
+        updateGalleryCount();
     } else if (filteredImages.length <= RENDER_INITIAL_CHUNK) {
         const fragment = document.createDocumentFragment();
         filteredImages.forEach(img => fragment.appendChild(createGalleryItem(img)));
@@ -859,12 +2033,23 @@ function renderGallery() {
     }
 }
 
+// 只有登录后才能设置不公开、私密：图片文件由 <img> 直接请求，浏览器只会自动带上会话 Cookie，
+// 匿名访客的访客 ID 在请求头里，带不上，设成非公开后自己也看不到
+function canChooseVisibility() {
+    return appState.useServer && !!appState.user;
+}
+
+// 不公开、私密的图片只有上传者和管理员、创作者在图库中看得到，卡片和详情页上加以标注（仅服务器模式）
+function isHiddenFromGallery(img) {
+    return appState.useServer && !!img.visibility && img.visibility !== 'public';
+}
+
 // 当前用户是否可删除该图片（仅服务器模式有效）
 function canDeleteImage(img) {
     if (!appState.useServer) return true;
     if (appState.isCreator) return true;
-    const uploadedBy = img.uploadedBy || 'creator';
-    return uploadedBy === 'visitor' && img.visitorId && img.visitorId === appState.visitorId;
+    // 服务端按当前身份算出 canEdit（规则见 canModifyImage；响应中不含上传者的访客 ID）
+    return !!img.canEdit;
 }
 
 // 创建单个图库项（优化版本）
@@ -882,6 +2067,7 @@ function createGalleryItem(img) {
     item.innerHTML = `
         ${showCheckbox ? `<input type="checkbox" class="gallery-item-checkbox" ${isSelected ? 'checked' : ''} data-id="${idStr}">` : ''}
         ${isCompleted ? '<span class="gallery-item-badge-completed">已完成</span>' : ''}
+        ${isHiddenFromGallery(img) ? `<span class="gallery-item-badge-visibility">${img.visibility === 'private' ? '私密' : '不公开'}</span>` : ''}
         <img src="${img.thumbnailUrl || img.dataUrl}" alt="${img.name}" loading="lazy" decoding="async">
         <div class="gallery-item-info">
             <div class="gallery-item-title" title="${img.name}">${img.name}</div>
@@ -922,7 +2108,8 @@ function createGalleryItem(img) {
 function updateGalleryCount() {
     const el = document.getElementById('galleryCount');
     if (!el) return;
-    el.textContent = `共 ${appState.images.length} 张`;
+    const total = appState.useServer ? appState.galleryPage.total : appState.images.length;
+    el.textContent = `共 ${total} 张`;
 }
 
 // 转换区拖拽处理
@@ -981,6 +2168,11 @@ function handleConvertFile(file) {
             pixelCanvas.width = 0;
             pixelCanvas.height = 0;
             appState.convertConfirmed = false;
+            appState.pixelPattern = null;
+            appState.editingImageId = null;
+            resetPixelEditor();
+            renderBoardPanels();
+            renderBeadBom();
             document.getElementById('convertActions').style.display = 'none';
         };
         img.src = e.target.result;
@@ -993,64 +2185,131 @@ function handleConvertChange() {
     document.getElementById('convertFileInput').click();
 }
 
-// ===== 中位切分颜色量化算法（Median Cut） =====
-function medianCutQuantize(pixels, colorCount) {
-    if (colorCount <= 0) return null; // 不限制
+// ===== 后台转换（Web Worker），不可用时（如 file:// 打开）回退到主线程 =====
+let convertWorker = null;
+let convertWorkerFailed = false;
+let convertJobSeq = 0;
+let activeConvertJob = null;   // { id, resolve, reject }
 
-    // 收集所有不透明像素的颜色
-    const colors = [];
-    for (let i = 0; i < pixels.length; i += 4) {
-        if (pixels[i + 3] > 128) {
-            colors.push([pixels[i], pixels[i + 1], pixels[i + 2]]);
-        }
+function getConvertWorker() {
+    if (convertWorker || convertWorkerFailed || typeof Worker === 'undefined') return convertWorker;
+    try {
+        convertWorker = new Worker('convert-worker.js');
+        convertWorker.onmessage = handleConvertWorkerMessage;
+        convertWorker.onerror = (e) => {
+            // Worker 脚本加载失败：之后都在主线程转换
+            e.preventDefault();
+            console.warn('转换 Worker 不可用，改为主线程转换:', e.message);
+            convertWorkerFailed = true;
+            convertWorker.terminate();
+            convertWorker = null;
+            const job = activeConvertJob;
+            if (job) {
+                activeConvertJob = null;
+                runConvertJobOnMainThread(job);
+            }
+        };
+    } catch (e) {
+        console.warn('无法创建转换 Worker，改为主线程转换:', e.message);
+        convertWorkerFailed = true;
+        convertWorker = null;
+    }
+    return convertWorker;
+}
+
+function handleConvertWorkerMessage(e) {
+    const data = e.data;
+    const job = activeConvertJob;
+    if (!job || data.id !== job.id) return; // 已取消或被新任务取代
+    if (data.type === 'progress') {
+        updateConvertProgress(data.value);
+    } else if (data.type === 'result') {
+        activeConvertJob = null;
+        job.resolve({ palette: data.palette, cells: new Int16Array(data.cells) });
+    } else if (data.type === 'error') {
+        activeConvertJob = null;
+        job.reject(new Error(data.message));
     }
-    if (colors.length === 0) return null;
+}
 
-    // 递归切分颜色空间
-    function splitBucket(bucket, depth) {
-        if (depth === 0 || bucket.length === 0) return [bucket];
+function runConvertJobOnMainThread(job) {
+    activeConvertJob = job;
+    // 让进度条先渲染出来
+    setTimeout(() => {
+        if (activeConvertJob !== job) return;
+        try {
+            const result = buildPixelPattern(new Uint8ClampedArray(job.readSample()), job.params);
+            activeConvertJob = null;
+            job.resolve(result);
+        } catch (error) {
+            activeConvertJob = null;
+            job.reject(error);
+        }
+    }, 30);
+}
 
-        // 找出 R/G/B 范围最大的通道
-        let minR = 255, maxR = 0, minG = 255, maxG = 0, minB = 255, maxB = 0;
-        for (const c of bucket) {
-            if (c[0] < minR) minR = c[0]; if (c[0] > maxR) maxR = c[0];
-            if (c[1] < minG) minG = c[1]; if (c[1] > maxG) maxG = c[1];
-            if (c[2] < minB) minB = c[2]; if (c[2] > maxB) maxB = c[2];
+// 提交转换任务：新任务会取消尚未完成的旧任务；readSample() 读出超采样数据（ArrayBuffer），
+// 以可转移对象直接交给 Worker、不复制；Worker 加载失败回退到主线程时再读一次（已转移的 buffer 不可用）
+function runConvertJob(readSample, params) {
+    cancelConvertJob();
+    return new Promise((resolve, reject) => {
+        const job = { id: ++convertJobSeq, readSample, params, resolve, reject };
+        const worker = getConvertWorker();
+        if (!worker) {
+            runConvertJobOnMainThread(job);
+            return;
         }
-        const rangeR = maxR - minR, rangeG = maxG - minG, rangeB = maxB - minB;
-        const channel = rangeR >= rangeG && rangeR >= rangeB ? 0 : (rangeG >= rangeB ? 1 : 2);
-
-        bucket.sort((a, b) => a[channel] - b[channel]);
-        const mid = Math.floor(bucket.length / 2);
-        return [
-            ...splitBucket(bucket.slice(0, mid), depth - 1),
-            ...splitBucket(bucket.slice(mid), depth - 1)
-        ];
-    }
-
-    const depth = Math.ceil(Math.log2(colorCount));
-    const buckets = splitBucket(colors, depth).slice(0, colorCount);
-
-    // 每个桶取平均色作为调色板
-    const palette = buckets.filter(b => b.length > 0).map(bucket => {
-        let r = 0, g = 0, b = 0;
-        for (const c of bucket) { r += c[0]; g += c[1]; b += c[2]; }
-        const n = bucket.length;
-        return [Math.round(r / n), Math.round(g / n), Math.round(b / n)];
+        activeConvertJob = job;
+        const sample = readSample();
+        worker.postMessage({ id: job.id, job: params, sample }, [sample]);
     });
-
-    return palette;
 }
 
-// 找到调色板中最近的颜色
-function findClosestColor(r, g, b, palette) {
-    let minDist = Infinity, closest = palette[0];
-    for (const c of palette) {
-        const dr = r - c[0], dg = g - c[1], db = b - c[2];
-        const dist = dr * dr + dg * dg + db * db;
-        if (dist < minDist) { minDist = dist; closest = c; }
+// 取消进行中的转换：直接终止 Worker（下次转换时重新创建）
+function cancelConvertJob() {
+    const job = activeConvertJob;
+    if (!job) return;
+    activeConvertJob = null;
+    if (convertWorker) {
+        convertWorker.terminate();
+        convertWorker = null;
     }
-    return closest;
+    const error = new Error('转换已取消');
+    error.cancelled = true;
+    job.reject(error);
+}
+
+function showConvertProgress() {
+    document.getElementById('convertProgress').style.display = 'flex';
+    document.getElementById('convertBtn').disabled = true;
+    updateConvertProgress(0);
+}
+
+function hideConvertProgress() {
+    document.getElementById('convertProgress').style.display = 'none';
+    document.getElementById('convertBtn').disabled = false;
+}
+
+function updateConvertProgress(value) {
+    const percent = Math.round(Math.max(0, Math.min(1, value)) * 100);
+    document.getElementById('convertProgressFill').style.width = `${percent}%`;
+    document.getElementById('convertProgressText').textContent = `${percent}%`;
+}
+
+function handleConvertCancel() {
+    cancelConvertJob();
+    hideConvertProgress();
+}
+
+// 设置变化时自动重新预览（防抖）；已手动编辑过或正在编辑图库图案时不覆盖
+const CONVERT_PREVIEW_DELAY = 400;
+let convertPreviewTimer = null;
+
+function scheduleConvertPreview() {
+    clearTimeout(convertPreviewTimer);
+    if (!appState.convertFile || !appState.pixelPattern) return;
+    if (appState.pixelEditor.undoStack.length > 0 || appState.editingImageId != null) return;
+    convertPreviewTimer = setTimeout(convertToPixel, CONVERT_PREVIEW_DELAY);
 }
 
 // 转换为像素画（支持颜色量化 + 更大像素块更清晰）
@@ -1060,28 +2319,20 @@ function convertToPixel() {
         return;
     }
     
-    const pixelCanvas = document.getElementById('pixelCanvas');
-    const colorCountInput = document.getElementById('colorCountInput');
-    const resolutionInput = document.getElementById('resolutionInput');
-    const colorCount = Math.max(24, Math.min(256, parseInt(colorCountInput.value) || 24));
-    const maxSize = Math.max(20, Math.min(500, parseInt(resolutionInput.value) || 80));
-    const gridSize = 12; // 每个像素格子的显示尺寸（固定值，保证网格清晰）
+    clearTimeout(convertPreviewTimer);
+    const options = normalizeConvertOptions({
+        resolution: document.getElementById('resolutionInput').value,
+        colorCount: document.getElementById('colorCountInput').value,
+        brand: document.getElementById('paletteSelect').value,
+        dither: document.getElementById('ditherSelect').value,
+        ditherStrength: document.getElementById('ditherStrengthInput').value,
+        colorDistance: document.getElementById('colorDistanceSelect').value
+    });
+    const convertFile = appState.convertFile;
     const img = new Image();
     img.onload = () => {
-        // 计算缩放比例
-        const scale = Math.min(maxSize / img.width, maxSize / img.height);
-        const pixelWidth = Math.max(1, Math.floor(img.width * scale));
-        const pixelHeight = Math.max(1, Math.floor(img.height * scale));
-        
-        // 设置画布尺寸
-        pixelCanvas.width = pixelWidth * gridSize;
-        pixelCanvas.height = pixelHeight * gridSize;
-        const ctx = pixelCanvas.getContext('2d');
-        
-        // 使用高质量缩放采样：先缩放到 2 倍大小再缩到目标，减少锯齿
-        const sampleScale = 4; // 超采样倍率
-        const sampleW = pixelWidth * sampleScale;
-        const sampleH = pixelHeight * sampleScale;
+        // 计算缩放后的格子数，超采样后逐格取平均（减少锯齿）
+        const { pixelWidth, pixelHeight, sampleScale, sampleW, sampleH } = getConvertSize(img.width, img.height, options.resolution);
         const tempCanvas = document.createElement('canvas');
         tempCanvas.width = sampleW;
         tempCanvas.height = sampleH;
@@ -1090,75 +2341,609 @@ function convertToPixel() {
         tempCtx.imageSmoothingQuality = 'high';
         tempCtx.drawImage(img, 0, 0, sampleW, sampleH);
         
-        // 对每个像素块在超采样区域取平均色
-        const sampleData = tempCtx.getImageData(0, 0, sampleW, sampleH).data;
-        const pixelColors = [];
-        
-        for (let y = 0; y < pixelHeight; y++) {
-            for (let x = 0; x < pixelWidth; x++) {
-                let rSum = 0, gSum = 0, bSum = 0, aSum = 0, count = 0;
-                for (let sy = y * sampleScale; sy < (y + 1) * sampleScale; sy++) {
-                    for (let sx = x * sampleScale; sx < (x + 1) * sampleScale; sx++) {
-                        const idx = (sy * sampleW + sx) * 4;
-                        rSum += sampleData[idx];
-                        gSum += sampleData[idx + 1];
-                        bSum += sampleData[idx + 2];
-                        aSum += sampleData[idx + 3];
-                        count++;
-                    }
-                }
-                pixelColors.push({
-                    r: Math.round(rSum / count),
-                    g: Math.round(gSum / count),
-                    b: Math.round(bSum / count),
-                    a: Math.round(aSum / count)
-                });
-            }
-        }
-        
-        // 颜色量化（始终启用，最少24色）
-        let palette = null;
-        if (colorCount >= 24 && colorCount <= 256) {
-            const flatPixels = new Uint8ClampedArray(pixelColors.length * 4);
-            pixelColors.forEach((c, i) => {
-                flatPixels[i * 4] = c.r;
-                flatPixels[i * 4 + 1] = c.g;
-                flatPixels[i * 4 + 2] = c.b;
-                flatPixels[i * 4 + 3] = c.a;
+        // 取色、量化、匹配在 Worker 中完成
+        showConvertProgress();
+        runConvertJob(() => tempCtx.getImageData(0, 0, sampleW, sampleH).data.buffer, { sampleW, pixelWidth, pixelHeight, sampleScale, ...options }).then(result => {
+            hideConvertProgress();
+            if (appState.convertFile !== convertFile) return; // 转换期间已换图
+            
+            appState.pixelPattern = createPixelPattern(pixelWidth, pixelHeight, options, result);
+            appState.editingImageId = null;
+            resetPixelEditor();
+            refreshPatternViews();
+            
+            // 显示确认按钮
+            document.getElementById('convertActions').style.display = 'flex';
+            document.getElementById('confirmConvertBtn').style.display = 'block';
+            document.getElementById('savePixelBtn').style.display = 'none';
+            document.getElementById('savePdfRow').style.display = 'none';
+            document.getElementById('uploadToGalleryBtn').style.display = 'none';
+            document.getElementById('savePatternChangesBtn').style.display = 'none';
+            appState.convertConfirmed = false;
+        }).catch(error => {
+            if (error.cancelled) return;
+            hideConvertProgress();
+            console.error('转换失败:', error);
+            alert('转换失败：' + error.message);
+        });
+    };
+    img.src = convertFile.dataUrl;
+}
+
+// 每个像素格子的显示尺寸（固定值，保证网格清晰）
+const PIXEL_GRID_SIZE = 12;
+
+// 当前选择的拼板边长（0 表示不分板）
+function getBoardSize() {
+    return parseInt(document.getElementById('boardSizeSelect').value) || 0;
+}
+
+// 按拼板边长把图案切成若干块，按行优先编号（从 1 开始）
+function getBoardPanels(pattern, boardSize) {
+    const panels = [];
+    if (!boardSize) return panels;
+    const rows = Math.ceil(pattern.height / boardSize);
+    const cols = Math.ceil(pattern.width / boardSize);
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            const x = col * boardSize;
+            const y = row * boardSize;
+            panels.push({
+                number: panels.length + 1,
+                row,
+                col,
+                x,
+                y,
+                width: Math.min(boardSize, pattern.width - x),
+                height: Math.min(boardSize, pattern.height - y)
             });
-            palette = medianCutQuantize(flatPixels, colorCount);
         }
-        
-        // 绘制像素画
-        for (let y = 0; y < pixelHeight; y++) {
-            for (let x = 0; x < pixelWidth; x++) {
-                const c = pixelColors[y * pixelWidth + x];
-                let r = c.r, g = c.g, b = c.b;
-                
-                if (palette) {
-                    const closest = findClosestColor(r, g, b, palette);
-                    r = closest[0]; g = closest[1]; b = closest[2];
-                }
-                
-                // 绘制像素块
-                ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${c.a / 255})`;
-                ctx.fillRect(x * gridSize, y * gridSize, gridSize, gridSize);
-                
-                // 绘制网格线
-                ctx.strokeStyle = 'rgba(0, 0, 0, 0.08)';
-                ctx.lineWidth = 0.5;
-                ctx.strokeRect(x * gridSize + 0.25, y * gridSize + 0.25, gridSize - 0.5, gridSize - 0.5);
+    }
+    return panels;
+}
+
+// 绘制图案的一个矩形区域（格子坐标），绘制到画布左上角
+// 先按每格 1 像素写入 ImageData，再整体放大，网格线一次性描边，避免逐格 fillRect/strokeRect
+function drawPatternRegion(ctx, pattern, x0, y0, width, height, gridSize) {
+    const cellCanvas = document.createElement('canvas');
+    cellCanvas.width = width;
+    cellCanvas.height = height;
+    const cellCtx = cellCanvas.getContext('2d');
+    const imageData = cellCtx.createImageData(width, height);
+    const data = imageData.data;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const index = pattern.cells[(y0 + y) * pattern.width + (x0 + x)];
+            if (index < 0) continue;
+            const rgb = pattern.palette[index].rgb;
+            const o = (y * width + x) * 4;
+            data[o] = rgb[0];
+            data[o + 1] = rgb[1];
+            data[o + 2] = rgb[2];
+            data[o + 3] = 255;
+        }
+    }
+    cellCtx.putImageData(imageData, 0, 0);
+    
+    // 绘制像素块
+    ctx.save();
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(cellCanvas, 0, 0, width * gridSize, height * gridSize);
+    ctx.restore();
+    
+    // 绘制网格线
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.08)';
+    ctx.lineWidth = 0.5;
+    ctx.beginPath();
+    for (let x = 0; x <= width; x++) {
+        ctx.moveTo(x * gridSize + 0.25, 0);
+        ctx.lineTo(x * gridSize + 0.25, height * gridSize);
+    }
+    for (let y = 0; y <= height; y++) {
+        ctx.moveTo(0, y * gridSize + 0.25);
+        ctx.lineTo(width * gridSize, y * gridSize + 0.25);
+    }
+    ctx.stroke();
+}
+
+// 在拼板分界处绘制加粗的分隔线
+function drawBoardLines(ctx, pattern, boardSize, gridSize) {
+    if (!boardSize) return;
+    ctx.strokeStyle = 'rgba(220, 38, 38, 0.75)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let x = boardSize; x < pattern.width; x += boardSize) {
+        ctx.moveTo(x * gridSize, 0);
+        ctx.lineTo(x * gridSize, pattern.height * gridSize);
+    }
+    for (let y = boardSize; y < pattern.height; y += boardSize) {
+        ctx.moveTo(0, y * gridSize);
+        ctx.lineTo(pattern.width * gridSize, y * gridSize);
+    }
+    ctx.stroke();
+}
+
+// 把当前转换结果绘制到像素图画布
+function renderPixelPattern() {
+    const pattern = appState.pixelPattern;
+    if (!pattern) return;
+    const gridSize = PIXEL_GRID_SIZE;
+    const pixelCanvas = document.getElementById('pixelCanvas');
+    pixelCanvas.width = pattern.width * gridSize;
+    pixelCanvas.height = pattern.height * gridSize;
+    const ctx = pixelCanvas.getContext('2d');
+    
+    drawPatternRegion(ctx, pattern, 0, 0, pattern.width, pattern.height, gridSize);
+    drawBoardLines(ctx, pattern, getBoardSize(), gridSize);
+}
+
+// 渲染分板总览：每块拼板一个带编号的缩略图，点击导出该块
+function renderBoardPanels() {
+    const container = document.getElementById('boardPanels');
+    const pattern = appState.pixelPattern;
+    const boardSize = getBoardSize();
+    const panels = pattern ? getBoardPanels(pattern, boardSize) : [];
+    if (panels.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+    
+    const cols = Math.ceil(pattern.width / boardSize);
+    const rows = Math.ceil(pattern.height / boardSize);
+    document.getElementById('boardPanelsSummary').textContent = `${cols} × ${rows} 块 ${boardSize} × ${boardSize} 拼板，点击单块导出`;
+    const map = document.getElementById('boardPanelsMap');
+    map.innerHTML = '';
+    map.style.gridTemplateColumns = `repeat(${cols}, minmax(48px, 1fr))`;
+    
+    const thumbGrid = 2; // 缩略图每格像素
+    panels.forEach(panel => {
+        const tile = document.createElement('button');
+        tile.type = 'button';
+        tile.className = 'board-panel-tile';
+        tile.title = `第 ${panel.number} 块：第 ${panel.row + 1} 行第 ${panel.col + 1} 列，${panel.width} × ${panel.height}`;
+        const canvas = document.createElement('canvas');
+        canvas.width = boardSize * thumbGrid;
+        canvas.height = boardSize * thumbGrid;
+        const ctx = canvas.getContext('2d');
+        for (let y = 0; y < panel.height; y++) {
+            for (let x = 0; x < panel.width; x++) {
+                const index = pattern.cells[(panel.y + y) * pattern.width + (panel.x + x)];
+                if (index < 0) continue;
+                const [r, g, b] = pattern.palette[index].rgb;
+                ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+                ctx.fillRect(x * thumbGrid, y * thumbGrid, thumbGrid, thumbGrid);
             }
         }
-        
-        // 显示确认按钮
-        document.getElementById('convertActions').style.display = 'flex';
-        document.getElementById('confirmConvertBtn').style.display = 'block';
-        document.getElementById('savePixelBtn').style.display = 'none';
-        document.getElementById('uploadToGalleryBtn').style.display = 'none';
-        appState.convertConfirmed = false;
-    };
-    img.src = appState.convertFile.dataUrl;
+        const number = document.createElement('span');
+        number.className = 'board-panel-number';
+        number.textContent = panel.number;
+        tile.appendChild(canvas);
+        tile.appendChild(number);
+        tile.addEventListener('click', () => downloadBoardPanel(panel));
+        map.appendChild(tile);
+    });
+    container.style.display = 'block';
+}
+
+// 生成单块拼板的图片（保持标准拼板尺寸，不足部分留白）
+function createBoardPanelCanvas(pattern, panel, boardSize) {
+    const gridSize = PIXEL_GRID_SIZE;
+    const canvas = document.createElement('canvas');
+    canvas.width = boardSize * gridSize;
+    canvas.height = boardSize * gridSize;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    drawPatternRegion(ctx, pattern, panel.x, panel.y, panel.width, panel.height, gridSize);
+    return canvas;
+}
+
+// 下载单块拼板
+function downloadBoardPanel(panel) {
+    const pattern = appState.pixelPattern;
+    if (!pattern) return;
+    const canvas = createBoardPanelCanvas(pattern, panel, getBoardSize());
+    const baseName = appState.convertFile ? appState.convertFile.name.replace(/\.\w+$/, '') : 'pattern';
+    canvas.toBlob((blob) => {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${baseName}_board${panel.number}_r${panel.row + 1}c${panel.col + 1}.png`;
+        a.click();
+        URL.revokeObjectURL(url);
+    });
+}
+
+// 导出全部分板（逐块下载）
+function exportAllBoardPanels() {
+    const pattern = appState.pixelPattern;
+    if (!pattern) {
+        alert('请先转换图片');
+        return;
+    }
+    getBoardPanels(pattern, getBoardSize()).forEach(downloadBoardPanel);
+}
+
+function updateDitherStrengthLabel() {
+    document.getElementById('ditherStrengthValue').textContent = `${document.getElementById('ditherStrengthInput').value}%`;
+}
+
+// 切换拼板尺寸：只重绘，不重新转换
+function handleBoardSizeChange() {
+    if (!appState.pixelPattern) return;
+    renderPixelPattern();
+    renderBoardPanels();
+}
+
+// 鼠标所在格子的坐标（超出图案范围返回 null）
+function getPixelCellAt(e) {
+    const pattern = appState.pixelPattern;
+    if (!pattern) return null;
+    const canvas = e.currentTarget;
+    const rect = canvas.getBoundingClientRect();
+    const x = Math.floor((e.clientX - rect.left) * (canvas.width / rect.width) / PIXEL_GRID_SIZE);
+    const y = Math.floor((e.clientY - rect.top) * (canvas.height / rect.height) / PIXEL_GRID_SIZE);
+    if (x < 0 || y < 0 || x >= pattern.width || y >= pattern.height) return null;
+    return { x, y };
+}
+
+// 悬停提示格子坐标和豆子色号
+function handlePixelCanvasHover(e) {
+    const cell = getPixelCellAt(e);
+    if (!cell) {
+        e.currentTarget.title = '';
+        return;
+    }
+    const pattern = appState.pixelPattern;
+    const index = pattern.cells[cell.y * pattern.width + cell.x];
+    const color = index >= 0 ? pattern.palette[index] : null;
+    let label = `第 ${cell.y + 1} 行，第 ${cell.x + 1} 列`;
+    if (!color) label += '：空';
+    else if (color.code) label += `：${color.code} ${color.name}`;
+    else label += `：rgb(${color.rgb.join(', ')})`;
+    e.currentTarget.title = label;
+}
+
+// ===== 像素图编辑（画笔 / 填充 / 吸管 / 替换同色 / 橡皮 + 撤销重做） =====
+
+// 图案变化后刷新画布、分板总览和用豆清单
+function refreshPatternViews() {
+    renderPixelPattern();
+    renderBoardPanels();
+    renderBeadBom();
+}
+
+// 新图案：清空历史并选中第一种颜色
+function resetPixelEditor() {
+    const editor = appState.pixelEditor;
+    editor.colorIndex = 0;
+    editor.undoStack = [];
+    editor.redoStack = [];
+    editor.stroke = null;
+    renderPixelEditor();
+}
+
+function setPixelEditorTool(tool) {
+    appState.pixelEditor.tool = tool;
+    document.querySelectorAll('#pixelEditorToolbar .pixel-tool-btn[data-tool]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.tool === tool);
+    });
+}
+
+function selectPixelEditorColor(index) {
+    appState.pixelEditor.colorIndex = index;
+    if (appState.pixelEditor.tool === 'eraser' || appState.pixelEditor.tool === 'eyedropper') {
+        setPixelEditorTool('pencil');
+    }
+    renderPixelEditor();
+}
+
+// 渲染工具栏状态和调色板侧栏
+function renderPixelEditor() {
+    const pattern = appState.pixelPattern;
+    const editor = appState.pixelEditor;
+    const toolbar = document.getElementById('pixelEditorToolbar');
+    const sidebar = document.getElementById('pixelEditorPalette');
+    if (!pattern) {
+        toolbar.style.display = 'none';
+        sidebar.style.display = 'none';
+        return;
+    }
+    toolbar.style.display = 'flex';
+    sidebar.style.display = 'block';
+    document.getElementById('pixelUndoBtn').disabled = editor.undoStack.length === 0;
+    document.getElementById('pixelRedoBtn').disabled = editor.redoStack.length === 0;
+    
+    const swatches = document.getElementById('pixelEditorSwatches');
+    swatches.innerHTML = '';
+    pattern.palette.forEach((color, index) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'pixel-editor-swatch' + (index === editor.colorIndex ? ' active' : '');
+        const label = color.code || rgbToHex(color.rgb);
+        btn.title = color.code ? `${color.code} ${color.name}` : label;
+        btn.innerHTML = `<span class="pixel-editor-swatch-color" style="background: ${rgbToHex(color.rgb)};"></span><span>${label}</span>`;
+        btn.addEventListener('click', () => selectPixelEditorColor(index));
+        swatches.appendChild(btn);
+    });
+    
+    // 添加颜色：品牌色卡从该品牌剩余颜色中选，自由配色用取色器
+    const addColor = document.getElementById('pixelEditorAddColor');
+    addColor.innerHTML = '';
+    const catalog = pattern.brand ? getBeadCatalog(pattern.brand) : null;
+    if (catalog) {
+        const used = new Set(pattern.palette.map(c => c.code));
+        const select = document.createElement('select');
+        select.innerHTML = '<option value="">+ 添加色卡颜色</option>' + catalog
+            .filter(c => !used.has(c.code))
+            .map(c => `<option value="${c.code}">${c.code} ${c.name}</option>`)
+            .join('');
+        select.addEventListener('change', () => {
+            const color = catalog.find(c => c.code === select.value);
+            if (color) addPixelEditorColor(color);
+        });
+        addColor.appendChild(select);
+    } else {
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.title = '添加自定义颜色';
+        input.value = pattern.palette[editor.colorIndex] ? rgbToHex(pattern.palette[editor.colorIndex].rgb) : '#000000';
+        input.addEventListener('change', () => addPixelEditorColor({ rgb: hexToRgb(input.value), code: null, name: null }));
+        addColor.appendChild(input);
+    }
+}
+
+// 往调色板追加颜色并选中（已存在则直接选中）
+function addPixelEditorColor(color) {
+    const pattern = appState.pixelPattern;
+    const hex = rgbToHex(color.rgb);
+    let index = pattern.palette.findIndex(c => (color.code ? c.code === color.code : !c.code && rgbToHex(c.rgb) === hex));
+    if (index < 0) {
+        pattern.palette.push({ rgb: color.rgb, code: color.code || null, name: color.name || null });
+        index = pattern.palette.length - 1;
+    }
+    selectPixelEditorColor(index);
+}
+
+// 修改一个格子：立即重绘该格，并记录到当前笔画（用于撤销）
+function setPatternCell(cellIndex, value) {
+    const pattern = appState.pixelPattern;
+    const stroke = appState.pixelEditor.stroke;
+    const prev = pattern.cells[cellIndex];
+    if (prev === value) return;
+    if (!stroke.has(cellIndex)) stroke.set(cellIndex, { from: prev, to: value });
+    else stroke.get(cellIndex).to = value;
+    pattern.cells[cellIndex] = value;
+    
+    const gridSize = PIXEL_GRID_SIZE;
+    const x = cellIndex % pattern.width;
+    const y = Math.floor(cellIndex / pattern.width);
+    const ctx = document.getElementById('pixelCanvas').getContext('2d');
+    ctx.clearRect(x * gridSize, y * gridSize, gridSize, gridSize);
+    ctx.save();
+    ctx.translate(x * gridSize, y * gridSize);
+    drawPatternRegion(ctx, pattern, x, y, 1, 1, gridSize);
+    ctx.restore();
+}
+
+// 画笔/橡皮：沿上一个格子到当前格子的直线绘制，快速拖动也不断线
+function paintPatternLine(from, to, value) {
+    const pattern = appState.pixelPattern;
+    let x0 = from.x, y0 = from.y;
+    const dx = Math.abs(to.x - x0), dy = -Math.abs(to.y - y0);
+    const sx = x0 < to.x ? 1 : -1, sy = y0 < to.y ? 1 : -1;
+    let err = dx + dy;
+    while (true) {
+        setPatternCell(y0 * pattern.width + x0, value);
+        if (x0 === to.x && y0 === to.y) break;
+        const e2 = 2 * err;
+        if (e2 >= dy) { err += dy; x0 += sx; }
+        if (e2 <= dx) { err += dx; y0 += sy; }
+    }
+}
+
+// 填充：替换与起点相连（四邻接）的同色格子
+function floodFillPattern(start, value) {
+    const pattern = appState.pixelPattern;
+    const target = pattern.cells[start.y * pattern.width + start.x];
+    if (target === value) return;
+    const stack = [start.y * pattern.width + start.x];
+    while (stack.length > 0) {
+        const i = stack.pop();
+        if (pattern.cells[i] !== target) continue;
+        setPatternCell(i, value);
+        const x = i % pattern.width;
+        if (x > 0) stack.push(i - 1);
+        if (x < pattern.width - 1) stack.push(i + 1);
+        if (i >= pattern.width) stack.push(i - pattern.width);
+        if (i + pattern.width < pattern.cells.length) stack.push(i + pattern.width);
+    }
+}
+
+// 替换同色：整张图中与点击格子同色的格子全部换成当前颜色
+function replacePatternColor(start, value) {
+    const pattern = appState.pixelPattern;
+    const target = pattern.cells[start.y * pattern.width + start.x];
+    if (target === value) return;
+    pattern.cells.forEach((index, i) => {
+        if (index === target) setPatternCell(i, value);
+    });
+}
+
+function handlePixelEditorMouseDown(e) {
+    if (e.button !== 0 || !appState.pixelPattern) return;
+    const cell = getPixelCellAt(e);
+    if (!cell) return;
+    e.preventDefault();
+    const editor = appState.pixelEditor;
+    const pattern = appState.pixelPattern;
+    
+    if (editor.tool === 'eyedropper') {
+        const index = pattern.cells[cell.y * pattern.width + cell.x];
+        if (index >= 0) selectPixelEditorColor(index);
+        return;
+    }
+    
+    const value = editor.tool === 'eraser' ? -1 : editor.colorIndex;
+    if (value >= pattern.palette.length) return;
+    editor.stroke = new Map();
+    if (editor.tool === 'fill') {
+        floodFillPattern(cell, value);
+        finishPixelStroke();
+    } else if (editor.tool === 'replace') {
+        replacePatternColor(cell, value);
+        finishPixelStroke();
+    } else {
+        editor.lastCell = cell;
+        paintPatternLine(cell, cell, value);
+    }
+}
+
+function handlePixelEditorMouseMove(e) {
+    const editor = appState.pixelEditor;
+    if (!editor.stroke || !editor.lastCell) return;
+    const cell = getPixelCellAt(e);
+    if (!cell) return;
+    paintPatternLine(editor.lastCell, cell, editor.tool === 'eraser' ? -1 : editor.colorIndex);
+    editor.lastCell = cell;
+}
+
+// 结束一次编辑：有改动则压入撤销栈，并刷新分板和清单
+function finishPixelStroke() {
+    const editor = appState.pixelEditor;
+    if (!editor.stroke) return;
+    const changes = Array.from(editor.stroke, ([i, change]) => ({ i, from: change.from, to: change.to }))
+        .filter(change => change.from !== change.to);
+    editor.stroke = null;
+    editor.lastCell = null;
+    if (changes.length === 0) return;
+    editor.undoStack.push(changes);
+    editor.redoStack = [];
+    refreshPatternViews();
+    renderPixelEditor();
+}
+
+function applyPatternChanges(changes, useFrom) {
+    const pattern = appState.pixelPattern;
+    changes.forEach(change => {
+        pattern.cells[change.i] = useFrom ? change.from : change.to;
+    });
+    refreshPatternViews();
+    renderPixelEditor();
+}
+
+function undoPixelEdit() {
+    const editor = appState.pixelEditor;
+    const changes = editor.undoStack.pop();
+    if (!changes) return;
+    editor.redoStack.push(changes);
+    applyPatternChanges(changes, true);
+}
+
+function redoPixelEdit() {
+    const editor = appState.pixelEditor;
+    const changes = editor.redoStack.pop();
+    if (!changes) return;
+    editor.undoStack.push(changes);
+    applyPatternChanges(changes, false);
+}
+
+// Ctrl+Z 撤销，Ctrl+Y / Ctrl+Shift+Z 重做（输入框内不拦截）
+function handlePixelEditorKeydown(e) {
+    if (!appState.pixelPattern || !(e.ctrlKey || e.metaKey)) return;
+    if (!document.getElementById('pixelEditorToolbar').offsetParent) return;
+    const tag = e.target.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoPixelEdit();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        redoPixelEdit();
+    }
+}
+
+// 统计图案中每种颜色的豆子数量（按数量从多到少）
+function countBeads(pattern) {
+    const counts = new Array(pattern.palette.length).fill(0);
+    pattern.cells.forEach(index => {
+        if (index >= 0) counts[index]++;
+    });
+    const total = counts.reduce((sum, n) => sum + n, 0);
+    const rows = [];
+    counts.forEach((count, index) => {
+        if (count === 0) return;
+        const color = pattern.palette[index];
+        rows.push({
+            index,
+            code: color.code,
+            name: color.name,
+            hex: rgbToHex(color.rgb),
+            count,
+            percent: total ? (count / total) * 100 : 0
+        });
+    });
+    rows.sort((a, b) => b.count - a.count);
+    return { rows, total };
+}
+
+// 渲染用豆清单
+function renderBeadBom() {
+    const bom = document.getElementById('beadBom');
+    const pattern = appState.pixelPattern;
+    if (!pattern) {
+        bom.style.display = 'none';
+        return;
+    }
+    
+    const { rows, total } = countBeads(pattern);
+    document.getElementById('beadBomSummary').textContent = `共 ${rows.length} 色，${total} 颗（${pattern.width} × ${pattern.height}）`;
+    const body = document.getElementById('beadBomBody');
+    body.innerHTML = '';
+    rows.forEach(row => {
+        const tr = document.createElement('tr');
+        const label = row.code ? `${row.code} ${row.name}` : row.hex;
+        tr.innerHTML = `
+            <td><span class="bead-bom-swatch" style="background: ${row.hex};"></span></td>
+            <td>${label}</td>
+            <td>${row.count}</td>
+            <td>${row.percent.toFixed(1)}%</td>
+        `;
+        body.appendChild(tr);
+    });
+    bom.style.display = 'block';
+}
+
+// CSV 字段转义
+function toCsvField(value) {
+    const str = value == null ? '' : String(value);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// 导出用豆清单为 CSV（带 BOM，Excel 打开中文不乱码）
+function downloadBeadBomCsv() {
+    const pattern = appState.pixelPattern;
+    if (!pattern) {
+        alert('请先转换图片');
+        return;
+    }
+    
+    const { rows } = countBeads(pattern);
+    const brandLabel = pattern.brand && BEAD_PALETTES[pattern.brand] ? BEAD_PALETTES[pattern.brand].label : '';
+    const lines = [['品牌', '色号', '名称', '色值', '数量', '占比'].join(',')];
+    rows.forEach(row => {
+        lines.push([brandLabel, row.code || '', row.name || '', row.hex, row.count, row.percent.toFixed(2) + '%'].map(toCsvField).join(','));
+    });
+    
+    const blob = new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+    const baseName = appState.convertFile ? appState.convertFile.name.replace(/\.\w+$/, '') : 'pattern';
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `beads_${baseName}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
 }
 
 // 确认转换效果
@@ -1166,7 +2951,10 @@ function confirmConvert() {
     appState.convertConfirmed = true;
     document.getElementById('confirmConvertBtn').style.display = 'none';
     document.getElementById('savePixelBtn').style.display = 'block';
+    document.getElementById('savePdfRow').style.display = 'flex';
     document.getElementById('uploadToGalleryBtn').style.display = 'block';
+    const editingImage = appState.editingImageId != null && findImageById(appState.editingImageId);
+    document.getElementById('savePatternChangesBtn').style.display = editingImage && canDeleteImage(editingImage) ? 'block' : 'none';
 }
 
 // 上传转换后的图片到图库
@@ -1186,6 +2974,7 @@ function uploadToGallery() {
     pixelCanvas.toBlob((blob) => {
         const reader = new FileReader();
         reader.onload = (e) => {
+            const patternDoc = serializePattern(appState.pixelPattern);
             const imageData = {
                 id: Date.now() + Math.random(),
                 name: `pixel_${appState.convertFile.name}`,
@@ -1196,15 +2985,15 @@ function uploadToGallery() {
             };
             
             if (appState.useServer) {
-                // 服务器模式：上传到服务器
+                // 服务器模式：上传到服务器（图案文档随图片一起保存）
                 uploadImage({
                     name: imageData.name,
                     dataUrl: imageData.dataUrl,
                     tags: imageData.tags,
-                    keywords: imageData.keywords
-                }).then(uploadedImage => {
-                    appState.images.push(uploadedImage);
-                    renderGallery();
+                    keywords: imageData.keywords,
+                    pattern: patternDoc
+                }).then(() => {
+                    reloadGallery();
                     alert('已上传至图库！');
                     resetConvertArea();
                 }).catch(error => {
@@ -1212,9 +3001,13 @@ function uploadToGallery() {
                     alert('上传失败：' + error.message);
                 });
             } else {
-                // 本地模式：保存到IndexedDB
+                // 本地模式：保存到IndexedDB，图案文档直接存在图片记录里
+                if (patternDoc) {
+                    imageData.pattern = summarizePatternDoc(patternDoc);
+                    imageData.patternDoc = patternDoc;
+                }
                 appState.images.push(imageData);
-                saveData().then(() => {
+                addLocalImages([imageData]).then(() => {
                     renderGallery();
                     alert('已上传至图库！');
                     resetConvertArea();
@@ -1228,6 +3021,125 @@ function uploadToGallery() {
     });
 }
 
+// ===== 图案文档：结构化保存格子数据，便于以后重新打开编辑 =====
+
+// 当前图案 → 可存储的文档（调色板用十六进制色值，格子为按行的下标矩阵）
+function serializePattern(pattern) {
+    if (!pattern) return null;
+    return patternToDocument(pattern, { boardSize: getBoardSize() });
+}
+
+// 文档 → 编辑器使用的图案
+function deserializePattern(doc) {
+    return {
+        width: doc.width,
+        height: doc.height,
+        brand: doc.brand || null,
+        palette: doc.palette.map(c => ({ rgb: hexToRgb(c.hex), code: c.code || null, name: c.name || null })),
+        cells: [].concat(...doc.grid),
+        settings: doc.settings || {}
+    };
+}
+
+// 图片记录上的图案摘要（与服务器一致）
+function summarizePatternDoc(doc) {
+    const used = new Set();
+    doc.grid.forEach(row => row.forEach(v => { if (v >= 0) used.add(v); }));
+    return { width: doc.width, height: doc.height, brand: doc.brand, colorCount: used.size };
+}
+
+// 读取图库图片的图案文档
+async function loadImagePattern(img) {
+    if (appState.useServer) return await fetchImagePattern(img.id);
+    return img.patternDoc || await getImagePattern(img.id);
+}
+
+// 在转换区重新打开图库中的图案继续编辑
+async function openPatternInConverter(img) {
+    let doc;
+    try {
+        doc = await loadImagePattern(img);
+    } catch (error) {
+        console.error('读取图案失败:', error);
+        alert('读取图案失败：' + error.message);
+        return;
+    }
+    
+    const settings = doc.settings || {};
+    if (settings.resolution) document.getElementById('resolutionInput').value = settings.resolution;
+    if (settings.colorCount) document.getElementById('colorCountInput').value = settings.colorCount;
+    document.getElementById('paletteSelect').value = doc.brand || '';
+    document.getElementById('boardSizeSelect').value = String(settings.boardSize || 0);
+    if (settings.dither) document.getElementById('ditherSelect').value = settings.dither;
+    if (settings.colorDistance) document.getElementById('colorDistanceSelect').value = settings.colorDistance;
+    if (settings.ditherStrength != null) {
+        document.getElementById('ditherStrengthInput').value = settings.ditherStrength;
+        updateDitherStrengthLabel();
+    }
+    
+    // 原图位置显示图库中的渲染图，重新转换时以它为源
+    appState.convertFile = { file: null, dataUrl: img.dataUrl, name: img.name.replace(/^pixel_/, '') };
+    const originalCanvas = document.getElementById('originalCanvas');
+    const source = new Image();
+    source.crossOrigin = 'anonymous';
+    source.onload = () => {
+        originalCanvas.width = source.width;
+        originalCanvas.height = source.height;
+        originalCanvas.getContext('2d').drawImage(source, 0, 0);
+    };
+    source.src = img.dataUrl;
+    
+    appState.pixelPattern = deserializePattern(doc);
+    appState.editingImageId = img.id;
+    resetPixelEditor();
+    refreshPatternViews();
+    
+    document.getElementById('convertSettings').style.display = 'block';
+    document.getElementById('convertPreview').style.display = 'grid';
+    document.getElementById('convertUploadArea').style.display = 'none';
+    document.getElementById('convertActions').style.display = 'flex';
+    confirmConvert();
+    
+    window.location.hash = '';
+    showGalleryPage();
+    document.getElementById('convertSection').scrollIntoView({ behavior: 'smooth' });
+}
+
+// 把编辑后的图案保存回原图片（替换图库中的渲染图和图案文档）
+function savePatternChanges() {
+    const img = findImageById(appState.editingImageId);
+    if (!img || !appState.pixelPattern) {
+        alert('找不到要保存的原图片');
+        return;
+    }
+    
+    const patternDoc = serializePattern(appState.pixelPattern);
+    const pixelCanvas = document.getElementById('pixelCanvas');
+    pixelCanvas.toBlob((blob) => {
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            try {
+                if (appState.useServer) {
+                    const updated = await updateImagePattern(img.id, patternDoc, e.target.result);
+                    Object.assign(img, updated);
+                } else {
+                    img.dataUrl = e.target.result;
+                    img.pattern = summarizePatternDoc(patternDoc);
+                    img.patternDoc = patternDoc;
+                    Object.assign(img, await analyzeLocalImage(img.dataUrl));
+                    await saveImage(img);
+                }
+                renderGallery();
+                alert('修改已保存');
+            } catch (error) {
+                console.error('保存修改失败:', error);
+                alert('保存修改失败：' + error.message);
+            }
+        };
+        reader.readAsDataURL(blob);
+    });
+}
+
 // 保存像素图
 function savePixelImage() {
     const pixelCanvas = document.getElementById('pixelCanvas');
@@ -1247,17 +3159,62 @@ function savePixelImage() {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = fileName;
+        a.download = fileName;
+        a.click();
+        URL.revokeObjectURL(url);
+    });
+}
+
+// 导出可打印的 PDF 图纸（符号 + 行列号 + 图例，自动分页）
+async function savePatternPdf() {
+    const pattern = appState.pixelPattern;
+    if (!pattern) {
+        alert('请先转换图片');
+        return;
+    }
+    
+    if (!appState.convertConfirmed) {
+        alert('请先确认转换效果');
+        return;
+    }
+    
+    const btn = document.getElementById('savePdfBtn');
+    const originalText = btn.textContent;
+    btn.disabled = true;
+    btn.textContent = '生成中...';
+    try {
+        const baseName = appState.convertFile ? appState.convertFile.name.replace(/\.\w+$/, '') : 'pattern';
+        const blob = await buildPatternPdf(pattern, countBeads(pattern).rows, {
+            pageSize: document.getElementById('pdfPageSizeSelect').value,
+            title: baseName
+        });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `pattern_${baseName}.pdf`;
         a.click();
         URL.revokeObjectURL(url);
-    });
+    } catch (error) {
+        console.error('导出 PDF 失败:', error);
+        alert('导出 PDF 失败：' + error.message);
+    } finally {
+        btn.disabled = false;
+        btn.textContent = originalText;
+    }
 }
 
 // 重置转换区域，方便继续转换下一张
 function resetConvertArea() {
+    cancelConvertJob();
+    hideConvertProgress();
     appState.convertFile = null;
     appState.convertConfirmed = false;
     appState.currentImageForConvert = null;
+    appState.pixelPattern = null;
+    appState.editingImageId = null;
+    resetPixelEditor();
+    renderBoardPanels();
+    renderBeadBom();
     
     // 清空画布
     const originalCanvas = document.getElementById('originalCanvas');
@@ -1333,15 +3290,18 @@ async function deleteSelected() {
                 // 服务器模式：通过API删除
                 await deleteImages(idsToDelete);
             } else {
-                // 本地模式：从IndexedDB删除
-                await deleteImages(idsToDelete);
+                // 本地模式：从IndexedDB删除（主键为图片原始 id，选中集合里是字符串）
+                await deleteLocalImages(appState.images
+                    .filter(img => appState.selectedImages.has(String(img.id)))
+                    .map(img => img.id));
             }
             
             // 从内存中移除（统一转为字符串比较，避免类型不一致）
             appState.images = appState.images.filter(img => !appState.selectedImages.has(String(img.id)));
             await saveData();
             cancelSelectMode();
-            renderGallery();
+            reloadGallery();
+            loadCollections();
         } catch (error) {
             console.error('删除失败:', error);
             alert('删除失败：' + error.message);
@@ -1349,6 +3309,115 @@ async function deleteSelected() {
     }
 }
 
+// ===== 批量标签操作（添加 / 移除 / 替换） =====
+const BATCH_TAG_TITLES = { add: '添加标签', remove: '移除标签', replace: '替换标签' };
+let batchTagMode = 'add';
+
+function splitTagInput(value) {
+    return Array.from(new Set(value.split(/[,，]/).map(t => t.trim()).filter(t => t)));
+}
+
+function showBatchTagModal(mode) {
+    if (appState.selectedImages.size === 0) {
+        alert('请先选择要修改的图片');
+        return;
+    }
+    batchTagMode = mode;
+    document.getElementById('batchTagTitle').textContent = BATCH_TAG_TITLES[mode];
+    document.getElementById('batchTagHint').textContent = appState.useServer && !appState.isCreator
+        ? `已选择 ${appState.selectedImages.size} 张，仅会修改你自己上传的图片`
+        : `已选择 ${appState.selectedImages.size} 张`;
+    document.getElementById('batchTagInput').style.display = mode === 'replace' ? 'none' : '';
+    document.getElementById('batchReplaceFields').style.display = mode === 'replace' ? '' : 'none';
+    ['batchTagInput', 'batchTagFromInput', 'batchTagToInput'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    
+    // 候选：标签池 + 选中图片已有的标签
+    const options = new Set([...initialTags, ...appState.customTags.map(t => t.name)]);
+    appState.images
+        .filter(img => appState.selectedImages.has(String(img.id)))
+        .forEach(img => (img.tags || []).forEach(tag => options.add(tag)));
+    document.getElementById('batchTagOptions').innerHTML = Array.from(options)
+        .map(tag => `<option value="${tag.replace(/"/g, '&quot;')}"></option>`).join('');
+    
+    document.getElementById('batchTagModal').style.display = 'flex';
+    document.getElementById(mode === 'replace' ? 'batchTagFromInput' : 'batchTagInput').focus();
+}
+
+function hideBatchTagModal() {
+    document.getElementById('batchTagModal').style.display = 'none';
+}
+
+// 与服务端 applyTagOperation 规则一致（本地模式使用）
+function applyTagOperation(tags, operation) {
+    let result = [...(tags || [])];
+    if (operation.replaceTag) {
+        const { from, to } = operation.replaceTag;
+        if (result.includes(from)) {
+            result = result.includes(to) ? result.filter(t => t !== from) : result.map(t => (t === from ? to : t));
+        }
+    }
+    if (operation.removeTags.length > 0) {
+        result = result.filter(t => !operation.removeTags.includes(t));
+    }
+    operation.addTags.forEach(tag => {
+        if (!result.includes(tag)) result.push(tag);
+    });
+    return result;
+}
+
+async function confirmBatchTagOperation() {
+    const operation = { addTags: [], removeTags: [] };
+    if (batchTagMode === 'replace') {
+        const from = document.getElementById('batchTagFromInput').value.trim();
+        const to = document.getElementById('batchTagToInput').value.trim();
+        if (!from || !to) {
+            alert('请填写原标签和新标签');
+            return;
+        }
+        operation.replaceTag = { from, to };
+    } else {
+        const tags = splitTagInput(document.getElementById('batchTagInput').value);
+        if (tags.length === 0) {
+            alert('请输入标签');
+            return;
+        }
+        operation[batchTagMode === 'add' ? 'addTags' : 'removeTags'] = tags;
+    }
+    
+    const confirmBtn = document.getElementById('batchTagConfirmBtn');
+    confirmBtn.disabled = true;
+    try {
+        let updatedImages;
+        let skipped = 0;
+        if (appState.useServer) {
+            const result = await batchUpdateImages(Array.from(appState.selectedImages), operation);
+            updatedImages = result.images;
+            skipped = result.skipped;
+        } else {
+            const ids = appState.images.filter(img => appState.selectedImages.has(String(img.id))).map(img => img.id);
+            updatedImages = await updateImageRecords(ids, record => ({ ...record, tags: applyTagOperation(record.tags, operation) }));
+        }
+        
+        // 同步内存中的图库记录
+        const tagsById = new Map(updatedImages.map(img => [String(img.id), img.tags]));
+        appState.images.forEach(img => {
+            if (tagsById.has(String(img.id))) img.tags = tagsById.get(String(img.id));
+        });
+        hideBatchTagModal();
+        renderGallery();
+        if (skipped > 0) {
+            alert(`已修改 ${updatedImages.length} 张，${skipped} 张无权修改已跳过`);
+        }
+    } catch (error) {
+        console.error('批量修改标签失败:', error);
+        alert('批量修改标签失败：' + error.message);
+    } finally {
+        confirmBtn.disabled = false;
+    }
+}
+
 // 下载选中的图片
 function downloadSelected() {
     if (appState.selectedImages.size === 0) {
@@ -1371,6 +3440,434 @@ function downloadSelected() {
     cancelSelectMode();
 }
 
+// ===== 合集：按手动顺序排列的一组图片，可设封面和描述 =====
+// 服务器模式下登录后才能新建，合集的创建者（及管理员、创作者）可修改；本地模式保存在 IndexedDB
+let collectionModalMode = 'create';   // 'create' | 'edit'（编辑合集页当前合集）
+
+function canCreateCollection() {
+    return !appState.useServer || !!appState.user;
+}
+
+// 本地合集记录转为与服务端相同的形式：images 按合集内顺序（已删除的图片不计），封面未设置时用第一张
+function toLocalCollectionView(record) {
+    const imagesById = new Map(appState.images.map(img => [String(img.id), img]));
+    const images = (record.imageIds || []).map(id => imagesById.get(String(id))).filter(Boolean);
+    const cover = images.find(img => String(img.id) === String(record.coverImageId)) || images[0];
+    return {
+        ...record,
+        images,
+        imageCount: images.length,
+        coverThumbnailUrl: cover ? cover.thumbnailUrl || cover.dataUrl : null,
+        canEdit: true
+    };
+}
+
+// 合集列表（最近修改的在前）
+function getCollectionList() {
+    if (appState.useServer) return appState.collections;
+    return appState.collections.map(toLocalCollectionView).sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+async function loadCollections() {
+    try {
+        appState.collections = appState.useServer ? await fetchCollections() : await getLocalCollections();
+    } catch (error) {
+        console.error('获取合集失败:', error);
+        appState.collections = [];
+    }
+    renderCollections();
+}
+
+function renderCollections() {
+    const collections = getCollectionList();
+    const canCreate = canCreateCollection();
+    document.getElementById('collectionsSection').style.display = collections.length > 0 || canCreate ? '' : 'none';
+    document.getElementById('newCollectionBtn').style.display = canCreate ? '' : 'none';
+    document.getElementById('addToCollectionSelectedBtn').style.display = canCreate ? '' : 'none';
+    const list = document.getElementById('collectionsList');
+    list.innerHTML = '';
+    if (collections.length === 0) {
+        list.innerHTML = '<div class="collections-empty">还没有合集。新建合集，或在图库中点「选择」选中图片后「加入合集」。</div>';
+        return;
+    }
+    collections.forEach(collection => list.appendChild(createCollectionCard(collection)));
+}
+
+function createCollectionCard(collection) {
+    const card = document.createElement('div');
+    card.className = 'collection-card';
+    const cover = document.createElement('div');
+    cover.className = 'collection-card-cover';
+    if (collection.coverThumbnailUrl) {
+        const img = document.createElement('img');
+        img.src = collection.coverThumbnailUrl;
+        img.alt = collection.name;
+        img.loading = 'lazy';
+        cover.appendChild(img);
+    }
+    const name = document.createElement('div');
+    name.className = 'collection-card-name';
+    name.textContent = collection.name;
+    name.title = collection.name;
+    const count = document.createElement('div');
+    count.className = 'collection-card-count';
+    count.textContent = `${collection.imageCount} 张`;
+    card.append(cover, name, count);
+    card.addEventListener('click', () => {
+        appState.scrollPosition = window.scrollY;
+        window.location.hash = `#/collection/${collection.id}`;
+    });
+    return card;
+}
+
+async function showCollectionPage(collectionId) {
+    let collection = null;
+    if (appState.useServer) {
+        const hash = window.location.hash;
+        try {
+            collection = await fetchCollection(collectionId);
+        } catch (error) {
+            console.error('获取合集失败:', error);
+        }
+        if (window.location.hash !== hash) return; // 等待期间已离开合集页
+    } else {
+        const record = appState.collections.find(c => String(c.id) === String(collectionId));
+        collection = record ? toLocalCollectionView(record) : null;
+    }
+    if (!collection) {
+        showGalleryPage();
+        return;
+    }
+    appState.shareView = null;
+    openCollectionView(collection);
+}
+
+function openCollectionView(collection) {
+    appState.collectionView = collection;
+    document.querySelector('.container').style.display = 'none';
+    document.getElementById('detailPage').style.display = 'none';
+    document.getElementById('collectionPage').style.display = 'block';
+    removeDetailImageZoom();
+    renderCollectionPage();
+}
+
+function renderCollectionPage() {
+    const collection = appState.collectionView;
+    const shareView = appState.shareView;
+    const editable = !shareView && !!collection.canEdit;
+    
+    const banner = document.getElementById('collectionSharedBanner');
+    banner.style.display = shareView ? '' : 'none';
+    if (shareView) banner.textContent = describeShareView(shareView);
+    
+    document.getElementById('collectionTitle').textContent = collection.name;
+    const meta = [`${collection.images.length} 张图片`];
+    if (collection.ownerName) meta.push(`${collection.ownerName} 创建`);
+    if (collection.updatedAt) meta.push(`更新于 ${formatAccountDate(collection.updatedAt)}`);
+    document.getElementById('collectionMeta').textContent = meta.join(' · ');
+    const description = document.getElementById('collectionDescription');
+    description.textContent = collection.description || '';
+    description.style.display = collection.description ? '' : 'none';
+    
+    document.getElementById('collectionActions').style.display = editable ? '' : 'none';
+    document.getElementById('collectionShareBtn').style.display = appState.useServer && appState.user ? '' : 'none';
+    
+    const grid = document.getElementById('collectionGrid');
+    grid.innerHTML = '';
+    if (collection.images.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'collection-grid-empty';
+        empty.textContent = editable ? '合集里还没有图片。在图库中点「选择」，选中图片后点「加入合集」。' : '合集里还没有图片';
+        grid.appendChild(empty);
+        return;
+    }
+    collection.images.forEach((img, index) => grid.appendChild(createCollectionItem(img, index, editable)));
+}
+
+// 合集页的图片：点击图片打开详情；可修改时显示前移、后移、设为封面、移出
+function createCollectionItem(img, index, editable) {
+    const collection = appState.collectionView;
+    const isCover = collection.coverImageId != null && String(collection.coverImageId) === String(img.id);
+    const item = document.createElement('div');
+    item.className = 'detail-similar-item';
+    if (isCover) {
+        const badge = document.createElement('span');
+        badge.className = 'detail-similar-badge';
+        badge.textContent = '封面';
+        item.appendChild(badge);
+    }
+    const thumb = document.createElement('img');
+    thumb.src = img.thumbnailUrl || img.dataUrl;
+    thumb.alt = img.name;
+    thumb.loading = 'lazy';
+    thumb.addEventListener('click', () => openCollectionImage(img));
+    const name = document.createElement('div');
+    name.className = 'detail-similar-name';
+    name.textContent = img.name;
+    name.title = img.name;
+    item.append(thumb, name);
+    if (!editable) return item;
+    
+    const actions = document.createElement('div');
+    actions.className = 'collection-item-actions';
+    const addAction = (label, title, disabled, handler) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = label;
+        btn.title = title;
+        btn.disabled = disabled;
+        btn.addEventListener('click', handler);
+        actions.appendChild(btn);
+    };
+    addAction('←', '前移', index === 0, () => moveCollectionImage(index, -1));
+    addAction('→', '后移', index === collection.images.length - 1, () => moveCollectionImage(index, 1));
+    addAction('设为封面', '设为合集封面', isCover, () => saveCollectionChanges({ coverImageId: img.id }));
+    addAction('移出', '移出合集（不删除图片）', false, () => removeCollectionImage(img));
+    item.appendChild(actions);
+    return item;
+}
+
+function openCollectionImage(img) {
+    const shareView = appState.shareView;
+    if (shareView) {
+        window.location.hash = `#/share/${encodeURIComponent(shareView.token)}/${encodeURIComponent(img.id)}`;
+        return;
+    }
+    // 合集中的图片可能不在已加载的图库分页中，先记下以免详情页重新请求
+    appState.detailImage = img;
+    window.location.hash = `#/detail/${img.id}`;
+}
+
+function moveCollectionImage(index, offset) {
+    const ids = appState.collectionView.images.map(img => img.id);
+    const target = index + offset;
+    if (target < 0 || target >= ids.length) return;
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    saveCollectionChanges({ imageIds: ids });
+}
+
+function removeCollectionImage(img) {
+    if (!confirm(`确定要把「${img.name}」移出合集吗？图片本身不会被删除。`)) return;
+    const ids = appState.collectionView.images.map(i => i.id).filter(id => String(id) !== String(img.id));
+    saveCollectionChanges({ imageIds: ids });
+}
+
+// 修改合集页当前合集：updates 为 { name, description, coverImageId, imageIds } 的任意子集
+async function saveCollectionChanges(updates) {
+    const current = appState.collectionView;
+    if (!current) return;
+    try {
+        if (appState.useServer) {
+            appState.collectionView = await updateCollection(current.id, updates);
+            loadCollections();
+        } else {
+            const record = appState.collections.find(c => c.id === current.id);
+            if (!record) return;
+            Object.assign(record, updates, { updatedAt: Date.now() });
+            // 与服务端一致：封面图片被移出合集时取消封面
+            if (record.coverImageId != null && !record.imageIds.some(id => String(id) === String(record.coverImageId))) {
+                record.coverImageId = null;
+            }
+            await saveLocalCollections(appState.collections);
+            appState.collectionView = toLocalCollectionView(record);
+            renderCollections();
+        }
+        renderCollectionPage();
+    } catch (error) {
+        console.error('保存合集失败:', error);
+        alert('保存合集失败：' + error.message);
+    }
+}
+
+// 新建合集（可带初始图片），返回新合集
+async function createNewCollection({ name, description = '', imageIds = [] }) {
+    if (appState.useServer) {
+        const collection = await createCollection({ name, description, imageIds });
+        await loadCollections();
+        return collection;
+    }
+    const now = Date.now();
+    const record = { id: now, name, description, coverImageId: null, imageIds, createdAt: now, updatedAt: now };
+    appState.collections.push(record);
+    await saveLocalCollections(appState.collections);
+    renderCollections();
+    return record;
+}
+
+function showCollectionModal(mode) {
+    const collection = mode === 'edit' ? appState.collectionView : null;
+    if (mode === 'edit' && !collection) return;
+    collectionModalMode = mode;
+    document.getElementById('collectionModalTitle').textContent = collection ? '编辑合集' : '新建合集';
+    document.getElementById('collectionNameInput').value = collection ? collection.name : '';
+    document.getElementById('collectionDescriptionInput').value = collection ? collection.description || '' : '';
+    document.getElementById('collectionModal').style.display = 'flex';
+    document.getElementById('collectionNameInput').focus();
+}
+
+function hideCollectionModal() {
+    document.getElementById('collectionModal').style.display = 'none';
+}
+
+async function confirmCollectionModal() {
+    const name = document.getElementById('collectionNameInput').value.trim();
+    const description = document.getElementById('collectionDescriptionInput').value.trim();
+    if (!name) {
+        alert('请输入合集名称');
+        return;
+    }
+    if (collectionModalMode === 'edit') {
+        hideCollectionModal();
+        await saveCollectionChanges({ name, description });
+        return;
+    }
+    try {
+        const collection = await createNewCollection({ name, description });
+        hideCollectionModal();
+        appState.scrollPosition = window.scrollY;
+        window.location.hash = `#/collection/${collection.id}`;
+    } catch (error) {
+        alert('新建合集失败：' + error.message);
+    }
+}
+
+async function handleDeleteCollection() {
+    const collection = appState.collectionView;
+    if (!collection || !confirm(`确定要删除合集「${collection.name}」吗？合集中的图片不会被删除。`)) return;
+    try {
+        if (appState.useServer) {
+            await deleteCollection(collection.id);
+            await loadCollections();
+        } else {
+            appState.collections = appState.collections.filter(c => c.id !== collection.id);
+            await saveLocalCollections(appState.collections);
+            renderCollections();
+        }
+        window.location.hash = '';
+    } catch (error) {
+        alert('删除合集失败：' + error.message);
+    }
+}
+
+// 选择模式下把选中的图片加入合集：可选已有的（可修改的）合集，或新建一个
+function showAddToCollectionModal() {
+    if (appState.selectedImages.size === 0) {
+        alert('请先选择要加入合集的图片');
+        return;
+    }
+    const select = document.getElementById('addToCollectionSelect');
+    select.innerHTML = '';
+    getCollectionList().filter(c => c.canEdit).forEach(collection => {
+        const option = document.createElement('option');
+        option.value = String(collection.id);
+        option.textContent = `${collection.name}（${collection.imageCount} 张）`;
+        select.appendChild(option);
+    });
+    const newOption = document.createElement('option');
+    newOption.value = '';
+    newOption.textContent = '＋ 新建合集';
+    select.appendChild(newOption);
+    document.getElementById('addToCollectionHint').textContent = `已选择 ${appState.selectedImages.size} 张，加到合集末尾（已在合集中的跳过）`;
+    document.getElementById('addToCollectionNameInput').value = '';
+    updateAddToCollectionForm();
+    document.getElementById('addToCollectionModal').style.display = 'flex';
+}
+
+function hideAddToCollectionModal() {
+    document.getElementById('addToCollectionModal').style.display = 'none';
+}
+
+function updateAddToCollectionForm() {
+    const isNew = !document.getElementById('addToCollectionSelect').value;
+    document.getElementById('addToCollectionNameInput').style.display = isNew ? '' : 'none';
+    if (isNew) document.getElementById('addToCollectionNameInput').focus();
+}
+
+async function confirmAddToCollection() {
+    const collectionId = document.getElementById('addToCollectionSelect').value;
+    const name = document.getElementById('addToCollectionNameInput').value.trim();
+    if (!collectionId && !name) {
+        alert('请输入新合集的名称');
+        return;
+    }
+    // 本地模式的主键为图片原始 id，选中集合里是字符串
+    const imageIds = appState.useServer
+        ? Array.from(appState.selectedImages)
+        : appState.images.filter(img => appState.selectedImages.has(String(img.id))).map(img => img.id);
+    const confirmBtn = document.getElementById('addToCollectionConfirmBtn');
+    confirmBtn.disabled = true;
+    try {
+        if (!collectionId) {
+            await createNewCollection({ name, imageIds });
+        } else if (appState.useServer) {
+            await addImagesToCollection(collectionId, imageIds);
+            await loadCollections();
+        } else {
+            const record = appState.collections.find(c => String(c.id) === collectionId);
+            const existing = new Set(record.imageIds.map(String));
+            record.imageIds.push(...imageIds.filter(id => !existing.has(String(id))));
+            record.updatedAt = Date.now();
+            await saveLocalCollections(appState.collections);
+            renderCollections();
+        }
+        hideAddToCollectionModal();
+        cancelSelectMode();
+    } catch (error) {
+        console.error('加入合集失败:', error);
+        alert('加入合集失败：' + error.message);
+    } finally {
+        confirmBtn.disabled = false;
+    }
+}
+
+// ===== 同步状态：本地修改推送到服务器、拉取服务器上的变化（见 sync.js） =====
+const SYNC_TYPE_LABELS = { upload: '上传', update: '修改', pattern: '修改图案', delete: '删除', completion: '完成状态', 'tag-list': '标签列表' };
+
+function initSyncStatus() {
+    const button = document.getElementById('syncStatus');
+    button.style.display = '';
+    button.addEventListener('click', () => scheduleSync(0));
+    onSyncStatus(renderSyncStatus);
+    startSync(handleSyncResult, askToUploadLocalImages).catch(error => console.error('启动同步失败:', error));
+}
+
+// 只在本地的图片上传前先询问：上传后的图片是公开的
+function askToUploadLocalImages(count) {
+    return confirm(`有 ${count} 张图片只保存在本地，是否上传到服务器？\n上传后的图片是公开的，所有人都能在图库中看到。\n\n确定：上传\n取消：暂不上传（仍保存在本地，下次打开页面时再询问）`);
+}
+
+function renderSyncStatus(status) {
+    const button = document.getElementById('syncStatus');
+    const pendingText = status.pending > 0 ? ` · ${status.pending} 项待同步` : '';
+    const labels = {
+        idle: '未同步' + pendingText,
+        syncing: '同步中…',
+        synced: status.pending > 0 ? `待同步 ${status.pending} 项` : '已同步',
+        offline: '离线' + pendingText,
+        error: '同步失败' + pendingText
+    };
+    const rejected = status.rejected || [];
+    button.textContent = labels[status.state] + (rejected.length > 0 ? ` · ${rejected.length} 项未同步` : '');
+    button.className = `sync-status sync-status-${status.state}` + (rejected.length > 0 ? ' sync-status-rejected' : '');
+
+    const lines = [status.lastSyncAt ? `上次同步：${new Date(status.lastSyncAt).toLocaleString('zh-CN')}` : '尚未同步'];
+    if (status.state === 'error' && status.error) lines.push(`错误：${status.error}`);
+    if (rejected.length > 0) {
+        lines.push('服务器拒绝、未能同步的修改：');
+        rejected.slice(-10).forEach(item => {
+            lines.push(`· ${SYNC_TYPE_LABELS[item.type] || item.type}${item.name ? `「${item.name}」` : ''}：${item.reason}`);
+        });
+    }
+    lines.push('点击立即同步');
+    button.title = lines.join('\n');
+}
+
+// 同步后刷新页面数据：本地模式下推送或拉取到变化时；服务器模式下页面直接读服务器，只在推送了离线修改时
+function handleSyncResult(result) {
+    if (result.pushed === 0 && (appState.useServer || result.changed === 0)) return;
+    loadDataAndRender();
+}
+
 // 路由功能
 function initRouter() {
     handleRouteChange();
@@ -1381,6 +3878,15 @@ function handleRouteChange() {
     if (hash && hash.startsWith('#/detail/')) {
         const imageId = hash.replace('#/detail/', '');
         showDetailPage(imageId);
+    } else if (hash && hash.startsWith('#/collection/')) {
+        showCollectionPage(decodeURIComponent(hash.replace('#/collection/', '')));
+    } else if (hash && hash.startsWith('#/share/')) {
+        // #/share/<令牌>，分享合集中的图片为 #/share/<令牌>/<图片 ID>
+        const [token, imageId] = hash.replace('#/share/', '').split('/').map(decodeURIComponent);
+        showSharedPage(token, imageId || null);
+    } else if (hash && hash.startsWith('#/invite/')) {
+        showGalleryPage();
+        openInviteLink(decodeURIComponent(hash.replace('#/invite/', '')));
     } else {
         showGalleryPage();
     }
@@ -1391,15 +3897,38 @@ function navigateToDetail(imageId) {
     showDetailPage(imageId);
 }
 
-function showDetailPage(imageId) {
+// 按 ID 查找图片：先查已加载的图库，再查详情页当前图片
+function findImageById(imageId) {
     const img = appState.images.find(i => i.id == imageId);
+    if (img) return img;
+    return appState.detailImage && appState.detailImage.id == imageId ? appState.detailImage : null;
+}
+
+async function showDetailPage(imageId) {
+    let img = findImageById(imageId);
+    // 服务器模式下图库分页加载，直接打开的链接可能指向尚未加载的图片
+    if (!img && appState.useServer) {
+        try {
+            img = await fetchImage(imageId);
+        } catch (error) {
+            console.error('获取图片失败:', error);
+        }
+        if (window.location.hash !== `#/detail/${imageId}`) return; // 等待期间已离开详情页
+    }
     if (!img) {
         showGalleryPage();
         return;
     }
+    appState.shareView = null;
+    openDetailView(img);
+}
+
+function openDetailView(img) {
+    appState.detailImage = img;
     
-    // 隐藏图库页面
+    // 隐藏图库页面与合集页
     document.querySelector('.container').style.display = 'none';
+    document.getElementById('collectionPage').style.display = 'none';
     // 显示详情页
     document.getElementById('detailPage').style.display = 'block';
     
@@ -1410,11 +3939,61 @@ function showDetailPage(imageId) {
     setupDetailImageZoom();
 }
 
+// 通过分享链接只读查看：不显示编辑、完成状态、相似图片等，每次打开计一次查看
+// 分享的是合集时先显示合集页，imageId 为合集中要打开的图片；在合集与其中的图片之间切换不再重复计数
+async function showSharedPage(token, imageId = null) {
+    if (!appState.useServer) {
+        showGalleryPage();
+        return;
+    }
+    let shareView = appState.shareView && appState.shareView.token === token ? appState.shareView : null;
+    if (!shareView) {
+        const hash = window.location.hash;
+        let shared;
+        try {
+            shared = await fetchSharedItem(token);
+        } catch (error) {
+            if (window.location.hash !== hash) return;
+            alert(error.message);
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+            showGalleryPage();
+            return;
+        }
+        if (window.location.hash !== hash) return; // 等待期间已离开分享页
+        shareView = {
+            token,
+            expiresAt: shared.expiresAt,
+            viewsLeft: shared.viewsLeft,
+            image: shared.image || null,
+            collection: shared.collection ? { ...shared.collection, images: shared.images || [] } : null
+        };
+    }
+    appState.shareView = shareView;
+    if (!shareView.collection) {
+        openDetailView(shareView.image);
+        return;
+    }
+    const img = imageId != null ? shareView.collection.images.find(i => String(i.id) === String(imageId)) : null;
+    if (img) openDetailView(img);
+    else openCollectionView(shareView.collection);
+}
+
+// 分享页顶部的提示：只读、有效期、剩余打开次数
+function describeShareView(shareView) {
+    const notes = ['你正在通过分享链接查看（只读）'];
+    if (shareView.expiresAt) notes.push(`链接 ${new Date(shareView.expiresAt).toLocaleString('zh-CN')} 前有效`);
+    if (shareView.viewsLeft != null) notes.push(`还可打开 ${shareView.viewsLeft} 次`);
+    return notes.join(' · ');
+}
+
 function showGalleryPage() {
+    appState.shareView = null;
+    appState.collectionView = null;
     // 显示图库页面
     document.querySelector('.container').style.display = 'block';
-    // 隐藏详情页
+    // 隐藏详情页与合集页
     document.getElementById('detailPage').style.display = 'none';
+    document.getElementById('collectionPage').style.display = 'none';
     
     // 刷新图库（确保勾选「已完成」后角标立即更新）
     renderGallery();
@@ -1431,6 +4010,13 @@ function showGalleryPage() {
 }
 
 function goBackToGallery() {
+    // 分享链接通常是直接打开的，没有可以后退到的图库页面；分享合集中的图片返回合集
+    const shareView = appState.shareView;
+    if (shareView) {
+        const inCollection = shareView.collection && document.getElementById('detailPage').style.display !== 'none';
+        window.location.hash = inCollection ? `#/share/${encodeURIComponent(shareView.token)}` : '';
+        return;
+    }
     window.history.back();
 }
 
@@ -1473,6 +4059,7 @@ function loadDetailPageData(img) {
     
     // 设置名称
     detailName.textContent = img.name;
+    document.getElementById('detailVisibility').textContent = IMAGE_VISIBILITIES[img.visibility] || '';
     
     // 设置标签
     detailTags.innerHTML = '';
@@ -1487,6 +4074,30 @@ function loadDetailPageData(img) {
         detailTags.innerHTML = '<span style="color: rgba(255,255,255,0.5);">无标签</span>';
     }
     
+    // 描述与图案信息（显示与否由 setupDetailEdit 决定）
+    document.getElementById('detailDescription').textContent = img.description || '';
+    const metaList = document.getElementById('detailMetaList');
+    metaList.innerHTML = '';
+    describeImageMeta(img).forEach(([label, text]) => {
+        const dt = document.createElement('dt');
+        dt.textContent = label;
+        const dd = document.createElement('dd');
+        dd.textContent = text;
+        metaList.append(dt, dd);
+    });
+    
+    // 图案数据（像素画转换结果可重新打开编辑）
+    const patternItem = document.getElementById('detailPatternItem');
+    if (img.pattern) {
+        const brandLabel = img.pattern.brand && BEAD_PALETTES[img.pattern.brand] ? ` · ${BEAD_PALETTES[img.pattern.brand].label}` : '';
+        document.getElementById('detailPattern').textContent = `${img.pattern.width} × ${img.pattern.height} 格 · ${img.pattern.colorCount} 色${brandLabel}`;
+        document.getElementById('detailOpenPatternBtn').onclick = () => openPatternInConverter(img);
+        document.getElementById('detailOpenPatternBtn').style.display = appState.shareView ? 'none' : '';
+        patternItem.style.display = '';
+    } else {
+        patternItem.style.display = 'none';
+    }
+    
     // 设置文件格式
     const format = img.name.split('.').pop().toUpperCase() || 'PNG';
     detailFormat.textContent = format;
@@ -1497,6 +4108,18 @@ function loadDetailPageData(img) {
     const sizeInKB = (sizeInBytes / 1024).toFixed(2);
     detailSize.textContent = `${sizeInKB} KB`;
     
+    // 分享链接的只读查看到此为止
+    const shareView = appState.shareView;
+    const banner = document.getElementById('detailSharedBanner');
+    banner.style.display = shareView ? '' : 'none';
+    document.querySelector('.detail-completed-item').style.display = shareView ? 'none' : '';
+    if (shareView) {
+        banner.textContent = describeShareView(shareView);
+        setupDetailEdit(img);
+        document.getElementById('detailSimilar').style.display = 'none';
+        return;
+    }
+    
     // 完成状态勾选（先更新本地状态再请求，失败则回滚）
     const checkbox = document.getElementById('detailCompletedCheckbox');
     if (checkbox) {
@@ -1523,6 +4146,199 @@ function loadDetailPageData(img) {
             }
         };
     }
+    
+    // 编辑入口（有修改权限时显示）
+    setupDetailEdit(img);
+    
+    loadSimilarImages(img);
+}
+
+// 详情页底部的相似图片：几乎相同的标「重复」，其余标「相似」，点击打开该图片
+const DETAIL_SIMILAR_LIMIT = 12;
+
+async function loadSimilarImages(img) {
+    const section = document.getElementById('detailSimilar');
+    const list = document.getElementById('detailSimilarList');
+    section.style.display = 'none';
+    list.innerHTML = '';
+    
+    let items;
+    try {
+        if (appState.useServer) {
+            items = await fetchSimilarImages(img.id, DETAIL_SIMILAR_LIMIT);
+        } else {
+            await ensureLocalImageAnalysis();
+            items = img.perceptualHash
+                ? findSimilarByHash(img.perceptualHash, appState.images, { excludeId: img.id, limit: DETAIL_SIMILAR_LIMIT })
+                    .map(({ image, distance }) => ({ ...image, distance, duplicate: distance <= DUPLICATE_HASH_DISTANCE }))
+                : [];
+        }
+    } catch (error) {
+        console.error('获取相似图片失败:', error);
+        return;
+    }
+    // 等待期间已切换到别的图片
+    if (!appState.detailImage || appState.detailImage.id != img.id || items.length === 0) return;
+    
+    items.forEach(item => {
+        const card = document.createElement('div');
+        card.className = 'detail-similar-item';
+        card.title = item.name;
+        const thumb = document.createElement('img');
+        thumb.src = item.thumbnailUrl || item.dataUrl;
+        thumb.alt = item.name;
+        thumb.loading = 'lazy';
+        const badge = document.createElement('span');
+        badge.className = 'detail-similar-badge' + (item.duplicate ? ' duplicate' : '');
+        badge.textContent = item.duplicate ? '重复' : '相似';
+        const name = document.createElement('div');
+        name.className = 'detail-similar-name';
+        name.textContent = item.name;
+        card.append(thumb, badge, name);
+        card.addEventListener('click', () => {
+            // 服务器模式下相似图片可能不在已加载的图库中，先记下供详情页直接使用
+            if (!findImageById(item.id)) appState.detailImage = item;
+            navigateToDetail(item.id);
+        });
+        list.appendChild(card);
+    });
+    section.style.display = '';
+}
+
+// ===== 详情页：编辑名称、标签、关键词 =====
+function setupDetailEdit(img) {
+    appState.detailEdit = null;
+    const editable = !appState.shareView && canDeleteImage(img);
+    document.getElementById('detailEditBtn').style.display = editable ? 'block' : 'none';
+    document.getElementById('detailShareBtn').style.display = editable && appState.useServer && appState.user ? 'block' : 'none';
+    document.getElementById('detailEditForm').style.display = 'none';
+    document.getElementById('detailNameItem').style.display = '';
+    document.getElementById('detailTagsItem').style.display = '';
+    document.getElementById('detailVisibilityItem').style.display = isHiddenFromGallery(img) ? '' : 'none';
+    document.getElementById('detailDescriptionItem').style.display = img.description ? '' : 'none';
+    document.getElementById('detailMetaItem').style.display = describeImageMeta(img).length > 0 ? '' : 'none';
+}
+
+function startDetailEdit() {
+    const img = appState.detailImage;
+    if (!img || appState.shareView || !canDeleteImage(img)) return;
+    appState.detailEdit = { imageId: img.id, tags: [...(img.tags || [])] };
+    
+    document.getElementById('detailEditName').value = img.name;
+    document.getElementById('detailEditKeywords').value = (img.keywords || []).join(', ');
+    // 可见范围只在服务器模式下、登录后可以修改
+    document.getElementById('detailEditVisibility').value = img.visibility || DEFAULT_VISIBILITY;
+    document.getElementById('detailEditVisibility').style.display = canChooseVisibility() ? '' : 'none';
+    document.getElementById('detailEditVisibilityLabel').style.display = canChooseVisibility() ? '' : 'none';
+    fillImageMetaForm('detailEdit', img);
+    document.getElementById('detailEditTagInput').value = '';
+    const allTags = [...initialTags, ...appState.customTags.map(t => t.name)];
+    document.getElementById('detailTagOptions').innerHTML = allTags
+        .map(tag => `<option value="${tag.replace(/"/g, '&quot;')}"></option>`).join('');
+    renderDetailEditTags();
+    
+    document.getElementById('detailEditBtn').style.display = 'none';
+    document.getElementById('detailShareBtn').style.display = 'none';
+    document.getElementById('detailNameItem').style.display = 'none';
+    document.getElementById('detailTagsItem').style.display = 'none';
+    document.getElementById('detailVisibilityItem').style.display = 'none';
+    document.getElementById('detailDescriptionItem').style.display = 'none';
+    document.getElementById('detailMetaItem').style.display = 'none';
+    document.getElementById('detailEditForm').style.display = '';
+    document.getElementById('detailEditName').focus();
+}
+
+function renderDetailEditTags() {
+    const container = document.getElementById('detailEditTags');
+    container.innerHTML = '';
+    appState.detailEdit.tags.forEach((tag, index) => {
+        const chip = document.createElement('span');
+        chip.className = 'detail-tag';
+        chip.textContent = tag;
+        const remove = document.createElement('span');
+        remove.className = 'detail-tag-remove';
+        remove.textContent = '×';
+        remove.title = '移除标签';
+        remove.addEventListener('click', () => {
+            appState.detailEdit.tags.splice(index, 1);
+            renderDetailEditTags();
+        });
+        chip.appendChild(remove);
+        container.appendChild(chip);
+    });
+}
+
+// 回车或逗号添加标签
+function handleDetailEditTagKeydown(e) {
+    if (e.key !== 'Enter' && e.key !== ',' && e.key !== '，') return;
+    e.preventDefault();
+    addDetailEditTag(e.target.value);
+    e.target.value = '';
+}
+
+function addDetailEditTag(value) {
+    const tag = value.trim();
+    if (!tag || !appState.detailEdit || appState.detailEdit.tags.includes(tag)) return;
+    appState.detailEdit.tags.push(tag);
+    renderDetailEditTags();
+}
+
+function cancelDetailEdit() {
+    const img = appState.detailImage;
+    if (img) setupDetailEdit(img);
+}
+
+async function saveDetailEdit() {
+    const img = appState.detailImage;
+    const draft = appState.detailEdit;
+    if (!img || !draft || draft.imageId != img.id) return;
+    
+    // 输入框里尚未回车的标签也一并加入
+    const tagInput = document.getElementById('detailEditTagInput');
+    addDetailEditTag(tagInput.value);
+    tagInput.value = '';
+    
+    const name = document.getElementById('detailEditName').value.trim();
+    if (!name) {
+        alert('请输入图片名称');
+        return;
+    }
+    const { meta, error: metaError } = readImageMetaForm('detailEdit');
+    if (metaError) {
+        alert(metaError);
+        return;
+    }
+    const keywordsInput = document.getElementById('detailEditKeywords').value.trim();
+    const updates = {
+        name: name,
+        tags: draft.tags.slice(),
+        keywords: keywordsInput ? keywordsInput.split(/[,，]/).map(k => k.trim()).filter(k => k) : [],
+        ...meta  // 清空的字段为 null
+    };
+    if (canChooseVisibility()) updates.visibility = document.getElementById('detailEditVisibility').value;
+    
+    const saveBtn = document.getElementById('detailEditSaveBtn');
+    saveBtn.disabled = true;
+    try {
+        const updated = appState.useServer
+            ? await patchImage(img.id, updates)
+            : await updateImageRecord(img.id, updates);
+        // 同步到内存中的图库记录（与详情页可能是同一对象）
+        const fields = { name: updated.name, tags: updated.tags, keywords: updated.keywords };
+        if (updated.visibility) fields.visibility = updated.visibility;
+        IMAGE_META_KEYS.forEach(key => {
+            fields[key] = updated[key] == null ? null : updated[key];
+        });
+        Object.assign(img, fields);
+        const listed = appState.images.find(i => i.id == img.id);
+        if (listed && listed !== img) Object.assign(listed, fields);
+        loadDetailPageData(img);
+    } catch (error) {
+        console.error('修改图片信息失败:', error);
+        alert('保存失败：' + error.message);
+    } finally {
+        saveBtn.disabled = false;
+    }
 }
 
 // 设置详情页图片缩放和拖动
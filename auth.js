@@ -0,0 +1,122 @@
+// 账号与会话 - 密码哈希（scrypt）、会话令牌、分享链接签名、Cookie 读写、用户名/密码/角色校验
+// 仅服务器使用；数据读写见 storage.js，路由见 server.js
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// 角色：管理员（全部权限 + 管理账号）、创作者（管理全部图片和标签）、成员（只能修改自己上传的图片）
+const ROLES = ['admin', 'creator', 'member'];
+const ROLE_LABELS = { admin: '管理员', creator: '创作者', member: '成员' };
+
+const SESSION_COOKIE = 'pindou_session';
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000;  // 会话有效期 30 天
+const INVITE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;    // 邀请码默认有效期 7 天
+
+const SCRYPT_KEYLEN = 64;
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 200;
+
+// 存储格式：scrypt$盐（base64）$哈希（base64）
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, SCRYPT_KEYLEN);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, saltText, hashText] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !saltText || !hashText) return false;
+    const expected = Buffer.from(hashText, 'base64');
+    const actual = await scrypt(password, Buffer.from(saltText, 'base64'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// 随机令牌（会话、邀请码），base64url
+function createToken(bytes = 32) {
+    return crypto.randomBytes(bytes).toString('base64url');
+}
+
+// 库中只保存会话令牌的 SHA-256，数据库泄露也无法冒用会话
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// 签名令牌：<id>.<HMAC-SHA256(id)>，用于分享链接；伪造或篡改的令牌无需查库即可拒绝
+function signToken(id, key) {
+    return `${id}.${crypto.createHmac('sha256', key).update(String(id)).digest('base64url')}`;
+}
+
+// 签名有效时返回 id，否则返回 null
+function verifySignedToken(token, key) {
+    const text = String(token || '');
+    const index = text.lastIndexOf('.');
+    if (index <= 0) return null;
+    const id = text.slice(0, index);
+    const expected = Buffer.from(signToken(id, key));
+    const actual = Buffer.from(text);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected) ? id : null;
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index === -1) return;
+        const name = part.slice(0, index).trim();
+        if (!name) return;
+        try {
+            cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (e) {
+            cookies[name] = part.slice(index + 1).trim();
+        }
+    });
+    return cookies;
+}
+
+// 会话 Cookie：HttpOnly + SameSite=Lax；HTTPS 下加 Secure。token 为空时生成清除用的 Cookie
+function serializeSessionCookie(token, { secure = false } = {}) {
+    const parts = [`${SESSION_COOKIE}=${token ? encodeURIComponent(token) : ''}`, 'Path=/', 'HttpOnly', 'SameSite=Lax'];
+    parts.push(token ? `Max-Age=${Math.floor(SESSION_MAX_AGE / 1000)}` : 'Max-Age=0');
+    if (secure) parts.push('Secure');
+    return parts.join('; ');
+}
+
+// 用户名：2~32 个字符，字母、数字、汉字、下划线、连字符；返回 { username } 或 { error }
+function normalizeUsername(value) {
+    const username = typeof value === 'string' ? value.trim() : '';
+    if (!/^[\w一-龥-]{2,32}$/.test(username)) {
+        return { error: '用户名须为 2 ~ 32 个字符，只能包含字母、数字、汉字、下划线和连字符' };
+    }
+    return { username };
+}
+
+function validatePassword(value) {
+    if (typeof value !== 'string' || value.length < PASSWORD_MIN_LENGTH || value.length > PASSWORD_MAX_LENGTH) {
+        return `密码长度须为 ${PASSWORD_MIN_LENGTH} ~ ${PASSWORD_MAX_LENGTH} 个字符`;
+    }
+    return null;
+}
+
+function isRole(value) {
+    return ROLES.includes(value);
+}
+
+module.exports = {
+    ROLES,
+    ROLE_LABELS,
+    SESSION_COOKIE,
+    SESSION_MAX_AGE,
+    INVITE_MAX_AGE,
+    hashPassword,
+    verifyPassword,
+    createToken,
+    hashToken,
+    signToken,
+    verifySignedToken,
+    parseCookies,
+    serializeSessionCookie,
+    normalizeUsername,
+    validatePassword,
+    isRole
+};
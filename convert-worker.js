@@ -0,0 +1,19 @@
+// 像素画转换 Worker - 在后台线程执行取色、量化和抖动，大图转换时页面不再卡顿
+importScripts('palettes.js', 'pixel-core.js');
+
+// 消息：{ id, job, sample }，sample 为超采样 RGBA 数据的 ArrayBuffer（转移所有权）
+self.onmessage = (e) => {
+    const { id, job, sample } = e.data;
+    let lastReported = -1;
+    try {
+        const result = buildPixelPattern(new Uint8ClampedArray(sample), job, (value) => {
+            const percent = Math.floor(value * 100);
+            if (percent === lastReported) return;
+            lastReported = percent;
+            self.postMessage({ id, type: 'progress', value });
+        });
+        self.postMessage({ id, type: 'result', palette: result.palette, cells: result.cells.buffer }, [result.cells.buffer]);
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
@@ -1,8 +1,9 @@
 // IndexedDB 数据库管理
 const DB_NAME = 'pinDouPicturesDB';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 const STORE_IMAGES = 'images';
 const STORE_TAGS = 'tags';
+const STORE_CHANGES = 'changes';   // 本地变更日志，推送到服务器后删除（见 sync.js）
 
 let db = null;
 
@@ -36,10 +37,106 @@ function initDB() {
             if (!db.objectStoreNames.contains(STORE_TAGS)) {
                 db.createObjectStore(STORE_TAGS, { keyPath: 'key' });
             }
+            
+            // 创建变更日志；从旧版本升级时，已有的「已完成」和标签记为待同步，已有的图片不自动上传（见 sync.js）
+            if (!db.objectStoreNames.contains(STORE_CHANGES)) {
+                const changeStore = db.createObjectStore(STORE_CHANGES, { keyPath: 'seq', autoIncrement: true });
+                changeStore.createIndex('imageId', 'imageId', { unique: false });
+                if (event.oldVersion > 0) {
+                    seedChangeLog(event.target.transaction);
+                }
+            }
+        };
+    });
+}
+
+// ===== 本地变更日志（同步用，见 sync.js） =====
+// 条目：{ seq, type, imageId, at, ... }
+//   upload：本地新上传的图片（推送时上传记录的最新内容，之后的修改不再单独记录）
+//   update：修改已同步的图片，fields 为改过的字段（值为修改后的），addedTags / removedTags 为增删的标签
+//   delete：删除已同步的图片
+//   completion：标记或取消「已完成」，completed 为操作后的状态
+//   tag-list：标签列表的增删，added 为 [{ name, colors }]（含改了配色的），removed 为标签名
+// 已同步的图片记录带 synced: true（从服务器拉取或已上传），其余为只在本地的图片
+const SYNC_IMAGE_FIELDS = ['name', 'keywords', 'visibility', ...IMAGE_META_KEYS];
+
+let localChangeListener = null;
+
+// 有新的待同步修改时通知（同步引擎据此刷新状态、安排同步）
+function onLocalChange(listener) {
+    localChangeListener = listener;
+}
+
+// 在事务中追加日志条目，事务完成后通知
+function addChangeEntries(transaction, entries) {
+    if (entries.length === 0) return;
+    const store = transaction.objectStore(STORE_CHANGES);
+    const at = Date.now();
+    entries.forEach(entry => store.add({ ...entry, at }));
+    transaction.addEventListener('complete', () => {
+        if (localChangeListener) localChangeListener();
+    });
+}
+
+// 从旧版本升级时：已有「已完成」和标签记为新增；已有图片不记入，用户同意后才上传（见 queueLocalUploads）
+function seedChangeLog(transaction) {
+    const tagStore = transaction.objectStore(STORE_TAGS);
+    tagStore.get('completedImageIds').onsuccess = (e) => {
+        const ids = e.target.result && Array.isArray(e.target.result.value) ? e.target.result.value : [];
+        addChangeEntries(transaction, ids.map(imageId => ({ type: 'completion', imageId, completed: true })));
+    };
+    tagStore.get('customTags').onsuccess = (e) => {
+        const tags = e.target.result && Array.isArray(e.target.result.value) ? e.target.result.value : [];
+        if (tags.length > 0) addChangeEntries(transaction, [{ type: 'tag-list', added: tags, removed: [] }]);
+    };
+}
+
+// 遍历某张图片的日志条目：本地图片的 ID 是数字，「已完成」里存的是字符串形式，两种都要找
+function forEachChangeOf(transaction, imageId, callback) {
+    const index = transaction.objectStore(STORE_CHANGES).index('imageId');
+    const keys = typeof imageId === 'number' ? [imageId, String(imageId)] : [imageId];
+    keys.forEach(key => {
+        index.openCursor(IDBKeyRange.only(key)).onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            callback(cursor);
+            cursor.continue();
         };
     });
 }
 
+// 已同步图片的记录修改前后对比，得到 update 条目；没有要同步的修改时返回 null
+function diffImageRecord(before, after) {
+    if (!before.synced) return null;
+    const fields = {};
+    SYNC_IMAGE_FIELDS.forEach(key => {
+        const value = after[key] == null ? null : after[key];
+        if (JSON.stringify(before[key] == null ? null : before[key]) !== JSON.stringify(value)) fields[key] = value;
+    });
+    const beforeTags = before.tags || [];
+    const afterTags = after.tags || [];
+    const addedTags = afterTags.filter(tag => !beforeTags.includes(tag));
+    const removedTags = beforeTags.filter(tag => !afterTags.includes(tag));
+    if (Object.keys(fields).length === 0 && addedTags.length === 0 && removedTags.length === 0) return null;
+    return { type: 'update', imageId: after.id, fields, addedTags, removedTags };
+}
+
+// 在事务中删除图片：已同步的记入 delete 条目；只在本地的图片连同其日志条目一起删除
+function deleteImageRecord(transaction, imageId) {
+    const store = transaction.objectStore(STORE_IMAGES);
+    const request = store.get(imageId);
+    request.onsuccess = () => {
+        const record = request.result;
+        if (!record) return;
+        store.delete(imageId);
+        if (record.synced) {
+            addChangeEntries(transaction, [{ type: 'delete', imageId }]);
+            return;
+        }
+        forEachChangeOf(transaction, imageId, cursor => cursor.delete());
+    };
+}
+
 // 压缩图片
 function compressImage(dataUrl, maxWidth = 1920, maxHeight = 1920, quality = 0.85) {
     return new Promise((resolve, reject) => {
@@ -95,7 +192,7 @@ async function saveImage(imageData) {
     }
     
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction([STORE_IMAGES], 'readwrite');
+        const transaction = db.transaction([STORE_IMAGES, STORE_CHANGES], 'readwrite');
         const store = transaction.objectStore(STORE_IMAGES);
         const request = store.put(imageData);
         
@@ -106,53 +203,46 @@ async function saveImage(imageData) {
         request.onerror = () => {
             reject(request.error);
         };
+        
+        // 修改已同步图片的图案：推送时连同渲染图一起保存到服务器
+        if (imageData.synced) {
+            addChangeEntries(transaction, [{ type: 'pattern', imageId: imageData.id }]);
+        }
     });
 }
 
-// 保存所有图片
-async function saveAllImages(images) {
+// 保存新上传的图片，只写入这几条记录（其余图片可能已被后台同步改写，不能用内存中的旧记录覆盖）；
+// logChanges 为 false 时不记入变更日志（迁移旧数据）
+async function addLocalImages(images, { logChanges = true } = {}) {
     if (!db) {
         await initDB();
     }
     
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction([STORE_IMAGES], 'readwrite');
+        const transaction = db.transaction([STORE_IMAGES, STORE_CHANGES], 'readwrite');
         const store = transaction.objectStore(STORE_IMAGES);
-        
-        // 先清空
-        store.clear();
-        
-        // 然后添加所有图片
-        let completed = 0;
         let failed = 0;
         
-        if (images.length === 0) {
-            resolve();
-            return;
-        }
-        
-        images.forEach((image, index) => {
+        images.forEach((image) => {
             const request = store.put(image);
-            
-            request.onsuccess = () => {
-                completed++;
-                if (completed + failed === images.length) {
-                    if (failed === 0) {
-                        resolve();
-                    } else {
-                        reject(new Error(`${failed} 张图片保存失败`));
-                    }
-                }
-            };
-            
-            request.onerror = () => {
+            request.onerror = (e) => {
+                e.preventDefault();
                 failed++;
                 console.error(`保存图片 ${image.id} 失败:`, request.error);
-                if (completed + failed === images.length) {
-                    reject(new Error(`${failed} 张图片保存失败`));
-                }
             };
         });
+        if (logChanges) {
+            addChangeEntries(transaction, images.map(image => ({ type: 'upload', imageId: image.id })));
+        }
+        
+        transaction.oncomplete = () => {
+            if (failed === 0) {
+                resolve();
+            } else {
+                reject(new Error(`${failed} 张图片保存失败`));
+            }
+        };
+        transaction.onerror = () => reject(transaction.error);
     });
 }
 
@@ -177,86 +267,135 @@ async function getAllImages() {
     });
 }
 
+// 获取本地图片的图案文档（上传时随图片记录一起保存）
+async function getImagePattern(imageId) {
+    if (!db) await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_IMAGES], 'readonly');
+        const store = transaction.objectStore(STORE_IMAGES);
+        const request = store.get(imageId);
+        request.onsuccess = () => {
+            const record = request.result;
+            if (!record || !record.patternDoc) {
+                reject(new Error('该图片没有图案数据'));
+                return;
+            }
+            resolve(record.patternDoc);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// 修改本地图片记录的部分字段（如 name、tags、keywords），返回更新后的记录；已同步的图片记入变更日志
+async function updateImageRecord(imageId, updates) {
+    if (!db) await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_IMAGES, STORE_CHANGES], 'readwrite');
+        const store = transaction.objectStore(STORE_IMAGES);
+        const request = store.get(imageId);
+        request.onsuccess = () => {
+            const record = request.result;
+            if (!record) {
+                reject(new Error('图片不存在'));
+                return;
+            }
+            const updated = { ...record, ...updates };
+            const putRequest = store.put(updated);
+            putRequest.onsuccess = () => resolve(updated);
+            putRequest.onerror = () => reject(putRequest.error);
+            const change = diffImageRecord(record, updated);
+            if (change) addChangeEntries(transaction, [change]);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// 批量修改本地图片记录：update(record) 返回新记录；在一个事务中完成，返回更新后的记录列表
+async function updateImageRecords(imageIds, update) {
+    if (!db) await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_IMAGES, STORE_CHANGES], 'readwrite');
+        const store = transaction.objectStore(STORE_IMAGES);
+        const updated = [];
+        imageIds.forEach((id) => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (!request.result) return;
+                const record = update(request.result);
+                store.put(record);
+                updated.push(record);
+                const change = diffImageRecord(request.result, record);
+                if (change) addChangeEntries(transaction, [change]);
+            };
+        });
+        transaction.oncomplete = () => resolve(updated);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('批量修改已取消'));
+    });
+}
+
 // 删除图片
-async function deleteImage(imageId) {
+async function deleteLocalImage(imageId) {
     if (!db) {
         await initDB();
     }
     
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction([STORE_IMAGES], 'readwrite');
-        const store = transaction.objectStore(STORE_IMAGES);
-        const request = store.delete(imageId);
-        
-        request.onsuccess = () => {
-            resolve();
-        };
-        
-        request.onerror = () => {
-            reject(request.error);
-        };
+        const transaction = db.transaction([STORE_IMAGES, STORE_CHANGES], 'readwrite');
+        deleteImageRecord(transaction, imageId);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
     });
 }
 
 // 删除多个图片
-async function deleteImages(imageIds) {
+async function deleteLocalImages(imageIds) {
     if (!db) {
         await initDB();
     }
     
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction([STORE_IMAGES], 'readwrite');
-        const store = transaction.objectStore(STORE_IMAGES);
-        
-        let completed = 0;
-        let failed = 0;
-        
         if (imageIds.length === 0) {
             resolve();
             return;
         }
         
-        imageIds.forEach((id) => {
-            const request = store.delete(id);
-            
-            request.onsuccess = () => {
-                completed++;
-                if (completed + failed === imageIds.length) {
-                    if (failed === 0) {
-                        resolve();
-                    } else {
-                        reject(new Error(`${failed} 张图片删除失败`));
-                    }
-                }
-            };
-            
-            request.onerror = () => {
-                failed++;
-                if (completed + failed === imageIds.length) {
-                    reject(new Error(`${failed} 张图片删除失败`));
-                }
-            };
-        });
+        const transaction = db.transaction([STORE_IMAGES, STORE_CHANGES], 'readwrite');
+        imageIds.forEach(id => deleteImageRecord(transaction, id));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(new Error(`图片删除失败：${transaction.error && transaction.error.message}`));
     });
 }
 
-// 保存标签
-async function saveTags(tags) {
+// 保存标签；logChanges 为 false 时不记入变更日志（同步时写入服务器上的标签）
+async function saveLocalTags(tags, { logChanges = true } = {}) {
     if (!db) {
         await initDB();
     }
     
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction([STORE_TAGS], 'readwrite');
+        const transaction = db.transaction([STORE_TAGS, STORE_CHANGES], 'readwrite');
         const store = transaction.objectStore(STORE_TAGS);
-        const request = store.put({ key: 'customTags', value: tags });
+        const previousRequest = store.get('customTags');
+        previousRequest.onsuccess = () => {
+            const previous = previousRequest.result && Array.isArray(previousRequest.result.value) ? previousRequest.result.value : [];
+            store.put({ key: 'customTags', value: tags });
+            if (!logChanges) return;
+            const previousByName = new Map(previous.map(tag => [tag.name, JSON.stringify(tag.colors)]));
+            const names = new Set(tags.map(tag => tag.name));
+            const added = tags.filter(tag => previousByName.get(tag.name) !== JSON.stringify(tag.colors));
+            const removed = previous.map(tag => tag.name).filter(name => !names.has(name));
+            if (added.length > 0 || removed.length > 0) {
+                addChangeEntries(transaction, [{ type: 'tag-list', added, removed }]);
+            }
+        };
         
-        request.onsuccess = () => {
+        transaction.oncomplete = () => {
             resolve();
         };
         
-        request.onerror = () => {
-            reject(request.error);
+        transaction.onerror = () => {
+            reject(transaction.error);
         };
     });
 }
@@ -282,6 +421,33 @@ async function getTags() {
     });
 }
 
+// 获取标签分组：[{ name, tags: [标签名] }]
+async function getLocalTagGroups() {
+    if (!db) await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_TAGS], 'readonly');
+        const store = transaction.objectStore(STORE_TAGS);
+        const request = store.get('tagGroups');
+        request.onsuccess = () => {
+            const val = request.result ? request.result.value : [];
+            resolve(Array.isArray(val) ? val : []);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// 保存标签分组
+async function saveLocalTagGroups(groups) {
+    if (!db) await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_TAGS], 'readwrite');
+        const store = transaction.objectStore(STORE_TAGS);
+        const request = store.put({ key: 'tagGroups', value: groups });
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
 // 获取本地「已完成」图片 ID 列表
 async function getCompletedIds() {
     if (!db) await initDB();
@@ -297,18 +463,266 @@ async function getCompletedIds() {
     });
 }
 
-// 保存本地「已完成」图片 ID 列表
-async function saveCompletedIds(ids) {
+// 保存本地「已完成」图片 ID 列表；logChanges 为 false 时不记入变更日志（同步时写入服务器上的状态）
+async function saveCompletedIds(ids, { logChanges = true } = {}) {
+    if (!db) await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_TAGS, STORE_CHANGES], 'readwrite');
+        const store = transaction.objectStore(STORE_TAGS);
+        const previousRequest = store.get('completedImageIds');
+        previousRequest.onsuccess = () => {
+            const previous = previousRequest.result && Array.isArray(previousRequest.result.value) ? previousRequest.result.value : [];
+            store.put({ key: 'completedImageIds', value: ids });
+            if (!logChanges) return;
+            addChangeEntries(transaction, [
+                ...ids.filter(id => !previous.includes(id)).map(imageId => ({ type: 'completion', imageId, completed: true })),
+                ...previous.filter(id => !ids.includes(id)).map(imageId => ({ type: 'completion', imageId, completed: false }))
+            ]);
+        };
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// 获取本地合集：[{ id, name, description, coverImageId, imageIds: [按顺序的图片 ID], createdAt, updatedAt }]
+async function getLocalCollections() {
+    if (!db) await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_TAGS], 'readonly');
+        const store = transaction.objectStore(STORE_TAGS);
+        const request = store.get('collections');
+        request.onsuccess = () => {
+            const val = request.result ? request.result.value : [];
+            resolve(Array.isArray(val) ? val : []);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// 保存本地合集（整个列表）
+async function saveLocalCollections(collections) {
     if (!db) await initDB();
     return new Promise((resolve, reject) => {
         const transaction = db.transaction([STORE_TAGS], 'readwrite');
         const store = transaction.objectStore(STORE_TAGS);
-        const request = store.put({ key: 'completedImageIds', value: ids });
+        const request = store.put({ key: 'collections', value: collections });
         request.onsuccess = () => resolve();
         request.onerror = () => reject(request.error);
     });
 }
 
+// ===== 同步（见 sync.js） =====
+
+// 获取单张本地图片记录，不存在时为 null；imageId 可以是数字 ID 的字符串形式（如「已完成」里的 ID）
+async function getLocalImage(imageId) {
+    if (!db) await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_IMAGES], 'readonly');
+        const store = transaction.objectStore(STORE_IMAGES);
+        const request = store.get(imageId);
+        request.onsuccess = () => {
+            if (request.result || typeof imageId !== 'string' || !isFinite(Number(imageId))) {
+                resolve(request.result || null);
+                return;
+            }
+            const numberRequest = store.get(Number(imageId));
+            numberRequest.onsuccess = () => resolve(numberRequest.result || null);
+            numberRequest.onerror = () => reject(numberRequest.error);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// 待同步的变更日志，按记录顺序
+async function getPendingChanges() {
+    if (!db) await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_CHANGES], 'readonly');
+        const request = transaction.objectStore(STORE_CHANGES).getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function countPendingChanges() {
+    if (!db) await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_CHANGES], 'readonly');
+        const request = transaction.objectStore(STORE_CHANGES).count();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// 本地是否有数据（图片或待同步的修改）：服务器模式下只有离线使用过才需要同步
+async function hasLocalData() {
+    if (!db) await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_IMAGES, STORE_CHANGES], 'readonly');
+        const imagesRequest = transaction.objectStore(STORE_IMAGES).count();
+        const changesRequest = transaction.objectStore(STORE_CHANGES).count();
+        transaction.oncomplete = () => resolve(imagesRequest.result > 0 || changesRequest.result > 0);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// 只在本地的图片（未同步）数量
+async function countLocalOnlyImages() {
+    if (!db) await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_IMAGES], 'readonly');
+        let count = 0;
+        transaction.objectStore(STORE_IMAGES).openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            if (!cursor.value.synced) count++;
+            cursor.continue();
+        };
+        transaction.oncomplete = () => resolve(count);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// 只在本地、还没有 upload 条目的图片（旧版本留下的）补记为待上传
+async function queueLocalUploads() {
+    if (!db) await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_IMAGES, STORE_CHANGES], 'readwrite');
+        const changesRequest = transaction.objectStore(STORE_CHANGES).getAll();
+        changesRequest.onsuccess = () => {
+            const queued = new Set(changesRequest.result.filter(entry => entry.type === 'upload').map(entry => entry.imageId));
+            const imagesRequest = transaction.objectStore(STORE_IMAGES).getAll();
+            imagesRequest.onsuccess = () => {
+                addChangeEntries(transaction, imagesRequest.result
+                    .filter(image => !image.synced && !queued.has(image.id))
+                    .map(image => ({ type: 'upload', imageId: image.id })));
+            };
+        };
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// 推送完成（或放弃推送）后删除日志条目
+async function removeChange(seq) {
+    if (!db) await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_CHANGES], 'readwrite');
+        transaction.objectStore(STORE_CHANGES).delete(seq);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// 同步状态：{ identity, cursor, lastSyncAt, rejected: [{ type, imageId, name, reason, at }] }
+async function getSyncState() {
+    if (!db) await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_TAGS], 'readonly');
+        const request = transaction.objectStore(STORE_TAGS).get('syncState');
+        request.onsuccess = () => resolve(request.result ? request.result.value : {});
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function saveSyncState(state) {
+    if (!db) await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_TAGS], 'readwrite');
+        transaction.objectStore(STORE_TAGS).put({ key: 'syncState', value: state });
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// 写入服务器上的图片（记录需带 synced: true），不记入变更日志
+async function saveSyncedImages(records) {
+    if (!db) await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_IMAGES], 'readwrite');
+        const store = transaction.objectStore(STORE_IMAGES);
+        records.forEach(record => store.put(record));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// 删除服务器上已删除（或已看不到）的图片，不记入变更日志；只删除已同步的记录
+async function deleteSyncedImages(imageIds) {
+    if (!db) await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_IMAGES], 'readwrite');
+        const store = transaction.objectStore(STORE_IMAGES);
+        imageIds.forEach(id => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (request.result && request.result.synced) store.delete(id);
+            };
+        });
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// 完整重新拉取后：删除不在 keepIds 中的已同步图片，返回删除的 ID 列表
+async function removeSyncedImagesExcept(keepIds) {
+    if (!db) await initDB();
+    const keep = new Set(keepIds);
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_IMAGES], 'readwrite');
+        const removed = [];
+        transaction.objectStore(STORE_IMAGES).openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            if (cursor.value.synced && !keep.has(cursor.value.id)) {
+                removed.push(cursor.value.id);
+                cursor.delete();
+            }
+            cursor.continue();
+        };
+        transaction.oncomplete = () => resolve(removed);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// 本地图片上传成功后换成服务器记录：日志条目、「已完成」和合集里的图片 ID 一并替换
+async function replaceUploadedImage(localId, record) {
+    if (!db) await initDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_IMAGES, STORE_TAGS, STORE_CHANGES], 'readwrite');
+        const imageStore = transaction.objectStore(STORE_IMAGES);
+        imageStore.delete(localId);
+        imageStore.put(record);
+        
+        forEachChangeOf(transaction, localId, cursor => cursor.update({ ...cursor.value, imageId: record.id }));
+        
+        // 「已完成」和合集里的 ID 是字符串形式
+        const isLocalId = id => String(id) === String(localId);
+        const tagStore = transaction.objectStore(STORE_TAGS);
+        tagStore.get('completedImageIds').onsuccess = (e) => {
+            const ids = e.target.result && Array.isArray(e.target.result.value) ? e.target.result.value : [];
+            if (ids.some(isLocalId)) {
+                tagStore.put({ key: 'completedImageIds', value: ids.map(id => (isLocalId(id) ? String(record.id) : id)) });
+            }
+        };
+        tagStore.get('collections').onsuccess = (e) => {
+            const collections = e.target.result && Array.isArray(e.target.result.value) ? e.target.result.value : [];
+            if (!collections.some(c => (c.imageIds || []).some(isLocalId) || isLocalId(c.coverImageId))) return;
+            tagStore.put({
+                key: 'collections',
+                value: collections.map(c => ({
+                    ...c,
+                    imageIds: (c.imageIds || []).map(id => (isLocalId(id) ? String(record.id) : id)),
+                    coverImageId: isLocalId(c.coverImageId) ? String(record.id) : c.coverImageId
+                }))
+            });
+        };
+        
+        transaction.oncomplete = () => resolve(record);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
 // 迁移localStorage数据到IndexedDB
 async function migrateFromLocalStorage() {
     try {
@@ -318,7 +732,7 @@ async function migrateFromLocalStorage() {
         if (savedImages) {
             const images = JSON.parse(savedImages);
             if (images.length > 0) {
-                await saveAllImages(images);
+                await addLocalImages(images, { logChanges: false });
                 console.log(`已迁移 ${images.length} 张图片到IndexedDB`);
                 // 迁移后删除localStorage数据
                 localStorage.removeItem('pinDouImages');
@@ -328,7 +742,7 @@ async function migrateFromLocalStorage() {
         if (savedCustomTags) {
             const tags = JSON.parse(savedCustomTags);
             if (tags.length > 0) {
-                await saveTags(tags);
+                await saveLocalTags(tags);
                 console.log(`已迁移 ${tags.length} 个自定义标签到IndexedDB`);
                 // 迁移后删除localStorage数据
                 localStorage.removeItem('pinDouCustomTags');
@@ -0,0 +1,97 @@
+// 图片主色 - 按颜色搜索图库（如「主要是红色和白色的图案」，方便用掉手头已有的豆子）
+// 图片缩小后用中位切分（pixel-core.js）取代表色，统计各色像素占比，合并色差很小的颜色，保留占比最高的几种
+// 服务器用 sharp 取像素，页面（本地模式）用 canvas 取；打分规则两种模式共用
+
+// Node 中通过 require 取得量化与色差函数；页面里 pixel-core.js 已先加载为全局
+if (typeof module !== 'undefined' && module.exports && typeof medianCutQuantize === 'undefined') {
+    var { medianCutQuantize, createColorMatcher, rgbToHex, rgbToLab, deltaE2000 } = require('./pixel-core.js');
+}
+
+const COLOR_SAMPLE_SIZE = 64;        // 取色前把图片缩到此尺寸以内
+const DOMINANT_COLOR_COUNT = 6;      // 每张图片最多保留的主色数
+const COLOR_QUANTIZE_COUNT = 16;     // 中位切分的颜色数（取 2 的幂，每个桶都保留；合并相近色后再取主色）
+const COLOR_MERGE_DISTANCE = 10;     // CIEDE2000 色差小于此值的代表色合并为一种
+const MIN_COLOR_RATIO = 0.02;        // 占比低于此值的颜色不算主色
+const COLOR_MATCH_DISTANCE = 30;     // 与所选颜色的色差达到此值即不算匹配
+const MIN_COLOR_COVERAGE = 0.05;     // 每种所选颜色在图中至少要占这么多
+const MAX_COLOR_FILTERS = 3;         // 最多同时按几种颜色筛选
+const COLOR_RELEVANCE_WEIGHT = 10;   // 与搜索词同时使用时，颜色匹配度折算为相关度的权重（与命中名称相当）
+
+function hexToLab(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return rgbToLab((value >> 16) & 255, (value >> 8) & 255, value & 255);
+}
+
+// rgba：RGBA 像素数组（透明像素不计），返回 [{ hex, ratio }]，按占比从高到低
+function extractDominantColors(rgba) {
+    const palette = medianCutQuantize(rgba, COLOR_QUANTIZE_COUNT, 'ciede2000');
+    if (!palette || palette.length === 0) return [];
+    const matcher = createColorMatcher(palette, 'ciede2000');
+    const counts = new Array(palette.length).fill(0);
+    let total = 0;
+    for (let i = 0; i < rgba.length; i += 4) {
+        if (rgba[i + 3] <= 128) continue;
+        counts[matcher(rgba[i], rgba[i + 1], rgba[i + 2])]++;
+        total++;
+    }
+
+    // 从占比最高的颜色开始，相近的颜色并入已保留的颜色
+    const kept = [];
+    palette
+        .map((rgb, index) => ({ rgb, lab: rgbToLab(rgb[0], rgb[1], rgb[2]), count: counts[index] }))
+        .sort((a, b) => b.count - a.count)
+        .forEach(color => {
+            if (color.count === 0) return;
+            const near = kept.find(k => deltaE2000(k.lab, color.lab) < COLOR_MERGE_DISTANCE);
+            if (near) near.count += color.count;
+            else kept.push(color);
+        });
+
+    return kept
+        .sort((a, b) => b.count - a.count)
+        .slice(0, DOMINANT_COLOR_COUNT)
+        .map(color => ({ hex: rgbToHex(color.rgb), ratio: Math.round(color.count / total * 1000) / 1000 }))
+        .filter(color => color.ratio >= MIN_COLOR_RATIO);
+}
+
+// 颜色筛选条件：逗号分隔的字符串或数组，如 "#FF0000,ffffff"，返回去重后的 ['#FF0000', '#FFFFFF']，无效值忽略
+function normalizeColorFilter(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    const colors = [];
+    list.forEach(item => {
+        const match = /^#?([0-9a-f]{6})$/i.exec(String(item).trim());
+        const hex = match ? '#' + match[1].toUpperCase() : null;
+        if (hex && !colors.includes(hex) && colors.length < MAX_COLOR_FILTERS) colors.push(hex);
+    });
+    return colors;
+}
+
+// 图片主色与所选颜色的匹配度：每种所选颜色在图中的占比（按色差折算，相近色几乎不打折）相加
+// 任一所选颜色占比不足 MIN_COLOR_COVERAGE 时为 0；「主要是红色和白色」的图片接近 1
+function scoreColorMatch(dominantColors, filterColors) {
+    if (!Array.isArray(dominantColors) || dominantColors.length === 0) return 0;
+    const imageLabs = dominantColors.map(c => ({ lab: hexToLab(c.hex), ratio: c.ratio }));
+    let total = 0;
+    for (const hex of filterColors) {
+        const lab = hexToLab(hex);
+        let coverage = 0;
+        imageLabs.forEach(c => {
+            const distance = deltaE2000(lab, c.lab);
+            if (distance < COLOR_MATCH_DISTANCE) coverage += c.ratio * (1 - Math.pow(distance / COLOR_MATCH_DISTANCE, 2));
+        });
+        if (coverage < MIN_COLOR_COVERAGE) return 0;
+        total += coverage;
+    }
+    return total;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COLOR_SAMPLE_SIZE,
+        MAX_COLOR_FILTERS,
+        COLOR_RELEVANCE_WEIGHT,
+        extractDominantColors,
+        normalizeColorFilter,
+        scoreColorMatch
+    };
+}
@@ -0,0 +1,66 @@
+// 感知哈希（dHash）- 找出重复上传或看起来相似的图片
+// 图片铺白底、转灰度并缩成 9×8，比较每行相邻像素的明暗得到 64 位指纹；两张图指纹的汉明距离越小越相似
+// 服务器用 sharp 取灰度像素，页面（本地模式）用 canvas 取，指纹只在同一种模式内互相比较
+
+const DHASH_WIDTH = 9;
+const DHASH_HEIGHT = 8;
+const DUPLICATE_HASH_DISTANCE = 5;   // 不超过此距离视为重复（同一张图重新保存、缩放、轻微压缩）
+const SIMILAR_HASH_DISTANCE = 12;    // 不超过此距离视为相似
+
+// gray：9×8 = 72 个灰度值（行优先），返回 16 位十六进制指纹
+function dhashFromGray(gray) {
+    let hex = '';
+    let nibble = 0;
+    let bits = 0;
+    for (let y = 0; y < DHASH_HEIGHT; y++) {
+        for (let x = 0; x < DHASH_WIDTH - 1; x++) {
+            const i = y * DHASH_WIDTH + x;
+            nibble = (nibble << 1) | (gray[i] > gray[i + 1] ? 1 : 0);
+            if (++bits === 4) {
+                hex += nibble.toString(16);
+                nibble = 0;
+                bits = 0;
+            }
+        }
+    }
+    return hex;
+}
+
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+// 两个指纹的汉明距离；任一指纹无效时返回 Infinity
+function hashDistance(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return Infinity;
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        const x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        if (Number.isNaN(x)) return Infinity;
+        distance += NIBBLE_BITS[x];
+    }
+    return distance;
+}
+
+// 在 candidates（带 id 与 perceptualHash 的图片）中找与 hash 相近的，按距离从近到远排列
+// 返回 [{ image, distance }]
+function findSimilarByHash(hash, candidates, { maxDistance = SIMILAR_HASH_DISTANCE, excludeId = null, limit = null } = {}) {
+    const matches = [];
+    candidates.forEach(image => {
+        if (excludeId != null && String(image.id) === String(excludeId)) return;
+        const distance = hashDistance(hash, image.perceptualHash);
+        if (distance <= maxDistance) matches.push({ image, distance });
+    });
+    matches.sort((a, b) => a.distance - b.distance || (b.image.timestamp || 0) - (a.image.timestamp || 0));
+    return limit ? matches.slice(0, limit) : matches;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DHASH_WIDTH,
+        DHASH_HEIGHT,
+        DUPLICATE_HASH_DISTANCE,
+        SIMILAR_HASH_DISTANCE,
+        dhashFromGray,
+        hashDistance,
+        findSimilarByHash
+    };
+}
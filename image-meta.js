@@ -0,0 +1,110 @@
+// 图片的图案信息 - 描述、豆子尺寸、板数、难度、预计用时、来源，均为可选
+// 页面（<script>）和服务器（require）共用同一套取值规则：上传、修改和图库筛选都以此校验
+
+const BEAD_SIZES = { mini: '迷你豆 2.6mm', midi: '标准豆 5mm' };
+const DIFFICULTY_LEVELS = { easy: '简单', medium: '中等', hard: '困难' };
+const IMAGE_META_KEYS = ['description', 'beadSize', 'boardCount', 'difficulty', 'estimatedMinutes', 'source'];
+const IMAGE_META_LIMITS = { description: 2000, source: 300, boardCount: 999, estimatedMinutes: 100000 };
+
+// 可见范围（仅服务器模式）：公开的出现在图库中；不公开的不出现在图库中，除上传者和管理员、创作者外只能凭分享链接查看；
+// 私密的只有上传者和管理员、创作者能看到
+const IMAGE_VISIBILITIES = { public: '公开', unlisted: '不公开（凭分享链接查看）', private: '私密' };
+const DEFAULT_VISIBILITY = 'public';
+
+function isImageVisibility(value) {
+    return typeof value === 'string' && Object.prototype.hasOwnProperty.call(IMAGE_VISIBILITIES, value);
+}
+
+function readMetaInteger(value, max) {
+    const num = typeof value === 'string' ? Number(value.trim()) : value;
+    return Number.isInteger(num) && num >= 1 && num <= max ? num : undefined;
+}
+
+// 校验并规范化 input 中出现的图案信息字段；null 或空字符串表示清除（结果为 null）
+// 返回 { meta } 或 { error }
+function normalizeImageMeta(input) {
+    const meta = {};
+    for (const key of IMAGE_META_KEYS) {
+        const raw = input ? input[key] : undefined;
+        if (raw === undefined) continue;
+        const value = typeof raw === 'string' ? raw.trim() : raw;
+        if (value === null || value === '') {
+            meta[key] = null;
+            continue;
+        }
+        if (key === 'description' || key === 'source') {
+            if (typeof value !== 'string' || value.length > IMAGE_META_LIMITS[key]) {
+                return { error: `${key === 'description' ? '描述' : '来源'}不能超过 ${IMAGE_META_LIMITS[key]} 个字符` };
+            }
+            meta[key] = value;
+        } else if (key === 'beadSize') {
+            if (!Object.prototype.hasOwnProperty.call(BEAD_SIZES, value)) return { error: '豆子尺寸只能是 mini 或 midi' };
+            meta[key] = value;
+        } else if (key === 'difficulty') {
+            if (!Object.prototype.hasOwnProperty.call(DIFFICULTY_LEVELS, value)) return { error: '难度只能是 easy、medium 或 hard' };
+            meta[key] = value;
+        } else {
+            const num = readMetaInteger(value, IMAGE_META_LIMITS[key]);
+            if (num === undefined) {
+                return { error: `${key === 'boardCount' ? '板数' : '预计用时（分钟）'}须为 1 ~ ${IMAGE_META_LIMITS[key]} 的整数` };
+            }
+            meta[key] = num;
+        }
+    }
+    return { meta };
+}
+
+// 图库按图案信息筛选：{ beadSize, difficulty, maxBoards, maxMinutes }，未设置或无效的条件为 null
+function normalizeImageMetaFilter(query) {
+    const q = query || {};
+    return {
+        beadSize: Object.prototype.hasOwnProperty.call(BEAD_SIZES, q.beadSize) ? q.beadSize : null,
+        difficulty: Object.prototype.hasOwnProperty.call(DIFFICULTY_LEVELS, q.difficulty) ? q.difficulty : null,
+        maxBoards: readMetaInteger(q.maxBoards, IMAGE_META_LIMITS.boardCount) || null,
+        maxMinutes: readMetaInteger(q.maxMinutes, IMAGE_META_LIMITS.estimatedMinutes) || null
+    };
+}
+
+// 与服务端 SQL 筛选一致：设置了上限时，没有填写板数 / 用时的图片不算符合
+function matchesImageMetaFilter(image, filter) {
+    if (filter.beadSize && image.beadSize !== filter.beadSize) return false;
+    if (filter.difficulty && image.difficulty !== filter.difficulty) return false;
+    if (filter.maxBoards && !(image.boardCount <= filter.maxBoards)) return false;
+    if (filter.maxMinutes && !(image.estimatedMinutes <= filter.maxMinutes)) return false;
+    return true;
+}
+
+function formatEstimatedTime(minutes) {
+    if (minutes < 60) return `${minutes} 分钟`;
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return rest > 0 ? `${hours} 小时 ${rest} 分钟` : `${hours} 小时`;
+}
+
+// 详情页展示用：[[标签, 文本]]，只包含已填写的字段（描述单独展示，不在其中）
+function describeImageMeta(image) {
+    const rows = [];
+    if (image.beadSize) rows.push(['豆子尺寸', BEAD_SIZES[image.beadSize] || image.beadSize]);
+    if (image.boardCount) rows.push(['所需板数', `${image.boardCount} 块`]);
+    if (image.difficulty) rows.push(['难度', DIFFICULTY_LEVELS[image.difficulty] || image.difficulty]);
+    if (image.estimatedMinutes) rows.push(['预计用时', formatEstimatedTime(image.estimatedMinutes)]);
+    if (image.source) rows.push(['来源 / 作者', image.source]);
+    return rows;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BEAD_SIZES,
+        DIFFICULTY_LEVELS,
+        IMAGE_META_KEYS,
+        IMAGE_META_LIMITS,
+        IMAGE_VISIBILITIES,
+        DEFAULT_VISIBILITY,
+        isImageVisibility,
+        normalizeImageMeta,
+        normalizeImageMetaFilter,
+        matchesImageMetaFilter,
+        formatEstimatedTime,
+        describeImageMeta
+    };
+}
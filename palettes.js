@@ -0,0 +1,230 @@
+// 拼豆品牌色卡 - 供像素画转换时把颜色限定在真实可买到的豆子上
+// 色值为各厂商官方色卡的近似值（屏幕显示与实物会有偏差），色号与厂商包装一致
+
+// 每个颜色：[色号, 名称, 十六进制色值]
+const BEAD_PALETTES = {
+    perler: {
+        label: 'Perler',
+        colors: [
+            ['P01', 'White', '#F1F1F1'],
+            ['P02', 'Cream', '#E0DEA9'],
+            ['P03', 'Yellow', '#ECD800'],
+            ['P04', 'Orange', '#ED6120'],
+            ['P05', 'Red', '#BF2E40'],
+            ['P06', 'Bubble Gum', '#DD6698'],
+            ['P07', 'Purple', '#604089'],
+            ['P08', 'Dark Blue', '#2B3F87'],
+            ['P09', 'Light Blue', '#3370C0'],
+            ['P10', 'Dark Green', '#1C753E'],
+            ['P11', 'Light Green', '#56BA9F'],
+            ['P12', 'Brown', '#513E3D'],
+            ['P17', 'Grey', '#8A8D91'],
+            ['P18', 'Black', '#2E2F32'],
+            ['P20', 'Rust', '#8C372C'],
+            ['P21', 'Light Brown', '#815D34'],
+            ['P33', 'Peach', '#EEBAB2'],
+            ['P35', 'Tan', '#CE9D6C'],
+            ['P38', 'Magenta', '#F22B7B'],
+            ['P52', 'Pastel Blue', '#84B3E1'],
+            ['P53', 'Pastel Green', '#76C882'],
+            ['P54', 'Pastel Lavender', '#8A72C1'],
+            ['P56', 'Pastel Yellow', '#F8F08C'],
+            ['P57', 'Cheddar', '#F1AA0C'],
+            ['P58', 'Toothpaste', '#93C8D4'],
+            ['P59', 'Hot Coral', '#FF3556'],
+            ['P60', 'Plum', '#A24B9C'],
+            ['P61', 'Kiwi Lime', '#6CBE13'],
+            ['P62', 'Turquoise', '#0E8DB6'],
+            ['P63', 'Blush', '#FF8BA5'],
+            ['P70', 'Periwinkle', '#6C88BF'],
+            ['P79', 'Light Pink', '#F6B3DD'],
+            ['P80', 'Bright Green', '#4FAD42'],
+            ['P83', 'Pink', '#E44892'],
+            ['P88', 'Raspberry', '#A5203E'],
+            ['P90', 'Butterscotch', '#D37C46'],
+            ['P91', 'Parrot Green', '#068E7A'],
+            ['P92', 'Dark Grey', '#4D5156'],
+            ['P93', 'Blueberry Cream', '#8298DA'],
+            ['P96', 'Cranapple', '#800A32'],
+            ['P97', 'Prickly Pear', '#BDDA01'],
+            ['P98', 'Sand', '#E4B689'],
+            ['P101', 'Light Grey', '#C1C3C5'],
+            ['P102', 'Mint', '#A8E4C4'],
+            ['P103', 'Pewter', '#949FA3'],
+            ['P104', 'Cotton Candy', '#F6C7DB'],
+            ['P106', 'Toasted Marshmallow', '#F1E1C8'],
+            ['P107', 'Spice', '#B66228'],
+            ['P108', 'Forest', '#27563A'],
+            ['P109', 'Denim', '#3E5487'],
+            ['P111', 'Midnight', '#1D2743'],
+            ['P112', 'Evergreen', '#385645']
+        ]
+    },
+    hama: {
+        label: 'Hama',
+        colors: [
+            ['H01', 'White', '#ECEDED'],
+            ['H02', 'Cream', '#F0E8B9'],
+            ['H03', 'Yellow', '#F0B901'],
+            ['H04', 'Orange', '#E64F27'],
+            ['H05', 'Red', '#B63136'],
+            ['H06', 'Pink', '#E1889F'],
+            ['H07', 'Purple', '#694A82'],
+            ['H08', 'Blue', '#2C4690'],
+            ['H09', 'Light Blue', '#305CB0'],
+            ['H10', 'Green', '#256847'],
+            ['H11', 'Light Green', '#49AE89'],
+            ['H12', 'Brown', '#534137'],
+            ['H17', 'Grey', '#83888A'],
+            ['H18', 'Black', '#2E2F31'],
+            ['H20', 'Reddish Brown', '#7F332A'],
+            ['H21', 'Light Brown', '#A5693F'],
+            ['H22', 'Dark Red', '#A52D36'],
+            ['H26', 'Flesh', '#DE9B90'],
+            ['H27', 'Beige', '#DEB48B'],
+            ['H28', 'Dark Green', '#363F38'],
+            ['H29', 'Claret', '#B9395E'],
+            ['H30', 'Burgundy', '#6A282C'],
+            ['H31', 'Turquoise', '#6797AE'],
+            ['H43', 'Pastel Yellow', '#F3EC5C'],
+            ['H44', 'Pastel Red', '#EE6972'],
+            ['H45', 'Pastel Purple', '#886DB9'],
+            ['H46', 'Pastel Blue', '#6A9ED0'],
+            ['H47', 'Pastel Green', '#7CC690'],
+            ['H48', 'Pastel Pink', '#E58EC0'],
+            ['H49', 'Azure', '#4AABBD'],
+            ['H60', 'Teddy Bear Brown', '#B37839'],
+            ['H70', 'Light Grey', '#AFB1B3'],
+            ['H71', 'Dark Grey', '#464B4F'],
+            ['H75', 'Tan', '#C8906A'],
+            ['H76', 'Nougat', '#A9785A'],
+            ['H77', 'Pastel Peach', '#F3C8B5'],
+            ['H78', 'Light Peach', '#F5D3C1'],
+            ['H79', 'Apricot', '#EC9F5F'],
+            ['H82', 'Plum', '#7D2F5C'],
+            ['H83', 'Petrol', '#1E6D7E'],
+            ['H84', 'Olive', '#6E7A3C'],
+            ['H95', 'Pastel Rose', '#E7B9C4'],
+            ['H96', 'Pastel Lilac', '#B6A9D6'],
+            ['H97', 'Pastel Ice Blue', '#BCD8EC'],
+            ['H98', 'Pastel Mint', '#BFE3CB']
+        ]
+    },
+    artkal: {
+        label: 'Artkal',
+        colors: [
+            ['S01', 'White', '#FFFFFF'],
+            ['S02', 'Black', '#1A1A1A'],
+            ['S03', 'Light Grey', '#BEBEBE'],
+            ['S04', 'Grey', '#8C8C8C'],
+            ['S05', 'Dark Grey', '#4F4F4F'],
+            ['S06', 'Ivory', '#F3EBD2'],
+            ['S07', 'Light Yellow', '#FCEA7E'],
+            ['S08', 'Yellow', '#FFD500'],
+            ['S09', 'Golden Yellow', '#F6B400'],
+            ['S10', 'Light Orange', '#F9A05A'],
+            ['S11', 'Orange', '#F4701F'],
+            ['S12', 'Dark Orange', '#D9501D'],
+            ['S13', 'Salmon', '#F48C7C'],
+            ['S14', 'Red', '#D7202D'],
+            ['S15', 'Dark Red', '#A31D2B'],
+            ['S16', 'Wine', '#6C1B2E'],
+            ['S17', 'Light Pink', '#F9C5D5'],
+            ['S18', 'Pink', '#F27AA6'],
+            ['S19', 'Hot Pink', '#E72F7D'],
+            ['S20', 'Rose', '#C8467A'],
+            ['S21', 'Lavender', '#C3A6D8'],
+            ['S22', 'Light Purple', '#9D7BC4'],
+            ['S23', 'Purple', '#6D3C97'],
+            ['S24', 'Dark Purple', '#45245F'],
+            ['S25', 'Sky Blue', '#A5D8F3'],
+            ['S26', 'Light Blue', '#5DB3E8'],
+            ['S27', 'Blue', '#1E6FC0'],
+            ['S28', 'Royal Blue', '#203F93'],
+            ['S29', 'Navy', '#1A2650'],
+            ['S30', 'Cyan', '#2AB3C8'],
+            ['S31', 'Teal', '#147C84'],
+            ['S32', 'Mint', '#A4E2C6'],
+            ['S33', 'Light Green', '#7DCB5C'],
+            ['S34', 'Green', '#2E9E45'],
+            ['S35', 'Dark Green', '#1E6634'],
+            ['S36', 'Olive', '#7B7E2E'],
+            ['S37', 'Lime', '#B9D531'],
+            ['S38', 'Skin', '#F6D0B1'],
+            ['S39', 'Peach', '#EFB08C'],
+            ['S40', 'Tan', '#CF9A6A'],
+            ['S41', 'Light Brown', '#A66B3C'],
+            ['S42', 'Brown', '#744524'],
+            ['S43', 'Dark Brown', '#4A2D1D'],
+            ['S44', 'Khaki', '#B8A27A']
+        ]
+    },
+    mard: {
+        label: 'MARD',
+        colors: [
+            ['A1', '奶黄', '#FAF4C8'],
+            ['A2', '浅黄', '#FCEB8C'],
+            ['A3', '柠檬黄', '#FBE33B'],
+            ['A4', '黄', '#FFD400'],
+            ['A5', '金黄', '#F8B513'],
+            ['A6', '橘黄', '#F99A1C'],
+            ['A7', '橙', '#F5741F'],
+            ['A8', '深橙', '#E85A1E'],
+            ['B1', '薄荷绿', '#C3EBD3'],
+            ['B2', '浅绿', '#9AD67B'],
+            ['B3', '草绿', '#5FBF45'],
+            ['B4', '绿', '#2BA24C'],
+            ['B5', '深绿', '#1A7042'],
+            ['B6', '墨绿', '#1F4A35'],
+            ['B7', '橄榄绿', '#7F8632'],
+            ['B8', '果绿', '#BCD62A'],
+            ['C1', '浅天蓝', '#BFE4F6'],
+            ['C2', '天蓝', '#74C5EC'],
+            ['C3', '湖蓝', '#27A7D8'],
+            ['C4', '蓝', '#1C6CBD'],
+            ['C5', '宝蓝', '#1F4A9B'],
+            ['C6', '藏青', '#1B2B55'],
+            ['C7', '青绿', '#129C9A'],
+            ['D1', '浅紫', '#D5C4E6'],
+            ['D2', '薰衣草紫', '#AA8ACD'],
+            ['D3', '紫', '#7547A0'],
+            ['D4', '深紫', '#4C2A6B'],
+            ['E1', '浅粉', '#FBD3DF'],
+            ['E2', '粉', '#F6A2BE'],
+            ['E3', '桃红', '#EE6A9B'],
+            ['E4', '玫红', '#DD2F7C'],
+            ['F1', '浅红', '#F47B7A'],
+            ['F2', '红', '#DE2B2F'],
+            ['F3', '大红', '#C21F2A'],
+            ['F4', '酒红', '#8A1C2C'],
+            ['G1', '肤色', '#F9D9BF'],
+            ['G2', '浅棕', '#E7B58A'],
+            ['G3', '驼色', '#C98F5A'],
+            ['G4', '棕', '#97582F'],
+            ['G5', '深棕', '#5E3620'],
+            ['H1', '白', '#FFFFFF'],
+            ['H2', '浅灰', '#D2D3D4'],
+            ['H3', '灰', '#9A9C9E'],
+            ['H4', '深灰', '#5C5E61'],
+            ['H5', '炭灰', '#3A3B3D'],
+            ['H7', '黑', '#151515']
+        ]
+    }
+};
+
+// 解析十六进制色值为 [r, g, b]
+function hexToRgb(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// 获取某品牌的完整色卡：[{ code, name, hex, rgb }]，品牌不存在时返回 null
+function getBeadCatalog(brand) {
+    const palette = BEAD_PALETTES[brand];
+    if (!palette) return null;
+    return palette.colors.map(([code, name, hex]) => ({ code, name, hex, rgb: hexToRgb(hex) }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BEAD_PALETTES, hexToRgb, getBeadCatalog };
+}
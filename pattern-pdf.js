@@ -0,0 +1,289 @@
+// 拼豆图纸 PDF 导出 - 纯前端生成，不依赖外部服务
+// 每页先用 canvas 绘制（支持中文色名），再以 JPEG 图像嵌入一个最小化的 PDF 文件
+
+// 纸张尺寸（单位：pt，1pt = 1/72 英寸）
+const PDF_PAGE_SIZES = {
+    a4: { label: 'A4', width: 595.28, height: 841.89 },
+    letter: { label: 'Letter', width: 612, height: 792 }
+};
+
+const PDF_RENDER_DPI = 150;  // 页面栅格化分辨率
+const PDF_CELL_PX = 24;      // 图纸每格边长（px，150dpi 下约 4mm）
+const PDF_MARGIN_PX = 60;    // 页边距
+const PDF_HEADER_PX = 50;    // 页眉高度
+const PDF_LABEL_PX = 36;     // 行列号区域宽度
+const PDF_LEGEND_ROW_PX = 34; // 图例每行高度
+
+// 黑白打印也能区分的格子符号：单字符用完后使用两字符组合
+const PATTERN_SYMBOLS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789+×#@%&*=?!$~<>^/●■▲◆★♥♣♠'.split('');
+
+// 调色板第 index 种颜色对应的符号
+function getPatternSymbol(index) {
+    const n = PATTERN_SYMBOLS.length;
+    if (index < n) return PATTERN_SYMBOLS[index];
+    return PATTERN_SYMBOLS[Math.floor(index / n) - 1] + PATTERN_SYMBOLS[index % n];
+}
+
+// 深色格子用白字，浅色格子用黑字
+function getSymbolColor(rgb) {
+    const luminance = 0.299 * rgb[0] + 0.587 * rgb[1] + 0.114 * rgb[2];
+    return luminance < 140 ? '#FFFFFF' : '#000000';
+}
+
+function createPdfPageCanvas(pageSize) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(pageSize.width / 72 * PDF_RENDER_DPI);
+    canvas.height = Math.round(pageSize.height / 72 * PDF_RENDER_DPI);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+function drawPdfHeader(ctx, canvas, title, subtitle) {
+    ctx.fillStyle = '#222222';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+    ctx.font = 'bold 26px sans-serif';
+    ctx.fillText(title, PDF_MARGIN_PX, PDF_MARGIN_PX + 24);
+    ctx.font = '18px sans-serif';
+    ctx.fillStyle = '#666666';
+    ctx.textAlign = 'right';
+    ctx.fillText(subtitle, canvas.width - PDF_MARGIN_PX, PDF_MARGIN_PX + 24);
+    ctx.textAlign = 'left';
+}
+
+// 绘制图例页（可能多页）：符号 → 颜色 → 色号 → 数量
+function drawLegendPages(pattern, legendRows, pageSize, title) {
+    const pages = [];
+    const probe = createPdfPageCanvas(pageSize);
+    const top = PDF_MARGIN_PX + PDF_HEADER_PX + 80;
+    const rowsPerPage = Math.max(1, Math.floor((probe.height - top - PDF_MARGIN_PX) / PDF_LEGEND_ROW_PX));
+    const total = legendRows.reduce((sum, row) => sum + row.count, 0);
+    const columns = [
+        { label: '符号', x: 0 },
+        { label: '颜色', x: 90 },
+        { label: '色号', x: 180 },
+        { label: '名称', x: 330 },
+        { label: '数量', x: 620 },
+        { label: '占比', x: 760 }
+    ];
+
+    for (let start = 0; start < Math.max(1, legendRows.length); start += rowsPerPage) {
+        const canvas = createPdfPageCanvas(pageSize);
+        const ctx = canvas.getContext('2d');
+        drawPdfHeader(ctx, canvas, title, '图例');
+
+        ctx.fillStyle = '#444444';
+        ctx.font = '18px sans-serif';
+        ctx.fillText(`尺寸 ${pattern.width} × ${pattern.height} 格，共 ${legendRows.length} 色，${total} 颗`, PDF_MARGIN_PX, PDF_MARGIN_PX + PDF_HEADER_PX + 20);
+
+        const left = PDF_MARGIN_PX;
+        ctx.font = 'bold 18px sans-serif';
+        ctx.fillStyle = '#888888';
+        columns.forEach(col => ctx.fillText(col.label, left + col.x, top - 14));
+        ctx.strokeStyle = '#CCCCCC';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(left, top - 4);
+        ctx.lineTo(canvas.width - PDF_MARGIN_PX, top - 4);
+        ctx.stroke();
+
+        legendRows.slice(start, start + rowsPerPage).forEach((row, i) => {
+            const y = top + i * PDF_LEGEND_ROW_PX;
+            const rgb = pattern.palette[row.index].rgb;
+            const symbol = getPatternSymbol(row.index);
+
+            // 符号格子：与图纸中的格子外观一致
+            ctx.fillStyle = row.hex;
+            ctx.fillRect(left, y + 4, PDF_CELL_PX, PDF_CELL_PX);
+            ctx.strokeStyle = '#666666';
+            ctx.strokeRect(left + 0.5, y + 4.5, PDF_CELL_PX - 1, PDF_CELL_PX - 1);
+            ctx.fillStyle = getSymbolColor(rgb);
+            ctx.font = 'bold 15px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(symbol, left + PDF_CELL_PX / 2, y + 4 + PDF_CELL_PX / 2);
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'alphabetic';
+
+            ctx.fillStyle = row.hex;
+            ctx.fillRect(left + 90, y + 6, 60, PDF_CELL_PX - 4);
+            ctx.strokeStyle = '#999999';
+            ctx.strokeRect(left + 90.5, y + 6.5, 59, PDF_CELL_PX - 5);
+
+            ctx.fillStyle = '#222222';
+            ctx.font = '18px sans-serif';
+            ctx.fillText(row.code || row.hex, left + 180, y + 24);
+            ctx.fillText(row.name || '-', left + 330, y + 24);
+            ctx.fillText(String(row.count), left + 620, y + 24);
+            ctx.fillText(`${row.percent.toFixed(1)}%`, left + 760, y + 24);
+        });
+        pages.push(canvas);
+    }
+    return pages;
+}
+
+// 绘制图纸页：按页面可容纳的格子数分块，边缘标注全局行列号
+function drawGridPages(pattern, pageSize, title) {
+    const probe = createPdfPageCanvas(pageSize);
+    const gridLeft = PDF_MARGIN_PX + PDF_LABEL_PX;
+    const gridTop = PDF_MARGIN_PX + PDF_HEADER_PX + PDF_LABEL_PX;
+    const colsPerPage = Math.max(1, Math.floor((probe.width - gridLeft - PDF_MARGIN_PX) / PDF_CELL_PX));
+    const rowsPerPage = Math.max(1, Math.floor((probe.height - gridTop - PDF_MARGIN_PX) / PDF_CELL_PX));
+    const pageCols = Math.ceil(pattern.width / colsPerPage);
+    const pageRows = Math.ceil(pattern.height / rowsPerPage);
+    const pages = [];
+
+    for (let pr = 0; pr < pageRows; pr++) {
+        for (let pc = 0; pc < pageCols; pc++) {
+            const x0 = pc * colsPerPage;
+            const y0 = pr * rowsPerPage;
+            const w = Math.min(colsPerPage, pattern.width - x0);
+            const h = Math.min(rowsPerPage, pattern.height - y0);
+            const canvas = createPdfPageCanvas(pageSize);
+            const ctx = canvas.getContext('2d');
+            drawPdfHeader(ctx, canvas, title, `图纸 ${pr * pageCols + pc + 1} / ${pageRows * pageCols}　行 ${y0 + 1}–${y0 + h}，列 ${x0 + 1}–${x0 + w}`);
+
+            // 格子：颜色 + 符号
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.font = 'bold 14px sans-serif';
+            for (let y = 0; y < h; y++) {
+                for (let x = 0; x < w; x++) {
+                    const index = pattern.cells[(y0 + y) * pattern.width + (x0 + x)];
+                    if (index < 0) continue;
+                    const rgb = pattern.palette[index].rgb;
+                    const cx = gridLeft + x * PDF_CELL_PX;
+                    const cy = gridTop + y * PDF_CELL_PX;
+                    ctx.fillStyle = `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
+                    ctx.fillRect(cx, cy, PDF_CELL_PX, PDF_CELL_PX);
+                    ctx.fillStyle = getSymbolColor(rgb);
+                    ctx.fillText(getPatternSymbol(index), cx + PDF_CELL_PX / 2, cy + PDF_CELL_PX / 2 + 1);
+                }
+            }
+
+            // 网格线：每 10 格加粗，便于数格子
+            for (let x = 0; x <= w; x++) {
+                const bold = (x0 + x) % 10 === 0 || x === 0 || x === w;
+                ctx.strokeStyle = bold ? '#222222' : '#AAAAAA';
+                ctx.lineWidth = bold ? 2 : 1;
+                ctx.beginPath();
+                ctx.moveTo(gridLeft + x * PDF_CELL_PX, gridTop);
+                ctx.lineTo(gridLeft + x * PDF_CELL_PX, gridTop + h * PDF_CELL_PX);
+                ctx.stroke();
+            }
+            for (let y = 0; y <= h; y++) {
+                const bold = (y0 + y) % 10 === 0 || y === 0 || y === h;
+                ctx.strokeStyle = bold ? '#222222' : '#AAAAAA';
+                ctx.lineWidth = bold ? 2 : 1;
+                ctx.beginPath();
+                ctx.moveTo(gridLeft, gridTop + y * PDF_CELL_PX);
+                ctx.lineTo(gridLeft + w * PDF_CELL_PX, gridTop + y * PDF_CELL_PX);
+                ctx.stroke();
+            }
+
+            // 行列号（全局坐标，从 1 开始；格子较多时每 5 格标一次）
+            ctx.fillStyle = '#444444';
+            ctx.font = '12px sans-serif';
+            for (let x = 0; x < w; x++) {
+                const col = x0 + x + 1;
+                if (col === 1 || col % 5 === 0 || x === 0) {
+                    ctx.fillText(String(col), gridLeft + x * PDF_CELL_PX + PDF_CELL_PX / 2, gridTop - PDF_LABEL_PX / 2);
+                }
+            }
+            ctx.textAlign = 'right';
+            for (let y = 0; y < h; y++) {
+                const row = y0 + y + 1;
+                if (row === 1 || row % 5 === 0 || y === 0) {
+                    ctx.fillText(String(row), gridLeft - 6, gridTop + y * PDF_CELL_PX + PDF_CELL_PX / 2);
+                }
+            }
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'alphabetic';
+            pages.push(canvas);
+        }
+    }
+    return pages;
+}
+
+function canvasToJpegBytes(canvas, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (!blob) {
+                reject(new Error('页面渲染失败'));
+                return;
+            }
+            blob.arrayBuffer().then(buf => resolve(new Uint8Array(buf)), reject);
+        }, 'image/jpeg', quality);
+    });
+}
+
+// 把若干 JPEG 页面组装成 PDF（每页一张铺满的图像）
+function assemblePdf(jpegPages, pageSize) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+    const write = (data) => {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const beginObject = (num) => {
+        offsets[num] = length;
+        write(`${num} 0 obj\n`);
+    };
+
+    const w = pageSize.width.toFixed(2);
+    const h = pageSize.height.toFixed(2);
+    // 对象编号：1 目录，2 页面树，之后每页占 3 个（页面、内容流、图像）
+    const pageObjNums = jpegPages.map((_, i) => 3 + i * 3);
+
+    write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+    beginObject(1);
+    write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+    beginObject(2);
+    write(`<< /Type /Pages /Kids [${pageObjNums.map(n => `${n} 0 R`).join(' ')}] /Count ${jpegPages.length} >>\nendobj\n`);
+
+    jpegPages.forEach((page, i) => {
+        const pageNum = pageObjNums[i];
+        const contentNum = pageNum + 1;
+        const imageNum = pageNum + 2;
+        const content = `q ${w} 0 0 ${h} 0 0 cm /Im0 Do Q`;
+
+        beginObject(pageNum);
+        write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${w} ${h}] /Resources << /XObject << /Im0 ${imageNum} 0 R >> >> /Contents ${contentNum} 0 R >>\nendobj\n`);
+        beginObject(contentNum);
+        write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+        beginObject(imageNum);
+        write(`<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.bytes.length} >>\nstream\n`);
+        write(page.bytes);
+        write('\nendstream\nendobj\n');
+    });
+
+    const objectCount = 3 + jpegPages.length * 3;
+    const xrefOffset = length;
+    let xref = `xref\n0 ${objectCount}\n0000000000 65535 f \n`;
+    for (let num = 1; num < objectCount; num++) {
+        xref += `${String(offsets[num]).padStart(10, '0')} 00000 n \n`;
+    }
+    write(xref);
+    write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+    return new Blob(chunks, { type: 'application/pdf' });
+}
+
+// 生成图纸 PDF：图例页 + 分页图纸
+async function buildPatternPdf(pattern, legendRows, options = {}) {
+    const pageSize = PDF_PAGE_SIZES[options.pageSize] || PDF_PAGE_SIZES.a4;
+    const title = options.title || '拼豆图纸';
+    const canvases = [
+        ...drawLegendPages(pattern, legendRows, pageSize, title),
+        ...drawGridPages(pattern, pageSize, title)
+    ];
+    const jpegPages = [];
+    for (const canvas of canvases) {
+        jpegPages.push({ width: canvas.width, height: canvas.height, bytes: await canvasToJpegBytes(canvas, 0.9) });
+    }
+    return assemblePdf(jpegPages, pageSize);
+}
@@ -0,0 +1,471 @@
+// 像素画转换核心算法 - 取色、中位切分量化、色差匹配、抖动
+// 不依赖 DOM：页面（<script>）、转换 Worker（importScripts）、服务器（require）共用同一份实现
+
+// Node 中（server.js 的 /api/convert）通过 require 取得色卡；页面与 Worker 里 palettes.js 已先加载为全局
+if (typeof module !== 'undefined' && module.exports && typeof getBeadCatalog === 'undefined') {
+    var { getBeadCatalog } = require('./palettes.js');
+}
+
+// ===== 感知色差（CIELAB：CIE76 / CIE94 / CIEDE2000） =====
+// sRGB → Lab 转换结果缓存（键为 24 位 RGB 整数），超过上限时整体清空
+const LAB_CACHE_LIMIT = 262144;
+const labCache = new Map();
+
+function srgbToLinear(v) {
+    v /= 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(v) {
+    const s = v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+    return Math.max(0, Math.min(255, Math.round(s * 255)));
+}
+
+// sRGB（0~255 整数）→ CIELAB（D65 白点）
+function rgbToLab(r, g, b) {
+    const key = (r << 16) | (g << 8) | b;
+    const cached = labCache.get(key);
+    if (cached) return cached;
+    
+    const lr = srgbToLinear(r), lg = srgbToLinear(g), lb = srgbToLinear(b);
+    const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047;
+    const y = lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750;
+    const z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / 1.08883;
+    const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+    const fx = f(x), fy = f(y), fz = f(z);
+    const lab = [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+    
+    if (labCache.size >= LAB_CACHE_LIMIT) labCache.clear();
+    labCache.set(key, lab);
+    return lab;
+}
+
+// CIELAB → sRGB（用于在 Lab 空间求平均后转回）
+function labToRgb(L, a, b) {
+    const fy = (L + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    const inv = t => (t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) / (24389 / 27));
+    const x = inv(fx) * 0.95047, y = inv(fy), z = inv(fz) * 1.08883;
+    return [
+        linearToSrgb(x * 3.2404542 - y * 1.5371385 - z * 0.4985314),
+        linearToSrgb(-x * 0.9692660 + y * 1.8760108 + z * 0.0415560),
+        linearToSrgb(x * 0.0556434 - y * 0.2040259 + z * 1.0572252)
+    ];
+}
+
+function deltaE76(lab1, lab2) {
+    const dL = lab1[0] - lab2[0], da = lab1[1] - lab2[1], db = lab1[2] - lab2[2];
+    return Math.sqrt(dL * dL + da * da + db * db);
+}
+
+// CIE94（印刷用参数 kL = 1, K1 = 0.045, K2 = 0.015）
+function deltaE94(lab1, lab2) {
+    const dL = lab1[0] - lab2[0];
+    const C1 = Math.hypot(lab1[1], lab1[2]);
+    const C2 = Math.hypot(lab2[1], lab2[2]);
+    const dC = C1 - C2;
+    const da = lab1[1] - lab2[1], db = lab1[2] - lab2[2];
+    const dH2 = Math.max(0, da * da + db * db - dC * dC);
+    const SC = 1 + 0.045 * C1;
+    const SH = 1 + 0.015 * C1;
+    return Math.sqrt(dL * dL + (dC / SC) * (dC / SC) + dH2 / (SH * SH));
+}
+
+// CIEDE2000（kL = kC = kH = 1）
+function deltaE2000(lab1, lab2) {
+    const [L1, a1, b1] = lab1;
+    const [L2, a2, b2] = lab2;
+    const rad = Math.PI / 180;
+    const POW25_7 = 6103515625; // 25^7
+    
+    const Cbar = (Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2;
+    const Cbar7 = Math.pow(Cbar, 7);
+    const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + POW25_7)));
+    const a1p = (1 + G) * a1, a2p = (1 + G) * a2;
+    const C1p = Math.hypot(a1p, b1), C2p = Math.hypot(a2p, b2);
+    const hue = (b, a) => {
+        if (a === 0 && b === 0) return 0;
+        const h = Math.atan2(b, a) / rad;
+        return h < 0 ? h + 360 : h;
+    };
+    const h1p = hue(b1, a1p), h2p = hue(b2, a2p);
+    
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dhp / 2 * rad);
+    
+    const Lbarp = (L1 + L2) / 2;
+    const Cbarp = (C1p + C2p) / 2;
+    let hbarp;
+    if (C1p * C2p === 0) hbarp = h1p + h2p;
+    else if (Math.abs(h1p - h2p) <= 180) hbarp = (h1p + h2p) / 2;
+    else hbarp = (h1p + h2p + (h1p + h2p < 360 ? 360 : -360)) / 2;
+    
+    const T = 1 - 0.17 * Math.cos((hbarp - 30) * rad) + 0.24 * Math.cos(2 * hbarp * rad) +
+        0.32 * Math.cos((3 * hbarp + 6) * rad) - 0.20 * Math.cos((4 * hbarp - 63) * rad);
+    const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+    const Cbarp7 = Math.pow(Cbarp, 7);
+    const RC = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + POW25_7));
+    const Lm50 = (Lbarp - 50) * (Lbarp - 50);
+    const SL = 1 + 0.015 * Lm50 / Math.sqrt(20 + Lm50);
+    const SC = 1 + 0.045 * Cbarp;
+    const SH = 1 + 0.015 * Cbarp * T;
+    const RT = -Math.sin(2 * dTheta * rad) * RC;
+    
+    const tL = dLp / SL, tC = dCp / SC, tH = dHp / SH;
+    return Math.sqrt(tL * tL + tC * tC + tH * tH + RT * tC * tH);
+}
+
+// 可选的色差算法；'rgb' 为 RGB 欧氏距离（最快）
+const COLOR_DISTANCES = {
+    cie76: deltaE76,
+    cie94: deltaE94,
+    ciede2000: deltaE2000
+};
+
+function isLabMetric(metric) {
+    return !!COLOR_DISTANCES[metric];
+}
+
+// 创建最近色查找函数：(r, g, b) → 调色板下标；同一颜色只计算一次
+function createColorMatcher(palette, metric) {
+    const cache = new Map();
+    const distance = COLOR_DISTANCES[metric];
+    const paletteLab = distance ? palette.map(c => rgbToLab(c[0], c[1], c[2])) : null;
+    
+    return (r, g, b) => {
+        r = Math.round(r); g = Math.round(g); b = Math.round(b);
+        const key = (r << 16) | (g << 8) | b;
+        let index = cache.get(key);
+        if (index !== undefined) return index;
+        
+        if (!distance) {
+            index = findClosestColorIndex(r, g, b, palette);
+        } else {
+            const lab = rgbToLab(r, g, b);
+            let minDist = Infinity;
+            index = 0;
+            for (let i = 0; i < paletteLab.length; i++) {
+                const dist = distance(lab, paletteLab[i]);
+                if (dist < minDist) { minDist = dist; index = i; }
+            }
+        }
+        cache.set(key, index);
+        return index;
+    };
+}
+
+// ===== 中位切分颜色量化算法（Median Cut） =====
+// 不透明像素打包为 24 位整数，在同一个数组上原地切分排序，避免递归时反复复制
+// metric 为 Lab 色差时，桶内平均色在 Lab 空间计算
+function medianCutQuantize(pixels, colorCount, metric) {
+    if (colorCount <= 0) return null; // 不限制
+
+    // 收集所有不透明像素的颜色
+    const packed = new Uint32Array(pixels.length / 4);
+    let count = 0;
+    for (let i = 0; i < pixels.length; i += 4) {
+        if (pixels[i + 3] > 128) {
+            packed[count++] = (pixels[i] << 16) | (pixels[i + 1] << 8) | pixels[i + 2];
+        }
+    }
+    if (count === 0) return null;
+    const colors = packed.subarray(0, count);
+
+    // 递归切分颜色空间，桶以 [start, end) 区间表示
+    const buckets = [];
+    function splitBucket(start, end, depth) {
+        if (depth === 0 || end === start) {
+            buckets.push([start, end]);
+            return;
+        }
+
+        // 找出 R/G/B 范围最大的通道
+        let minR = 255, maxR = 0, minG = 255, maxG = 0, minB = 255, maxB = 0;
+        for (let i = start; i < end; i++) {
+            const r = colors[i] >> 16, g = (colors[i] >> 8) & 255, b = colors[i] & 255;
+            if (r < minR) minR = r; if (r > maxR) maxR = r;
+            if (g < minG) minG = g; if (g > maxG) maxG = g;
+            if (b < minB) minB = b; if (b > maxB) maxB = b;
+        }
+        const rangeR = maxR - minR, rangeG = maxG - minG, rangeB = maxB - minB;
+        const shift = rangeR >= rangeG && rangeR >= rangeB ? 16 : (rangeG >= rangeB ? 8 : 0);
+
+        colors.subarray(start, end).sort((a, b) => ((a >> shift) & 255) - ((b >> shift) & 255));
+        const mid = start + Math.floor((end - start) / 2);
+        splitBucket(start, mid, depth - 1);
+        splitBucket(mid, end, depth - 1);
+    }
+
+    const depth = Math.ceil(Math.log2(colorCount));
+    splitBucket(0, count, depth);
+
+    // 每个桶取平均色作为调色板
+    const useLab = isLabMetric(metric);
+    const palette = buckets.slice(0, colorCount).filter(([start, end]) => end > start).map(([start, end]) => {
+        const n = end - start;
+        if (useLab) {
+            let L = 0, A = 0, B = 0;
+            for (let i = start; i < end; i++) {
+                const lab = rgbToLab(colors[i] >> 16, (colors[i] >> 8) & 255, colors[i] & 255);
+                L += lab[0]; A += lab[1]; B += lab[2];
+            }
+            return labToRgb(L / n, A / n, B / n);
+        }
+        let r = 0, g = 0, b = 0;
+        for (let i = start; i < end; i++) {
+            r += colors[i] >> 16; g += (colors[i] >> 8) & 255; b += colors[i] & 255;
+        }
+        return [Math.round(r / n), Math.round(g / n), Math.round(b / n)];
+    });
+
+    // 颜色很少时多个桶会得到同一种颜色：去重，否则图例和用量统计里会出现重复的豆子
+    const seen = new Set();
+    return palette.filter(rgb => {
+        const key = rgb.join(',');
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// 找到调色板中最近颜色的下标
+function findClosestColorIndex(r, g, b, palette) {
+    let minDist = Infinity, closest = 0;
+    for (let i = 0; i < palette.length; i++) {
+        const c = palette[i];
+        const dr = r - c[0], dg = g - c[1], db = b - c[2];
+        const dist = dr * dr + dg * dg + db * db;
+        if (dist < minDist) { minDist = dist; closest = i; }
+    }
+    return closest;
+}
+
+// 找到调色板中最近的颜色
+function findClosestColor(r, g, b, palette) {
+    return palette[findClosestColorIndex(r, g, b, palette)];
+}
+
+// ===== 抖动（误差扩散 / 有序抖动） =====
+// 误差扩散核：[dx, dy, 权重]
+const DITHER_KERNELS = {
+    'floyd-steinberg': [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]],
+    'atkinson': [[1, 0, 1 / 8], [2, 0, 1 / 8], [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8], [0, 2, 1 / 8]]
+};
+const BAYER_4X4 = [
+    [0, 8, 2, 10],
+    [12, 4, 14, 6],
+    [3, 11, 1, 9],
+    [15, 7, 13, 5]
+];
+const BAYER_SPREAD = 64; // 有序抖动的最大亮度偏移
+
+// 把每格颜色（RGBA 平铺数组）映射到调色板下标，可选抖动；strength 为 0~1，透明格子（-1）不参与误差传递
+function mapPixelsToPalette(cellColors, width, height, palette, dither, strength, metric, onProgress) {
+    const cells = new Int16Array(width * height).fill(-1);
+    if (palette.length === 0) return cells;
+    
+    const matchColor = createColorMatcher(palette, metric);
+    const kernel = DITHER_KERNELS[dither];
+    const work = new Float32Array(width * height * 3);
+    for (let i = 0; i < width * height; i++) {
+        work[i * 3] = cellColors[i * 4];
+        work[i * 3 + 1] = cellColors[i * 4 + 1];
+        work[i * 3 + 2] = cellColors[i * 4 + 2];
+    }
+    
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            if (cellColors[i * 4 + 3] <= 128) continue;
+            let r = work[i * 3], g = work[i * 3 + 1], b = work[i * 3 + 2];
+            
+            if (dither === 'bayer' && strength > 0) {
+                const offset = (BAYER_4X4[y % 4][x % 4] / 16 - 0.5) * BAYER_SPREAD * strength;
+                r += offset; g += offset; b += offset;
+            }
+            r = Math.max(0, Math.min(255, r));
+            g = Math.max(0, Math.min(255, g));
+            b = Math.max(0, Math.min(255, b));
+            
+            const index = matchColor(r, g, b);
+            cells[i] = index;
+            
+            if (kernel && strength > 0) {
+                const chosen = palette[index];
+                const er = (r - chosen[0]) * strength;
+                const eg = (g - chosen[1]) * strength;
+                const eb = (b - chosen[2]) * strength;
+                for (const [dx, dy, weight] of kernel) {
+                    const nx = x + dx, ny = y + dy;
+                    if (nx < 0 || nx >= width || ny >= height) continue;
+                    const n = ny * width + nx;
+                    work[n * 3] += er * weight;
+                    work[n * 3 + 1] += eg * weight;
+                    work[n * 3 + 2] += eb * weight;
+                }
+            }
+        }
+        if (onProgress) onProgress((y + 1) / height);
+    }
+    return cells;
+}
+
+// 从品牌色卡中挑选最合适的 N 种颜色：中位切分得到 N 个代表色后，各自吸附到色卡中最近的豆子（去重）
+function selectCatalogColors(pixels, colorCount, catalog, metric) {
+    if (catalog.length <= colorCount) return catalog.slice();
+    const representatives = medianCutQuantize(pixels, colorCount, metric);
+    if (!representatives) return catalog.slice();
+    const matchColor = createColorMatcher(catalog.map(c => c.rgb), metric);
+    const picked = new Set();
+    representatives.forEach(c => picked.add(matchColor(c[0], c[1], c[2])));
+    return Array.from(picked).sort((a, b) => a - b).map(i => catalog[i]);
+}
+
+// 超采样图像中每 sampleScale × sampleScale 的区域取平均色，得到每格颜色（RGBA 平铺数组）
+function averageCells(sampleData, sampleW, pixelWidth, pixelHeight, sampleScale, onProgress) {
+    const cellColors = new Uint8ClampedArray(pixelWidth * pixelHeight * 4);
+    const count = sampleScale * sampleScale;
+    for (let y = 0; y < pixelHeight; y++) {
+        for (let x = 0; x < pixelWidth; x++) {
+            let rSum = 0, gSum = 0, bSum = 0, aSum = 0;
+            for (let sy = y * sampleScale; sy < (y + 1) * sampleScale; sy++) {
+                for (let sx = x * sampleScale; sx < (x + 1) * sampleScale; sx++) {
+                    const idx = (sy * sampleW + sx) * 4;
+                    rSum += sampleData[idx];
+                    gSum += sampleData[idx + 1];
+                    bSum += sampleData[idx + 2];
+                    aSum += sampleData[idx + 3];
+                }
+            }
+            const o = (y * pixelWidth + x) * 4;
+            cellColors[o] = Math.round(rSum / count);
+            cellColors[o + 1] = Math.round(gSum / count);
+            cellColors[o + 2] = Math.round(bSum / count);
+            cellColors[o + 3] = Math.round(aSum / count);
+        }
+        if (onProgress) onProgress((y + 1) / pixelHeight);
+    }
+    return cellColors;
+}
+
+// 完整转换流程：取色 → 量化（可限定品牌色卡）→ 匹配/抖动
+// job: { sampleW, pixelWidth, pixelHeight, sampleScale, colorCount, brand, dither, ditherStrength(0~100), colorDistance }
+// 返回 { palette: [{ rgb, code, name }], cells: Int16Array（-1 为空格） }；onProgress 收到 0~1
+function buildPixelPattern(sampleData, job, onProgress) {
+    const report = (start, span) => (onProgress ? (p) => onProgress(start + span * p) : null);
+    const cellColors = averageCells(sampleData, job.sampleW, job.pixelWidth, job.pixelHeight, job.sampleScale, report(0, 0.3));
+
+    // 颜色量化（始终启用，最少24色）；选择了品牌色卡时只从该色卡中挑选
+    const catalog = job.brand ? getBeadCatalog(job.brand) : null;
+    let palette;
+    if (catalog) {
+        palette = selectCatalogColors(cellColors, job.colorCount, catalog, job.colorDistance);
+    } else {
+        palette = (medianCutQuantize(cellColors, job.colorCount, job.colorDistance) || []).map(rgb => ({ rgb, code: null, name: null }));
+    }
+    if (onProgress) onProgress(0.45);
+
+    // 每格映射到调色板下标（可选抖动），透明格子不放豆子
+    const cells = mapPixelsToPalette(cellColors, job.pixelWidth, job.pixelHeight, palette.map(c => c.rgb),
+        job.dither, (job.ditherStrength || 0) / 100, job.colorDistance, report(0.45, 0.55));
+    return { palette, cells };
+}
+
+// ===== 转换参数与尺寸 =====
+const CONVERT_SAMPLE_SCALE = 4; // 超采样倍率：先缩放到目标的 4 倍再逐格取平均，减少锯齿
+
+// 规范化转换参数（与页面上输入框的取值范围一致），未知的品牌/抖动/色差算法回退为默认值
+function normalizeConvertOptions(options) {
+    const opts = options || {};
+    const strength = parseInt(opts.ditherStrength);
+    return {
+        resolution: Math.max(20, Math.min(500, parseInt(opts.resolution) || 80)),
+        colorCount: Math.max(24, Math.min(256, parseInt(opts.colorCount) || 24)),
+        brand: opts.brand && getBeadCatalog(opts.brand) ? opts.brand : '',
+        dither: opts.dither === 'bayer' || DITHER_KERNELS[opts.dither] ? opts.dither : 'none',
+        ditherStrength: Number.isNaN(strength) ? 80 : Math.max(0, Math.min(100, strength)),
+        colorDistance: COLOR_DISTANCES[opts.colorDistance] ? opts.colorDistance : 'rgb'
+    };
+}
+
+// 按最长边不超过 resolution 等比缩放，得到格子数和超采样尺寸
+function getConvertSize(imageWidth, imageHeight, resolution) {
+    const scale = Math.min(resolution / imageWidth, resolution / imageHeight);
+    const pixelWidth = Math.max(1, Math.floor(imageWidth * scale));
+    const pixelHeight = Math.max(1, Math.floor(imageHeight * scale));
+    return {
+        pixelWidth,
+        pixelHeight,
+        sampleScale: CONVERT_SAMPLE_SCALE,
+        sampleW: pixelWidth * CONVERT_SAMPLE_SCALE,
+        sampleH: pixelHeight * CONVERT_SAMPLE_SCALE
+    };
+}
+
+// 由转换结果组装图案：{ width, height, brand, palette, cells（普通数组，-1 为空格）, settings }
+function createPixelPattern(pixelWidth, pixelHeight, options, result) {
+    return {
+        width: pixelWidth,
+        height: pixelHeight,
+        brand: options.brand || null,
+        palette: result.palette,
+        cells: Array.from(result.cells),
+        settings: {
+            resolution: options.resolution,
+            colorCount: options.colorCount,
+            dither: options.dither,
+            ditherStrength: options.ditherStrength,
+            colorDistance: options.colorDistance
+        }
+    };
+}
+
+// ===== 图案文档 =====
+function rgbToHex(rgb) {
+    return '#' + rgb.map(v => v.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+// 图案（平铺 cells）转为存储/传输用的文档：{ version, width, height, brand, palette: [{ hex, code, name }], grid, settings }
+function patternToDocument(pattern, settings) {
+    const cells = Array.from(pattern.cells);
+    const grid = [];
+    for (let y = 0; y < pattern.height; y++) {
+        grid.push(cells.slice(y * pattern.width, (y + 1) * pattern.width));
+    }
+    return {
+        version: 1,
+        width: pattern.width,
+        height: pattern.height,
+        brand: pattern.brand || null,
+        palette: pattern.palette.map(c => ({ hex: rgbToHex(c.rgb), code: c.code || null, name: c.name || null })),
+        grid,
+        settings: { ...(pattern.settings || {}), ...(settings || {}) }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COLOR_DISTANCES,
+        DITHER_KERNELS,
+        CONVERT_SAMPLE_SCALE,
+        rgbToLab,
+        deltaE2000,
+        createColorMatcher,
+        medianCutQuantize,
+        mapPixelsToPalette,
+        buildPixelPattern,
+        normalizeConvertOptions,
+        getConvertSize,
+        createPixelPattern,
+        rgbToHex,
+        patternToDocument
+    };
+}
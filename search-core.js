@@ -0,0 +1,183 @@
+// 图库搜索核心 - 在名称、标签、关键词、描述中检索：原文、全拼、拼音首字母和错字容错，按相关度打分
+// 不依赖 DOM：页面（<script>，本地模式）和服务器（require，GET /api/images?q=）共用同一份实现，两种模式结果一致
+
+// 页面里 pinyin-data.js 已先加载为全局；Node 中通过 require 取得拼音表
+const searchPinyinTable = typeof PINYIN_TABLE !== 'undefined' ? PINYIN_TABLE : require('./pinyin-data.js').PINYIN_TABLE;
+
+// 参与搜索的字段及权重：命中名称比命中描述更相关
+const SEARCH_FIELDS = [
+    { key: 'name', weight: 10 },
+    { key: 'tags', weight: 6 },
+    { key: 'keywords', weight: 5 },
+    { key: 'description', weight: 2 }
+];
+
+// 汉字 → 拼音，首次使用时由拼音表反查生成
+let pinyinByChar = null;
+
+function getCharPinyin(ch) {
+    if (!pinyinByChar) {
+        pinyinByChar = new Map();
+        Object.entries(searchPinyinTable).forEach(([syllable, chars]) => {
+            for (const c of chars) pinyinByChar.set(c, syllable);
+        });
+    }
+    return pinyinByChar.get(ch) || null;
+}
+
+// 全角转半角、转小写
+function normalizeSearchText(text) {
+    return String(text == null ? '' : text).normalize('NFKC').toLowerCase().trim();
+}
+
+// 把文本切成音节：汉字取拼音，连续的字母数字算一个音节，其余字符忽略
+// 返回 { full: 全拼连写, initials: 各音节首字母, starts: 各音节在 full 中的起点 }
+function toPinyinForms(text) {
+    let full = '';
+    let initials = '';
+    const starts = new Set();
+    const pushSyllable = (syllable) => {
+        starts.add(full.length);
+        full += syllable;
+        initials += syllable[0];
+    };
+    let word = '';
+    for (const ch of text) {
+        if (/[a-z0-9]/.test(ch)) {
+            word += ch;
+            continue;
+        }
+        if (word) {
+            pushSyllable(word);
+            word = '';
+        }
+        const syllable = getCharPinyin(ch);
+        if (syllable) pushSyllable(syllable);
+    }
+    if (word) pushSyllable(word);
+    return { full, initials, starts };
+}
+
+// 一张图片的搜索条目：各字段的每个值预先算好原文和拼音形式
+// doc: { name, tags: [], keywords: [], description }
+function buildSearchEntry(doc) {
+    const values = [];
+    SEARCH_FIELDS.forEach(({ key, weight }) => {
+        [].concat(doc[key] || []).forEach(value => {
+            const text = normalizeSearchText(value);
+            if (text) values.push({ weight, text, ...toPinyinForms(text) });
+        });
+    });
+    return values;
+}
+
+// 解析搜索词：按空白拆成多个词，每个词都须命中（AND）
+// 每个词带上拼音形式：字母数字原样作为拼音，汉字转全拼（用于同音字和错字匹配）
+function parseSearchQuery(q) {
+    const texts = Array.from(new Set(normalizeSearchText(q).split(/\s+/).filter(Boolean)));
+    return {
+        tokens: texts.map(text => {
+            const ascii = /^[a-z0-9]+$/.test(text);
+            const pinyin = ascii ? text : toPinyinForms(text).full;
+            return { text, ascii, pinyin: pinyin || null };
+        })
+    };
+}
+
+// pattern 与 text 任意子串的最小编辑距离（Sellers 算法），超过 maxDistance 时返回 Infinity
+function approxSubstringDistance(pattern, text, maxDistance) {
+    const m = pattern.length;
+    let prev = new Array(m + 1);
+    let curr = new Array(m + 1);
+    for (let i = 0; i <= m; i++) prev[i] = i;
+    let best = prev[m];
+    for (let j = 1; j <= text.length; j++) {
+        curr[0] = 0;
+        for (let i = 1; i <= m; i++) {
+            const cost = pattern[i - 1] === text[j - 1] ? 0 : 1;
+            curr[i] = Math.min(prev[i] + 1, curr[i - 1] + 1, prev[i - 1] + cost);
+        }
+        best = Math.min(best, curr[m]);
+        [prev, curr] = [curr, prev];
+    }
+    return best <= maxDistance ? best : Infinity;
+}
+
+// 拼音是否在某个音节的起点处命中（"xiaom" 命中「小猫」，"iaom" 不算）
+function matchesAtSyllableStart(value, pinyin) {
+    let index = value.full.indexOf(pinyin);
+    while (index !== -1) {
+        if (value.starts.has(index)) return true;
+        index = value.full.indexOf(pinyin, index + 1);
+    }
+    return false;
+}
+
+// 单个搜索词与单个字段值的匹配度（0 ~ 1）
+function scoreTokenInValue(token, value) {
+    if (value.text === token.text) return 1;
+    const index = value.text.indexOf(token.text);
+    if (index === 0) return 0.9;
+    if (index > 0) return 0.75;
+    const pinyin = token.pinyin;
+    if (!pinyin || !value.full) return 0;
+    if (value.full === pinyin) return 0.7;
+    if (matchesAtSyllableStart(value, pinyin)) return 0.6;
+    if (token.ascii) {
+        if (value.initials === pinyin) return 0.55;
+        if (value.initials.startsWith(pinyin)) return 0.5;
+        if (value.initials.includes(pinyin)) return 0.45;
+    }
+    // 错字容错：按拼音比较，4 个字母以上允许错 1 处，8 个以上允许错 2 处
+    if (pinyin.length < 4) return 0;
+    const distance = approxSubstringDistance(pinyin, value.full, pinyin.length >= 8 ? 2 : 1);
+    if (distance === Infinity) return 0;
+    return distance === 0 ? 0.35 : 0.3 / distance;
+}
+
+// 条目与查询的相关度：每个词取命中最好的字段（匹配度 × 字段权重）再相加；任一词未命中则为 0
+function scoreSearchEntry(entry, query) {
+    let total = 0;
+    for (const token of query.tokens) {
+        let best = 0;
+        for (const value of entry) {
+            if (value.weight <= best) continue;
+            best = Math.max(best, scoreTokenInValue(token, value) * value.weight);
+        }
+        if (best === 0) return 0;
+        total += best;
+    }
+    return total;
+}
+
+// 带缓存的搜索索引：按图片 id 缓存条目，字段内容变化时自动重建
+function createSearchIndex() {
+    const entries = new Map();
+    return {
+        // 返回图片与查询（parseSearchQuery 的结果）的相关度，0 表示不匹配
+        score(doc, query) {
+            const source = JSON.stringify(SEARCH_FIELDS.map(({ key }) => doc[key] || null));
+            let cached = entries.get(doc.id);
+            if (!cached || cached.source !== source) {
+                cached = { source, entry: buildSearchEntry(doc) };
+                entries.set(doc.id, cached);
+            }
+            return scoreSearchEntry(cached.entry, query);
+        },
+        forget(id) {
+            entries.delete(id);
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SEARCH_FIELDS,
+        normalizeSearchText,
+        toPinyinForms,
+        buildSearchEntry,
+        parseSearchQuery,
+        scoreSearchEntry,
+        createSearchIndex
+    };
+}
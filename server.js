@@ -1,28 +1,54 @@
-// 后端服务器 - 用于存储和共享图片数据（支持创作者/访客权限）
+// 后端服务器 - 用于存储和共享图片数据（账号：管理员/创作者/成员，未登录时为匿名访客）
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 let sharp;
-try { sharp = require('sharp'); } catch (e) { console.warn('sharp 未安装，缩略图功能不可用'); }
+try { sharp = require('sharp'); } catch (e) { console.warn('sharp 未安装，缩略图和服务端转换功能不可用'); }
+const pixelCore = require('./pixel-core');
+const { openStorage } = require('./storage');
+const { getBeadCatalog } = require('./palettes');
+const { normalizeImageMeta, normalizeImageMetaFilter, isImageVisibility } = require('./image-meta');
+const { DHASH_WIDTH, DHASH_HEIGHT, DUPLICATE_HASH_DISTANCE, dhashFromGray } = require('./image-hash');
+const { COLOR_SAMPLE_SIZE, extractDominantColors, normalizeColorFilter } = require('./image-colors');
+const auth = require('./auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// 创作者密钥（部署时必须设置环境变量 CREATOR_SECRET，否则仅本地可全权限）
+// 初始化密钥：还没有任何账号时，凭环境变量 CREATOR_SECRET 创建第一个管理员；未设置时只允许在本机创建
 const CREATOR_SECRET = process.env.CREATOR_SECRET || '';
 
 // 中间件
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 
-// 权限解析中间件：从请求头解析创作者/访客身份
+// 身份解析中间件：会话 Cookie 对应的账号；未登录时以请求头中的访客 ID 识别匿名访客
+// isCreator：可管理全部图片和标签（管理员、创作者）；isAdmin：还可管理账号
+// 访客 ID 随请求头发送、可被他人得知，另有只保存在浏览器里的访客密钥（X-Visitor-Secret）：
+// 访客 ID 第一次带密钥发来写请求时绑定（升级前已有数据的访客 ID 也一样），之后密钥不符的请求不算该访客；visitorVerified 表示已凭密钥证明是该访客
 app.use((req, res, next) => {
-    const creatorToken = req.headers['x-creator-token'] || (req.body && req.body._creatorToken);
+    const token = auth.parseCookies(req.headers.cookie)[auth.SESSION_COOKIE];
+    req.sessionTokenHash = token ? auth.hashToken(token) : null;
+    req.user = req.sessionTokenHash && storage ? storage.getSessionUser(req.sessionTokenHash) : null;
+    req.isAdmin = !!req.user && req.user.role === 'admin';
+    req.isCreator = !!req.user && (req.user.role === 'admin' || req.user.role === 'creator');
     const visitorId = req.headers['x-visitor-id'] || (req.body && req.body._visitorId);
-    req.isCreator = !!(CREATOR_SECRET && creatorToken === CREATOR_SECRET);
-    req.visitorId = visitorId || null;
+    req.visitorId = visitorId ? String(visitorId) : null;
+    req.visitorVerified = false;
+    const secret = req.headers['x-visitor-secret'];
+    if (req.visitorId && storage) {
+        const secretHash = secret ? auth.hashToken(secret) : null;
+        const status = storage.checkVisitorSecret(req.visitorId, secretHash);
+        if (status === 'match') {
+            req.visitorVerified = true;
+        } else if (status === 'mismatch') {
+            req.visitorId = null;
+        } else if (secretHash && req.method !== 'GET' && req.method !== 'HEAD') {
+            req.visitorVerified = storage.bindVisitorSecret(req.visitorId, secretHash);
+        }
+    }
     next();
 });
 
@@ -30,19 +56,21 @@ app.use((req, res, next) => {
 const DATA_DIR = process.env.DATA_DIR || process.env.RAILWAY_VOLUME_MOUNT_PATH || path.join(__dirname, 'data');
 const IMAGES_DIR = path.join(DATA_DIR, 'images');
 const THUMBS_DIR = path.join(DATA_DIR, 'thumbs');
+const PATTERNS_DIR = path.join(DATA_DIR, 'patterns');
 
 async function ensureDirectories() {
     try {
         await fs.mkdir(DATA_DIR, { recursive: true });
         await fs.mkdir(IMAGES_DIR, { recursive: true });
         await fs.mkdir(THUMBS_DIR, { recursive: true });
+        await fs.mkdir(PATTERNS_DIR, { recursive: true });
     } catch (error) {
         console.error('创建目录失败:', error);
     }
 }
 
 // 配置multer用于文件上传
-const storage = multer.diskStorage({
+const uploadStorage = multer.diskStorage({
     destination: (req, file, cb) => {
         cb(null, IMAGES_DIR);
     },
@@ -53,14 +81,18 @@ const storage = multer.diskStorage({
 });
 
 const upload = multer({ 
-    storage: storage,
+    storage: uploadStorage,
     limits: { fileSize: 10 * 1024 * 1024 } // 10MB限制
 });
 
-// 数据文件路径
-const IMAGES_DB = path.join(DATA_DIR, 'images.json');
-const TAGS_DB = path.join(DATA_DIR, 'tags.json');
-const COMPLETIONS_DB = path.join(DATA_DIR, 'completions.json');
+// 服务端转换只需读取图片内容，不落盘
+const convertUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 }
+});
+
+// 数据库（SQLite，启动时打开并执行迁移；首次启动会导入旧的 images.json / tags.json / completions.json）
+let storage = null;
 
 // ===== 缩略图生成 =====
 const THUMB_MAX_SIZE = 400; // 缩略图最大边长（px）
@@ -81,93 +113,348 @@ async function generateThumbnail(sourceFilePath, thumbFilename) {
     }
 }
 
-// ===== 数据读写 =====
-async function readCompletions() {
+// 计算感知哈希（见 image-hash.js），用于查找重复与相似图片；sharp 不可用或图片无法解析时返回 null
+async function computePerceptualHash(source) {
+    if (!sharp) return null;
     try {
-        const data = await fs.readFile(COMPLETIONS_DB, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        return {};
+        const gray = await sharp(source)
+            .rotate()
+            .flatten({ background: '#ffffff' })
+            .grayscale()
+            .resize(DHASH_WIDTH, DHASH_HEIGHT, { fit: 'fill' })
+            .raw()
+            .toBuffer();
+        return dhashFromGray(gray);
+    } catch (err) {
+        console.warn('计算感知哈希失败:', err.message);
+        return null;
     }
 }
 
-async function saveCompletions(data) {
-    await fs.writeFile(COMPLETIONS_DB, JSON.stringify(data, null, 2), 'utf8');
+// 提取主色（见 image-colors.js），用于按颜色搜索；sharp 不可用或图片无法解析时返回 null
+async function computeDominantColors(source) {
+    if (!sharp) return null;
+    try {
+        const rgba = await sharp(source)
+            .rotate()
+            .resize(COLOR_SAMPLE_SIZE, COLOR_SAMPLE_SIZE, { fit: 'inside' })
+            .ensureAlpha()
+            .raw()
+            .toBuffer();
+        return extractDominantColors(rgba);
+    } catch (err) {
+        console.warn('提取主色失败:', err.message);
+        return null;
+    }
 }
 
-async function readImages() {
-    try {
-        const data = await fs.readFile(IMAGES_DB, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        return [];
+// ===== 图案文档（格子矩阵 + 调色板 + 转换参数） =====
+const PATTERN_MAX_CELLS = 500 * 500;
+const PATTERN_MAX_COLORS = 1024;
+
+// 校验并规范化客户端提交的图案文档，无效时返回 null
+function normalizePattern(doc) {
+    if (!doc || typeof doc !== 'object') return null;
+    const width = parseInt(doc.width);
+    const height = parseInt(doc.height);
+    if (!(width > 0 && height > 0 && width * height <= PATTERN_MAX_CELLS)) return null;
+    if (!Array.isArray(doc.palette) || doc.palette.length > PATTERN_MAX_COLORS) return null;
+    if (!Array.isArray(doc.grid) || doc.grid.length !== height) return null;
+    
+    const palette = doc.palette.map(c => ({
+        hex: /^#[0-9a-fA-F]{6}$/.test(c && c.hex) ? c.hex.toUpperCase() : null,
+        code: c && c.code ? String(c.code) : null,
+        name: c && c.name ? String(c.name) : null
+    }));
+    if (palette.some(c => !c.hex)) return null;
+    
+    const grid = [];
+    for (const row of doc.grid) {
+        if (!Array.isArray(row) || row.length !== width) return null;
+        const cells = row.map(v => parseInt(v));
+        if (cells.some(v => !(v >= -1 && v < palette.length))) return null;
+        grid.push(cells);
     }
+    
+    return {
+        version: 1,
+        width,
+        height,
+        brand: doc.brand ? String(doc.brand) : null,
+        palette,
+        grid,
+        settings: doc.settings && typeof doc.settings === 'object' ? doc.settings : {}
+    };
+}
+
+// 图片记录中保存的图案摘要（完整文档单独存文件，避免 images.json 过大）
+function summarizePattern(pattern) {
+    const used = new Set();
+    pattern.grid.forEach(row => row.forEach(v => { if (v >= 0) used.add(v); }));
+    return {
+        width: pattern.width,
+        height: pattern.height,
+        brand: pattern.brand,
+        colorCount: used.size
+    };
+}
+
+async function readPattern(patternFile) {
+    const data = await fs.readFile(path.join(PATTERNS_DIR, patternFile), 'utf8');
+    return JSON.parse(data);
+}
+
+async function savePattern(patternFile, pattern) {
+    await fs.writeFile(path.join(PATTERNS_DIR, patternFile), JSON.stringify(pattern), 'utf8');
 }
 
-async function readTags() {
+// 删除图片关联的文件：原图、缩略图、图案文档
+async function removeImageFiles(image) {
     try {
-        const data = await fs.readFile(TAGS_DB, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        return [];
+        await fs.unlink(path.join(IMAGES_DIR, image.filename));
+    } catch (error) { console.warn('删除原图失败:', error.message); }
+    if (image.thumbnailUrl) {
+        try {
+            await fs.unlink(path.join(THUMBS_DIR, path.basename(image.thumbnailUrl)));
+        } catch (error) { /* 忽略 */ }
+    }
+    if (image.patternFile) {
+        try {
+            await fs.unlink(path.join(PATTERNS_DIR, image.patternFile));
+        } catch (error) { /* 忽略 */ }
     }
 }
 
-async function saveImages(images) {
-    await fs.writeFile(IMAGES_DB, JSON.stringify(images, null, 2), 'utf8');
+// 把 base64 dataUrl 写成图片文件，生成缩略图，计算感知哈希并提取主色
+async function writeImageFromDataUrl(dataUrl) {
+    const base64Data = dataUrl.replace(/^data:image\/\w+;base64,/, '');
+    const buffer = Buffer.from(base64Data, 'base64');
+    
+    const mimeMatch = dataUrl.match(/data:image\/(\w+);base64/);
+    const ext = mimeMatch ? mimeMatch[1] : 'png';
+    const filename = `${Date.now()}-${Math.random().toString(36).substring(7)}.${ext}`;
+    const filepath = path.join(IMAGES_DIR, filename);
+    
+    await fs.writeFile(filepath, buffer);
+    
+    // 生成缩略图
+    const thumbFilename = `thumb_${filename.replace(/\.\w+$/, '.jpg')}`;
+    const thumbnailUrl = await generateThumbnail(filepath, thumbFilename);
+    const perceptualHash = await computePerceptualHash(buffer);
+    const dominantColors = await computeDominantColors(buffer);
+    return { filename, thumbnailUrl, perceptualHash, dominantColors };
+}
+
+// 当前请求者是否可修改/删除该图片：管理员和创作者可操作全部，成员仅可操作自己账号上传的，
+// 匿名访客仅可操作本浏览器上传且尚未归入账号的
+function canModifyImage(req, image) {
+    if (req.isCreator) return true;
+    if (image.ownerId) return !!req.user && image.ownerId === req.user.id;
+    const uploadedBy = image.uploadedBy || 'creator';
+    return !req.user && uploadedBy === 'visitor' && !!image.visitorId && image.visitorId === req.visitorId;
+}
+
+// 图片文件由页面的 <img> 直接请求，只会带上会话 Cookie、带不上访客 ID，所以匿名访客只能上传公开图片
+const VISITOR_VISIBILITY_ERROR = '未登录时图片只能设为公开，设为不公开或私密请先登录';
+
+// 当前请求者是否可查看该图片：公开图片任何人可看，不公开和私密的图片只有可修改它的人能看
+// （不公开的图片其他人凭分享链接查看，见 /api/shared）
+function canViewImage(req, image) {
+    return image.visibility === 'public' || canModifyImage(req, image);
 }
 
-async function saveTags(tags) {
-    await fs.writeFile(TAGS_DB, JSON.stringify(tags, null, 2), 'utf8');
+// 图库列表、相似图片的可见范围（见 storage.js 的 buildImageFilter）：管理员和创作者不限，
+// 其他人只列出公开图片和自己可修改的图片
+function getListViewer(req) {
+    if (req.isCreator) return null;
+    return req.user ? { userId: req.user.id } : { visitorId: req.visitorId };
+}
+
+// 完成记录的归属：登录账号为 user:<id>，匿名访客为访客 ID
+function getCompletionOwner(req) {
+    return req.user ? completionOwnerOf(req.user) : req.visitorId;
+}
+
+function completionOwnerOf(user) {
+    return `user:${user.id}`;
 }
 
 // ===== API 路由 =====
 
-// 获取所有图片（不返回 dataUrl，避免响应体过大）
+// 图片记录转为响应格式（不返回 dataUrl，避免响应体过大；不返回上传者的访客 ID）
+// canEdit：当前请求者（req）是否可修改、删除，页面据此显示按钮
+function toImageResponse(img, req) {
+    const { dataUrl, visitorId, ...rest } = img;
+    return {
+        ...rest,
+        uploadedBy: img.uploadedBy || 'creator',
+        canEdit: !!req && canModifyImage(req, img)
+    };
+}
+
+const IMAGE_PAGE_MAX = 200;
+
+// 解析图库查询参数：q、tags（逗号分隔）+ tagMatch（any/all）、colors（逗号分隔的 #RRGGBB）、uploadedBy、completed、sort、limit、after
+function parseImageQuery(req) {
+    const query = req.query;
+    const tags = String(query.tags || '').split(',').map(t => t.trim()).filter(Boolean);
+    // tagGroup 可重复出现，每个值是一组逗号分隔的标签：组内 OR，组间 AND
+    const tagGroups = [].concat(query.tagGroup || [])
+        .map(group => String(group).split(',').map(t => t.trim()).filter(Boolean))
+        .filter(group => group.length > 0);
+    const completed = query.completed === 'true' ? true : (query.completed === 'false' ? false : null);
+    const limit = parseInt(query.limit);
+    return {
+        filters: {
+            q: String(query.q || '').trim(),
+            tags,
+            tagMatch: query.tagMatch === 'any' ? 'any' : 'all',
+            tagGroups,
+            uploadedBy: ['creator', 'visitor'].includes(query.uploadedBy) ? query.uploadedBy : null,
+            completed,
+            visitorId: getCompletionOwner(req),
+            viewer: getListViewer(req),
+            meta: normalizeImageMetaFilter(query),
+            colors: normalizeColorFilter(query.colors)
+        },
+        sort: query.sort,
+        limit: limit > 0 ? Math.min(limit, IMAGE_PAGE_MAX) : null,
+        after: query.after || null
+    };
+}
+
+// 获取图片列表：带 limit 时分页返回 { items, nextCursor, total }，否则返回（筛选后的）完整数组
 app.get('/api/images', async (req, res) => {
     try {
-        const images = await readImages();
-        const list = images.map(img => {
-            const { dataUrl, ...rest } = img;
-            return {
-                ...rest,
-                uploadedBy: img.uploadedBy || 'creator',
-                visitorId: img.visitorId || null
-            };
-        });
-        res.json(list);
+        const { filters, sort, limit, after } = parseImageQuery(req);
+        if (sort && !storage.isImageSort(sort)) {
+            return res.status(400).json({ error: '无效的排序方式: ' + sort });
+        }
+        if (!limit && Object.keys(req.query).length === 0) {
+            // 无参数：保持原有行为（按上传顺序返回全部可见的图片）
+            return res.json(storage.listImages(getListViewer(req)).map(img => toImageResponse(img, req)));
+        }
+        const page = storage.queryImages(filters, { sort, limit, after });
+        if (!limit) {
+            return res.json(page.items.map(img => toImageResponse(img, req)));
+        }
+        res.json({ items: page.items.map(img => toImageResponse(img, req)), nextCursor: page.nextCursor, total: page.total });
+    } catch (error) {
+        res.status(500).json({ error: '获取图片失败' });
+    }
+});
+
+// 获取单张图片（不公开、私密的图片对无权查看的人视为不存在）
+app.get('/api/images/:id', async (req, res) => {
+    try {
+        const image = storage.getImage(req.params.id);
+        if (!image || !canViewImage(req, image)) {
+            return res.status(404).json({ error: '图片不存在' });
+        }
+        res.json(toImageResponse(image, req));
     } catch (error) {
         res.status(500).json({ error: '获取图片失败' });
     }
 });
 
+// 可编辑的图片信息：name、tags、keywords、visibility 与图案信息（均可选），返回 { fields } 或 { error }
+// 上传（POST /api/images）和修改（PATCH）共用
+const IMAGE_NAME_MAX = 200;
+
+function parseImageFields(body) {
+    const fields = {};
+    if (!body || typeof body !== 'object') return { error: '无效的请求数据' };
+    if (body.name !== undefined) {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name || name.length > IMAGE_NAME_MAX) return { error: `名称不能为空且不超过 ${IMAGE_NAME_MAX} 个字符` };
+        fields.name = name;
+    }
+    for (const field of ['tags', 'keywords']) {
+        if (body[field] === undefined) continue;
+        if (!Array.isArray(body[field]) || body[field].some(v => typeof v !== 'string')) {
+            return { error: `${field} 必须是字符串数组` };
+        }
+        fields[field] = Array.from(new Set(body[field].map(v => v.trim()).filter(Boolean)));
+    }
+    if (body.visibility !== undefined) {
+        if (!isImageVisibility(body.visibility)) return { error: '可见范围只能是 public、unlisted 或 private' };
+        fields.visibility = body.visibility;
+    }
+    // 图案信息字段：null 或空字符串表示清除
+    const { meta, error } = normalizeImageMeta(body);
+    if (error) return { error };
+    Object.assign(fields, meta);
+    return { fields };
+}
+
+// 修改图片时至少要有一个字段，返回 { updates } 或 { error }
+function parseImageUpdates(body) {
+    const { fields, error } = parseImageFields(body);
+    if (error) return { error };
+    if (Object.keys(fields).length === 0) return { error: '没有要修改的字段' };
+    return { updates: fields };
+}
+
+// 修改图片信息（名称、标签、关键词、可见范围、图案信息），权限规则与删除相同
+app.patch('/api/images/:id', async (req, res) => {
+    try {
+        const { updates, error } = parseImageUpdates(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (updates.visibility && updates.visibility !== 'public' && !req.user) {
+            return res.status(400).json({ error: VISITOR_VISIBILITY_ERROR });
+        }
+        const image = storage.getImage(req.params.id);
+        if (!image) {
+            return res.status(404).json({ error: '图片不存在' });
+        }
+        if (!canModifyImage(req, image)) {
+            return res.status(403).json({ error: '无权修改该图片（只能修改自己上传的图片）' });
+        }
+        const updated = { ...image, ...updates };
+        storage.updateImage(updated);
+        res.json(toImageResponse(updated, req));
+    } catch (error) {
+        console.error('修改图片信息失败:', error);
+        res.status(500).json({ error: '修改图片信息失败' });
+    }
+});
+
 // 上传图片（从 base64）
 app.post('/api/images', async (req, res) => {
     try {
-        const { name, dataUrl, tags, keywords } = req.body;
+        const { dataUrl } = req.body;
         
-        if (!dataUrl || !dataUrl.startsWith('data:image/')) {
+        if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:image/')) {
             return res.status(400).json({ error: '无效的图片数据' });
         }
         
-        if (!req.isCreator && !req.visitorId) {
-            return res.status(400).json({ error: '访客上传请提供 X-Visitor-Id' });
+        // 名称、标签、关键词、可见范围和图案信息（描述、豆子尺寸等）与修改时同样校验；未提供名称时自动命名
+        const { fields, error: fieldsError } = parseImageFields({ ...req.body, name: req.body.name || undefined });
+        if (fieldsError) {
+            return res.status(400).json({ error: fieldsError });
+        }
+        const { name, tags, keywords, visibility, ...meta } = fields;
+        if (visibility && visibility !== 'public' && !req.user) {
+            return res.status(400).json({ error: VISITOR_VISIBILITY_ERROR });
         }
         
-        // 将 base64 转换为文件
-        const base64Data = dataUrl.replace(/^data:image\/\w+;base64,/, '');
-        const buffer = Buffer.from(base64Data, 'base64');
-        
-        const mimeMatch = dataUrl.match(/data:image\/(\w+);base64/);
-        const ext = mimeMatch ? mimeMatch[1] : 'png';
-        const filename = `${Date.now()}-${Math.random().toString(36).substring(7)}.${ext}`;
-        const filepath = path.join(IMAGES_DIR, filename);
+        if (!req.user && !req.visitorId) {
+            return res.status(400).json({ error: '请登录，或以访客身份上传时提供 X-Visitor-Id' });
+        }
         
-        await fs.writeFile(filepath, buffer);
+        // 可选的图案文档（像素画转换结果）
+        let pattern = null;
+        if (req.body.pattern) {
+            pattern = normalizePattern(req.body.pattern);
+            if (!pattern) {
+                return res.status(400).json({ error: '无效的图案数据' });
+            }
+        }
         
-        // 生成缩略图
-        const thumbFilename = `thumb_${filename.replace(/\.\w+$/, '.jpg')}`;
-        const thumbnailUrl = await generateThumbnail(filepath, thumbFilename);
+        // 将 base64 转换为文件
+        const { filename, thumbnailUrl, perceptualHash, dominantColors } = await writeImageFromDataUrl(dataUrl);
         
         // 创建图片记录（不再存储 dataUrl，减小 images.json 体积）
         const imageData = {
@@ -180,54 +467,90 @@ app.post('/api/images', async (req, res) => {
             keywords: keywords || [],
             timestamp: Date.now(),
             uploadedBy: req.isCreator ? 'creator' : 'visitor',
-            visitorId: req.isCreator ? null : (req.visitorId || null)
+            visitorId: req.user ? null : req.visitorId,
+            ownerId: req.user ? req.user.id : null,
+            visibility: visibility || 'public'
         };
+        Object.entries(meta).forEach(([key, value]) => {
+            if (value != null) imageData[key] = value;
+        });
+        if (perceptualHash) imageData.perceptualHash = perceptualHash;
+        if (dominantColors) imageData.dominantColors = dominantColors;
         
-        const images = await readImages();
-        images.push(imageData);
-        await saveImages(images);
+        if (pattern) {
+            imageData.patternFile = `pattern_${filename.replace(/\.\w+$/, '.json')}`;
+            imageData.pattern = summarizePattern(pattern);
+            await savePattern(imageData.patternFile, pattern);
+        }
+        
+        storage.insertImage(imageData);
         
-        res.json(imageData);
+        res.json(toImageResponse(imageData, req));
     } catch (error) {
         console.error('上传图片失败:', error);
         res.status(500).json({ error: '上传图片失败' });
     }
 });
 
+// ===== 重复与相似图片（感知哈希） =====
+const SIMILAR_IMAGES_MAX = 24;
+
+function toSimilarResponse(req, { image, distance }) {
+    return { ...toImageResponse(image, req), distance, duplicate: distance <= DUPLICATE_HASH_DISTANCE };
+}
+
+// 与某张图片相似的图片，按相似程度排列：{ items: [图片 + distance + duplicate] }
+app.get('/api/images/:id/similar', async (req, res) => {
+    try {
+        const image = storage.getImage(req.params.id);
+        if (!image || !canViewImage(req, image)) {
+            return res.status(404).json({ error: '图片不存在' });
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 12, SIMILAR_IMAGES_MAX);
+        const items = image.perceptualHash
+            ? storage.findSimilarImages(image.perceptualHash, { excludeId: image.id, limit, viewer: getListViewer(req) }).map(match => toSimilarResponse(req, match))
+            : [];
+        res.json({ items });
+    } catch (error) {
+        console.error('查找相似图片失败:', error);
+        res.status(500).json({ error: '查找相似图片失败' });
+    }
+});
+
+// 上传前检查：{ dataUrl } → { hash, items: 与之几乎相同的已有图片 }（不保存任何内容）
+app.post('/api/images/find-duplicates', async (req, res) => {
+    try {
+        const buffer = readConvertSource(req);
+        if (!buffer) {
+            return res.status(400).json({ error: '无效的图片数据' });
+        }
+        const hash = await computePerceptualHash(buffer);
+        const items = hash
+            ? storage.findSimilarImages(hash, { maxDistance: DUPLICATE_HASH_DISTANCE, limit: 5, viewer: getListViewer(req) }).map(match => toSimilarResponse(req, match))
+            : [];
+        res.json({ hash, items });
+    } catch (error) {
+        console.error('检查重复图片失败:', error);
+        res.status(500).json({ error: '检查重复图片失败' });
+    }
+});
+
 // 删除图片
 app.delete('/api/images/:id', async (req, res) => {
     try {
-        const { id } = req.params;
-        const images = await readImages();
-        const image = images.find(img => img.id == id);
+        const image = storage.getImage(req.params.id);
         
         if (!image) {
             return res.status(404).json({ error: '图片不存在' });
         }
         
-        const uploadedBy = image.uploadedBy || 'creator';
-        const canDelete = req.isCreator ||
-            (uploadedBy === 'visitor' && image.visitorId && image.visitorId === req.visitorId);
-        
-        if (!canDelete) {
-            return res.status(403).json({ error: '无权删除该图片（仅创作者可删除创作者上传的内容）' });
-        }
-        
-        // 删除原图
-        try {
-            await fs.unlink(path.join(IMAGES_DIR, image.filename));
-        } catch (error) { console.warn('删除原图失败:', error.message); }
-        
-        // 删除缩略图
-        if (image.thumbnailUrl) {
-            try {
-                const thumbName = path.basename(image.thumbnailUrl);
-                await fs.unlink(path.join(THUMBS_DIR, thumbName));
-            } catch (error) { /* 忽略 */ }
+        if (!canModifyImage(req, image)) {
+            return res.status(403).json({ error: '无权删除该图片（只能删除自己上传的图片）' });
         }
         
-        const filtered = images.filter(img => img.id != id);
-        await saveImages(filtered);
+        // 删除原图、缩略图和图案文档
+        storage.deleteImages([image.id]);
+        await removeImageFiles(image);
         
         res.json({ success: true });
     } catch (error) {
@@ -243,36 +566,277 @@ app.post('/api/images/delete-multiple', async (req, res) => {
             return res.status(400).json({ error: '无效的ID列表' });
         }
         
-        const images = await readImages();
-        const allowedToDelete = images.filter(img => {
-            if (!ids.some(id => String(id) === String(img.id))) return false;
-            const uploadedBy = img.uploadedBy || 'creator';
-            return req.isCreator ||
-                (uploadedBy === 'visitor' && img.visitorId && img.visitorId === req.visitorId);
-        });
+        const allowedToDelete = ids
+            .map(id => storage.getImage(id))
+            .filter(img => img && canModifyImage(req, img));
         
+        storage.deleteImages(allowedToDelete.map(img => img.id));
         for (const image of allowedToDelete) {
-            try { await fs.unlink(path.join(IMAGES_DIR, image.filename)); } catch (e) {}
-            if (image.thumbnailUrl) {
-                try { await fs.unlink(path.join(THUMBS_DIR, path.basename(image.thumbnailUrl))); } catch (e) {}
-            }
+            await removeImageFiles(image);
         }
         
-        const allowedIds = allowedToDelete.map(img => img.id);
-        const filtered = images.filter(img => !allowedIds.includes(img.id));
-        await saveImages(filtered);
-        
         res.json({ success: true, deleted: allowedToDelete.length });
     } catch (error) {
         res.status(500).json({ error: '批量删除失败' });
     }
 });
 
+// 批量标签操作：addTags 追加、removeTags 移除、replaceTag { from, to } 把 from 替换为 to（已有 to 时只去掉 from）
+function applyTagOperation(tags, operation) {
+    let result = [...(tags || [])];
+    if (operation.replaceTag) {
+        const { from, to } = operation.replaceTag;
+        if (result.includes(from)) {
+            result = result.includes(to) ? result.filter(t => t !== from) : result.map(t => (t === from ? to : t));
+        }
+    }
+    if (operation.removeTags.length > 0) {
+        result = result.filter(t => !operation.removeTags.includes(t));
+    }
+    operation.addTags.forEach(tag => {
+        if (!result.includes(tag)) result.push(tag);
+    });
+    return result;
+}
+
+function parseTagList(value) {
+    if (value === undefined) return [];
+    if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) return null;
+    return Array.from(new Set(value.map(v => v.trim()).filter(Boolean)));
+}
+
+// 批量修改标签：只修改有权限的图片（规则同批量删除），在一个事务中完成
+app.post('/api/images/batch-update', async (req, res) => {
+    try {
+        const { ids, replaceTag } = req.body || {};
+        if (!Array.isArray(ids) || ids.length === 0) {
+            return res.status(400).json({ error: '无效的ID列表' });
+        }
+        const addTags = parseTagList(req.body.addTags);
+        const removeTags = parseTagList(req.body.removeTags);
+        if (!addTags || !removeTags) {
+            return res.status(400).json({ error: 'addTags / removeTags 必须是字符串数组' });
+        }
+        let replace = null;
+        if (replaceTag !== undefined) {
+            const from = replaceTag && typeof replaceTag.from === 'string' ? replaceTag.from.trim() : '';
+            const to = replaceTag && typeof replaceTag.to === 'string' ? replaceTag.to.trim() : '';
+            if (!from || !to) {
+                return res.status(400).json({ error: 'replaceTag 需要 from 和 to' });
+            }
+            replace = { from, to };
+        }
+        if (addTags.length === 0 && removeTags.length === 0 && !replace) {
+            return res.status(400).json({ error: '没有要执行的标签操作' });
+        }
+        
+        const operation = { addTags, removeTags, replaceTag: replace };
+        const result = storage.transaction(() => {
+            const updatedImages = [];
+            let skipped = 0;
+            for (const id of ids) {
+                const image = storage.getImage(id);
+                if (!image || !canModifyImage(req, image)) {
+                    skipped++;
+                    continue;
+                }
+                const tags = applyTagOperation(image.tags, operation);
+                if (tags.length !== image.tags.length || tags.some((t, i) => t !== image.tags[i])) {
+                    storage.updateImage({ ...image, tags });
+                }
+                updatedImages.push({ ...image, tags });
+            }
+            return { updatedImages, skipped };
+        });
+        
+        res.json({
+            success: true,
+            updated: result.updatedImages.length,
+            skipped: result.skipped,
+            images: result.updatedImages.map(img => toImageResponse(img, req))
+        });
+    } catch (error) {
+        console.error('批量修改标签失败:', error);
+        res.status(500).json({ error: '批量修改标签失败' });
+    }
+});
+
+// 获取图片的图案文档
+app.get('/api/images/:id/pattern', async (req, res) => {
+    try {
+        const image = storage.getImage(req.params.id);
+        if (!image || !canViewImage(req, image)) {
+            return res.status(404).json({ error: '图片不存在' });
+        }
+        if (!image.patternFile) {
+            return res.status(404).json({ error: '该图片没有图案数据' });
+        }
+        res.json(await readPattern(image.patternFile));
+    } catch (error) {
+        res.status(500).json({ error: '获取图案失败' });
+    }
+});
+
+// 保存编辑后的图案（同时替换渲染出的图片），权限规则与删除相同
+app.put('/api/images/:id/pattern', async (req, res) => {
+    try {
+        const { dataUrl } = req.body || {};
+        const pattern = normalizePattern(req.body && req.body.pattern);
+        if (!pattern) {
+            return res.status(400).json({ error: '无效的图案数据' });
+        }
+        if (!dataUrl || !dataUrl.startsWith('data:image/')) {
+            return res.status(400).json({ error: '无效的图片数据' });
+        }
+        
+        const image = storage.getImage(req.params.id);
+        if (!image) {
+            return res.status(404).json({ error: '图片不存在' });
+        }
+        if (!canModifyImage(req, image)) {
+            return res.status(403).json({ error: '无权修改该图片' });
+        }
+        
+        const oldFiles = { filename: image.filename, thumbnailUrl: image.thumbnailUrl, patternFile: image.patternFile };
+        const { filename, thumbnailUrl, perceptualHash, dominantColors } = await writeImageFromDataUrl(dataUrl);
+        image.filename = filename;
+        image.perceptualHash = perceptualHash;
+        image.dominantColors = dominantColors;
+        image.url = `/images/${filename}`;
+        image.thumbnailUrl = thumbnailUrl || `/images/${filename}`;
+        image.patternFile = `pattern_${filename.replace(/\.\w+$/, '.json')}`;
+        image.pattern = summarizePattern(pattern);
+        await savePattern(image.patternFile, pattern);
+        storage.updateImage(image);
+        await removeImageFiles(oldFiles);
+        
+        res.json(toImageResponse(image, req));
+    } catch (error) {
+        console.error('保存图案失败:', error);
+        res.status(500).json({ error: '保存图案失败' });
+    }
+});
+
+// ===== 服务端像素画转换（与浏览器端共用 pixel-core.js，输出相同结构的图案文档） =====
+const PREVIEW_CELL_SIZE = 12;    // 预览图每格边长（与页面预览一致）
+const PREVIEW_MAX_SIZE = 3000;   // 预览图最长边上限，超出时自动缩小格子
+
+// 解析待转换图片：multipart 的 image 字段，或 JSON 的 dataUrl
+function readConvertSource(req) {
+    if (req.file) return req.file.buffer;
+    const dataUrl = req.body && req.body.dataUrl;
+    if (typeof dataUrl === 'string' && dataUrl.startsWith('data:image/')) {
+        return Buffer.from(dataUrl.replace(/^data:image\/[\w+.-]+;base64,/, ''), 'base64');
+    }
+    return null;
+}
+
+// 按浏览器端相同的流程转换：等比缩放 → 超采样 → 逐格取平均 → 量化/匹配/抖动
+async function convertImageBuffer(buffer, options) {
+    const meta = await sharp(buffer).metadata();
+    // EXIF 方向 5~8 需要交换宽高（浏览器解码时会自动按方向旋转）
+    const rotated = meta.orientation >= 5;
+    const imageWidth = rotated ? meta.height : meta.width;
+    const imageHeight = rotated ? meta.width : meta.height;
+    if (!imageWidth || !imageHeight) throw new Error('无法读取图片尺寸');
+    
+    const size = pixelCore.getConvertSize(imageWidth, imageHeight, options.resolution);
+    const { data } = await sharp(buffer)
+        .rotate()
+        .resize(size.sampleW, size.sampleH, { fit: 'fill' })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    
+    const result = pixelCore.buildPixelPattern(new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), {
+        sampleW: size.sampleW,
+        pixelWidth: size.pixelWidth,
+        pixelHeight: size.pixelHeight,
+        sampleScale: size.sampleScale,
+        ...options
+    });
+    return pixelCore.createPixelPattern(size.pixelWidth, size.pixelHeight, options, result);
+}
+
+// 渲染预览 PNG：每格一个色块，格子间画淡网格线，空格透明
+async function renderPatternPreview(pattern, cellSize) {
+    const size = Math.max(1, Math.min(cellSize, Math.floor(PREVIEW_MAX_SIZE / Math.max(pattern.width, pattern.height))));
+    const width = pattern.width * size;
+    const height = pattern.height * size;
+    const pixels = Buffer.alloc(width * height * 4);
+    const showGrid = size >= 4;
+    for (let y = 0; y < height; y++) {
+        const cy = Math.floor(y / size);
+        for (let x = 0; x < width; x++) {
+            const index = pattern.cells[cy * pattern.width + Math.floor(x / size)];
+            if (index < 0) continue;
+            const rgb = pattern.palette[index].rgb;
+            const shade = showGrid && (x % size === 0 || y % size === 0) ? 0.92 : 1;
+            const o = (y * width + x) * 4;
+            pixels[o] = Math.round(rgb[0] * shade);
+            pixels[o + 1] = Math.round(rgb[1] * shade);
+            pixels[o + 2] = Math.round(rgb[2] * shade);
+            pixels[o + 3] = 255;
+        }
+    }
+    return sharp(pixels, { raw: { width, height, channels: 4 } }).png().toBuffer();
+}
+
+// 转换图片为拼豆图案
+// 参数（JSON 或 multipart 字段）：image / dataUrl，resolution，colorCount，palette（品牌），
+// dither，ditherStrength，colorDistance，boardSize，cellSize（预览格子边长）
+// 返回 { pattern: 图案文档, summary, preview: PNG dataUrl }；?format=png 时直接返回预览图
+app.post('/api/convert', (req, res, next) => {
+    convertUpload.single('image')(req, res, (err) => {
+        if (err) return res.status(400).json({ error: '图片上传失败: ' + err.message });
+        next();
+    });
+}, async (req, res) => {
+    try {
+        if (!sharp) {
+            return res.status(500).json({ error: 'sharp 未安装，无法转换图片' });
+        }
+        const buffer = readConvertSource(req);
+        if (!buffer) {
+            return res.status(400).json({ error: '请提供图片（image 文件字段或 dataUrl）' });
+        }
+        
+        const body = req.body || {};
+        if (body.palette && !getBeadCatalog(body.palette)) {
+            return res.status(400).json({ error: '未知的色卡品牌: ' + body.palette });
+        }
+        const options = pixelCore.normalizeConvertOptions({ ...body, brand: body.palette });
+        const boardSize = [29, 50].includes(parseInt(body.boardSize)) ? parseInt(body.boardSize) : 0;
+        
+        let pattern;
+        try {
+            pattern = await convertImageBuffer(buffer, options);
+        } catch (err) {
+            return res.status(400).json({ error: '无法解析图片: ' + err.message });
+        }
+        
+        const preview = await renderPatternPreview(pattern, parseInt(body.cellSize) || PREVIEW_CELL_SIZE);
+        if (req.query.format === 'png') {
+            res.type('png');
+            return res.send(preview);
+        }
+        
+        const doc = pixelCore.patternToDocument(pattern, { boardSize });
+        res.json({
+            pattern: doc,
+            summary: summarizePattern(doc),
+            preview: `data:image/png;base64,${preview.toString('base64')}`
+        });
+    } catch (error) {
+        console.error('转换图片失败:', error);
+        res.status(500).json({ error: '转换图片失败' });
+    }
+});
+
 // 获取标签
 app.get('/api/tags', async (req, res) => {
     try {
-        const tags = await readTags();
-        res.json(tags);
+        res.json(storage.listTags());
     } catch (error) {
         res.status(500).json({ error: '获取标签失败' });
     }
@@ -285,38 +849,764 @@ app.post('/api/tags', async (req, res) => {
             return res.status(403).json({ error: '仅创作者可管理标签' });
         }
         const tags = req.body;
-        await saveTags(tags);
+        if (!Array.isArray(tags)) {
+            return res.status(400).json({ error: '标签必须是数组' });
+        }
+        storage.replaceTags(tags);
         res.json({ success: true });
     } catch (error) {
         res.status(500).json({ error: '保存标签失败' });
     }
 });
 
-// 提供图片文件和缩略图
-app.use('/images', express.static(IMAGES_DIR));
-app.use('/thumbs', express.static(THUMBS_DIR));
+// 标签分组：[{ name, tags: [标签名] }]
+app.get('/api/tag-groups', async (req, res) => {
+    try {
+        res.json(storage.listTagGroups());
+    } catch (error) {
+        res.status(500).json({ error: '获取标签分组失败' });
+    }
+});
+
+// 校验分组列表，返回规范化后的数组；格式不对时返回 null
+function parseTagGroups(value) {
+    if (!Array.isArray(value)) return null;
+    const groups = [];
+    for (const group of value) {
+        const name = group && typeof group.name === 'string' ? group.name.trim() : '';
+        if (!name || name.length > 50) return null;
+        const tags = parseTagList(group.tags);
+        if (!tags) return null;
+        groups.push({ name, tags });
+    }
+    return groups;
+}
+
+// 保存标签分组（仅创作者，整体替换）
+app.post('/api/tag-groups', async (req, res) => {
+    try {
+        if (!req.isCreator) {
+            return res.status(403).json({ error: '仅创作者可管理标签' });
+        }
+        const groups = parseTagGroups(req.body);
+        if (!groups) {
+            return res.status(400).json({ error: '分组格式不正确' });
+        }
+        storage.replaceTagGroups(groups);
+        res.json({ success: true, groups: storage.listTagGroups() });
+    } catch (error) {
+        console.error('保存标签分组失败:', error);
+        res.status(500).json({ error: '保存标签分组失败' });
+    }
+});
+
+// ===== 标签管理（仅创作者）：使用统计、重命名、合并、删除，图片上的标签同步修改 =====
+function requireCreator(req, res) {
+    if (req.isCreator) return true;
+    res.status(403).json({ error: '仅创作者可管理标签' });
+    return false;
+}
+
+function readTagName(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+// 获取标签使用情况：{ tags: [{ name, colors, count }], orphans: [{ name, count }] }
+app.get('/api/tags/usage', async (req, res) => {
+    try {
+        // 统计包括不公开、私密图片上的标签，只给管理标签的创作者看（页面上的标签管理也仅创作者可用）
+        if (!requireCreator(req, res)) return;
+        res.json(storage.getTagUsage());
+    } catch (error) {
+        res.status(500).json({ error: '获取标签统计失败' });
+    }
+});
+
+// 重命名标签：{ from, to }
+app.post('/api/tags/rename', async (req, res) => {
+    try {
+        if (!requireCreator(req, res)) return;
+        const from = readTagName(req.body && req.body.from);
+        const to = readTagName(req.body && req.body.to);
+        if (!from || !to) {
+            return res.status(400).json({ error: '请提供原标签名和新标签名' });
+        }
+        if (from === to) {
+            return res.status(400).json({ error: '新旧标签名相同' });
+        }
+        if (storage.listTags().some(t => t.name === to)) {
+            return res.status(409).json({ error: `标签「${to}」已存在，请使用合并` });
+        }
+        const affected = storage.renameTag(from, to);
+        res.json({ success: true, affected, tags: storage.listTags(), groups: storage.listTagGroups() });
+    } catch (error) {
+        console.error('重命名标签失败:', error);
+        res.status(500).json({ error: '重命名标签失败' });
+    }
+});
+
+// 合并标签：{ from, into }，带 from 的图片改为带 into
+app.post('/api/tags/merge', async (req, res) => {
+    try {
+        if (!requireCreator(req, res)) return;
+        const from = readTagName(req.body && req.body.from);
+        const into = readTagName(req.body && req.body.into);
+        if (!from || !into || from === into) {
+            return res.status(400).json({ error: '请提供两个不同的标签' });
+        }
+        const affected = storage.mergeTags(from, into);
+        res.json({ success: true, affected, tags: storage.listTags(), groups: storage.listTagGroups() });
+    } catch (error) {
+        console.error('合并标签失败:', error);
+        res.status(500).json({ error: '合并标签失败' });
+    }
+});
+
+// 删除标签（同时从所有图片上移除）
+app.delete('/api/tags/:name', async (req, res) => {
+    try {
+        if (!requireCreator(req, res)) return;
+        const name = readTagName(req.params.name);
+        if (!name) {
+            return res.status(400).json({ error: '无效的标签名' });
+        }
+        const affected = storage.deleteTag(name);
+        res.json({ success: true, affected, tags: storage.listTags(), groups: storage.listTagGroups() });
+    } catch (error) {
+        console.error('删除标签失败:', error);
+        res.status(500).json({ error: '删除标签失败' });
+    }
+});
+
+// 提供图片文件和缩略图：按所属图片的可见范围，规则同 GET /api/images/:id；不属于任何图片的文件不提供
+// 非公开图片的文件不允许共享缓存（CDN、代理）保存
+function serveImageFiles(dir) {
+    const serveStatic = express.static(dir);
+    return (req, res, next) => {
+        let url;
+        try {
+            url = req.baseUrl + decodeURIComponent(req.path);
+        } catch (e) {
+            return res.status(400).end();
+        }
+        const image = storage.getImageByFileUrl(url);
+        if (!image || !canViewImage(req, image)) {
+            return res.status(404).end();
+        }
+        if (image.visibility !== 'public') {
+            res.setHeader('Cache-Control', 'private, no-cache');
+        }
+        serveStatic(req, res, next);
+    };
+}
+
+app.use('/images', serveImageFiles(IMAGES_DIR));
+app.use('/thumbs', serveImageFiles(THUMBS_DIR));
 
 // 健康检查
 app.get('/api/health', (req, res) => {
     res.json({ status: 'ok', timestamp: Date.now() });
 });
 
-// 权限检查
+// 当前身份：{ user: { id, username, role } | null, isCreator, isAdmin, visitorId, needsSetup }
+// needsSetup 为 true 表示还没有任何账号，需要先创建管理员
+function toMeResponse(user, visitorId) {
+    return {
+        user,
+        isCreator: !!user && (user.role === 'admin' || user.role === 'creator'),
+        isAdmin: !!user && user.role === 'admin',
+        visitorId: visitorId || null,
+        needsSetup: storage.countUsers() === 0
+    };
+}
+
 app.get('/api/me', (req, res) => {
-    res.json({
-        isCreator: req.isCreator,
-        visitorId: req.visitorId || null
+    res.json(toMeResponse(req.user, req.visitorId));
+});
+
+// ===== 账号：初始化管理员、登录、注册（凭邀请码）、退出、修改密码 =====
+function isSecureRequest(req) {
+    return req.secure || req.headers['x-forwarded-proto'] === 'https';
+}
+
+function isLoopbackRequest(req) {
+    return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+}
+
+// 新建会话并写入 Cookie
+function startSession(req, res, user) {
+    const token = auth.createToken();
+    storage.createSession(user.id, auth.hashToken(token), Date.now() + auth.SESSION_MAX_AGE);
+    res.setHeader('Set-Cookie', auth.serializeSessionCookie(token, { secure: isSecureRequest(req) }));
+}
+
+// 登录或注册后，把本浏览器以匿名访客身份上传的图片和完成记录归入账号；
+// 只有凭访客密钥证明了身份的请求才能归入（访客 ID 是公开的，不能仅凭 ID 转移他人的数据）
+function claimVisitorData(req, user) {
+    if (!req.visitorId || !req.visitorVerified) return { images: 0, completions: 0 };
+    return storage.claimVisitorData(req.visitorId, user.id, completionOwnerOf(user));
+}
+
+// 读取并校验用户名和密码：返回 { username, password } 或 { error }
+function readCredentials(body) {
+    const { username, error } = auth.normalizeUsername(body && body.username);
+    if (error) return { error };
+    const passwordError = auth.validatePassword(body && body.password);
+    if (passwordError) return { error: passwordError };
+    return { username, password: body.password };
+}
+
+// 创建第一个管理员（仅在还没有任何账号时可用）：设置了 CREATOR_SECRET 时须提供 secret，否则只允许本机访问
+app.post('/api/auth/setup', async (req, res) => {
+    try {
+        if (storage.countUsers() > 0) {
+            return res.status(409).json({ error: '管理员账号已存在，请直接登录' });
+        }
+        if (CREATOR_SECRET ? (req.body && req.body.secret) !== CREATOR_SECRET : !isLoopbackRequest(req)) {
+            return res.status(403).json({ error: CREATOR_SECRET ? '初始化密钥不正确' : '未设置 CREATOR_SECRET 时只能在服务器本机创建管理员' });
+        }
+        const { username, password, error } = readCredentials(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const user = storage.createUser({ username, passwordHash: await auth.hashPassword(password), role: 'admin' });
+        if (!user) {
+            return res.status(409).json({ error: '用户名已被使用' });
+        }
+        const claimed = claimVisitorData(req, user);
+        startSession(req, res, user);
+        res.json({ ...toMeResponse(user, req.visitorId), claimed });
+    } catch (error) {
+        console.error('创建管理员失败:', error);
+        res.status(500).json({ error: '创建管理员失败' });
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const username = typeof req.body?.username === 'string' ? req.body.username.trim() : '';
+        const password = typeof req.body?.password === 'string' ? req.body.password : '';
+        const login = username && password ? storage.findLogin(username) : null;
+        if (!login || !(await auth.verifyPassword(password, login.passwordHash))) {
+            return res.status(401).json({ error: '用户名或密码错误' });
+        }
+        const claimed = claimVisitorData(req, login.user);
+        startSession(req, res, login.user);
+        res.json({ ...toMeResponse(login.user, req.visitorId), claimed });
+    } catch (error) {
+        console.error('登录失败:', error);
+        res.status(500).json({ error: '登录失败' });
+    }
+});
+
+// 查看邀请码（注册页面显示将获得的角色），无效、已使用或已过期时返回 404
+app.get('/api/auth/invites/:code', (req, res) => {
+    const invite = storage.getInvite(req.params.code);
+    if (!invite || invite.usedAt || invite.expiresAt <= Date.now()) {
+        return res.status(404).json({ error: '邀请码无效或已过期' });
+    }
+    res.json({ role: invite.role, expiresAt: invite.expiresAt, createdByName: invite.createdByName });
+});
+
+app.post('/api/auth/register', async (req, res) => {
+    try {
+        const code = typeof req.body?.inviteCode === 'string' ? req.body.inviteCode.trim() : '';
+        if (!code) {
+            return res.status(400).json({ error: '请输入邀请码' });
+        }
+        const { username, password, error } = readCredentials(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const result = storage.registerWithInvite(code, { username, passwordHash: await auth.hashPassword(password) });
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        const claimed = claimVisitorData(req, result.user);
+        startSession(req, res, result.user);
+        res.json({ ...toMeResponse(result.user, req.visitorId), claimed });
+    } catch (error) {
+        console.error('注册失败:', error);
+        res.status(500).json({ error: '注册失败' });
+    }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    if (req.sessionTokenHash) storage.deleteSession(req.sessionTokenHash);
+    res.setHeader('Set-Cookie', auth.serializeSessionCookie(null, { secure: isSecureRequest(req) }));
+    res.json({ success: true });
+});
+
+// 修改密码：须提供当前密码；成功后该账号在其他设备上的会话失效
+app.post('/api/me/password', async (req, res) => {
+    try {
+        if (!req.user) {
+            return res.status(401).json({ error: '请先登录' });
+        }
+        const { currentPassword, newPassword } = req.body || {};
+        if (typeof currentPassword !== 'string' || !(await auth.verifyPassword(currentPassword, storage.getPasswordHash(req.user.id)))) {
+            return res.status(400).json({ error: '当前密码不正确' });
+        }
+        const passwordError = auth.validatePassword(newPassword);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+        storage.updateUserPassword(req.user.id, await auth.hashPassword(newPassword), req.sessionTokenHash);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('修改密码失败:', error);
+        res.status(500).json({ error: '修改密码失败' });
+    }
+});
+
+// ===== 邀请码（管理员可邀请任意角色，创作者只能邀请成员）=====
+const INVITE_MAX_DAYS = 30;
+
+app.get('/api/invites', (req, res) => {
+    if (!req.isCreator) {
+        return res.status(403).json({ error: '仅管理员和创作者可邀请' });
+    }
+    res.json(storage.listInvites(req.isAdmin ? null : req.user.id));
+});
+
+// 新建邀请码：{ role = 'member', expiresInDays = 7 }，返回邀请码记录
+app.post('/api/invites', (req, res) => {
+    try {
+        if (!req.isCreator) {
+            return res.status(403).json({ error: '仅管理员和创作者可邀请' });
+        }
+        const role = req.body?.role || 'member';
+        if (!auth.isRole(role)) {
+            return res.status(400).json({ error: '无效的角色: ' + role });
+        }
+        if (role !== 'member' && !req.isAdmin) {
+            return res.status(403).json({ error: '创作者只能邀请成员' });
+        }
+        const days = req.body?.expiresInDays == null ? null : Number(req.body.expiresInDays);
+        if (days !== null && !(Number.isInteger(days) && days >= 1 && days <= INVITE_MAX_DAYS)) {
+            return res.status(400).json({ error: `有效期须为 1 ~ ${INVITE_MAX_DAYS} 天` });
+        }
+        const invite = storage.createInvite({
+            code: auth.createToken(12),
+            role,
+            createdBy: req.user.id,
+            expiresAt: Date.now() + (days ? days * 24 * 60 * 60 * 1000 : auth.INVITE_MAX_AGE)
+        });
+        res.json(invite);
+    } catch (error) {
+        console.error('创建邀请码失败:', error);
+        res.status(500).json({ error: '创建邀请码失败' });
+    }
+});
+
+app.delete('/api/invites/:code', (req, res) => {
+    const invite = storage.getInvite(req.params.code);
+    if (!invite) {
+        return res.status(404).json({ error: '邀请码不存在' });
+    }
+    if (!req.isAdmin && !(req.isCreator && invite.createdBy === req.user.id)) {
+        return res.status(403).json({ error: '只能撤销自己创建的邀请码' });
+    }
+    storage.deleteInvite(invite.code);
+    res.json({ success: true });
+});
+
+// ===== 账号管理（仅管理员）：列表、修改角色、删除；至少保留一个管理员 =====
+function requireAdmin(req, res) {
+    if (req.isAdmin) return true;
+    res.status(403).json({ error: '仅管理员可管理账号' });
+    return false;
+}
+
+app.get('/api/users', (req, res) => {
+    if (!requireAdmin(req, res)) return;
+    res.json(storage.listUsers());
+});
+
+app.patch('/api/users/:id', (req, res) => {
+    if (!requireAdmin(req, res)) return;
+    const target = storage.getUser(Number(req.params.id));
+    if (!target) {
+        return res.status(404).json({ error: '账号不存在' });
+    }
+    const role = req.body?.role;
+    if (!auth.isRole(role)) {
+        return res.status(400).json({ error: '无效的角色: ' + role });
+    }
+    if (target.role === 'admin' && role !== 'admin' && storage.countAdmins() <= 1) {
+        return res.status(400).json({ error: '至少需要保留一个管理员' });
+    }
+    storage.updateUserRole(target.id, role);
+    res.json(storage.getUser(target.id));
+});
+
+app.delete('/api/users/:id', (req, res) => {
+    if (!requireAdmin(req, res)) return;
+    const target = storage.getUser(Number(req.params.id));
+    if (!target) {
+        return res.status(404).json({ error: '账号不存在' });
+    }
+    if (target.id === req.user.id) {
+        return res.status(400).json({ error: '不能删除自己的账号' });
+    }
+    storage.deleteUser(target.id);
+    res.json({ success: true });
+});
+
+// ===== 合集：把图片按手动顺序编成专辑，可设封面和描述 =====
+// 登录账号可以新建合集；合集的创建者、管理员和创作者可以修改。合集对所有人可见，
+// 但合集中的图片仍按各自的可见范围过滤（不公开、私密的图片只有能看到它的人才能在合集里看到，其他人凭合集的分享链接查看）
+const COLLECTION_NAME_MAX = 100;
+const COLLECTION_DESCRIPTION_MAX = 2000;
+
+function canModifyCollection(req, collection) {
+    return req.isCreator || (!!req.user && collection.ownerId === req.user.id);
+}
+
+// { name, description } 的校验，partial 为 true 时只校验提供了的字段；返回 { fields } 或 { error }
+function parseCollectionFields(body, partial) {
+    const fields = {};
+    if (!body || typeof body !== 'object') return { error: '无效的请求数据' };
+    if (body.name !== undefined || !partial) {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name || name.length > COLLECTION_NAME_MAX) return { error: `合集名称不能为空且不超过 ${COLLECTION_NAME_MAX} 个字符` };
+        fields.name = name;
+    }
+    if (body.description !== undefined && body.description !== null) {
+        if (typeof body.description !== 'string' || body.description.length > COLLECTION_DESCRIPTION_MAX) {
+            return { error: `描述不超过 ${COLLECTION_DESCRIPTION_MAX} 个字符` };
+        }
+        fields.description = body.description.trim();
+    } else if (body.description === null) {
+        fields.description = '';
+    }
+    return { fields };
+}
+
+// 合集详情：基本信息 + 当前请求者能看到的图片（按合集内顺序）+ 能否修改
+function toCollectionResponse(req, collection) {
+    const { imageIds, ...rest } = collection;
+    const images = storage.getCollectionImages(collection.id, getListViewer(req)).map(img => toImageResponse(img, req));
+    return { ...rest, imageCount: images.length, images, canEdit: canModifyCollection(req, collection) };
+}
+
+// 合集列表（最近修改的在前），每项带 imageCount、coverThumbnailUrl 和 canEdit
+app.get('/api/collections', (req, res) => {
+    try {
+        const collections = storage.listCollections(getListViewer(req));
+        res.json(collections.map(c => ({ ...c, canEdit: canModifyCollection(req, c) })));
+    } catch (error) {
+        console.error('获取合集列表失败:', error);
+        res.status(500).json({ error: '获取合集列表失败' });
+    }
+});
+
+// 新建合集：{ name, description, imageIds（可选，初始图片）}
+app.post('/api/collections', (req, res) => {
+    try {
+        if (!req.user) {
+            return res.status(401).json({ error: '请先登录' });
+        }
+        const { fields, error } = parseCollectionFields(req.body, false);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const collection = storage.createCollection({ ...fields, ownerId: req.user.id });
+        const imageIds = Array.isArray(req.body.imageIds) ? req.body.imageIds : [];
+        const viewable = imageIds.map(id => storage.getImage(id)).filter(img => img && canViewImage(req, img));
+        if (viewable.length > 0) storage.addCollectionImages(collection.id, viewable.map(img => img.id));
+        res.json(toCollectionResponse(req, storage.getCollection(collection.id)));
+    } catch (error) {
+        console.error('新建合集失败:', error);
+        res.status(500).json({ error: '新建合集失败' });
+    }
+});
+
+app.get('/api/collections/:id', (req, res) => {
+    const collection = storage.getCollection(Number(req.params.id));
+    if (!collection) {
+        return res.status(404).json({ error: '合集不存在' });
+    }
+    res.json(toCollectionResponse(req, collection));
+});
+
+// 修改合集：{ name, description, coverImageId（null 为取消封面）, imageIds（调整顺序 / 移出图片）} 的任意子集
+// imageIds 只能包含合集中已有的图片；当前请求者看不到的图片不受影响，排在可见图片之后
+app.patch('/api/collections/:id', (req, res) => {
+    try {
+        const collection = storage.getCollection(Number(req.params.id));
+        if (!collection) {
+            return res.status(404).json({ error: '合集不存在' });
+        }
+        if (!canModifyCollection(req, collection)) {
+            return res.status(403).json({ error: '只能修改自己创建的合集' });
+        }
+        const { fields, error } = parseCollectionFields(req.body, true);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const body = req.body;
+        const visibleIds = storage.getCollectionImages(collection.id, getListViewer(req)).map(img => String(img.id));
+        let imageIds = null;
+        if (body.imageIds !== undefined) {
+            if (!Array.isArray(body.imageIds) || body.imageIds.some(id => !visibleIds.includes(String(id)))) {
+                return res.status(400).json({ error: 'imageIds 只能包含合集中的图片' });
+            }
+            const hidden = collection.imageIds.map(String).filter(id => !visibleIds.includes(id));
+            imageIds = [...new Set(body.imageIds.map(String)), ...hidden];
+        }
+        const remaining = imageIds || collection.imageIds.map(String);
+        if (body.coverImageId !== undefined) {
+            if (body.coverImageId !== null && !(visibleIds.includes(String(body.coverImageId)) && remaining.includes(String(body.coverImageId)))) {
+                return res.status(400).json({ error: '封面只能是合集中的图片' });
+            }
+            fields.coverImageId = body.coverImageId;
+        } else if (collection.coverImageId != null && !remaining.includes(String(collection.coverImageId))) {
+            fields.coverImageId = null;  // 封面图片被移出合集
+        }
+        if (Object.keys(fields).length === 0 && !imageIds) {
+            return res.status(400).json({ error: '没有要修改的字段' });
+        }
+        if (imageIds) storage.setCollectionImages(collection.id, imageIds);
+        if (Object.keys(fields).length > 0) storage.updateCollection(collection.id, fields);
+        res.json(toCollectionResponse(req, storage.getCollection(collection.id)));
+    } catch (error) {
+        console.error('修改合集失败:', error);
+        res.status(500).json({ error: '修改合集失败' });
+    }
+});
+
+// 把图片加入合集末尾：{ imageIds }，只加入当前请求者能看到的图片，已在合集中的跳过
+app.post('/api/collections/:id/images', (req, res) => {
+    try {
+        const collection = storage.getCollection(Number(req.params.id));
+        if (!collection) {
+            return res.status(404).json({ error: '合集不存在' });
+        }
+        if (!canModifyCollection(req, collection)) {
+            return res.status(403).json({ error: '只能修改自己创建的合集' });
+        }
+        const imageIds = req.body && req.body.imageIds;
+        if (!Array.isArray(imageIds) || imageIds.length === 0) {
+            return res.status(400).json({ error: 'imageIds 必须是非空数组' });
+        }
+        const viewable = imageIds.map(id => storage.getImage(id)).filter(img => img && canViewImage(req, img));
+        const added = storage.addCollectionImages(collection.id, viewable.map(img => img.id));
+        res.json({ added, collection: toCollectionResponse(req, storage.getCollection(collection.id)) });
+    } catch (error) {
+        console.error('加入合集失败:', error);
+        res.status(500).json({ error: '加入合集失败' });
+    }
+});
+
+// 删除合集（图片本身保留）
+app.delete('/api/collections/:id', (req, res) => {
+    const collection = storage.getCollection(Number(req.params.id));
+    if (!collection) {
+        return res.status(404).json({ error: '合集不存在' });
+    }
+    if (!canModifyCollection(req, collection)) {
+        return res.status(403).json({ error: '只能删除自己创建的合集' });
+    }
+    storage.deleteCollection(collection.id);
+    res.json({ success: true });
+});
+
+// ===== 分享链接：服务器签名的令牌，可设有效期和查看次数上限，打开后只读查看（私密图片也可） =====
+// 令牌为 <分享 id>.<签名>（见 auth.js 的 signToken），签名密钥在首次启动时生成并保存在数据库中
+const SHARE_MAX_DAYS = 365;
+const SHARE_MAX_VIEWS = 10000;
+let shareSigningKey = null;
+
+// 可分享的对象类型：load 按 id 读取，canShare 判断当前请求者能否分享，images 为分享页可访问其文件的图片
+const SHARE_TARGETS = {
+    image: {
+        load: (id) => storage.getImage(id),
+        canShare: (req, image) => canModifyImage(req, image),
+        name: (image) => image.name,
+        images: (image) => [image]
+    },
+    // 分享合集时，合集中的全部图片（含私密图片）都可在分享页查看
+    collection: {
+        load: (id) => storage.getCollection(Number(id)),
+        canShare: (req, collection) => canModifyCollection(req, collection),
+        name: (collection) => collection.name,
+        images: (collection) => storage.getCollectionImages(collection.id)
+    }
+};
+
+// 分享链接记录 + 令牌（页面据此拼出 #/share/<令牌> 链接）+ 分享对象的名称
+function toShareResponse(link) {
+    const target = SHARE_TARGETS[link.targetType];
+    const item = target ? target.load(link.targetId) : null;
+    return { ...link, token: auth.signToken(link.id, shareSigningKey), targetName: item ? target.name(item) : null };
+}
+
+// 分享页中的图片：文件地址改为经由分享令牌访问，不返回上传者信息
+function toSharedImage(token, image) {
+    const base = `/api/shared/${encodeURIComponent(token)}/files/${encodeURIComponent(image.id)}`;
+    const { ownerId, canEdit, ...rest } = toImageResponse(image);
+    return { ...rest, url: `${base}/image`, thumbnailUrl: image.thumbnailUrl ? `${base}/thumb` : `${base}/image` };
+}
+
+// 解析分享令牌：签名有效、链接存在、未过期、对象仍存在时返回 { link, target, item }，否则返回 { status, error }
+function resolveShareToken(token) {
+    const id = auth.verifySignedToken(token, shareSigningKey);
+    const link = id ? storage.getShareLink(id) : null;
+    if (!link) return { status: 404, error: '分享链接无效或已被撤销' };
+    if (link.expiresAt && link.expiresAt <= Date.now()) return { status: 410, error: '分享链接已过期' };
+    const target = SHARE_TARGETS[link.targetType];
+    const item = target ? target.load(link.targetId) : null;
+    if (!item) return { status: 404, error: '分享的内容已被删除' };
+    return { link, target, item };
+}
+
+// 新建分享链接：{ targetType = 'image', targetId, expiresInDays（为空则不过期）, maxViews（为空则不限次数）}
+app.post('/api/shares', (req, res) => {
+    try {
+        if (!req.user) {
+            return res.status(401).json({ error: '请先登录' });
+        }
+        const body = req.body || {};
+        const targetType = body.targetType || 'image';
+        const target = SHARE_TARGETS[targetType];
+        if (!target) {
+            return res.status(400).json({ error: '无效的分享类型: ' + targetType });
+        }
+        const item = body.targetId == null ? null : target.load(body.targetId);
+        if (!item) {
+            return res.status(404).json({ error: '分享的内容不存在' });
+        }
+        if (!target.canShare(req, item)) {
+            return res.status(403).json({ error: '只能分享自己上传的内容' });
+        }
+        const days = body.expiresInDays == null || body.expiresInDays === '' ? null : Number(body.expiresInDays);
+        if (days !== null && !(Number.isInteger(days) && days >= 1 && days <= SHARE_MAX_DAYS)) {
+            return res.status(400).json({ error: `有效期须为 1 ~ ${SHARE_MAX_DAYS} 天` });
+        }
+        const maxViews = body.maxViews == null || body.maxViews === '' ? null : Number(body.maxViews);
+        if (maxViews !== null && !(Number.isInteger(maxViews) && maxViews >= 1 && maxViews <= SHARE_MAX_VIEWS)) {
+            return res.status(400).json({ error: `查看次数须为 1 ~ ${SHARE_MAX_VIEWS} 次` });
+        }
+        const link = storage.createShareLink({
+            id: auth.createToken(12),
+            targetType,
+            targetId: item.id,
+            createdBy: req.user.id,
+            expiresAt: days ? Date.now() + days * 24 * 60 * 60 * 1000 : null,
+            maxViews
+        });
+        res.json(toShareResponse(link));
+    } catch (error) {
+        console.error('创建分享链接失败:', error);
+        res.status(500).json({ error: '创建分享链接失败' });
+    }
+});
+
+// 仍然有效的分享链接：管理员看到全部，其他账号只看到自己创建的；可按 targetType + targetId 筛选
+app.get('/api/shares', (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ error: '请先登录' });
+    }
+    const links = storage.listShareLinks({
+        createdBy: req.isAdmin ? null : req.user.id,
+        targetType: req.query.targetType || null,
+        targetId: req.query.targetId != null ? req.query.targetId : null
     });
+    res.json(links.map(link => toShareResponse(link)));
+});
+
+app.delete('/api/shares/:id', (req, res) => {
+    const link = storage.getShareLink(req.params.id);
+    if (!link) {
+        return res.status(404).json({ error: '分享链接不存在' });
+    }
+    if (!req.user || (!req.isAdmin && link.createdBy !== req.user.id)) {
+        return res.status(403).json({ error: '只能撤销自己创建的分享链接' });
+    }
+    storage.deleteShareLink(link.id);
+    res.json({ success: true });
 });
 
-// 获取当前访客的「已完成」图片 ID 列表
+// 打开分享链接（计一次查看）：{ targetType, expiresAt, viewsLeft, image | collection + images }，viewsLeft 为空表示不限次数
+app.get('/api/shared/:token', (req, res) => {
+    try {
+        const { link, item, status, error } = resolveShareToken(req.params.token);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        if (!storage.useShareLink(link.id)) {
+            return res.status(410).json({ error: '分享链接的查看次数已用完' });
+        }
+        const viewsLeft = link.maxViews == null ? null : link.maxViews - link.views - 1;
+        const shared = { targetType: link.targetType, expiresAt: link.expiresAt, viewsLeft };
+        if (link.targetType === 'image') shared.image = toSharedImage(req.params.token, item);
+        if (link.targetType === 'collection') {
+            const { imageIds, ownerId, ownerName, coverImageId, ...collection } = item;
+            shared.images = storage.getCollectionImages(item.id).map(img => toSharedImage(req.params.token, img));
+            const cover = shared.images.find(img => String(img.id) === String(coverImageId)) || shared.images[0];
+            shared.collection = { ...collection, coverImageId, imageCount: shared.images.length,
+                coverThumbnailUrl: cover ? cover.thumbnailUrl : null };
+        }
+        res.json(shared);
+    } catch (error) {
+        console.error('打开分享链接失败:', error);
+        res.status(500).json({ error: '打开分享链接失败' });
+    }
+});
+
+// 分享页中的图片文件：kind 为 image（原图）或 thumb（缩略图）
+// 不计查看次数（次数限制的是打开分享链接），链接过期或被撤销后即不可访问
+app.get('/api/shared/:token/files/:imageId/:kind', (req, res) => {
+    const { target, item, error } = resolveShareToken(req.params.token);
+    const image = error ? null : target.images(item).find(img => String(img.id) === req.params.imageId);
+    if (!image || !['image', 'thumb'].includes(req.params.kind)) {
+        return res.status(404).end();
+    }
+    const file = req.params.kind === 'thumb' && image.thumbnailUrl && image.thumbnailUrl.startsWith('/thumbs/')
+        ? path.join(THUMBS_DIR, path.basename(image.thumbnailUrl))
+        : path.join(IMAGES_DIR, image.filename);
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.sendFile(file, (err) => {
+        if (err && !res.headersSent) res.status(404).end();
+    });
+});
+
+// ===== 同步：页面把服务器数据保存到 IndexedDB 作为离线副本，离线时的修改在服务器可用后推送（见 sync.js） =====
+const SYNC_PAGE_SIZE = 200;
+
+// 增量拉取图片：since 为上次拉取返回的 cursor（首次为 0），返回 { cursor, hasMore, images, deletedIds }
+// 已删除或当前请求者在图库中看不到的图片（规则同 getListViewer）放在 deletedIds 中；首次拉取时不返回 deletedIds
+app.get('/api/sync/images', (req, res) => {
+    try {
+        const since = Math.max(parseInt(req.query.since, 10) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || SYNC_PAGE_SIZE, 1), SYNC_PAGE_SIZE);
+        const changes = storage.listImageChanges(since, limit + 1);
+        const hasMore = changes.length > limit;
+        const page = changes.slice(0, limit);
+        const images = [];
+        const deletedIds = [];
+        page.forEach(change => {
+            const image = storage.getImage(change.id);
+            if (image && (image.visibility === 'public' || canModifyImage(req, image))) {
+                images.push(toImageResponse(image, req));
+            } else if (since > 0) {
+                deletedIds.push(change.id);
+            }
+        });
+        res.json({ cursor: page.length > 0 ? page[page.length - 1].seq : since, hasMore, images, deletedIds });
+    } catch (error) {
+        console.error('同步图片失败:', error);
+        res.status(500).json({ error: '同步图片失败' });
+    }
+});
+
+// 获取当前访客 / 账号的「已完成」图片 ID 列表
 app.get('/api/me/completed', async (req, res) => {
     try {
-        const visitorId = req.visitorId;
-        if (!visitorId) return res.json({ completedImageIds: [] });
-        const data = await readCompletions();
-        const list = data[visitorId] || [];
-        res.json({ completedImageIds: list });
+        const owner = getCompletionOwner(req);
+        if (!owner) return res.json({ completedImageIds: [] });
+        res.json({ completedImageIds: storage.getCompletedImageIds(owner) });
     } catch (error) {
         res.status(500).json({ error: '获取完成状态失败' });
     }
@@ -325,17 +1615,12 @@ app.get('/api/me/completed', async (req, res) => {
 // 设置完成状态
 app.put('/api/images/:id/complete', async (req, res) => {
     try {
-        const visitorId = req.visitorId;
+        const owner = getCompletionOwner(req);
         const imageId = req.params.id;
         const { completed } = req.body || {};
-        if (!visitorId) return res.status(400).json({ error: '需要访客身份' });
-        const data = await readCompletions();
-        if (!data[visitorId]) data[visitorId] = [];
-        const set = new Set(data[visitorId]);
-        if (completed) { set.add(String(imageId)); } else { set.delete(String(imageId)); }
-        data[visitorId] = Array.from(set);
-        await saveCompletions(data);
-        res.json({ completed: !!completed, completedImageIds: data[visitorId] });
+        if (!owner) return res.status(400).json({ error: '需要访客身份' });
+        const completedImageIds = storage.setCompleted(owner, imageId, !!completed);
+        res.json({ completed: !!completed, completedImageIds });
     } catch (error) {
         res.status(500).json({ error: '设置完成状态失败' });
     }
@@ -351,7 +1636,7 @@ app.post('/api/admin/generate-thumbnails', async (req, res) => {
     }
     
     try {
-        const images = await readImages();
+        const images = storage.listImages();
         let generated = 0;
         let skipped = 0;
         let failed = 0;
@@ -387,12 +1672,13 @@ app.post('/api/admin/generate-thumbnails', async (req, res) => {
             }
         }
         
-        // 同时清理 images.json 中的 dataUrl 字段（减小文件体积）
-        const cleanedImages = images.map(img => {
-            const { dataUrl, ...rest } = img;
-            return rest;
+        // 写回新缩略图，同时清理旧数据遗留的 dataUrl 字段（减小数据库体积）
+        storage.transaction(() => {
+            images.forEach(img => {
+                const { dataUrl, ...rest } = img;
+                storage.updateImage(rest);
+            });
         });
-        await saveImages(cleanedImages);
         
         res.json({ success: true, generated, skipped, failed, total: images.length });
     } catch (error) {
@@ -401,6 +1687,60 @@ app.post('/api/admin/generate-thumbnails', async (req, res) => {
     }
 });
 
+// ===== 给旧图片补算感知哈希 / 主色（仅创作者可调用，与批量生成缩略图相同） =====
+// key 为图片记录中的字段名，compute(文件路径) 返回计算结果，失败时返回 null
+async function backfillImageField(req, res, key, compute, label) {
+    if (!req.isCreator) {
+        return res.status(403).json({ error: '仅创作者可操作' });
+    }
+    if (!sharp) {
+        return res.status(500).json({ error: `sharp 未安装，无法${label}` });
+    }
+    
+    try {
+        const images = storage.listImages();
+        const updated = [];
+        let skipped = 0;
+        let failed = 0;
+        
+        for (const img of images) {
+            if (img[key]) {
+                skipped++;
+                continue;
+            }
+            const sourceFile = img.filename ? path.join(IMAGES_DIR, img.filename) : null;
+            const value = sourceFile ? await compute(sourceFile) : null;
+            if (value) {
+                img[key] = value;
+                updated.push(img);
+            } else {
+                failed++;
+            }
+        }
+        
+        storage.transaction(() => {
+            updated.forEach(img => {
+                const { dataUrl, ...rest } = img;
+                storage.updateImage(rest);
+            });
+        });
+        
+        res.json({ success: true, generated: updated.length, skipped, failed, total: images.length });
+    } catch (error) {
+        console.error(`批量${label}失败:`, error);
+        res.status(500).json({ error: `批量${label}失败: ` + error.message });
+    }
+}
+
+app.post('/api/admin/generate-hashes', (req, res) => backfillImageField(req, res, 'perceptualHash', computePerceptualHash, '计算感知哈希'));
+app.post('/api/admin/generate-colors', (req, res) => backfillImageField(req, res, 'dominantColors', computeDominantColors, '提取主色'));
+
+// 数据目录默认在项目目录下，不能经由下面的静态目录直接下载（会绕过图片的可见范围，也会暴露数据库）
+const DATA_DIR_URL = path.relative(__dirname, DATA_DIR).split(path.sep).join('/');
+if (DATA_DIR_URL && !DATA_DIR_URL.startsWith('..') && !path.isAbsolute(DATA_DIR_URL)) {
+    app.use(`/${DATA_DIR_URL}`, (req, res) => res.status(404).end());
+}
+
 // 静态文件目录 - 放在 API 路由之后，确保 API 优先响应
 app.use(express.static(path.join(__dirname, 'public')));
 app.use(express.static(__dirname));
@@ -408,12 +1748,25 @@ app.use(express.static(__dirname));
 // 启动服务器
 async function startServer() {
     await ensureDirectories();
+    storage = openStorage(DATA_DIR);
+    storage.purgeExpiredSessions();
+    shareSigningKey = storage.getMeta('shareSigningKey');
+    if (!shareSigningKey) {
+        shareSigningKey = auth.createToken(32);
+        storage.setMeta('shareSigningKey', shareSigningKey);
+    }
     console.log('数据目录 DATA_DIR:', DATA_DIR);
     console.log('缩略图目录 THUMBS_DIR:', THUMBS_DIR);
+    console.log('图案目录 PATTERNS_DIR:', PATTERNS_DIR);
     console.log('sharp 可用:', !!sharp);
     app.listen(PORT, () => {
         console.log(`服务器运行在 http://localhost:${PORT}`);
         console.log(`API文档: http://localhost:${PORT}/api/health`);
+        if (storage.countUsers() === 0) {
+            console.log(CREATOR_SECRET
+                ? '尚未创建账号：打开页面点击「登录」，凭 CREATOR_SECRET 创建第一个管理员'
+                : '尚未创建账号：请在服务器本机打开页面创建第一个管理员（或设置 CREATOR_SECRET 后远程创建）');
+        }
     });
 }
 
@@ -0,0 +1,1245 @@
+// 数据存储层 - 基于 SQLite（better-sqlite3），替代整文件读写的 images.json / tags.json / completions.json
+// 每个写操作只改动相关行并在事务中完成，并发上传不会互相覆盖
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const { parseSearchQuery, createSearchIndex } = require('./search-core');
+const { findSimilarByHash } = require('./image-hash');
+const { scoreColorMatch, COLOR_RELEVANCE_WEIGHT } = require('./image-colors');
+const { DEFAULT_VISIBILITY, isImageVisibility } = require('./image-meta');
+
+const DB_FILENAME = 'pindou.db';
+
+// ===== 版本化迁移 =====
+// 只能追加新版本，不能修改已发布的迁移；启动时按版本号顺序执行尚未执行过的迁移
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: '初始结构：图片、图片标签/关键词、标签、完成状态',
+        up: (db) => db.exec(`
+            CREATE TABLE images (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                filename TEXT,
+                url TEXT,
+                thumbnail_url TEXT,
+                timestamp INTEGER NOT NULL,
+                uploaded_by TEXT NOT NULL DEFAULT 'creator',
+                visitor_id TEXT,
+                pattern_file TEXT,
+                pattern TEXT,
+                extra TEXT
+            );
+            CREATE INDEX idx_images_timestamp ON images (timestamp);
+            CREATE INDEX idx_images_visitor ON images (visitor_id);
+
+            CREATE TABLE image_tags (
+                image_id TEXT NOT NULL REFERENCES images (id) ON DELETE CASCADE,
+                position INTEGER NOT NULL,
+                tag TEXT NOT NULL,
+                PRIMARY KEY (image_id, position)
+            );
+            CREATE INDEX idx_image_tags_tag ON image_tags (tag);
+
+            CREATE TABLE image_keywords (
+                image_id TEXT NOT NULL REFERENCES images (id) ON DELETE CASCADE,
+                position INTEGER NOT NULL,
+                keyword TEXT NOT NULL,
+                PRIMARY KEY (image_id, position)
+            );
+
+            CREATE TABLE tags (
+                name TEXT PRIMARY KEY,
+                position INTEGER NOT NULL
+            );
+
+            CREATE TABLE completions (
+                visitor_id TEXT NOT NULL,
+                image_id TEXT NOT NULL,
+                completed_at INTEGER NOT NULL,
+                PRIMARY KEY (visitor_id, image_id)
+            );
+
+            CREATE TABLE meta (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            );
+        `)
+    },
+    {
+        version: 2,
+        name: '标签配色：tags 表增加 colors 列',
+        up: (db) => db.exec('ALTER TABLE tags ADD COLUMN colors TEXT')
+    },
+    {
+        version: 3,
+        name: '图库按名称排序的索引',
+        up: (db) => db.exec('CREATE INDEX idx_images_name ON images (name COLLATE NOCASE, id)')
+    },
+    {
+        version: 4,
+        name: '标签分组：分组表与分组成员（每个标签最多属于一个分组）',
+        up: (db) => db.exec(`
+            CREATE TABLE tag_groups (
+                name TEXT PRIMARY KEY,
+                position INTEGER NOT NULL
+            );
+            CREATE TABLE tag_group_members (
+                tag TEXT PRIMARY KEY,
+                group_name TEXT NOT NULL REFERENCES tag_groups (name) ON DELETE CASCADE ON UPDATE CASCADE,
+                position INTEGER NOT NULL
+            );
+            CREATE INDEX idx_tag_group_members_group ON tag_group_members (group_name, position);
+        `)
+    },
+    {
+        version: 5,
+        name: '图案信息：描述、豆子尺寸、板数、难度、预计用时、来源',
+        up: (db) => {
+            db.exec(`
+                ALTER TABLE images ADD COLUMN description TEXT;
+                ALTER TABLE images ADD COLUMN bead_size TEXT;
+                ALTER TABLE images ADD COLUMN board_count INTEGER;
+                ALTER TABLE images ADD COLUMN difficulty TEXT;
+                ALTER TABLE images ADD COLUMN estimated_minutes INTEGER;
+                ALTER TABLE images ADD COLUMN source TEXT;
+            `);
+            // 旧记录若在 extra 里带有同名字段（如导入的 description），移到新列
+            for (const [key, column] of Object.entries(IMAGE_META_COLUMNS)) {
+                db.prepare(`UPDATE images SET ${column} = json_extract(extra, '$.' || ?), extra = json_remove(extra, '$.' || ?)
+                    WHERE extra IS NOT NULL AND json_valid(extra) AND json_type(extra, '$.' || ?) IS NOT NULL`).run(key, key, key);
+            }
+        }
+    },
+    {
+        version: 6,
+        name: '感知哈希：images 表增加 phash 列（用于查找重复与相似图片）',
+        up: (db) => db.exec('ALTER TABLE images ADD COLUMN phash TEXT')
+    },
+    {
+        version: 7,
+        name: '主色：images 表增加 colors 列（JSON，用于按颜色搜索）',
+        up: (db) => db.exec('ALTER TABLE images ADD COLUMN colors TEXT')
+    },
+    {
+        version: 8,
+        name: '账号：用户、会话、邀请码、访客密钥（登录或注册时凭密钥证明访客数据归属），images 表增加 owner_id 列',
+        up: (db) => db.exec(`
+            CREATE TABLE users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                password_hash TEXT NOT NULL,
+                role TEXT NOT NULL CHECK (role IN ('admin', 'creator', 'member')),
+                invited_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+                created_at INTEGER NOT NULL
+            );
+            CREATE TABLE sessions (
+                token_hash TEXT PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+                created_at INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL
+            );
+            CREATE INDEX idx_sessions_user ON sessions (user_id);
+            CREATE TABLE invites (
+                code TEXT PRIMARY KEY,
+                role TEXT NOT NULL CHECK (role IN ('admin', 'creator', 'member')),
+                created_by INTEGER REFERENCES users (id) ON DELETE CASCADE,
+                created_at INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL,
+                used_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+                used_at INTEGER
+            );
+            ALTER TABLE images ADD COLUMN owner_id INTEGER REFERENCES users (id) ON DELETE SET NULL;
+            CREATE INDEX idx_images_owner ON images (owner_id);
+            CREATE TABLE visitor_secrets (
+                visitor_id TEXT PRIMARY KEY,
+                secret_hash TEXT NOT NULL,
+                created_at INTEGER NOT NULL
+            );
+        `)
+    },
+    {
+        version: 9,
+        name: '可见范围：images 表增加 visibility 列；按文件地址查找图片的索引（图片文件按可见范围提供）',
+        up: (db) => db.exec(`
+            ALTER TABLE images ADD COLUMN visibility TEXT NOT NULL DEFAULT 'public';
+            CREATE INDEX idx_images_visibility ON images (visibility);
+            CREATE INDEX idx_images_url ON images (url);
+            CREATE INDEX idx_images_thumbnail_url ON images (thumbnail_url);
+        `)
+    },
+    {
+        version: 10,
+        name: '分享链接：可设有效期和查看次数上限，target_type 为分享对象的类型（目前为 image）',
+        up: (db) => db.exec(`
+            CREATE TABLE share_links (
+                id TEXT PRIMARY KEY,
+                target_type TEXT NOT NULL,
+                target_id TEXT NOT NULL,
+                created_by INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+                created_at INTEGER NOT NULL,
+                expires_at INTEGER,
+                max_views INTEGER,
+                views INTEGER NOT NULL DEFAULT 0
+            );
+            CREATE INDEX idx_share_links_target ON share_links (target_type, target_id);
+            CREATE INDEX idx_share_links_creator ON share_links (created_by);
+        `)
+    },
+    {
+        version: 11,
+        name: '合集：名称、描述、封面、创建者，合集内图片按手动顺序排列',
+        up: (db) => db.exec(`
+            CREATE TABLE collections (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                description TEXT,
+                cover_image_id TEXT,
+                owner_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE TABLE collection_images (
+                collection_id INTEGER NOT NULL REFERENCES collections (id) ON DELETE CASCADE,
+                image_id TEXT NOT NULL REFERENCES images (id) ON DELETE CASCADE,
+                position INTEGER NOT NULL,
+                PRIMARY KEY (collection_id, image_id)
+            );
+            CREATE INDEX idx_collection_images_order ON collection_images (collection_id, position);
+            CREATE INDEX idx_collection_images_image ON collection_images (image_id);
+        `)
+    },
+    {
+        version: 12,
+        name: '图片变更序号：每张图片最近一次新增、修改或删除的序号，供页面增量同步（已删除的图片保留序号作为删除记录）',
+        up: (db) => db.exec(`
+            CREATE TABLE image_changes (
+                seq INTEGER PRIMARY KEY AUTOINCREMENT,
+                image_id TEXT NOT NULL UNIQUE
+            );
+            INSERT INTO image_changes (image_id) SELECT id FROM images ORDER BY timestamp, id;
+        `)
+    }
+];
+
+function runMigrations(db) {
+    db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT,
+        applied_at INTEGER NOT NULL
+    )`);
+    const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(r => r.version));
+    const pending = MIGRATIONS.filter(m => !applied.has(m.version)).sort((a, b) => a.version - b.version);
+    for (const migration of pending) {
+        db.transaction(() => {
+            migration.up(db);
+            db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+                .run(migration.version, migration.name, Date.now());
+        })();
+        console.log(`数据库迁移 v${migration.version}: ${migration.name}`);
+    }
+    return pending.length;
+}
+
+// ===== 行 ↔ 图片记录 =====
+// 图案信息字段（见 image-meta.js）与列名的对应
+const IMAGE_META_COLUMNS = {
+    description: 'description',
+    beadSize: 'bead_size',
+    boardCount: 'board_count',
+    difficulty: 'difficulty',
+    estimatedMinutes: 'estimated_minutes',
+    source: 'source'
+};
+// 图片 id 历史上是数字（Date.now() + Math.random()），库中以字符串为主键，读出时还原为原类型
+const IMAGE_COLUMNS = ['id', 'name', 'filename', 'url', 'thumbnailUrl', 'timestamp', 'uploadedBy', 'visitorId', 'ownerId', 'visibility', 'patternFile', 'pattern', 'tags', 'keywords',
+    'perceptualHash', 'dominantColors', ...Object.keys(IMAGE_META_COLUMNS)];
+
+function toKey(id) {
+    return String(id);
+}
+
+function fromKey(key) {
+    const num = Number(key);
+    return key !== '' && String(num) === key ? num : key;
+}
+
+function parseJson(text, fallback) {
+    if (text == null) return fallback;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return fallback;
+    }
+}
+
+function imageToRow(image) {
+    const extra = {};
+    for (const key of Object.keys(image)) {
+        if (!IMAGE_COLUMNS.includes(key) && image[key] !== undefined) extra[key] = image[key];
+    }
+    const row = {
+        id: toKey(image.id),
+        name: image.name || '',
+        filename: image.filename || null,
+        url: image.url || null,
+        thumbnail_url: image.thumbnailUrl || null,
+        timestamp: image.timestamp || Date.now(),
+        uploaded_by: image.uploadedBy || 'creator',
+        visitor_id: image.visitorId || null,
+        owner_id: image.ownerId || null,
+        visibility: isImageVisibility(image.visibility) ? image.visibility : DEFAULT_VISIBILITY,
+        pattern_file: image.patternFile || null,
+        pattern: image.pattern ? JSON.stringify(image.pattern) : null,
+        phash: image.perceptualHash || null,
+        colors: image.dominantColors ? JSON.stringify(image.dominantColors) : null,
+        extra: Object.keys(extra).length > 0 ? JSON.stringify(extra) : null
+    };
+    for (const [key, column] of Object.entries(IMAGE_META_COLUMNS)) {
+        row[column] = image[key] == null ? null : image[key];
+    }
+    return row;
+}
+
+function rowToImage(row, tags, keywords) {
+    const image = {
+        id: fromKey(row.id),
+        name: row.name,
+        filename: row.filename,
+        url: row.url,
+        thumbnailUrl: row.thumbnail_url,
+        tags: tags || [],
+        keywords: keywords || [],
+        timestamp: row.timestamp,
+        uploadedBy: row.uploaded_by,
+        visitorId: row.visitor_id,
+        ownerId: row.owner_id,
+        visibility: row.visibility
+    };
+    if (row.pattern_file) image.patternFile = row.pattern_file;
+    if (row.pattern) image.pattern = parseJson(row.pattern, null);
+    if (row.phash) image.perceptualHash = row.phash;
+    if (row.colors) image.dominantColors = parseJson(row.colors, []);
+    for (const [key, column] of Object.entries(IMAGE_META_COLUMNS)) {
+        if (row[column] != null) image[key] = row[column];
+    }
+    return { ...image, ...parseJson(row.extra, {}) };
+}
+
+// 只保留非空字符串，去重并保持顺序
+function cleanStringList(list) {
+    if (!Array.isArray(list)) return [];
+    const seen = new Set();
+    const result = [];
+    for (const item of list) {
+        if (typeof item !== 'string' || !item || seen.has(item)) continue;
+        seen.add(item);
+        result.push(item);
+    }
+    return result;
+}
+
+// ===== 图库查询（筛选 + 排序 + 游标分页） =====
+// 排序方式：主排序列 + 方向；id 作为次序键保证翻页稳定
+const IMAGE_SORTS = {
+    newest: { column: 'timestamp', dir: 'DESC' },
+    oldest: { column: 'timestamp', dir: 'ASC' },
+    name: { column: 'name COLLATE NOCASE', dir: 'ASC', key: 'name' }
+};
+
+// 按相关度排序：只在带 q 或 colors 时生效，否则等同 newest
+const RELEVANCE_SORT = 'relevance';
+
+// 游标为 [排序值, id] 的 base64url 编码，客户端原样回传即可
+function encodeCursor(values) {
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return Array.isArray(values) && values.length === 2 ? values : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// 根据筛选条件生成 WHERE 子句和参数（搜索词 q 与颜色 colors 不在此处理，见 queryImages）
+// filters: { tags: [], tagMatch: 'any' | 'all', tagGroups: [[]], uploadedBy, completed: true | false, visitorId,
+//            meta: { beadSize, difficulty, maxBoards, maxMinutes }, viewer }
+// viewer 为 { userId, visitorId } 时只列出公开图片和该账号（未登录时为该访客）可修改的图片，
+// 规则与 server.js 的 canViewImage 一致；
+// 为空时不限（管理员、创作者）
+function buildImageFilter(filters) {
+    const where = [];
+    const params = [];
+    if (filters.viewer) {
+        if (filters.viewer.userId) {
+            where.push(`(images.visibility = 'public' OR images.owner_id = ?)`);
+            params.push(filters.viewer.userId);
+        } else {
+            where.push(`(images.visibility = 'public' OR (images.owner_id IS NULL AND images.uploaded_by = 'visitor' AND images.visitor_id = ?))`);
+            params.push(filters.viewer.visitorId || '');
+        }
+    }
+    if (filters.tags && filters.tags.length > 0) {
+        const placeholders = filters.tags.map(() => '?').join(', ');
+        if (filters.tagMatch === 'any') {
+            where.push(`EXISTS (SELECT 1 FROM image_tags t WHERE t.image_id = images.id AND t.tag IN (${placeholders}))`);
+            params.push(...filters.tags);
+        } else {
+            where.push(`(SELECT COUNT(DISTINCT t.tag) FROM image_tags t WHERE t.image_id = images.id AND t.tag IN (${placeholders})) = ?`);
+            params.push(...filters.tags, new Set(filters.tags).size);
+        }
+    }
+    // 标签分组筛选：组内任一标签命中即可（OR），各组之间须同时满足（AND）
+    (filters.tagGroups || []).forEach(group => {
+        if (!group || group.length === 0) return;
+        where.push(`EXISTS (SELECT 1 FROM image_tags t WHERE t.image_id = images.id AND t.tag IN (${group.map(() => '?').join(', ')}))`);
+        params.push(...group);
+    });
+    const meta = filters.meta || {};
+    if (meta.beadSize) {
+        where.push('images.bead_size = ?');
+        params.push(meta.beadSize);
+    }
+    if (meta.difficulty) {
+        where.push('images.difficulty = ?');
+        params.push(meta.difficulty);
+    }
+    if (meta.maxBoards) {
+        where.push('images.board_count <= ?');
+        params.push(meta.maxBoards);
+    }
+    if (meta.maxMinutes) {
+        where.push('images.estimated_minutes <= ?');
+        params.push(meta.maxMinutes);
+    }
+    if (filters.uploadedBy) {
+        where.push('images.uploaded_by = ?');
+        params.push(filters.uploadedBy);
+    }
+    if (filters.completed === true || filters.completed === false) {
+        where.push(`${filters.completed ? '' : 'NOT '}EXISTS (
+            SELECT 1 FROM completions c WHERE c.image_id = images.id AND c.visitor_id = ?)`);
+        params.push(filters.visitorId || '');
+    }
+    return { where, params };
+}
+
+// 打开（必要时创建）数据库，执行迁移并导入旧 JSON 数据
+function openStorage(dataDir) {
+    const db = new Database(path.join(dataDir, DB_FILENAME));
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    db.pragma('busy_timeout = 5000');
+    runMigrations(db);
+
+    const stmts = {
+        listImages: db.prepare('SELECT * FROM images ORDER BY rowid'),
+        getImage: db.prepare('SELECT * FROM images WHERE id = ?'),
+        getImageByFileUrl: db.prepare('SELECT id FROM images WHERE url = ? OR thumbnail_url = ? LIMIT 1'),
+        listImageTags: db.prepare('SELECT image_id, tag FROM image_tags ORDER BY image_id, position'),
+        listImageKeywords: db.prepare('SELECT image_id, keyword FROM image_keywords ORDER BY image_id, position'),
+        getImageTags: db.prepare('SELECT tag FROM image_tags WHERE image_id = ? ORDER BY position'),
+        getImageKeywords: db.prepare('SELECT keyword FROM image_keywords WHERE image_id = ? ORDER BY position'),
+        insertImage: db.prepare(`INSERT INTO images (id, name, filename, url, thumbnail_url, timestamp, uploaded_by, visitor_id, owner_id, visibility, pattern_file, pattern, phash, colors, extra,
+                description, bead_size, board_count, difficulty, estimated_minutes, source)
+            VALUES (@id, @name, @filename, @url, @thumbnail_url, @timestamp, @uploaded_by, @visitor_id, @owner_id, @visibility, @pattern_file, @pattern, @phash, @colors, @extra,
+                @description, @bead_size, @board_count, @difficulty, @estimated_minutes, @source)`),
+        updateImage: db.prepare(`UPDATE images SET name = @name, filename = @filename, url = @url, thumbnail_url = @thumbnail_url,
+            timestamp = @timestamp, uploaded_by = @uploaded_by, visitor_id = @visitor_id, owner_id = @owner_id, visibility = @visibility, pattern_file = @pattern_file,
+            pattern = @pattern, phash = @phash, colors = @colors, extra = @extra, description = @description, bead_size = @bead_size, board_count = @board_count,
+            difficulty = @difficulty, estimated_minutes = @estimated_minutes, source = @source WHERE id = @id`),
+        deleteImage: db.prepare('DELETE FROM images WHERE id = ?'),
+        deleteImageTags: db.prepare('DELETE FROM image_tags WHERE image_id = ?'),
+        deleteImageKeywords: db.prepare('DELETE FROM image_keywords WHERE image_id = ?'),
+        insertImageTag: db.prepare('INSERT INTO image_tags (image_id, position, tag) VALUES (?, ?, ?)'),
+        insertImageKeyword: db.prepare('INSERT INTO image_keywords (image_id, position, keyword) VALUES (?, ?, ?)'),
+        listTags: db.prepare('SELECT name, colors FROM tags ORDER BY position'),
+        clearTags: db.prepare('DELETE FROM tags'),
+        insertTag: db.prepare('INSERT OR IGNORE INTO tags (name, position, colors) VALUES (?, ?, ?)'),
+        listTagGroups: db.prepare('SELECT name FROM tag_groups ORDER BY position'),
+        listTagGroupMembers: db.prepare('SELECT tag, group_name FROM tag_group_members ORDER BY group_name, position'),
+        clearTagGroups: db.prepare('DELETE FROM tag_groups'),
+        insertTagGroup: db.prepare('INSERT OR IGNORE INTO tag_groups (name, position) VALUES (?, ?)'),
+        insertTagGroupMember: db.prepare('INSERT OR IGNORE INTO tag_group_members (tag, group_name, position) VALUES (?, ?, ?)'),
+        renameTagGroupMember: db.prepare('UPDATE OR IGNORE tag_group_members SET tag = ? WHERE tag = ?'),
+        deleteTagGroupMember: db.prepare('DELETE FROM tag_group_members WHERE tag = ?'),
+        listCompletions: db.prepare('SELECT image_id FROM completions WHERE visitor_id = ? ORDER BY rowid'),
+        insertCompletion: db.prepare('INSERT OR IGNORE INTO completions (visitor_id, image_id, completed_at) VALUES (?, ?, ?)'),
+        deleteCompletion: db.prepare('DELETE FROM completions WHERE visitor_id = ? AND image_id = ?'),
+        deleteImageCompletions: db.prepare('DELETE FROM completions WHERE image_id = ?'),
+        countUsers: db.prepare('SELECT COUNT(*) AS n FROM users'),
+        countAdmins: db.prepare("SELECT COUNT(*) AS n FROM users WHERE role = 'admin'"),
+        listUsers: db.prepare(`SELECT users.id, users.username, users.role, users.created_at, inviter.username AS invited_by_name,
+                (SELECT COUNT(*) FROM images WHERE images.owner_id = users.id) AS image_count
+            FROM users LEFT JOIN users inviter ON inviter.id = users.invited_by ORDER BY users.id`),
+        getUser: db.prepare('SELECT id, username, role, created_at FROM users WHERE id = ?'),
+        getUserByName: db.prepare('SELECT * FROM users WHERE username = ?'),
+        getUserPasswordHash: db.prepare('SELECT password_hash FROM users WHERE id = ?'),
+        insertUser: db.prepare('INSERT INTO users (username, password_hash, role, invited_by, created_at) VALUES (?, ?, ?, ?, ?)'),
+        updateUserRole: db.prepare('UPDATE users SET role = ? WHERE id = ?'),
+        updateUserPassword: db.prepare('UPDATE users SET password_hash = ? WHERE id = ?'),
+        deleteUser: db.prepare('DELETE FROM users WHERE id = ?'),
+        insertSession: db.prepare('INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)'),
+        getSessionUser: db.prepare(`SELECT users.id, users.username, users.role, users.created_at FROM sessions
+            JOIN users ON users.id = sessions.user_id WHERE sessions.token_hash = ? AND sessions.expires_at > ?`),
+        deleteSession: db.prepare('DELETE FROM sessions WHERE token_hash = ?'),
+        deleteUserSessions: db.prepare('DELETE FROM sessions WHERE user_id = ? AND token_hash != ?'),
+        deleteExpiredSessions: db.prepare('DELETE FROM sessions WHERE expires_at <= ?'),
+        listInvites: db.prepare(`SELECT invites.*, creator.username AS created_by_name, used.username AS used_by_name FROM invites
+            LEFT JOIN users creator ON creator.id = invites.created_by LEFT JOIN users used ON used.id = invites.used_by
+            ORDER BY invites.created_at DESC`),
+        getInvite: db.prepare(`SELECT invites.*, creator.username AS created_by_name, used.username AS used_by_name FROM invites
+            LEFT JOIN users creator ON creator.id = invites.created_by LEFT JOIN users used ON used.id = invites.used_by
+            WHERE invites.code = ?`),
+        insertInvite: db.prepare('INSERT INTO invites (code, role, created_by, created_at, expires_at) VALUES (?, ?, ?, ?, ?)'),
+        useInvite: db.prepare('UPDATE invites SET used_by = ?, used_at = ? WHERE code = ? AND used_at IS NULL AND expires_at > ?'),
+        deleteInvite: db.prepare('DELETE FROM invites WHERE code = ?'),
+        insertShareLink: db.prepare(`INSERT INTO share_links (id, target_type, target_id, created_by, created_at, expires_at, max_views)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`),
+        getShareLink: db.prepare(`SELECT share_links.*, users.username AS created_by_name FROM share_links
+            LEFT JOIN users ON users.id = share_links.created_by WHERE share_links.id = ?`),
+        useShareLink: db.prepare(`UPDATE share_links SET views = views + 1 WHERE id = ?
+            AND (expires_at IS NULL OR expires_at > ?) AND (max_views IS NULL OR views < max_views)`),
+        deleteShareLink: db.prepare('DELETE FROM share_links WHERE id = ?'),
+        deleteTargetShareLinks: db.prepare('DELETE FROM share_links WHERE target_type = ? AND target_id = ?'),
+        forgetImageChange: db.prepare('DELETE FROM image_changes WHERE image_id = ?'),
+        insertImageChange: db.prepare('INSERT INTO image_changes (image_id) VALUES (?)'),
+        listImageChanges: db.prepare('SELECT seq, image_id FROM image_changes WHERE seq > ? ORDER BY seq LIMIT ?'),
+        getCollection: db.prepare(`SELECT collections.*, users.username AS owner_name FROM collections
+            LEFT JOIN users ON users.id = collections.owner_id WHERE collections.id = ?`),
+        listCollectionImageIds: db.prepare('SELECT image_id FROM collection_images WHERE collection_id = ? ORDER BY position'),
+        insertCollection: db.prepare(`INSERT INTO collections (name, description, owner_id, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?)`),
+        updateCollection: db.prepare(`UPDATE collections SET name = @name, description = @description, cover_image_id = @cover_image_id,
+            updated_at = @updated_at WHERE id = @id`),
+        clearCollectionCover: db.prepare('UPDATE collections SET cover_image_id = NULL WHERE cover_image_id = ?'),
+        touchCollection: db.prepare('UPDATE collections SET updated_at = ? WHERE id = ?'),
+        clearCollectionImages: db.prepare('DELETE FROM collection_images WHERE collection_id = ?'),
+        insertCollectionImage: db.prepare('INSERT OR IGNORE INTO collection_images (collection_id, image_id, position) VALUES (?, ?, ?)'),
+        maxCollectionPosition: db.prepare('SELECT COALESCE(MAX(position), -1) AS n FROM collection_images WHERE collection_id = ?'),
+        deleteCollection: db.prepare('DELETE FROM collections WHERE id = ?'),
+        getVisitorSecretHash: db.prepare('SELECT secret_hash FROM visitor_secrets WHERE visitor_id = ?'),
+        insertVisitorSecret: db.prepare('INSERT OR IGNORE INTO visitor_secrets (visitor_id, secret_hash, created_at) VALUES (?, ?, ?)'),
+        claimVisitorImages: db.prepare('UPDATE images SET owner_id = ? WHERE visitor_id = ? AND owner_id IS NULL'),
+        listUnclaimedVisitorImageIds: db.prepare('SELECT id FROM images WHERE visitor_id = ? AND owner_id IS NULL'),
+        moveCompletions: db.prepare('UPDATE OR IGNORE completions SET visitor_id = ? WHERE visitor_id = ?'),
+        deleteVisitorCompletions: db.prepare('DELETE FROM completions WHERE visitor_id = ?'),
+        getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+        setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+    };
+
+    function groupBy(rows, valueKey) {
+        const map = new Map();
+        for (const row of rows) {
+            if (!map.has(row.image_id)) map.set(row.image_id, []);
+            map.get(row.image_id).push(row[valueKey]);
+        }
+        return map;
+    }
+
+    function toUser(row) {
+        return row ? { id: row.id, username: row.username, role: row.role, createdAt: row.created_at } : null;
+    }
+
+    function toInvite(row) {
+        return {
+            code: row.code,
+            role: row.role,
+            createdBy: row.created_by,
+            createdByName: row.created_by_name || null,
+            createdAt: row.created_at,
+            expiresAt: row.expires_at,
+            usedByName: row.used_by_name || null,
+            usedAt: row.used_at
+        };
+    }
+
+    function toShareLink(row) {
+        return {
+            id: row.id,
+            targetType: row.target_type,
+            targetId: fromKey(row.target_id),
+            createdBy: row.created_by,
+            createdByName: row.created_by_name || null,
+            createdAt: row.created_at,
+            expiresAt: row.expires_at,
+            maxViews: row.max_views,
+            views: row.views
+        };
+    }
+
+    function toCollection(row) {
+        const collection = {
+            id: row.id,
+            name: row.name,
+            description: row.description || '',
+            coverImageId: row.cover_image_id == null ? null : fromKey(row.cover_image_id),
+            ownerId: row.owner_id,
+            ownerName: row.owner_name || null,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+        if (row.image_count !== undefined) collection.imageCount = row.image_count;
+        if (row.cover_thumbnail_url !== undefined) collection.coverThumbnailUrl = row.cover_thumbnail_url;
+        return collection;
+    }
+
+    // 图片有变化（新增、修改、删除）时取新的变更序号，见 listImageChanges
+    function markImageChanged(key) {
+        stmts.forgetImageChange.run(key);
+        stmts.insertImageChange.run(key);
+    }
+
+    function writeImageLists(key, image) {
+        stmts.deleteImageTags.run(key);
+        stmts.deleteImageKeywords.run(key);
+        cleanStringList(image.tags).forEach((tag, i) => stmts.insertImageTag.run(key, i, tag));
+        cleanStringList(image.keywords).forEach((keyword, i) => stmts.insertImageKeyword.run(key, i, keyword));
+    }
+
+    // 搜索条目按图片缓存，内容变化时自动重建
+    const searchIndex = createSearchIndex();
+
+    // 在满足其余筛选条件的图片中搜索 q，返回 Map(id → 相关度)，只含命中的图片
+    function searchImages(q, where, params) {
+        const query = parseSearchQuery(q);
+        const rows = db.prepare(`SELECT images.id, images.name, images.description,
+                (SELECT json_group_array(tag) FROM (SELECT tag FROM image_tags WHERE image_id = images.id ORDER BY position)) AS tags,
+                (SELECT json_group_array(keyword) FROM (SELECT keyword FROM image_keywords WHERE image_id = images.id ORDER BY position)) AS keywords
+            FROM images ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}`).all(...params);
+        const scores = new Map();
+        rows.forEach(row => {
+            const score = searchIndex.score({
+                id: row.id,
+                name: row.name,
+                tags: parseJson(row.tags, []),
+                keywords: parseJson(row.keywords, []),
+                description: row.description
+            }, query);
+            if (score > 0) scores.set(row.id, score);
+        });
+        return scores;
+    }
+
+    // 在满足其余筛选条件的图片中按主色匹配所选颜色，返回 Map(id → 匹配度)，只含匹配的图片
+    function matchColors(colors, where, params) {
+        const rows = db.prepare(`SELECT images.id, images.colors FROM images
+            WHERE ${['images.colors IS NOT NULL', ...where].join(' AND ')}`).all(...params);
+        const scores = new Map();
+        rows.forEach(row => {
+            const score = scoreColorMatch(parseJson(row.colors, []), colors);
+            if (score > 0) scores.set(row.id, score);
+        });
+        return scores;
+    }
+
+    // 按相关度分页：相关度降序，同分按 id 降序；游标为 [相关度, id]
+    function pageByRelevance(scores, limit, after) {
+        const ranked = Array.from(scores.entries())
+            .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? 1 : (a[0] > b[0] ? -1 : 0)));
+        let start = 0;
+        const cursor = after ? decodeCursor(after) : null;
+        if (cursor) {
+            const [score, id] = [cursor[0], String(cursor[1])];
+            start = ranked.findIndex(([key, s]) => s < score || (s === score && key < id));
+            if (start === -1) start = ranked.length;
+        }
+        const end = limit ? start + limit : ranked.length;
+        const page = ranked.slice(start, end);
+        const last = page[page.length - 1];
+        return {
+            items: page.map(([key]) => storage.getImage(key)),
+            nextCursor: end < ranked.length && last ? encodeCursor([last[1], last[0]]) : null,
+            total: ranked.length
+        };
+    }
+
+    const storage = {
+        db,
+
+        // 在一个事务中执行 fn（fn 必须是同步的），返回 fn 的返回值
+        transaction(fn) {
+            return db.transaction(fn)();
+        },
+
+        // 全部图片（按上传顺序）；viewer 见 buildImageFilter
+        listImages(viewer = null) {
+            const tags = groupBy(stmts.listImageTags.all(), 'tag');
+            const keywords = groupBy(stmts.listImageKeywords.all(), 'keyword');
+            const { where, params } = buildImageFilter({ viewer });
+            const rows = where.length > 0
+                ? db.prepare(`SELECT * FROM images WHERE ${where.join(' AND ')} ORDER BY rowid`).all(...params)
+                : stmts.listImages.all();
+            return rows.map(row => rowToImage(row, tags.get(row.id), keywords.get(row.id)));
+        },
+
+        isImageSort(sort) {
+            return sort === RELEVANCE_SORT || Object.prototype.hasOwnProperty.call(IMAGE_SORTS, sort);
+        },
+
+        // 按条件查询一页图片：返回 { items, nextCursor, total }；limit 为空时返回全部
+        // 搜索词 q 与颜色 colors 在 JS 中打分（拼音、容错、色差无法用 SQL 表达），命中的 id 再作为条件交给 SQL 排序分页
+        // 两者同时使用时须都命中，相关度为搜索得分加上折算后的颜色匹配度
+        queryImages(filters, { sort = 'newest', limit = null, after = null } = {}) {
+            filters = filters || {};
+            const { where, params } = buildImageFilter(filters);
+            let scores = filters.q ? searchImages(filters.q, where, params) : null;
+            if (filters.colors && filters.colors.length > 0) {
+                const colorScores = matchColors(filters.colors, where, params);
+                const combined = new Map();
+                colorScores.forEach((score, id) => {
+                    if (!scores) combined.set(id, score);
+                    else if (scores.has(id)) combined.set(id, scores.get(id) + score * COLOR_RELEVANCE_WEIGHT);
+                });
+                scores = combined;
+            }
+            if (scores) {
+                if (sort === RELEVANCE_SORT) return pageByRelevance(scores, limit, after);
+                where.push('images.id IN (SELECT value FROM json_each(?))');
+                params.push(JSON.stringify(Array.from(scores.keys())));
+            }
+            const order = IMAGE_SORTS[sort] || IMAGE_SORTS.newest;
+            const baseWhere = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+            const total = db.prepare(`SELECT COUNT(*) AS n FROM images ${baseWhere}`).get(...params).n;
+
+            const pageWhere = where.slice();
+            const pageParams = params.slice();
+            const cursor = after ? decodeCursor(after) : null;
+            if (cursor) {
+                const op = order.dir === 'DESC' ? '<' : '>';
+                pageWhere.push(`(${order.column} ${op} ? OR (${order.column} = ? AND images.id ${op} ?))`);
+                pageParams.push(cursor[0], cursor[0], String(cursor[1]));
+            }
+            const sql = `SELECT * FROM images ${pageWhere.length > 0 ? `WHERE ${pageWhere.join(' AND ')}` : ''}
+                ORDER BY ${order.column} ${order.dir}, images.id ${order.dir}${limit ? ' LIMIT ?' : ''}`;
+            if (limit) pageParams.push(limit + 1);
+            const rows = db.prepare(sql).all(...pageParams);
+
+            const hasMore = limit ? rows.length > limit : false;
+            const pageRows = hasMore ? rows.slice(0, limit) : rows;
+            const items = pageRows.map(row => rowToImage(row,
+                stmts.getImageTags.all(row.id).map(r => r.tag),
+                stmts.getImageKeywords.all(row.id).map(r => r.keyword)));
+            const last = pageRows[pageRows.length - 1];
+            const nextCursor = hasMore && last ? encodeCursor([last[order.key || order.column], last.id]) : null;
+            return { items, nextCursor, total };
+        },
+
+        getImage(id) {
+            const row = stmts.getImage.get(toKey(id));
+            if (!row) return null;
+            return rowToImage(row,
+                stmts.getImageTags.all(row.id).map(r => r.tag),
+                stmts.getImageKeywords.all(row.id).map(r => r.keyword));
+        },
+
+        insertImage(image) {
+            db.transaction(() => {
+                const row = imageToRow(image);
+                stmts.insertImage.run(row);
+                writeImageLists(row.id, image);
+                markImageChanged(row.id);
+            })();
+        },
+
+        // 整条记录写回（记录须已存在），返回是否更新成功
+        updateImage(image) {
+            return db.transaction(() => {
+                const row = imageToRow(image);
+                if (stmts.updateImage.run(row).changes === 0) return false;
+                writeImageLists(row.id, image);
+                markImageChanged(row.id);
+                return true;
+            })();
+        },
+
+        // 图片文件地址（/images/… 或 /thumbs/…）所属的图片，没有时返回 null
+        getImageByFileUrl(url) {
+            const row = stmts.getImageByFileUrl.get(url, url);
+            return row ? storage.getImage(row.id) : null;
+        },
+
+        // 按感知哈希查找相近的图片：返回 [{ image, distance }]，距离从近到远
+        // options: { maxDistance, excludeId, limit, viewer }，viewer 见 buildImageFilter，其余见 image-hash.js 的 findSimilarByHash
+        findSimilarImages(hash, options) {
+            const { where, params } = buildImageFilter({ viewer: options && options.viewer });
+            const candidates = db.prepare(`SELECT id, phash, timestamp FROM images WHERE ${['phash IS NOT NULL', ...where].join(' AND ')}`)
+                .all(...params)
+                .map(r => ({ id: r.id, perceptualHash: r.phash, timestamp: r.timestamp }));
+            const excludeId = options && options.excludeId != null ? toKey(options.excludeId) : null;
+            return findSimilarByHash(hash, candidates, { ...options, excludeId })
+                .map(({ image, distance }) => ({ image: storage.getImage(image.id), distance }));
+        },
+
+        // 自 since 以来有变化的图片：[{ seq, id }]，按序号从小到大，最多 limit 条；图片可能已被删除
+        listImageChanges(since, limit) {
+            return stmts.listImageChanges.all(since, limit).map(r => ({ seq: r.seq, id: fromKey(r.image_id) }));
+        },
+
+        // 删除多张图片（连同标签、关键词、完成状态、分享链接，并移出合集），返回实际删除的数量
+        deleteImages(ids) {
+            return db.transaction(() => {
+                let deleted = 0;
+                for (const id of ids) {
+                    const key = toKey(id);
+                    deleted += stmts.deleteImage.run(key).changes;
+                    searchIndex.forget(key);
+                    stmts.deleteImageCompletions.run(key);
+                    stmts.deleteTargetShareLinks.run('image', key);
+                    stmts.clearCollectionCover.run(key);
+                    markImageChanged(key);
+                }
+                return deleted;
+            })();
+        },
+
+        // 自定义标签：[{ name, colors: [起始色, 结束色] }]
+        listTags() {
+            return stmts.listTags.all().map(r => ({ name: r.name, colors: parseJson(r.colors, null) }));
+        },
+
+        replaceTags(tags) {
+            db.transaction(() => {
+                stmts.clearTags.run();
+                tags.forEach((tag, i) => {
+                    const name = typeof tag === 'string' ? tag : tag && tag.name;
+                    if (typeof name !== 'string' || !name) return;
+                    const colors = tag && Array.isArray(tag.colors) ? JSON.stringify(tag.colors) : null;
+                    stmts.insertTag.run(name, i, colors);
+                });
+            })();
+        },
+
+        // 标签分组：[{ name, tags: [标签名] }]，按分组顺序和组内顺序排列
+        listTagGroups() {
+            const groups = stmts.listTagGroups.all().map(r => ({ name: r.name, tags: [] }));
+            const byName = new Map(groups.map(g => [g.name, g]));
+            stmts.listTagGroupMembers.all().forEach(r => {
+                const group = byName.get(r.group_name);
+                if (group) group.tags.push(r.tag);
+            });
+            return groups;
+        },
+
+        // 整体替换分组；重名分组和重复出现的标签以第一次出现为准
+        replaceTagGroups(groups) {
+            db.transaction(() => {
+                stmts.clearTagGroups.run();
+                groups.forEach((group, i) => {
+                    if (stmts.insertTagGroup.run(group.name, i).changes === 0) return;
+                    group.tags.forEach((tag, j) => stmts.insertTagGroupMember.run(tag, group.name, j));
+                });
+            })();
+        },
+
+        // 标签使用情况：标签列表中每个标签的图片数，以及图片上有但不在列表中的「孤立标签」
+        getTagUsage() {
+            const counts = new Map(db.prepare('SELECT tag, COUNT(DISTINCT image_id) AS n FROM image_tags GROUP BY tag').all()
+                .map(r => [r.tag, r.n]));
+            const tags = storage.listTags().map(tag => ({ ...tag, count: counts.get(tag.name) || 0 }));
+            const listed = new Set(tags.map(t => t.name));
+            const orphans = Array.from(counts.entries())
+                .filter(([name]) => !listed.has(name))
+                .map(([name, count]) => ({ name, count }))
+                .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+            return { tags, orphans };
+        },
+
+        // 把所有图片上的标签 from 改为 to（图片已有 to 时直接去掉 from）；to 为空时从图片上移除 from
+        // 返回受影响的图片数
+        retagImages(from, to) {
+            return db.transaction(() => {
+                const keys = db.prepare('SELECT DISTINCT image_id FROM image_tags WHERE tag = ?').all(from).map(r => r.image_id);
+                keys.forEach(markImageChanged);
+                if (to) {
+                    db.prepare(`UPDATE image_tags SET tag = ? WHERE tag = ? AND image_id NOT IN (
+                        SELECT image_id FROM image_tags WHERE tag = ?)`).run(to, from, to);
+                }
+                db.prepare('DELETE FROM image_tags WHERE tag = ?').run(from);
+                return keys.length;
+            })();
+        },
+
+        // 重命名标签：标签列表中保留位置和配色，所属分组不变，所有图片同步改名
+        renameTag(from, to) {
+            return db.transaction(() => {
+                db.prepare('UPDATE tags SET name = ? WHERE name = ?').run(to, from);
+                stmts.renameTagGroupMember.run(to, from);
+                stmts.deleteTagGroupMember.run(from);
+                return storage.retagImages(from, to);
+            })();
+        },
+
+        // 合并标签：from 并入 into，from 从标签列表中删除
+        mergeTags(from, into) {
+            return db.transaction(() => {
+                db.prepare('DELETE FROM tags WHERE name = ?').run(from);
+                stmts.deleteTagGroupMember.run(from);
+                return storage.retagImages(from, into);
+            })();
+        },
+
+        // 删除标签：从标签列表和所有图片上移除
+        deleteTag(name) {
+            return db.transaction(() => {
+                db.prepare('DELETE FROM tags WHERE name = ?').run(name);
+                stmts.deleteTagGroupMember.run(name);
+                return storage.retagImages(name, null);
+            })();
+        },
+
+        // ===== 账号（密码哈希、令牌生成见 auth.js） =====
+        countUsers() {
+            return stmts.countUsers.get().n;
+        },
+
+        countAdmins() {
+            return stmts.countAdmins.get().n;
+        },
+
+        // [{ id, username, role, createdAt, invitedByName, imageCount }]
+        listUsers() {
+            return stmts.listUsers.all().map(row => ({
+                ...toUser(row),
+                invitedByName: row.invited_by_name || null,
+                imageCount: row.image_count
+            }));
+        },
+
+        getUser(id) {
+            return toUser(stmts.getUser.get(id));
+        },
+
+        // 登录用：返回 { user, passwordHash } 或 null（用户名不区分大小写）
+        findLogin(username) {
+            const row = stmts.getUserByName.get(username);
+            return row ? { user: toUser(row), passwordHash: row.password_hash } : null;
+        },
+
+        getPasswordHash(userId) {
+            const row = stmts.getUserPasswordHash.get(userId);
+            return row ? row.password_hash : null;
+        },
+
+        // 新建账号，用户名已存在时返回 null
+        createUser({ username, passwordHash, role, invitedBy = null }) {
+            if (stmts.getUserByName.get(username)) return null;
+            const { lastInsertRowid } = stmts.insertUser.run(username, passwordHash, role, invitedBy, Date.now());
+            return storage.getUser(Number(lastInsertRowid));
+        },
+
+        // 凭邀请码注册：邀请码须未使用且未过期，账号创建与邀请码作废在同一事务中完成
+        // 返回 { user } 或 { error }
+        registerWithInvite(code, { username, passwordHash }) {
+            return db.transaction(() => {
+                const now = Date.now();
+                const invite = stmts.getInvite.get(code);
+                if (!invite || invite.used_at || invite.expires_at <= now) return { error: '邀请码无效或已过期' };
+                const user = storage.createUser({ username, passwordHash, role: invite.role, invitedBy: invite.created_by });
+                if (!user) return { error: '用户名已被使用' };
+                stmts.useInvite.run(user.id, now, code, now);
+                return { user };
+            })();
+        },
+
+        updateUserRole(id, role) {
+            return stmts.updateUserRole.run(role, id).changes > 0;
+        },
+
+        // 修改密码并让该账号的其他会话失效（keepTokenHash 为当前会话）
+        updateUserPassword(id, passwordHash, keepTokenHash = '') {
+            db.transaction(() => {
+                stmts.updateUserPassword.run(passwordHash, id);
+                stmts.deleteUserSessions.run(id, keepTokenHash);
+            })();
+        },
+
+        // 删除账号：会话随之删除，其上传的图片保留（owner_id 置空，之后仅创作者可修改）
+        deleteUser(id) {
+            return stmts.deleteUser.run(id).changes > 0;
+        },
+
+        createSession(userId, tokenHash, expiresAt) {
+            stmts.insertSession.run(tokenHash, userId, Date.now(), expiresAt);
+        },
+
+        getSessionUser(tokenHash) {
+            return toUser(stmts.getSessionUser.get(tokenHash, Date.now()));
+        },
+
+        deleteSession(tokenHash) {
+            stmts.deleteSession.run(tokenHash);
+        },
+
+        purgeExpiredSessions() {
+            return stmts.deleteExpiredSessions.run(Date.now()).changes;
+        },
+
+        // 邀请码：createdBy 为空时列出全部，否则只列出该账号创建的
+        listInvites(createdBy = null) {
+            return stmts.listInvites.all()
+                .filter(row => createdBy == null || row.created_by === createdBy)
+                .map(toInvite);
+        },
+
+        getInvite(code) {
+            const row = stmts.getInvite.get(code);
+            return row ? toInvite(row) : null;
+        },
+
+        createInvite({ code, role, createdBy, expiresAt }) {
+            stmts.insertInvite.run(code, role, createdBy, Date.now(), expiresAt);
+            return storage.getInvite(code);
+        },
+
+        deleteInvite(code) {
+            return stmts.deleteInvite.run(code).changes > 0;
+        },
+
+        // ===== 分享链接 =====
+        createShareLink({ id, targetType, targetId, createdBy, expiresAt = null, maxViews = null }) {
+            stmts.insertShareLink.run(id, targetType, toKey(targetId), createdBy, Date.now(), expiresAt, maxViews);
+            return storage.getShareLink(id);
+        },
+
+        getShareLink(id) {
+            const row = stmts.getShareLink.get(id);
+            return row ? toShareLink(row) : null;
+        },
+
+        // 仍然有效（未过期、查看次数未用完）的分享链接，新建的在前
+        // filter: { createdBy, targetType, targetId }，均可选
+        listShareLinks(filter = {}) {
+            const where = ['(share_links.expires_at IS NULL OR share_links.expires_at > ?)',
+                '(share_links.max_views IS NULL OR share_links.views < share_links.max_views)'];
+            const params = [Date.now()];
+            if (filter.createdBy != null) {
+                where.push('share_links.created_by = ?');
+                params.push(filter.createdBy);
+            }
+            if (filter.targetType) {
+                where.push('share_links.target_type = ?');
+                params.push(filter.targetType);
+            }
+            if (filter.targetId != null) {
+                where.push('share_links.target_id = ?');
+                params.push(toKey(filter.targetId));
+            }
+            return db.prepare(`SELECT share_links.*, users.username AS created_by_name FROM share_links
+                LEFT JOIN users ON users.id = share_links.created_by
+                WHERE ${where.join(' AND ')} ORDER BY share_links.created_at DESC`).all(...params).map(toShareLink);
+        },
+
+        // 打开分享链接时计一次查看；已过期、次数已用完或不存在时返回 false
+        useShareLink(id) {
+            return stmts.useShareLink.run(id, Date.now()).changes > 0;
+        },
+
+        deleteShareLink(id) {
+            return stmts.deleteShareLink.run(id).changes > 0;
+        },
+
+        // ===== 合集 =====
+        // 合集列表（最近修改的在前），附 imageCount 与封面缩略图 coverThumbnailUrl，只计 viewer 能看到的图片
+        // （viewer 见 buildImageFilter）；封面不可见或未设置时用第一张可见的图片
+        listCollections(viewer = null) {
+            const { where, params } = buildImageFilter({ viewer });
+            const visible = ['ci.collection_id = collections.id', ...where].join(' AND ');
+            const visibleImages = `FROM collection_images ci JOIN images ON images.id = ci.image_id WHERE ${visible}`;
+            return db.prepare(`SELECT collections.*, users.username AS owner_name,
+                    (SELECT COUNT(*) ${visibleImages}) AS image_count,
+                    COALESCE(
+                        (SELECT COALESCE(images.thumbnail_url, images.url) ${visibleImages} AND images.id = collections.cover_image_id),
+                        (SELECT COALESCE(images.thumbnail_url, images.url) ${visibleImages} ORDER BY ci.position LIMIT 1)
+                    ) AS cover_thumbnail_url
+                FROM collections LEFT JOIN users ON users.id = collections.owner_id
+                ORDER BY collections.updated_at DESC, collections.id DESC`).all(...params, ...params, ...params).map(toCollection);
+        },
+
+        // 合集基本信息 + imageIds（全部图片，按合集内顺序）；不存在时返回 null
+        getCollection(id) {
+            const row = stmts.getCollection.get(id);
+            if (!row) return null;
+            return { ...toCollection(row), imageIds: stmts.listCollectionImageIds.all(row.id).map(r => fromKey(r.image_id)) };
+        },
+
+        // 合集内 viewer 能看到的图片（完整记录），按合集内顺序
+        getCollectionImages(id, viewer = null) {
+            const { where, params } = buildImageFilter({ viewer });
+            return db.prepare(`SELECT images.* FROM collection_images ci JOIN images ON images.id = ci.image_id
+                WHERE ${['ci.collection_id = ?', ...where].join(' AND ')} ORDER BY ci.position`).all(id, ...params)
+                .map(row => rowToImage(row,
+                    stmts.getImageTags.all(row.id).map(r => r.tag),
+                    stmts.getImageKeywords.all(row.id).map(r => r.keyword)));
+        },
+
+        createCollection({ name, description = '', ownerId = null }) {
+            const now = Date.now();
+            const id = stmts.insertCollection.run(name, description || null, ownerId, now, now).lastInsertRowid;
+            return storage.getCollection(Number(id));
+        },
+
+        // updates: { name, description, coverImageId } 的任意子集
+        updateCollection(id, updates) {
+            const current = storage.getCollection(id);
+            if (!current) return null;
+            const next = { ...current, ...updates };
+            stmts.updateCollection.run({
+                id: current.id,
+                name: next.name,
+                description: next.description || null,
+                cover_image_id: next.coverImageId == null ? null : toKey(next.coverImageId),
+                updated_at: Date.now()
+            });
+            return storage.getCollection(id);
+        },
+
+        // 按 imageIds 重写合集内的图片与顺序（不在其中的图片移出合集）
+        setCollectionImages(id, imageIds) {
+            return db.transaction(() => {
+                stmts.clearCollectionImages.run(id);
+                imageIds.forEach((imageId, i) => stmts.insertCollectionImage.run(id, toKey(imageId), i));
+                stmts.touchCollection.run(Date.now(), id);
+                return storage.getCollection(id);
+            })();
+        },
+
+        // 把图片追加到合集末尾（已在合集中的跳过），返回新加入的数量
+        addCollectionImages(id, imageIds) {
+            return db.transaction(() => {
+                let position = stmts.maxCollectionPosition.get(id).n;
+                let added = 0;
+                imageIds.forEach(imageId => {
+                    added += stmts.insertCollectionImage.run(id, toKey(imageId), position + 1).changes;
+                    position += 1;
+                });
+                if (added > 0) stmts.touchCollection.run(Date.now(), id);
+                return added;
+            })();
+        },
+
+        // 删除合集（图片本身保留），连同其分享链接
+        deleteCollection(id) {
+            return db.transaction(() => {
+                stmts.deleteTargetShareLinks.run('collection', String(id));
+                return stmts.deleteCollection.run(id).changes > 0;
+            })();
+        },
+
+        // 访客密钥（哈希见 auth.js 的 hashToken）：返回 'match'、'mismatch' 或 'unbound'
+        checkVisitorSecret(visitorId, secretHash) {
+            const row = stmts.getVisitorSecretHash.get(visitorId);
+            if (!row) return 'unbound';
+            return row.secret_hash === secretHash ? 'match' : 'mismatch';
+        },
+
+        // 为还没有密钥的访客 ID 绑定密钥，返回是否绑定成功；升级前就有数据的访客 ID 由第一个带密钥来写入的浏览器绑定，
+        // 已绑定的不再改绑
+        bindVisitorSecret(visitorId, secretHash) {
+            return stmts.insertVisitorSecret.run(visitorId, secretHash, Date.now()).changes > 0;
+        },
+
+        // 把匿名访客 ID 名下的图片和完成记录归入账号（注册或登录时调用）
+        // completionOwner 为账号在 completions 表中的键；返回 { images, completions } 归入的数量
+        claimVisitorData(visitorId, userId, completionOwner) {
+            return db.transaction(() => {
+                stmts.listUnclaimedVisitorImageIds.all(visitorId).forEach(r => markImageChanged(r.id));
+                const images = stmts.claimVisitorImages.run(userId, visitorId).changes;
+                const completions = stmts.moveCompletions.run(completionOwner, visitorId).changes;
+                stmts.deleteVisitorCompletions.run(visitorId);
+                return { images, completions };
+            })();
+        },
+
+        // 完成记录按「完成者」区分：匿名访客为访客 ID，账号为 user:<id>（见 server.js 的 getCompletionOwner）
+        getCompletedImageIds(visitorId) {
+            return stmts.listCompletions.all(visitorId).map(r => r.image_id);
+        },
+
+        setCompleted(visitorId, imageId, completed) {
+            if (completed) {
+                stmts.insertCompletion.run(visitorId, String(imageId), Date.now());
+            } else {
+                stmts.deleteCompletion.run(visitorId, String(imageId));
+            }
+            return storage.getCompletedImageIds(visitorId);
+        },
+
+        getMeta(key) {
+            const row = stmts.getMeta.get(key);
+            return row ? row.value : null;
+        },
+
+        setMeta(key, value) {
+            stmts.setMeta.run(key, value);
+        },
+
+        close() {
+            db.close();
+        }
+    };
+
+    importLegacyJson(storage, dataDir);
+    return storage;
+}
+
+// ===== 一次性导入旧 JSON 数据 =====
+// 导入在一个事务中完成；成功后记录标记并把 JSON 文件改名为 *.imported 作为备份
+function readLegacyJson(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.warn(`读取 ${path.basename(file)} 失败:`, error.message);
+        return fallback;
+    }
+}
+
+function importLegacyJson(storage, dataDir) {
+    if (storage.getMeta('json_imported')) return null;
+
+    const files = {
+        images: path.join(dataDir, 'images.json'),
+        tags: path.join(dataDir, 'tags.json'),
+        completions: path.join(dataDir, 'completions.json')
+    };
+    const images = readLegacyJson(files.images, []);
+    const tags = readLegacyJson(files.tags, []);
+    const completions = readLegacyJson(files.completions, {});
+
+    const result = storage.transaction(() => {
+        let imageCount = 0;
+        for (const image of Array.isArray(images) ? images : []) {
+            if (!image || image.id == null || storage.getImage(image.id)) continue;
+            storage.insertImage(image);
+            imageCount++;
+        }
+        if (Array.isArray(tags) && tags.length > 0) storage.replaceTags(tags);
+        let completionCount = 0;
+        for (const [visitorId, ids] of Object.entries(completions || {})) {
+            if (!Array.isArray(ids)) continue;
+            ids.forEach(id => {
+                storage.setCompleted(visitorId, id, true);
+                completionCount++;
+            });
+        }
+        storage.setMeta('json_imported', String(Date.now()));
+        return { images: imageCount, tags: Array.isArray(tags) ? tags.length : 0, completions: completionCount };
+    });
+
+    for (const file of Object.values(files)) {
+        try {
+            fs.renameSync(file, `${file}.imported`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.warn(`备份 ${path.basename(file)} 失败:`, error.message);
+        }
+    }
+    if (result.images || result.tags || result.completions) {
+        console.log(`已从 JSON 导入：${result.images} 张图片，${result.tags} 个标签，${result.completions} 条完成记录`);
+    }
+    return result;
+}
+
+module.exports = { openStorage, MIGRATIONS, DB_FILENAME, IMAGE_SORTS, RELEVANCE_SORT };
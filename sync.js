@@ -0,0 +1,291 @@
+// 离线同步 - 本地的修改（IndexedDB 变更日志，见 db.js）在服务器可用时按顺序推送，再把服务器上的变化拉取到本地作为离线副本
+// 冲突处理：
+//   图片标签按增删合并：服务器上当前的标签 + 本地新增 - 本地删除；名称、关键词等其他字段以本地修改为准
+//   「已完成」：推送时本地的勾选 / 取消覆盖服务器状态；拉取时以服务器为准，只在本地的图片保留本地状态
+//   标签列表按增删合并（仅创作者可修改）；拉取时服务器上删掉的标签本地也删掉，本地新建但未能推送的标签保留
+//   服务器拒绝的修改（如无权修改别人的图片）放弃推送，记入「未同步」，并把该图片恢复为服务器上的版本
+// 只在本地的图片上传后其他人也能看到，每次打开页面后第一次要上传时先询问用户；不同意时本次不上传，仍保存在本地
+// 网络不通或服务器出错时中止本次同步，未推送的修改留到下次
+// 依赖 db.js、api.js；不操作页面，状态通过 onSyncStatus 通知（显示见 app.js）
+
+const SYNC_INTERVAL = 60 * 1000;       // 定时同步间隔
+const SYNC_CHANGE_DELAY = 3000;        // 本地修改后等待片刻再同步，连续修改合并为一次
+const SYNC_REJECTED_MAX = 50;          // 最多保留的「未同步」记录数
+
+let syncRunning = null;
+let syncTimer = null;
+let syncResultHandler = null;
+let uploadConfirmHandler = null;
+let uploadsAllowed = null;             // 本次打开页面后用户是否同意上传本地图片，null 为还没问过
+let syncStatusListener = null;
+let syncStatus = { state: 'idle', pending: 0, lastSyncAt: null, rejected: [], error: null };
+
+// 状态：{ state: idle | syncing | synced | offline | error, pending（待推送条数）, lastSyncAt, rejected, error }
+function onSyncStatus(listener) {
+    syncStatusListener = listener;
+    listener(syncStatus);
+}
+
+function setSyncStatus(changes) {
+    syncStatus = { ...syncStatus, ...changes };
+    if (syncStatusListener) syncStatusListener(syncStatus);
+}
+
+// 服务器明确拒绝的请求（4xx），重试也不会成功；其余（网络不通、5xx、超时、限流）下次再试
+function isRejection(error) {
+    return !!error.status && error.status >= 400 && error.status < 500 && error.status !== 408 && error.status !== 429;
+}
+
+function imagePath(imageId) {
+    return `/api/images/${encodeURIComponent(imageId)}`;
+}
+
+// 服务器图片 → 本地离线记录：图片文件转为 data URL 保存；文件没变时沿用本地已有的副本
+async function toOfflineRecord(image, existing) {
+    const { thumbnailUrl, ...record } = image;
+    if (existing && existing.synced && existing.url === image.url && existing.dataUrl && existing.dataUrl.startsWith('data:')) {
+        return { ...record, dataUrl: existing.dataUrl, patternDoc: existing.patternDoc, synced: true };
+    }
+    record.dataUrl = await fetchImageDataUrl(image.dataUrl);
+    if (image.patternFile) {
+        record.patternDoc = await sendApiRequest(`${imagePath(image.id)}/pattern`, 'GET').catch(() => undefined);
+    }
+    return { ...record, synced: true };
+}
+
+// 被拒绝的修改：把图片恢复为服务器上的版本（重新下载文件，本地可能改过图案；服务器上已没有时删除本地副本）
+async function restoreRemoteImage(imageId) {
+    try {
+        const image = toClientImage(await sendApiRequest(imagePath(imageId), 'GET'));
+        await saveSyncedImages([await toOfflineRecord(image, null)]);
+    } catch (error) {
+        if (error.status !== 404) throw error;
+        await deleteSyncedImages([imageId]);
+    }
+}
+
+function mergeTagNames(remote, added, removed) {
+    const tags = remote.filter(tag => !removed.includes(tag));
+    added.forEach(tag => {
+        if (!tags.includes(tag)) tags.push(tag);
+    });
+    return tags;
+}
+
+// 推送一条日志；imageId 为条目的图片 ID（本次同步中已上传的换成服务器 ID），idMap 记录 本地 ID → 服务器 ID
+async function pushChange(entry, imageId, idMap) {
+    switch (entry.type) {
+        case 'upload': {
+            const record = await getLocalImage(imageId);
+            if (!record || record.synced) return;
+            const image = toClientImage(await sendApiRequest('/api/images', 'POST', toUploadBody({ ...record, pattern: record.patternDoc })));
+            const { thumbnailUrl, ...uploaded } = image;
+            await replaceUploadedImage(record.id, { ...uploaded, dataUrl: record.dataUrl, patternDoc: record.patternDoc, synced: true });
+            idMap.set(String(record.id), uploaded.id);
+            // 图片只在本地时「已完成」条目不推送（见 completion），上传后按本地状态补上
+            if ((await getCompletedIds()).map(String).includes(String(uploaded.id))) {
+                await sendApiRequest(`${imagePath(uploaded.id)}/complete`, 'PUT', { completed: true });
+            }
+            return;
+        }
+        case 'update': {
+            if (!await getLocalImage(imageId)) return;   // 之后又删除了：由 delete 条目处理
+            const updates = { ...entry.fields };
+            if (entry.addedTags.length > 0 || entry.removedTags.length > 0) {
+                const remote = await sendApiRequest(imagePath(imageId), 'GET');
+                updates.tags = mergeTagNames(remote.tags || [], entry.addedTags, entry.removedTags);
+            }
+            if (Object.keys(updates).length > 0) await sendApiRequest(imagePath(imageId), 'PATCH', updates);
+            return;
+        }
+        case 'pattern': {
+            const record = await getLocalImage(imageId);
+            if (!record || !record.patternDoc) return;
+            await sendApiRequest(`${imagePath(imageId)}/pattern`, 'PUT', { pattern: record.patternDoc, dataUrl: record.dataUrl });
+            return;
+        }
+        case 'delete':
+            try {
+                await sendApiRequest(imagePath(imageId), 'DELETE');
+            } catch (error) {
+                if (error.status !== 404) throw error;
+            }
+            return;
+        case 'completion': {
+            // 只在本地的图片（上传被拒绝等）不推送完成状态
+            const record = await getLocalImage(imageId);
+            if (record && !record.synced) return;
+            await sendApiRequest(`${imagePath(imageId)}/complete`, 'PUT', { completed: entry.completed });
+            return;
+        }
+        case 'tag-list': {
+            const remote = await sendApiRequest('/api/tags', 'GET');
+            const addedNames = entry.added.map(tag => tag.name);
+            const merged = remote.filter(tag => !entry.removed.includes(tag.name) && !addedNames.includes(tag.name)).concat(entry.added);
+            await sendApiRequest('/api/tags', 'POST', merged);
+            return;
+        }
+        default:
+            console.warn('未知的同步条目:', entry);
+    }
+}
+
+// 有只在本地的图片时询问是否上传（每次打开页面后问一次）；同意后把旧版本留下的图片也记为待上传
+async function confirmLocalUploads() {
+    if (uploadsAllowed !== null) return uploadsAllowed;
+    const count = await countLocalOnlyImages();
+    if (count === 0) return false;
+    uploadsAllowed = !!uploadConfirmHandler && await uploadConfirmHandler(count);
+    if (uploadsAllowed) await queueLocalUploads();
+    return uploadsAllowed;
+}
+
+async function pushChanges(rejected) {
+    const allowUploads = await confirmLocalUploads();
+    // 不同意上传时 upload 条目留在日志中，下次打开页面再问
+    const entries = (await getPendingChanges()).filter(entry => allowUploads || entry.type !== 'upload');
+    const idMap = new Map();
+    let pushed = 0;
+    for (const entry of entries) {
+        const imageId = idMap.has(String(entry.imageId)) ? idMap.get(String(entry.imageId)) : entry.imageId;
+        try {
+            await pushChange(entry, imageId, idMap);
+            pushed++;
+        } catch (error) {
+            if (!isRejection(error)) throw error;
+            const record = imageId != null ? await getLocalImage(imageId) : null;
+            rejected.push({ type: entry.type, imageId, name: record ? record.name : '', reason: error.message, at: Date.now() });
+            if (['update', 'pattern', 'delete'].includes(entry.type)) await restoreRemoteImage(imageId);
+        }
+        await removeChange(entry.seq);
+    }
+    return pushed;
+}
+
+// 拉取图片；since 为 0 时完整拉取，之后删除本地多出来的已同步图片。返回 { cursor, changed }
+async function pullImages(since) {
+    // 拉取期间又有本地修改的图片先不覆盖，推送后下次再拉取
+    const pendingIds = new Set((await getPendingChanges()).map(entry => String(entry.imageId)));
+    const seenIds = [];
+    let cursor = since;
+    let changed = 0;
+    let page;
+    do {
+        page = await fetchImageChanges(cursor);
+        const records = [];
+        for (const image of page.images) {
+            seenIds.push(image.id);
+            if (pendingIds.has(String(image.id))) continue;
+            records.push(await toOfflineRecord(image, await getLocalImage(image.id)));
+        }
+        const deletedIds = page.deletedIds.filter(id => !pendingIds.has(String(id)));
+        await saveSyncedImages(records);
+        await deleteSyncedImages(deletedIds);
+        changed += records.length + deletedIds.length;
+        cursor = page.cursor;
+    } while (page.hasMore);
+    if (since === 0) {
+        changed += (await removeSyncedImagesExcept(seenIds.concat(Array.from(pendingIds)))).length;
+    }
+    return { cursor, changed };
+}
+
+// 拉取标签列表：knownNames 为上次拉取时服务器上的标签名，据此区分「服务器上删掉的」和「本地新建的」
+async function pullTags(knownNames) {
+    const remote = await sendApiRequest('/api/tags', 'GET');
+    const local = await getTags();
+    const remoteNames = new Set(remote.map(tag => tag.name));
+    const known = new Set(knownNames || []);
+    const merged = remote.concat(local.filter(tag => !remoteNames.has(tag.name) && !known.has(tag.name)));
+    await saveLocalTags(merged, { logChanges: false });
+    return { names: Array.from(remoteNames), changed: JSON.stringify(merged) !== JSON.stringify(local) };
+}
+
+async function pullCompletions() {
+    const remote = (await sendApiRequest('/api/me/completed', 'GET')).completedImageIds.map(String);
+    const local = await getCompletedIds();
+    const merged = remote.slice();
+    for (const id of local) {
+        if (merged.includes(String(id))) continue;
+        const record = await getLocalImage(id);
+        if (record && !record.synced) merged.push(String(id));
+    }
+    await saveCompletedIds(merged, { logChanges: false });
+    return merged.length !== local.length || merged.some(id => !local.map(String).includes(id));
+}
+
+async function syncOnce() {
+    setSyncStatus({ state: 'syncing', pending: await countPendingChanges() });
+    if (!await checkServerConnection()) {
+        setSyncStatus({ state: 'offline' });
+        return null;
+    }
+    try {
+        const state = await getSyncState();
+        const me = await sendApiRequest('/api/me', 'GET');
+        const identity = me.user ? `user:${me.user.id}` : `visitor:${getVisitorId()}`;
+        const rejected = (state.rejected || []).slice();
+
+        const pushed = await pushChanges(rejected);
+        // 换了账号或首次同步时完整拉取
+        const since = state.identity === identity && state.cursor ? state.cursor : 0;
+        const images = await pullImages(since);
+        const tags = await pullTags(state.remoteTagNames);
+        const completionsChanged = await pullCompletions();
+
+        const lastSyncAt = Date.now();
+        const next = {
+            identity,
+            cursor: images.cursor,
+            remoteTagNames: tags.names,
+            lastSyncAt,
+            rejected: rejected.slice(-SYNC_REJECTED_MAX)
+        };
+        await saveSyncState(next);
+        setSyncStatus({ state: 'synced', pending: await countPendingChanges(), lastSyncAt, rejected: next.rejected, error: null });
+        return { pushed, changed: images.changed + (tags.changed ? 1 : 0) + (completionsChanged ? 1 : 0) };
+    } catch (error) {
+        console.error('同步失败:', error);
+        setSyncStatus({
+            state: error.status ? 'error' : 'offline',
+            pending: await countPendingChanges().catch(() => syncStatus.pending),
+            error: error.message
+        });
+        return null;
+    }
+}
+
+// 立即同步；正在同步时返回进行中的那一次。返回 { pushed, changed }，服务器不可用或失败时为 null
+function runSync() {
+    if (!syncRunning) {
+        syncRunning = syncOnce().finally(() => {
+            syncRunning = null;
+        });
+    }
+    return syncRunning;
+}
+
+// 稍后同步（delay 毫秒后；期间再次调用时重新计时），同步成功后通知 startSync 传入的 onResult
+function scheduleSync(delay) {
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(async () => {
+        const result = await runSync();
+        if (result && syncResultHandler) syncResultHandler(result);
+    }, delay);
+}
+
+// 开始后台同步：立即同步一次，之后定时、联网时、本地修改后同步；onResult({ pushed, changed }) 在每次同步成功后调用，
+// confirmUploads(count) 询问是否上传 count 张只在本地的图片，返回（或 resolve 为）true 表示同意
+async function startSync(onResult, confirmUploads) {
+    syncResultHandler = onResult;
+    uploadConfirmHandler = confirmUploads;
+    const state = await getSyncState();
+    setSyncStatus({ pending: await countPendingChanges(), lastSyncAt: state.lastSyncAt || null, rejected: state.rejected || [] });
+    onLocalChange(async () => {
+        setSyncStatus({ pending: await countPendingChanges() });
+        scheduleSync(SYNC_CHANGE_DELAY);
+    });
+    window.addEventListener('online', () => scheduleSync(0));
+    setInterval(() => scheduleSync(0), SYNC_INTERVAL);
+    scheduleSync(0);
+}
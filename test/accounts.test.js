@@ -0,0 +1,88 @@
+// 账号与访客数据迁移：登录或注册时把本浏览器以访客身份上传的图片和完成记录归入账号
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createClient, setupAdmin, PNG_DATA_URL } = require('./helpers');
+
+let server;
+let admin;
+
+before(async () => {
+    server = await startServer();
+    admin = await setupAdmin(server.baseUrl);
+});
+
+after(() => server.stop());
+
+async function createInvite() {
+    const res = await admin.post('/api/invites', { role: 'member' });
+    assert.strictEqual(res.status, 200);
+    return res.body.code;
+}
+
+// 升级前的访客：页面还没有访客密钥，只带访客 ID
+async function uploadAsLegacyVisitor(visitorId, name) {
+    const res = await createClient(server.baseUrl, { visitorId }).post('/api/images', { name, dataUrl: PNG_DATA_URL });
+    assert.strictEqual(res.status, 200);
+    return res.body;
+}
+
+test('升级前的访客注册时，图片和完成记录归入新账号', async () => {
+    const first = await uploadAsLegacyVisitor('legacy-register', '旧图一');
+    await uploadAsLegacyVisitor('legacy-register', '旧图二');
+    const legacy = createClient(server.baseUrl, { visitorId: 'legacy-register' });
+    assert.strictEqual((await legacy.put(`/api/images/${first.id}/complete`, { completed: true })).status, 200);
+
+    // 同一浏览器升级后带上了访客密钥
+    const browser = createClient(server.baseUrl, { visitorId: 'legacy-register', visitorSecret: 'browser-secret' });
+    const res = await browser.post('/api/auth/register', { inviteCode: await createInvite(), username: 'legacy1', password: 'password-1' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.claimed, { images: 2, completions: 1 });
+
+    const image = await browser.get(`/api/images/${first.id}`);
+    assert.strictEqual(image.body.canEdit, true);
+    assert.strictEqual(image.body.ownerId, res.body.user.id);
+    const completed = await browser.get('/api/me/completed');
+    assert.deepStrictEqual(completed.body.completedImageIds.map(String), [String(first.id)]);
+});
+
+test('升级前的访客登录已有账号时，数据同样归入该账号', async () => {
+    const setup = createClient(server.baseUrl, { visitorId: 'someone-else', visitorSecret: 'other-secret' });
+    assert.strictEqual((await setup.post('/api/auth/register', { inviteCode: await createInvite(), username: 'legacy2', password: 'password-2' })).status, 200);
+
+    const image = await uploadAsLegacyVisitor('legacy-login', '旧图三');
+    const browser = createClient(server.baseUrl, { visitorId: 'legacy-login', visitorSecret: 'login-secret' });
+    const res = await browser.post('/api/auth/login', { username: 'legacy2', password: 'password-2' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.claimed, { images: 1, completions: 0 });
+    assert.strictEqual((await browser.get(`/api/images/${image.id}`)).body.ownerId, res.body.user.id);
+});
+
+test('访客 ID 已绑定密钥后，密钥不符的请求不能归入其数据', async () => {
+    const owner = createClient(server.baseUrl, { visitorId: 'bound-visitor', visitorSecret: 'right-secret' });
+    const uploaded = await owner.post('/api/images', { name: '别人的图', dataUrl: PNG_DATA_URL });
+    assert.strictEqual(uploaded.status, 200);
+    assert.strictEqual(uploaded.body.visitorId, undefined);
+
+    const attacker = createClient(server.baseUrl, { visitorId: 'bound-visitor', visitorSecret: 'wrong-secret' });
+    const res = await attacker.post('/api/auth/register', { inviteCode: await createInvite(), username: 'attacker', password: 'password-3' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.claimed, { images: 0, completions: 0 });
+
+    const image = await owner.get(`/api/images/${uploaded.body.id}`);
+    assert.strictEqual(image.body.ownerId, null);
+    assert.strictEqual(image.body.canEdit, true);
+    assert.strictEqual((await attacker.delete(`/api/images/${uploaded.body.id}`)).status, 403);
+});
+
+test('升级前的访客 ID 被第一个带密钥的浏览器绑定后，其他密钥不能再用', async () => {
+    await uploadAsLegacyVisitor('legacy-bound', '旧图四');
+    const browser = createClient(server.baseUrl, { visitorId: 'legacy-bound', visitorSecret: 'first-secret' });
+    assert.strictEqual((await browser.post('/api/images', { name: '新图', dataUrl: PNG_DATA_URL })).status, 200);
+
+    const attacker = createClient(server.baseUrl, { visitorId: 'legacy-bound', visitorSecret: 'late-secret' });
+    const res = await attacker.post('/api/auth/register', { inviteCode: await createInvite(), username: 'late', password: 'password-4' });
+    assert.deepStrictEqual(res.body.claimed, { images: 0, completions: 0 });
+
+    const owner = await browser.post('/api/auth/register', { inviteCode: await createInvite(), username: 'first', password: 'password-5' });
+    assert.deepStrictEqual(owner.body.claimed, { images: 2, completions: 0 });
+});
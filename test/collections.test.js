@@ -0,0 +1,55 @@
+// 合集：合集对所有人可见，合集中的图片按各自的可见范围过滤；凭合集的分享链接可看到全部图片
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createClient, setupAdmin, registerUser, PNG_DATA_URL } = require('./helpers');
+
+let server;
+let owner;
+let anonymous;
+let collection;
+
+before(async () => {
+    server = await startServer();
+    const admin = await setupAdmin(server.baseUrl);
+    owner = await registerUser(admin, server.baseUrl, 'owner');
+    anonymous = createClient(server.baseUrl, { visitorId: 'anonymous', visitorSecret: 'anonymous-secret' });
+    const ids = [];
+    for (const visibility of ['unlisted', 'public', 'private']) {
+        const res = await owner.post('/api/images', { name: visibility, dataUrl: PNG_DATA_URL, visibility });
+        assert.strictEqual(res.status, 200);
+        ids.push(res.body.id);
+    }
+    const res = await owner.post('/api/collections', { name: '合集', imageIds: ids });
+    assert.strictEqual(res.status, 200);
+    collection = res.body;
+});
+
+after(() => server.stop());
+
+test('合集中不公开、私密的图片只有能看到它们的人才能看到', async () => {
+    const names = async (client) => (await client.get(`/api/collections/${collection.id}`)).body.images.map(img => img.name);
+    assert.deepStrictEqual(await names(owner), ['unlisted', 'public', 'private']);
+    assert.deepStrictEqual(await names(anonymous), ['public']);
+
+    const listed = (await anonymous.get('/api/collections')).body.find(c => c.id === collection.id);
+    assert.strictEqual(listed.imageCount, 1);
+    // 封面（第一张）看不到时用第一张看得到的图片
+    assert.strictEqual(listed.coverThumbnailUrl, collection.images[1].thumbnailUrl);
+});
+
+test('只有合集的创建者能修改合集', async () => {
+    const res = await owner.patch(`/api/collections/${collection.id}`, { imageIds: collection.images.map(img => img.id).reverse() });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual((await anonymous.patch(`/api/collections/${collection.id}`, { name: '改名' })).status, 403);
+});
+
+test('凭合集的分享链接可看到全部图片', async () => {
+    const link = await owner.post('/api/shares', { targetType: 'collection', targetId: collection.id });
+    assert.strictEqual(link.status, 200);
+    const shared = await anonymous.get(`/api/shared/${encodeURIComponent(link.body.token)}`);
+    assert.strictEqual(shared.status, 200);
+    assert.deepStrictEqual(shared.body.images.map(img => img.name).sort(), ['private', 'public', 'unlisted']);
+    for (const image of shared.body.images) {
+        assert.strictEqual((await anonymous.get(image.url)).status, 200);
+    }
+});
@@ -0,0 +1,104 @@
+// 测试辅助：在临时数据目录里启动服务器，并模拟浏览器（会话 Cookie、访客 ID 与访客密钥）发请求
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const CREATOR_SECRET = 'test-creator-secret';
+// 1×1 的 PNG
+const PNG_DATA_URL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+function createDataDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'pin-dou-test-'));
+}
+
+// 启动服务器，返回 { baseUrl, dataDir, stop() }；dataDir 可传入已准备好数据的目录，stop() 时连同数据目录一起删除
+async function startServer(dataDir = createDataDir()) {
+    const port = 20000 + Math.floor(Math.random() * 20000);
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT_DIR,
+        env: { ...process.env, DATA_DIR: dataDir, PORT: String(port), CREATOR_SECRET },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    await new Promise((resolve, reject) => {
+        let output = '';
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('服务器运行在')) resolve();
+        });
+        child.stderr.on('data', chunk => {
+            output += chunk;
+        });
+        child.on('exit', code => reject(new Error(`服务器启动失败（退出码 ${code}）：\n${output}`)));
+    });
+    return {
+        baseUrl: `http://localhost:${port}`,
+        dataDir,
+        stop: async () => {
+            if (child.exitCode === null) {
+                await new Promise(resolve => {
+                    child.once('exit', resolve);
+                    child.kill();
+                });
+            }
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+// 模拟一个浏览器：记住会话 Cookie；visitorId、visitorSecret 对应页面存在 localStorage 里的访客 ID 和密钥
+// 请求返回 { status, body }（body 为解析后的 JSON，不是 JSON 时为 null）
+function createClient(baseUrl, { visitorId = null, visitorSecret = null } = {}) {
+    let cookie = '';
+    async function request(method, urlPath, body) {
+        const headers = {};
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        if (visitorId) headers['X-Visitor-Id'] = visitorId;
+        if (visitorSecret) headers['X-Visitor-Secret'] = visitorSecret;
+        if (cookie) headers.Cookie = cookie;
+        const response = await fetch(baseUrl + urlPath, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const setCookie = response.headers.get('set-cookie');
+        if (setCookie) cookie = setCookie.split(';')[0];
+        const text = await response.text();
+        let data = null;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            data = null;
+        }
+        return { status: response.status, body: data };
+    }
+    return {
+        get: (urlPath) => request('GET', urlPath),
+        post: (urlPath, body) => request('POST', urlPath, body),
+        put: (urlPath, body) => request('PUT', urlPath, body),
+        patch: (urlPath, body) => request('PATCH', urlPath, body),
+        delete: (urlPath) => request('DELETE', urlPath)
+    };
+}
+
+// 凭 CREATOR_SECRET 创建第一个管理员，返回已登录的管理员
+async function setupAdmin(baseUrl) {
+    const admin = createClient(baseUrl, { visitorId: 'admin-browser', visitorSecret: 'admin-browser-secret' });
+    const res = await admin.post('/api/auth/setup', { username: 'admin', password: 'admin-password', secret: CREATOR_SECRET });
+    if (res.status !== 200) throw new Error(`创建管理员失败：${JSON.stringify(res.body)}`);
+    return admin;
+}
+
+// 管理员邀请并注册一个账号（role 为 member 或 creator），返回已登录的账号
+async function registerUser(admin, baseUrl, username, role = 'member') {
+    const invite = await admin.post('/api/invites', { role });
+    if (invite.status !== 200) throw new Error(`创建邀请码失败：${JSON.stringify(invite.body)}`);
+    const user = createClient(baseUrl, { visitorId: `${username}-browser`, visitorSecret: `${username}-browser-secret` });
+    const res = await user.post('/api/auth/register', { inviteCode: invite.body.code, username, password: `${username}-password` });
+    if (res.status !== 200) throw new Error(`注册失败：${JSON.stringify(res.body)}`);
+    user.id = res.body.user.id;
+    return user;
+}
+
+module.exports = { ROOT_DIR, CREATOR_SECRET, PNG_DATA_URL, createDataDir, startServer, createClient, setupAdmin, registerUser };
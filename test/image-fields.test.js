@@ -0,0 +1,40 @@
+// 上传图片时名称、标签、关键词的校验（与修改图片时相同）
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createClient, PNG_DATA_URL } = require('./helpers');
+
+let server;
+let visitor;
+
+before(async () => {
+    server = await startServer();
+    visitor = createClient(server.baseUrl, { visitorId: 'visitor-fields' });
+});
+
+after(() => server.stop());
+
+test('标签和关键词不是字符串数组时拒绝上传', async () => {
+    for (const body of [{ tags: 'cat' }, { tags: { a: 1 } }, { tags: ['ok', 3] }, { keywords: 'dog' }, { keywords: [null] }]) {
+        const res = await visitor.post('/api/images', { name: 'bad', dataUrl: PNG_DATA_URL, ...body });
+        assert.strictEqual(res.status, 400, JSON.stringify(body));
+    }
+});
+
+test('合法的标签和关键词去掉首尾空格、去重后保存', async () => {
+    const res = await visitor.post('/api/images', {
+        name: '  小猫  ',
+        dataUrl: PNG_DATA_URL,
+        tags: [' 可爱 ', '可爱', '动物'],
+        keywords: ['cat ', '']
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.name, '小猫');
+    assert.deepStrictEqual(res.body.tags, ['可爱', '动物']);
+    assert.deepStrictEqual(res.body.keywords, ['cat']);
+});
+
+test('未提供名称时自动命名', async () => {
+    const res = await visitor.post('/api/images', { dataUrl: PNG_DATA_URL });
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.body.name);
+});
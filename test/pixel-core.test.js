@@ -0,0 +1,31 @@
+// 颜色量化：颜色很少的图片不应得到重复的调色板颜色
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { medianCutQuantize, buildPixelPattern } = require('../pixel-core.js');
+
+// 左半红、右半蓝的 RGBA 像素
+function twoColorPixels(count) {
+    const pixels = new Uint8ClampedArray(count * 4);
+    for (let i = 0; i < count; i++) {
+        pixels.set(i < count / 2 ? [255, 0, 0, 255] : [0, 0, 255, 255], i * 4);
+    }
+    return pixels;
+}
+
+test('中位切分的结果没有重复颜色', () => {
+    for (const metric of ['rgb', 'ciede2000']) {
+        const palette = medianCutQuantize(twoColorPixels(64), 24, metric);
+        assert.strictEqual(palette.length, 2, metric);
+        assert.strictEqual(new Set(palette.map(c => c.join(','))).size, palette.length);
+    }
+});
+
+test('只有两种颜色的图案图例里只有两种豆子', () => {
+    const width = 8, height = 8, scale = 1;
+    const result = buildPixelPattern(twoColorPixels(width * height), {
+        sampleW: width, pixelWidth: width, pixelHeight: height, sampleScale: scale,
+        colorCount: 24, brand: '', dither: 'none', ditherStrength: 0, colorDistance: 'rgb'
+    });
+    assert.strictEqual(result.palette.length, 2);
+    assert.deepStrictEqual(new Set(result.cells), new Set([0, 1]));
+});
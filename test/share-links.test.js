@@ -0,0 +1,88 @@
+// 分享链接：有效期、查看次数、撤销，以及凭令牌查看不公开、私密的图片
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { openStorage } = require('../storage');
+const { startServer, createClient, createDataDir, setupAdmin, registerUser, PNG_DATA_URL } = require('./helpers');
+
+test('storage：过期或查看次数用完的链接不能再使用，也不再列出', () => {
+    const dataDir = createDataDir();
+    const storage = openStorage(dataDir);
+    try {
+        const user = storage.createUser({ username: 'sharer', passwordHash: 'hash', role: 'member' });
+        const now = Date.now();
+        storage.createShareLink({ id: 'expired', targetType: 'image', targetId: '1', createdBy: user.id, expiresAt: now - 1000 });
+        storage.createShareLink({ id: 'limited', targetType: 'image', targetId: '1', createdBy: user.id, maxViews: 2 });
+        storage.createShareLink({ id: 'open', targetType: 'image', targetId: '1', createdBy: user.id, expiresAt: now + 60000 });
+
+        assert.strictEqual(storage.useShareLink('expired'), false);
+        assert.strictEqual(storage.useShareLink('limited'), true);
+        assert.strictEqual(storage.useShareLink('limited'), true);
+        assert.strictEqual(storage.useShareLink('limited'), false);
+        assert.strictEqual(storage.getShareLink('limited').views, 2);
+        assert.strictEqual(storage.useShareLink('open'), true);
+        assert.strictEqual(storage.useShareLink('missing'), false);
+
+        assert.deepStrictEqual(storage.listShareLinks({ createdBy: user.id }).map(link => link.id), ['open']);
+        assert.strictEqual(storage.deleteShareLink('open'), true);
+        assert.strictEqual(storage.useShareLink('open'), false);
+    } finally {
+        storage.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+let server;
+let admin;
+let owner;
+let anonymous;
+let privateImage;
+
+before(async () => {
+    server = await startServer();
+    admin = await setupAdmin(server.baseUrl);
+    owner = await registerUser(admin, server.baseUrl, 'owner');
+    anonymous = createClient(server.baseUrl, { visitorId: 'anonymous', visitorSecret: 'anonymous-secret' });
+    const res = await owner.post('/api/images', { name: '私密图', dataUrl: PNG_DATA_URL, visibility: 'private' });
+    assert.strictEqual(res.status, 200);
+    privateImage = res.body;
+});
+
+after(() => server.stop());
+
+test('凭分享链接查看私密图片及其文件，次数用完后失效', async () => {
+    const link = await owner.post('/api/shares', { targetType: 'image', targetId: privateImage.id, maxViews: 2 });
+    assert.strictEqual(link.status, 200);
+    const token = encodeURIComponent(link.body.token);
+
+    const first = await anonymous.get(`/api/shared/${token}`);
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.body.image.name, '私密图');
+    assert.strictEqual(first.body.viewsLeft, 1);
+    assert.strictEqual(first.body.image.ownerId, undefined);
+    assert.strictEqual((await anonymous.get(first.body.image.url)).status, 200);
+    assert.strictEqual((await anonymous.get(privateImage.url)).status, 404);
+
+    assert.strictEqual((await anonymous.get(`/api/shared/${token}`)).body.viewsLeft, 0);
+    assert.strictEqual((await anonymous.get(`/api/shared/${token}`)).status, 410);
+});
+
+test('撤销或篡改的令牌不能使用', async () => {
+    const link = await owner.post('/api/shares', { targetType: 'image', targetId: privateImage.id });
+    const token = link.body.token;
+    assert.strictEqual((await anonymous.get(`/api/shared/${encodeURIComponent(token.slice(0, -2) + 'xx')}`)).status, 404);
+    assert.strictEqual((await anonymous.get(`/api/shared/${encodeURIComponent(token)}`)).status, 200);
+
+    assert.strictEqual((await anonymous.delete(`/api/shares/${link.body.id}`)).status, 403);
+    assert.strictEqual((await owner.delete(`/api/shares/${link.body.id}`)).status, 200);
+    assert.strictEqual((await anonymous.get(`/api/shared/${encodeURIComponent(token)}`)).status, 404);
+});
+
+test('只能分享自己的图片，有效期和次数须在范围内', async () => {
+    assert.strictEqual((await anonymous.post('/api/shares', { targetId: privateImage.id })).status, 401);
+    const other = await registerUser(admin, server.baseUrl, 'other');
+    assert.strictEqual((await other.post('/api/shares', { targetId: privateImage.id })).status, 403);
+    assert.strictEqual((await owner.post('/api/shares', { targetId: privateImage.id, expiresInDays: 0 })).status, 400);
+    assert.strictEqual((await owner.post('/api/shares', { targetId: privateImage.id, maxViews: -1 })).status, 400);
+    assert.strictEqual((await owner.post('/api/shares', { targetId: 'missing' })).status, 404);
+});
@@ -0,0 +1,72 @@
+// 离线同步：服务器的图片变更列表（GET /api/sync/images）与页面同步引擎（sync.js）的合并规则
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { ROOT_DIR, startServer, createClient, setupAdmin, registerUser, PNG_DATA_URL } = require('./helpers');
+
+// sync.js 是页面脚本（全局函数），在独立的上下文中加载，只测不依赖 IndexedDB 和网络的部分
+function loadSyncScript() {
+    const context = vm.createContext({ console });
+    vm.runInContext(fs.readFileSync(path.join(ROOT_DIR, 'sync.js'), 'utf8'), context, { filename: 'sync.js' });
+    return context;
+}
+
+test('标签按增删合并：服务器上当前的标签 + 本地新增 - 本地删除', () => {
+    const { mergeTagNames } = loadSyncScript();
+    assert.deepStrictEqual(mergeTagNames(['a', 'b', 'srv'], ['c', 'a'], ['b']), ['a', 'srv', 'c']);
+    assert.deepStrictEqual(mergeTagNames([], ['x'], ['y']), ['x']);
+});
+
+test('只有服务器明确拒绝（4xx）的修改放弃推送，其余下次再试', () => {
+    const { isRejection } = loadSyncScript();
+    assert.strictEqual(isRejection({ status: 403 }), true);
+    assert.strictEqual(isRejection({ status: 404 }), true);
+    for (const status of [undefined, 408, 429, 500, 503]) {
+        assert.strictEqual(isRejection({ status }), false, String(status));
+    }
+});
+
+let server;
+let owner;
+let anonymous;
+
+before(async () => {
+    server = await startServer();
+    const admin = await setupAdmin(server.baseUrl);
+    owner = await registerUser(admin, server.baseUrl, 'owner');
+    anonymous = createClient(server.baseUrl, { visitorId: 'anonymous', visitorSecret: 'anonymous-secret' });
+});
+
+after(() => server.stop());
+
+test('变更列表只返回能看到的图片，之后变得看不到或被删除的图片放在 deletedIds 中', async () => {
+    const shown = await owner.post('/api/images', { name: 'shown', dataUrl: PNG_DATA_URL });
+    const hidden = await owner.post('/api/images', { name: 'hidden', dataUrl: PNG_DATA_URL, visibility: 'private' });
+    const first = await anonymous.get('/api/sync/images?since=0');
+    assert.deepStrictEqual(first.body.images.map(img => img.name), ['shown']);
+    assert.deepStrictEqual(first.body.deletedIds, []);
+    assert.strictEqual(first.body.hasMore, false);
+    assert.deepStrictEqual((await owner.get('/api/sync/images?since=0')).body.images.map(img => img.name), ['shown', 'hidden']);
+
+    assert.strictEqual((await owner.patch(`/api/images/${shown.body.id}`, { visibility: 'unlisted' })).status, 200);
+    assert.strictEqual((await owner.delete(`/api/images/${hidden.body.id}`)).status, 200);
+    const next = await anonymous.get(`/api/sync/images?since=${first.body.cursor}`);
+    assert.deepStrictEqual(next.body.images, []);
+    assert.deepStrictEqual(next.body.deletedIds.map(String).sort(), [String(shown.body.id), String(hidden.body.id)].sort());
+    assert.ok(next.body.cursor > first.body.cursor);
+});
+
+test('变更列表按 limit 分页', async () => {
+    const start = (await owner.get('/api/sync/images?since=0')).body.cursor;
+    for (const name of ['p1', 'p2', 'p3']) {
+        await owner.post('/api/images', { name, dataUrl: PNG_DATA_URL });
+    }
+    const page = await owner.get(`/api/sync/images?since=${start}&limit=2`);
+    assert.deepStrictEqual(page.body.images.map(img => img.name), ['p1', 'p2']);
+    assert.strictEqual(page.body.hasMore, true);
+    const rest = await owner.get(`/api/sync/images?since=${page.body.cursor}`);
+    assert.deepStrictEqual(rest.body.images.map(img => img.name), ['p3']);
+    assert.strictEqual(rest.body.hasMore, false);
+});
@@ -0,0 +1,69 @@
+// 图片的可见范围：公开的任何人可看；不公开、私密的只有上传者和管理员、创作者能看（其他人凭分享链接）
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createClient, setupAdmin, registerUser, PNG_DATA_URL } = require('./helpers');
+
+let server;
+let admin;
+let owner;
+let other;
+let anonymous;
+const images = {};
+
+before(async () => {
+    server = await startServer();
+    admin = await setupAdmin(server.baseUrl);
+    owner = await registerUser(admin, server.baseUrl, 'owner');
+    other = await registerUser(admin, server.baseUrl, 'other');
+    anonymous = createClient(server.baseUrl, { visitorId: 'anonymous', visitorSecret: 'anonymous-secret' });
+    for (const visibility of ['public', 'unlisted', 'private']) {
+        const res = await owner.post('/api/images', { name: visibility, dataUrl: PNG_DATA_URL, tags: [`tag-${visibility}`], visibility });
+        assert.strictEqual(res.status, 200);
+        images[visibility] = res.body;
+    }
+});
+
+after(() => server.stop());
+
+async function fileStatus(client, url) {
+    return (await client.get(url)).status;
+}
+
+test('不公开和私密的图片只有上传者和管理员能查看', async () => {
+    for (const visibility of ['unlisted', 'private']) {
+        const image = images[visibility];
+        for (const [client, expected] of [[owner, 200], [admin, 200], [other, 404], [anonymous, 404]]) {
+            assert.strictEqual((await client.get(`/api/images/${image.id}`)).status, expected, visibility);
+            assert.strictEqual(await fileStatus(client, image.url), expected, `${visibility} 文件`);
+            assert.strictEqual(await fileStatus(client, image.thumbnailUrl), expected, `${visibility} 缩略图`);
+        }
+    }
+    assert.strictEqual((await anonymous.get(`/api/images/${images.public.id}`)).status, 200);
+    assert.strictEqual(await fileStatus(anonymous, images.public.url), 200);
+});
+
+test('图库列表只列出能看到的图片', async () => {
+    const names = async (client) => (await client.get('/api/images')).body.map(img => img.name).sort();
+    assert.deepStrictEqual(await names(anonymous), ['public']);
+    assert.deepStrictEqual(await names(other), ['public']);
+    assert.deepStrictEqual(await names(owner), ['private', 'public', 'unlisted']);
+    assert.deepStrictEqual(await names(admin), ['private', 'public', 'unlisted']);
+});
+
+test('未登录的访客只能上传公开图片', async () => {
+    for (const visibility of ['unlisted', 'private']) {
+        const res = await anonymous.post('/api/images', { name: 'x', dataUrl: PNG_DATA_URL, visibility });
+        assert.strictEqual(res.status, 400);
+    }
+    const uploaded = await anonymous.post('/api/images', { name: 'visitor', dataUrl: PNG_DATA_URL });
+    assert.strictEqual(uploaded.status, 200);
+    assert.strictEqual((await anonymous.patch(`/api/images/${uploaded.body.id}`, { visibility: 'private' })).status, 400);
+});
+
+test('标签统计包括所有图片，只有创作者能查看', async () => {
+    assert.strictEqual((await anonymous.get('/api/tags/usage')).status, 403);
+    assert.strictEqual((await other.get('/api/tags/usage')).status, 403);
+    const res = await admin.get('/api/tags/usage');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.orphans.map(tag => tag.name).sort(), ['tag-private', 'tag-public', 'tag-unlisted']);
+});